@@ -2,71 +2,195 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 error AlreadyClaimed();
 error InvalidProof();
 error ClaimingEnded();
+error ClaimingNotStarted();
 error InsufficientBalance();
 error ZeroAddress();
 error ZeroAmount();
 error ArrayLengthMismatch();
 error InvalidPhase();
 error PhaseNotActive();
+error WrongPhaseMode();
+error PhaseNotEnded();
+error AlreadySwept();
+error NothingToSweep();
+error BudgetExceeded();
+error SignatureExpired();
+error InvalidSignature();
+error InvalidVesting();
+error VestingAlreadyStarted();
+error NothingToRelease();
+error InvalidAsset();
+error InvalidValue();
+error NativeTransferFailed();
 
-contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
+contract MerkleDistributorV2 is AccessControl, ReentrancyGuard, Pausable, EIP712, Nonces {
     using SafeERC20 for IERC20;
 
-    // Immutable token address
+    // Immutable token address, the asset of phase 0 and of phases created without one
     address public immutable token;
     
+    // Asset address standing for native ETH
+    address public constant NATIVE_ASSET = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+    
+    // Creates, updates, activates and deactivates phases and sets their vesting
+    bytes32 public constant PHASE_MANAGER_ROLE = keccak256("PHASE_MANAGER_ROLE");
+    
+    // Runs batch distribution
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+    
+    // Pauses and unpauses claiming
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
+    // Moves funds out: emergency withdrawals, sweeps and the treasury address
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    
+    // Signs the vouchers of voucher phases, rotated by granting the new key and revoking the old one
+    bytes32 public constant VOUCHER_SIGNER_ROLE = keccak256("VOUCHER_SIGNER_ROLE");
+    
+    // EIP-712 struct signed by a recipient to let anyone submit their claim
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(uint32 phaseId,address recipient,uint256 deadline,uint256 nonce)");
+    
+    // EIP-712 struct signed by a recipient to send their claim to another address
+    bytes32 public constant CLAIM_TO_TYPEHASH =
+        keccak256("ClaimTo(uint32 phaseId,address recipient,address destination,uint256 deadline,uint256 nonce)");
+    
+    // EIP-712 struct signed by a voucher signer to make a recipient eligible in a voucher phase,
+    // nonce is the recipient's voucherNonces entry when the voucher is signed
+    bytes32 public constant VOUCHER_TYPEHASH =
+        keccak256("Voucher(uint32 phaseId,address recipient,uint256 amount,uint256 nonce,uint256 expiry)");
+    
+    // How leaves of a phase are encoded and how much each recipient receives
+    enum PhaseMode {
+        FixedAmount,      // leaf = keccak256(abi.encodePacked(recipient)), everyone gets dropAmount
+        PerRecipient,     // leaf = keccak256(abi.encodePacked(recipient, amount)), amount comes from the leaf
+        Voucher           // no Merkle root, recipients redeem vouchers signed by a VOUCHER_SIGNER_ROLE account
+    }
+    
     // Phase struct for better organization
     struct Phase {
         bytes32 merkleRoot;       // Merkle root for this phase
         uint64 dropAmount;        // Amount per claim for this phase (in smallest token units)
+        uint64 startTime;         // Time claiming opens for this phase
         uint64 endTime;           // End time for this phase
         uint64 recipientCount;    // Number of recipients who claimed in this phase
         uint64 phaseIndex;        // Phase index for identification
         bool active;              // Whether the phase is active
+        PhaseMode mode;           // Leaf encoding used by this phase
+        bool swept;               // Whether the unclaimed remainder was sent to the treasury
+        uint128 budget;           // Tokens deposited for this phase through fundPhase
+        uint128 claimedAmount;    // Tokens claimed in this phase
+        uint32 vestingCliff;      // Seconds after a claim before anything vests
+        uint32 vestingDuration;   // Seconds over which a claim vests linearly (0 = paid out at claim)
+        address asset;            // ERC20 paid out by this phase, or NATIVE_ASSET for ETH
+    }
+    
+    // Allocation registered by a claim from a vesting phase
+    struct Vesting {
+        uint128 total;            // Amount allocated by the claim
+        uint128 released;         // Amount already sent to the beneficiary
+        address beneficiary;      // Address the released tokens go to
+        uint64 start;             // Time of the claim, vesting runs from here
+        uint32 cliff;             // Phase cliff at the time of the claim
+        uint32 duration;          // Phase duration at the time of the claim
+    }
+    
+    // Accounts to grant each role to, see grantRoles
+    struct RoleAssignments {
+        address[] phaseManager;
+        address[] distributor;
+        address[] pauser;
+        address[] treasury;
+        address[] voucherSigner;
     }
     
     // Track phases
     Phase[] public phases;
-    uint8 public currentPhaseId;
+    uint32 public currentPhaseId;
+    
+    // Claimed leaves by phase, packed 256 to a slot - phaseId => index / 256 => bitmap of index % 256
+    mapping(uint32 => mapping(uint256 => uint256)) private claimedBitMap;
+    
+    // Vesting allocations by phase - phaseId => eligible address => allocation
+    mapping(uint32 => mapping(address => Vesting)) public vestings;
+    
+    // Amount of each asset held for vesting allocations and not yet released
+    mapping(address => uint256) public totalLocked;
+    
+    // Unclaimed budget of each asset's funded phases, phases without a budget can't spend it
+    mapping(address => uint256) public totalReserved;
     
-    // Track claims by phase - phaseId => address => claimed (1 = true, 0 = false)
-    mapping(uint8 => mapping(address => uint256)) private addressClaimed;
+    // Voucher nonce by phase - phaseId => recipient => nonce, only vouchers signed for the current one are redeemable
+    mapping(uint32 => mapping(address => uint256)) public voucherNonces;
     
-    // Stats tracking
+    // Stats tracking, totalClaimed only counts the default token (see phases(i).claimedAmount for others)
     uint128 public totalClaimed;
     uint128 public totalRecipients;
     
+    // Receives the unclaimed remainder of expired phases
+    address public treasury;
+    
     // Events
-    event Claimed(address indexed claimant, uint256 amount, uint8 phaseId);
-    event BatchProcessed(uint256 successCount, uint256 skipCount, uint8 phaseId);
-    event PhaseCreated(uint8 phaseId, bytes32 merkleRoot, uint256 dropAmount, uint256 endTime);
-    event PhaseUpdated(uint8 phaseId, bytes32 merkleRoot, uint256 dropAmount, uint256 endTime);
-    event PhaseActivated(uint8 phaseId);
-    event PhaseDeactivated(uint8 phaseId);
+    event Claimed(
+        address indexed claimant,
+        address indexed destination,
+        address indexed asset,
+        uint256 amount,
+        uint32 phaseId
+    );
+    event BatchProcessed(uint256 successCount, uint256 skipCount, uint32 phaseId);
+    event PhaseCreated(uint32 phaseId, bytes32 merkleRoot, uint256 dropAmount, uint256 startTime, uint256 endTime);
+    event PhaseUpdated(uint32 phaseId, bytes32 merkleRoot, uint256 dropAmount, uint256 startTime, uint256 endTime);
+    event PhaseActivated(uint32 phaseId);
+    event PhaseDeactivated(uint32 phaseId);
     event EmergencyWithdrawal(address token, address recipient, uint256 amount);
+    event PhaseFunded(uint32 phaseId, address from, uint256 amount);
+    event PhaseSwept(uint32 phaseId, address treasury, uint256 amount);
+    event TreasuryUpdated(address treasury);
+    event PhaseVestingSet(uint32 phaseId, uint256 cliff, uint256 duration);
+    event PhaseAssetSet(uint32 phaseId, address asset);
+    event Released(uint32 phaseId, address indexed claimant, address indexed beneficiary, uint256 amount);
+    event PayoutFailed(uint32 phaseId, address indexed recipient, uint256 amount);
+    event VouchersCancelled(uint32 phaseId, address indexed recipient, uint256 nonce);
     
     constructor(
         address token_,
         bytes32 initialMerkleRoot,
         uint256 initialDropAmount,
+        uint256 initialStartTime,
         uint256 initialEndTime,
         address initialOwner
-    ) Ownable(initialOwner) {
+    ) EIP712("MerkleDistributorV2", "1") {
         if (token_ == address(0)) revert ZeroAddress();
         if (initialDropAmount == 0) revert ZeroAmount();
         
         token = token_;
+        treasury = initialOwner;
+        
+        // The owner starts with every role but the voucher signer's, whose key is meant to stay online
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        _grantRole(PHASE_MANAGER_ROLE, initialOwner);
+        _grantRole(DISTRIBUTOR_ROLE, initialOwner);
+        _grantRole(PAUSER_ROLE, initialOwner);
+        _grantRole(TREASURY_ROLE, initialOwner);
         
         // Create initial phase
         uint256 endTime = initialEndTime > block.timestamp ? initialEndTime : type(uint64).max;
+        if (initialStartTime >= endTime) revert("Start time must be before end time");
         
         // Safe conversion to uint64 with overflow check
         if (initialDropAmount > type(uint64).max) revert("Drop amount too large");
@@ -74,84 +198,512 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
         phases.push(Phase({
             merkleRoot: initialMerkleRoot,
             dropAmount: uint64(initialDropAmount),
+            startTime: uint64(initialStartTime),
             endTime: uint64(endTime),
             recipientCount: 0,
             phaseIndex: 0,
-            active: true
+            active: true,
+            mode: PhaseMode.FixedAmount,
+            swept: false,
+            budget: 0,
+            claimedAmount: 0,
+            vestingCliff: 0,
+            vestingDuration: 0,
+            asset: token_
         }));
         
-        emit PhaseCreated(0, initialMerkleRoot, initialDropAmount, endTime);
+        emit PhaseCreated(0, initialMerkleRoot, initialDropAmount, initialStartTime, endTime);
         emit PhaseActivated(0);
     }
     
     /**
      * @notice Claims tokens for the calling address from the current phase
+     * @param index The recipient's index in the phase's Merkle tree
      * @param merkleProof The merkle proof of inclusion in the airdrop
      */
-    function claim(bytes32[] calldata merkleProof) external nonReentrant whenNotPaused {
-        _claimForPhase(currentPhaseId, merkleProof, msg.sender);
+    function claim(uint256 index, bytes32[] calldata merkleProof) external nonReentrant whenNotPaused {
+        _claimForPhase(currentPhaseId, index, merkleProof, msg.sender, msg.sender);
     }
     
     /**
      * @notice Claims tokens for a specific phase (if still active)
      * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param merkleProof The merkle proof of inclusion in the airdrop
+     */
+    function claimForPhase(
+        uint32 phaseId,
+        uint256 index,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _claimForPhase(phaseId, index, merkleProof, msg.sender, msg.sender);
+    }
+    
+    /**
+     * @notice Claims a per-recipient amount for the calling address from the current phase
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param amount The amount encoded in the caller's leaf
+     * @param merkleProof The merkle proof of inclusion in the airdrop
+     */
+    function claimWithAmount(
+        uint256 index,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _claimWithAmountForPhase(currentPhaseId, index, amount, merkleProof, msg.sender, msg.sender);
+    }
+    
+    /**
+     * @notice Claims a per-recipient amount for a specific phase (if still active)
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param amount The amount encoded in the caller's leaf
      * @param merkleProof The merkle proof of inclusion in the airdrop
      */
-    function claimForPhase(uint8 phaseId, bytes32[] calldata merkleProof) external nonReentrant whenNotPaused {
-        _claimForPhase(phaseId, merkleProof, msg.sender);
+    function claimForPhaseWithAmount(
+        uint32 phaseId,
+        uint256 index,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _claimWithAmountForPhase(phaseId, index, amount, merkleProof, msg.sender, msg.sender);
+    }
+    
+    /**
+     * @notice Claims for a recipient who signed a Claim message, so the caller pays the gas
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param recipient The address that signed and receives the tokens
+     * @param deadline Time after which the signature can no longer be used
+     * @param merkleProof The merkle proof of the recipient's leaf
+     * @param signature The recipient's EIP-712 signature over (phaseId, recipient, deadline, nonce)
+     */
+    function claimFor(
+        uint32 phaseId,
+        uint256 index,
+        address recipient,
+        uint256 deadline,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _useClaimSignature(phaseId, recipient, deadline, signature);
+        _claimForPhase(phaseId, index, merkleProof, recipient, recipient);
+    }
+    
+    /**
+     * @notice Claims a per-recipient amount for a recipient who signed a Claim message
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param recipient The address that signed and receives the tokens
+     * @param amount The amount encoded in the recipient's leaf
+     * @param deadline Time after which the signature can no longer be used
+     * @param merkleProof The merkle proof of the recipient's leaf
+     * @param signature The recipient's EIP-712 signature over (phaseId, recipient, deadline, nonce)
+     */
+    function claimForWithAmount(
+        uint32 phaseId,
+        uint256 index,
+        address recipient,
+        uint256 amount,
+        uint256 deadline,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _useClaimSignature(phaseId, recipient, deadline, signature);
+        _claimWithAmountForPhase(phaseId, index, amount, merkleProof, recipient, recipient);
+    }
+    
+    /**
+     * @notice Claims for the calling address and sends the tokens to another address
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param destination The address receiving the tokens
+     * @param merkleProof The merkle proof of the caller's leaf
+     */
+    function claimTo(
+        uint32 phaseId,
+        uint256 index,
+        address destination,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _claimForPhase(phaseId, index, merkleProof, msg.sender, destination);
+    }
+    
+    /**
+     * @notice Claims a per-recipient amount for the calling address and sends it to another address
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param destination The address receiving the tokens
+     * @param amount The amount encoded in the caller's leaf
+     * @param merkleProof The merkle proof of the caller's leaf
+     */
+    function claimToWithAmount(
+        uint32 phaseId,
+        uint256 index,
+        address destination,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external nonReentrant whenNotPaused {
+        _claimWithAmountForPhase(phaseId, index, amount, merkleProof, msg.sender, destination);
+    }
+    
+    /**
+     * @notice Claims for a recipient who signed a ClaimTo message and sends the tokens to its destination
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param recipient The eligible address that signed
+     * @param destination The address receiving the tokens
+     * @param deadline Time after which the signature can no longer be used
+     * @param merkleProof The merkle proof of the recipient's leaf
+     * @param signature The recipient's EIP-712 signature over (phaseId, recipient, destination, deadline, nonce)
+     */
+    function claimToWithSig(
+        uint32 phaseId,
+        uint256 index,
+        address recipient,
+        address destination,
+        uint256 deadline,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _useClaimToSignature(phaseId, recipient, destination, deadline, signature);
+        _claimForPhase(phaseId, index, merkleProof, recipient, destination);
+    }
+    
+    /**
+     * @notice Claims a per-recipient amount for a recipient who signed a ClaimTo message
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param recipient The eligible address that signed
+     * @param destination The address receiving the tokens
+     * @param amount The amount encoded in the recipient's leaf
+     * @param deadline Time after which the signature can no longer be used
+     * @param merkleProof The merkle proof of the recipient's leaf
+     * @param signature The recipient's EIP-712 signature over (phaseId, recipient, destination, deadline, nonce)
+     */
+    function claimToWithSigAndAmount(
+        uint32 phaseId,
+        uint256 index,
+        address recipient,
+        address destination,
+        uint256 amount,
+        uint256 deadline,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _useClaimToSignature(phaseId, recipient, destination, deadline, signature);
+        _claimWithAmountForPhase(phaseId, index, amount, merkleProof, recipient, destination);
+    }
+    
+    /**
+     * @notice Redeems a voucher of a voucher phase, anyone can submit it since the tokens go to the recipient
+     * @dev A recipient claims once per phase, their address is their index in the claimed bitmap.
+     *      Claims are capped by the phase budget, see fundPhase.
+     * @param phaseId The voucher phase to claim from
+     * @param recipient The address named in the voucher, receives the tokens
+     * @param amount The amount named in the voucher
+     * @param expiry Time after which the voucher can no longer be redeemed
+     * @param signature A voucher signer's EIP-712 signature over (phaseId, recipient, amount, nonce, expiry),
+     *        nonce being the recipient's voucherNonces entry for the phase
+     */
+    function claimWithVoucher(
+        uint32 phaseId,
+        address recipient,
+        uint256 amount,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (phases[phaseId].mode != PhaseMode.Voucher) revert WrongPhaseMode();
+        if (amount == 0) revert ZeroAmount();
+        if (block.timestamp > expiry) revert SignatureExpired();
+        
+        uint256 index = uint256(uint160(recipient));
+        _checkClaim(phaseId, index, recipient);
+        
+        // Vouchers of a revoked signer and cancelled vouchers stop being redeemable
+        uint256 nonce = voucherNonces[phaseId][recipient];
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(VOUCHER_TYPEHASH, phaseId, recipient, amount, nonce, expiry)));
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, signature);
+        if (recoverError != ECDSA.RecoverError.NoError || !hasRole(VOUCHER_SIGNER_ROLE, signer)) revert InvalidSignature();
+        
+        _settleClaim(phaseId, index, amount, recipient, recipient);
+    }
+    
+    /**
+     * @notice Cancels every voucher issued to a recipient in a voucher phase, e.g. before issuing one for another amount
+     * @dev Bumps the recipient's nonce, vouchers signed for an earlier one revert with InvalidSignature
+     * @param phaseId The voucher phase
+     * @param recipient The address named in the vouchers
+     */
+    function cancelVouchers(uint32 phaseId, address recipient) external onlyRole(VOUCHER_SIGNER_ROLE) {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (phases[phaseId].mode != PhaseMode.Voucher) revert WrongPhaseMode();
+        
+        uint256 nonce = ++voucherNonces[phaseId][recipient];
+        emit VouchersCancelled(phaseId, recipient, nonce);
+    }
+    
+    /**
+     * @notice Helper function to check a Claim signature and consume the recipient's nonce
+     * @param phaseId The phase ID being claimed from
+     * @param recipient The address expected to have signed
+     * @param deadline Time after which the signature can no longer be used
+     * @param signature The EIP-712 signature (or ERC-1271 data for contract wallets)
+     */
+    function _useClaimSignature(
+        uint32 phaseId,
+        address recipient,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, phaseId, recipient, deadline, _useNonce(recipient)));
+        _checkSignature(recipient, structHash, signature);
+    }
+    
+    /**
+     * @notice Helper function to check a ClaimTo signature and consume the recipient's nonce
+     * @param phaseId The phase ID being claimed from
+     * @param recipient The address expected to have signed
+     * @param destination The address the recipient authorized to receive the tokens
+     * @param deadline Time after which the signature can no longer be used
+     * @param signature The EIP-712 signature (or ERC-1271 data for contract wallets)
+     */
+    function _useClaimToSignature(
+        uint32 phaseId,
+        address recipient,
+        address destination,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        
+        bytes32 structHash = keccak256(
+            abi.encode(CLAIM_TO_TYPEHASH, phaseId, recipient, destination, deadline, _useNonce(recipient))
+        );
+        _checkSignature(recipient, structHash, signature);
+    }
+    
+    /**
+     * @notice Helper function to verify an EIP-712 signature from an EOA or ERC-1271 wallet
+     * @param signer The address expected to have signed
+     * @param structHash Hash of the signed struct
+     * @param signature The signature
+     */
+    function _checkSignature(address signer, bytes32 structHash, bytes calldata signature) private view {
+        if (!SignatureChecker.isValidSignatureNow(signer, _hashTypedDataV4(structHash), signature)) {
+            revert InvalidSignature();
+        }
     }
     
     /**
      * @notice Internal claim function with phase support
      * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
      * @param merkleProof The merkle proof
-     * @param recipient The address to receive tokens
+     * @param recipient The eligible address in the tree
+     * @param destination The address to receive tokens
      */
-    function _claimForPhase(uint8 phaseId, bytes32[] calldata merkleProof, address recipient) internal {
-        // Check phase exists
+    function _claimForPhase(
+        uint32 phaseId,
+        uint256 index,
+        bytes32[] calldata merkleProof,
+        address recipient,
+        address destination
+    ) internal {
+        // Check phase exists and uses (index, address) leaves
         if (phaseId >= phases.length) revert InvalidPhase();
+        if (phases[phaseId].mode != PhaseMode.FixedAmount) revert WrongPhaseMode();
         
-        // Get phase data to reduce stack usage
-        bytes32 merkleRoot = phases[phaseId].merkleRoot;
-        uint64 dropAmount = phases[phaseId].dropAmount;
-        uint64 endTime = phases[phaseId].endTime;
-        bool phaseActive = phases[phaseId].active;
-        
-        // Check phase is active and not expired
-        if (!phaseActive) revert PhaseNotActive();
-        if (block.timestamp > endTime) revert ClaimingEnded();
+        bytes32 node = keccak256(abi.encodePacked(index, recipient));
+        _claim(phaseId, index, node, phases[phaseId].dropAmount, merkleProof, recipient, destination);
+    }
+    
+    /**
+     * @notice Internal claim function for phases with per-recipient amounts
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param amount The amount encoded in the recipient's leaf
+     * @param merkleProof The merkle proof
+     * @param recipient The eligible address in the tree
+     * @param destination The address to receive tokens
+     */
+    function _claimWithAmountForPhase(
+        uint32 phaseId,
+        uint256 index,
+        uint256 amount,
+        bytes32[] calldata merkleProof,
+        address recipient,
+        address destination
+    ) internal {
+        // Check phase exists and uses (index, address, amount) leaves
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (phases[phaseId].mode != PhaseMode.PerRecipient) revert WrongPhaseMode();
+        if (amount == 0) revert ZeroAmount();
         
-        // Check if already claimed for this phase
-        if (addressClaimed[phaseId][recipient] != 0) revert AlreadyClaimed();
+        bytes32 node = keccak256(abi.encodePacked(index, recipient, amount));
+        _claim(phaseId, index, node, amount, merkleProof, recipient, destination);
+    }
+    
+    /**
+     * @notice Shared claim logic once the leaf has been computed for the phase mode
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the phase's Merkle tree
+     * @param node The leaf to verify
+     * @param amount The amount to send
+     * @param merkleProof The merkle proof
+     * @param recipient The eligible address in the tree
+     * @param destination The address to receive tokens
+     */
+    function _claim(
+        uint32 phaseId,
+        uint256 index,
+        bytes32 node,
+        uint256 amount,
+        bytes32[] calldata merkleProof,
+        address recipient,
+        address destination
+    ) private {
+        _checkClaim(phaseId, index, destination);
         
         // Verify the merkle proof
-        bytes32 node = keccak256(abi.encodePacked(recipient));
-        if (!MerkleProof.verify(merkleProof, merkleRoot, node)) revert InvalidProof();
+        if (!MerkleProof.verify(merkleProof, phases[phaseId].merkleRoot, node)) revert InvalidProof();
+        
+        _settleClaim(phaseId, index, amount, recipient, destination);
+    }
+    
+    /**
+     * @notice Helper function to check a claim can be made before its eligibility is verified
+     * @param phaseId The phase ID to claim from
+     * @param index The index marked in the claimed bitmap
+     * @param destination The address to receive tokens
+     */
+    function _checkClaim(uint32 phaseId, uint256 index, address destination) private view {
+        if (destination == address(0)) revert ZeroAddress();
         
-        // Verify contract has enough tokens
-        if (IERC20(token).balanceOf(address(this)) < dropAmount) revert InsufficientBalance();
+        // Check phase is active, open and not expired
+        _checkClaimWindow(phases[phaseId]);
         
-        // Mark as claimed for this phase
-        addressClaimed[phaseId][recipient] = 1;
+        // Check if the leaf was already claimed
+        if (isClaimed(phaseId, index)) revert AlreadyClaimed();
+    }
+    
+    /**
+     * @notice Helper function to pay out a claim whose eligibility has been verified
+     * @param phaseId The phase ID to claim from
+     * @param index The index marked in the claimed bitmap
+     * @param amount The amount to send
+     * @param recipient The eligible address
+     * @param destination The address to receive tokens
+     */
+    function _settleClaim(
+        uint32 phaseId,
+        uint256 index,
+        uint256 amount,
+        address recipient,
+        address destination
+    ) private {
+        // Verify the phase can spend the amount
+        Phase storage phase = phases[phaseId];
+        _checkSpend(phase, amount);
+        
+        // Mark the leaf as claimed for this phase
+        _setClaimed(phaseId, index);
         
         // Update counters
-        _updateCounters(phaseId, dropAmount);
+        _updateCounters(phaseId, amount);
         
-        // Transfer tokens
-        IERC20(token).safeTransfer(recipient, dropAmount);
+        // Transfer tokens or lock them for vesting
+        _payout(phaseId, recipient, destination, amount);
         
-        emit Claimed(recipient, dropAmount, phaseId);
+        emit Claimed(recipient, destination, phase.asset, amount, phaseId);
+    }
+    
+    /**
+     * @notice Helper function to send a claim, or register it as a vesting allocation in vesting phases
+     * @param phaseId The phase ID being claimed from
+     * @param recipient The eligible address in the tree
+     * @param destination The address receiving the tokens
+     * @param amount The amount claimed
+     */
+    function _payout(uint32 phaseId, address recipient, address destination, uint256 amount) private {
+        Phase storage phase = phases[phaseId];
+        if (phase.vestingDuration == 0) {
+            _transferAsset(phase.asset, destination, amount);
+            return;
+        }
+        
+        // Allocations are keyed by address, an address listed twice can't vest twice
+        if (vestings[phaseId][recipient].total != 0) revert AlreadyClaimed();
+        vestings[phaseId][recipient] = Vesting({
+            total: SafeCast.toUint128(amount),
+            released: 0,
+            beneficiary: destination,
+            start: uint64(block.timestamp),
+            cliff: phase.vestingCliff,
+            duration: phase.vestingDuration
+        });
+        totalLocked[phase.asset] += amount;
+    }
+    
+    /**
+     * @notice Helper function to send an ERC20 or native ETH
+     * @param asset The ERC20 address, or NATIVE_ASSET
+     * @param to The receiving address
+     * @param amount The amount to send
+     */
+    function _transferAsset(address asset, address to, uint256 amount) private {
+        if (asset == NATIVE_ASSET) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert NativeTransferFailed();
+        } else {
+            IERC20(asset).safeTransfer(to, amount);
+        }
+    }
+    
+    /**
+     * @notice Helper function to check a phase can pay out an amount
+     * @dev A funded phase spends its own budget, the others what no budget reserves. Voucher phases
+     * have no allowlist capping them, they only spend their budget.
+     * @param phase The phase paying out
+     * @param amount The amount to pay out
+     */
+    function _checkSpend(Phase storage phase, uint256 amount) private view {
+        if ((phase.budget != 0 || phase.mode == PhaseMode.Voucher) && phase.claimedAmount + amount > phase.budget) {
+            revert BudgetExceeded();
+        }
+        
+        uint256 available = phase.budget == 0 ? _unreservedBalance(phase.asset) : _availableBalance(phase.asset);
+        if (available < amount) revert InsufficientBalance();
+    }
+    
+    /**
+     * @notice Helper function to compute the balance of an asset neither locked for vesting nor reserved by a budget
+     * @param asset The ERC20 address, or NATIVE_ASSET
+     */
+    function _unreservedBalance(address asset) private view returns (uint256) {
+        uint256 available = _availableBalance(asset);
+        uint256 reserved = totalReserved[asset];
+        return available > reserved ? available - reserved : 0;
     }
     
     /**
      * @notice Helper function to update counters to reduce stack variables
      * @param phaseId The phase ID being claimed from
-     * @param dropAmount The amount being claimed
+     * @param amount The amount being claimed
      */
-    function _updateCounters(uint8 phaseId, uint64 dropAmount) private {
+    function _updateCounters(uint32 phaseId, uint256 amount) private {
+        Phase storage phase = phases[phaseId];
+        // Amounts are checked, a claim of 2^128 or more would truncate the counters
+        uint128 claimed = SafeCast.toUint128(amount);
+        phase.claimedAmount += claimed;
+        // Claims of funded phases never go past the budget, see _checkSpend
+        if (phase.budget != 0) totalReserved[phase.asset] -= amount;
+        if (phase.asset == token) totalClaimed += claimed;
         unchecked {
-            phases[phaseId].recipientCount++;
-            totalClaimed += dropAmount;
+            phase.recipientCount++;
             totalRecipients++;
         }
     }
@@ -159,121 +711,232 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
     /**
      * @notice Admin function to distribute tokens to multiple recipients in one transaction
      * @param phaseId The phase ID to process
+     * @param indices Array of each recipient's index in the Merkle tree
      * @param recipients Array of recipient addresses
      * @param proofs Array of merkle proofs corresponding to each recipient
      */
     function batchDistribute(
-        uint8 phaseId,
+        uint32 phaseId,
+        uint256[] calldata indices,
         address[] calldata recipients,
         bytes32[][] calldata proofs
-    ) external onlyOwner nonReentrant whenNotPaused {
-        // Check phase exists
-        if (phaseId >= phases.length) revert InvalidPhase();
+    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant whenNotPaused {
+        _checkBatchPhase(phaseId, PhaseMode.FixedAmount);
         
-        // Get phase data to reduce stack usage
-        bytes32 merkleRoot = phases[phaseId].merkleRoot;
-        uint64 dropAmount = phases[phaseId].dropAmount;
-        uint64 endTime = phases[phaseId].endTime;
-        bool phaseActive = phases[phaseId].active;
+        // Ensure arrays have same length
+        if (recipients.length != proofs.length || recipients.length != indices.length) revert ArrayLengthMismatch();
         
-        // Check phase is active and not expired
-        if (!phaseActive) revert PhaseNotActive();
-        if (block.timestamp > endTime) revert ClaimingEnded();
+        // Process batch
+        _processBatch(phaseId, indices, recipients, proofs);
+    }
+    
+    /**
+     * @notice Admin function to distribute per-recipient amounts in one transaction
+     * @param phaseId The phase ID to process
+     * @param indices Array of each recipient's index in the Merkle tree
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts encoded in each recipient's leaf
+     * @param proofs Array of merkle proofs corresponding to each recipient
+     */
+    function batchDistributeWithAmounts(
+        uint32 phaseId,
+        uint256[] calldata indices,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        bytes32[][] calldata proofs
+    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant whenNotPaused {
+        _checkBatchPhase(phaseId, PhaseMode.PerRecipient);
         
         // Ensure arrays have same length
-        if (recipients.length != proofs.length) revert ArrayLengthMismatch();
+        if (
+            recipients.length != proofs.length ||
+            recipients.length != amounts.length ||
+            recipients.length != indices.length
+        ) revert ArrayLengthMismatch();
         
         // Process batch
-        _processBatch(phaseId, recipients, proofs, merkleRoot, dropAmount);
+        _processBatchWithAmounts(phaseId, indices, recipients, amounts, proofs);
+    }
+    
+    /**
+     * @notice Helper function to validate a phase before batch processing
+     * @param phaseId The phase ID to process
+     * @param mode The phase mode expected by the entry point
+     */
+    function _checkBatchPhase(uint32 phaseId, PhaseMode mode) private view {
+        // Check phase exists
+        if (phaseId >= phases.length) revert InvalidPhase();
+        
+        Phase storage phase = phases[phaseId];
+        if (phase.mode != mode) revert WrongPhaseMode();
+        
+        // Check phase is active, open and not expired
+        _checkClaimWindow(phase);
+    }
+    
+    /**
+     * @notice Helper function to check that a phase currently accepts claims
+     * @param phase The phase being claimed from
+     */
+    function _checkClaimWindow(Phase storage phase) private view {
+        if (!phase.active) revert PhaseNotActive();
+        if (block.timestamp < phase.startTime) revert ClaimingNotStarted();
+        if (block.timestamp > phase.endTime) revert ClaimingEnded();
     }
     
     /**
      * @notice Helper function to process batch to reduce stack variables
      * @param phaseId The phase ID to process
+     * @param indices Array of Merkle tree indices
      * @param recipients Array of recipient addresses
      * @param proofs Array of merkle proofs
-     * @param merkleRoot The merkle root for verification
-     * @param dropAmount The amount per claim
      */
     function _processBatch(
-        uint8 phaseId,
+        uint32 phaseId,
+        uint256[] calldata indices,
         address[] calldata recipients,
-        bytes32[][] calldata proofs,
-        bytes32 merkleRoot,
-        uint64 dropAmount
+        bytes32[][] calldata proofs
     ) private {
-        // Check contract balance
-        uint256 requiredBalance = uint256(dropAmount) * recipients.length;
-        if (IERC20(token).balanceOf(address(this)) < requiredBalance) 
-            revert InsufficientBalance();
+        uint64 dropAmount = phases[phaseId].dropAmount;
         
         uint256 successCount;
         uint256 skipCount;
         
         for (uint256 i = 0; i < recipients.length; i++) {
-            address recipient = recipients[i];
-            
-            // Skip if null address
-            if (recipient == address(0)) {
-                unchecked { skipCount++; }
-                continue;
-            }
+            bytes32 node = keccak256(abi.encodePacked(indices[i], recipients[i]));
             
-            // Skip if already claimed
-            if (addressClaimed[phaseId][recipient] != 0) {
+            if (_tryBatchClaim(phaseId, indices[i], recipients[i], dropAmount, node, proofs[i])) {
+                unchecked { successCount++; }
+            } else {
                 unchecked { skipCount++; }
-                continue;
             }
+        }
+        
+        emit BatchProcessed(successCount, skipCount, phaseId);
+    }
+    
+    /**
+     * @notice Helper function to process a batch with per-recipient amounts
+     * @param phaseId The phase ID to process
+     * @param indices Array of Merkle tree indices
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts
+     * @param proofs Array of merkle proofs
+     */
+    function _processBatchWithAmounts(
+        uint32 phaseId,
+        uint256[] calldata indices,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        bytes32[][] calldata proofs
+    ) private {
+        uint256 successCount;
+        uint256 skipCount;
+        
+        for (uint256 i = 0; i < recipients.length; i++) {
+            bytes32 node = keccak256(abi.encodePacked(indices[i], recipients[i], amounts[i]));
             
-            // Verify the merkle proof
-            bytes32 node = keccak256(abi.encodePacked(recipient));
-            bool isValid = MerkleProof.verify(proofs[i], merkleRoot, node);
-            
-            if (!isValid) {
+            if (_tryBatchClaim(phaseId, indices[i], recipients[i], amounts[i], node, proofs[i])) {
+                unchecked { successCount++; }
+            } else {
                 unchecked { skipCount++; }
-                continue;
             }
-            
-            // Process valid claim
-            _processValidClaim(phaseId, recipient, dropAmount);
-            unchecked { successCount++; }
         }
         
         emit BatchProcessed(successCount, skipCount, phaseId);
     }
     
+    /**
+     * @notice Helper function to check and process a single batch entry
+     * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the Merkle tree
+     * @param recipient The address receiving tokens
+     * @param amount The amount to send
+     * @param node The leaf to verify
+     * @param proof The merkle proof for the leaf
+     * @return Whether the entry was paid out (false means it was skipped)
+     */
+    function _tryBatchClaim(
+        uint32 phaseId,
+        uint256 index,
+        address recipient,
+        uint256 amount,
+        bytes32 node,
+        bytes32[] calldata proof
+    ) private returns (bool) {
+        // Skip if null address or nothing to send
+        if (recipient == address(0) || amount == 0) return false;
+        
+        // Skip if already claimed
+        if (isClaimed(phaseId, index)) return false;
+        
+        // Skip if the merkle proof is invalid
+        if (!MerkleProof.verify(proof, phases[phaseId].merkleRoot, node)) return false;
+        
+        // Skip an address listed twice in a vesting phase, its allocation is already taken
+        if (vestings[phaseId][recipient].total != 0) return false;
+        
+        // Process valid claim
+        return _processValidClaim(phaseId, index, recipient, amount);
+    }
+    
     /**
      * @notice Helper function to process a valid claim in batch processing
      * @param phaseId The phase ID to claim from
+     * @param index The recipient's index in the Merkle tree
      * @param recipient The address receiving tokens
-     * @param dropAmount The amount to send
+     * @param amount The amount to send
+     * @return Whether the claim was paid (false when the recipient refused ETH)
      */
-    function _processValidClaim(uint8 phaseId, address recipient, uint64 dropAmount) private {
+    function _processValidClaim(uint32 phaseId, uint256 index, address recipient, uint256 amount) private returns (bool) {
+        Phase storage phase = phases[phaseId];
+        
+        // Only entries that get paid count against the budget, claimed and invalid ones are already skipped
+        _checkSpend(phase, amount);
+        
+        // A recipient refusing ETH is skipped instead of reverting the whole batch and stays claimable.
+        // The ETH goes first, batchDistribute is nonReentrant so the recipient can't claim meanwhile
+        bool nativePayout = phase.asset == NATIVE_ASSET && phase.vestingDuration == 0;
+        if (nativePayout) {
+            (bool success, ) = payable(recipient).call{value: amount}("");
+            if (!success) {
+                emit PayoutFailed(phaseId, recipient, amount);
+                return false;
+            }
+        }
+        
         // Mark as claimed
-        addressClaimed[phaseId][recipient] = 1;
+        _setClaimed(phaseId, index);
         
         // Update counters
-        unchecked {
-            phases[phaseId].recipientCount++;
-            totalRecipients++;
-            totalClaimed += dropAmount;
-        }
+        _updateCounters(phaseId, amount);
         
-        // Transfer tokens
-        IERC20(token).safeTransfer(recipient, dropAmount);
+        // Transfer tokens or lock them for vesting
+        if (!nativePayout) _payout(phaseId, recipient, recipient, amount);
         
-        emit Claimed(recipient, dropAmount, phaseId);
+        emit Claimed(recipient, recipient, phase.asset, amount, phaseId);
+        return true;
     }
     
     /**
-     * @notice Checks if an address has already claimed tokens for a specific phase
+     * @notice Checks if a leaf of a phase has already been claimed
      * @param phaseId The phase ID to check
-     * @param user Address to check
-     * @return Whether the address has claimed for the phase
+     * @param index The leaf's index in the phase's Merkle tree
+     * @return Whether the leaf has been claimed
      */
-    function isClaimedForPhase(uint8 phaseId, address user) external view returns (bool) {
-        if (phaseId >= phases.length) return false;
-        return addressClaimed[phaseId][user] != 0;
+    function isClaimed(uint32 phaseId, uint256 index) public view returns (bool) {
+        uint256 word = claimedBitMap[phaseId][index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+    
+    /**
+     * @notice Helper function to mark a leaf as claimed
+     * @param phaseId The phase ID being claimed from
+     * @param index The leaf's index in the phase's Merkle tree
+     */
+    function _setClaimed(uint32 phaseId, uint256 index) private {
+        claimedBitMap[phaseId][index / 256] |= 1 << (index % 256);
     }
     
     /**
@@ -281,13 +944,26 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
      * @param phaseId The phase ID to check
      * @return isActive Whether claiming is currently active
      * @return remainingTime Time until claiming ends (0 if already ended)
-     * @return claimAmount Drop amount for the phase
+     * @return claimAmount Drop amount for the phase (0 for per-recipient phases)
+     * @return started Whether the phase start time has been reached
+     * @return timeUntilStart Time until claiming opens (0 once started)
      */
-    function phaseStatus(uint8 phaseId) external view returns (bool isActive, uint256 remainingTime, uint256 claimAmount) {
-        if (phaseId >= phases.length) return (false, 0, 0);
+    function phaseStatus(uint32 phaseId) external view returns (
+        bool isActive,
+        uint256 remainingTime,
+        uint256 claimAmount,
+        bool started,
+        uint256 timeUntilStart
+    ) {
+        if (phaseId >= phases.length) return (false, 0, 0, false, 0);
         
         Phase storage phase = phases[phaseId];
-        isActive = phase.active && block.timestamp <= phase.endTime && !paused();
+        started = block.timestamp >= phase.startTime;
+        isActive = phase.active && started && block.timestamp <= phase.endTime && !paused();
+        
+        if (!started) {
+            timeUntilStart = phase.startTime - block.timestamp;
+        }
         
         if (block.timestamp < phase.endTime) {
             remainingTime = phase.endTime - block.timestamp;
@@ -306,18 +982,136 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @notice Returns the remaining tokens in the contract
+     * @notice Returns the remaining default tokens in the contract, excluding tokens locked for vesting
      */
     function remainingTokens() external view returns (uint256) {
-        return IERC20(token).balanceOf(address(this));
+        return _availableBalance(token);
+    }
+    
+    /**
+     * @notice Returns the remaining amount of an asset, excluding what is locked for vesting
+     * @param asset The ERC20 address, or NATIVE_ASSET for ETH
+     */
+    function remainingTokensOf(address asset) external view returns (uint256) {
+        return _availableBalance(asset);
+    }
+    
+    /**
+     * @notice Helper function to compute the balance of an asset not held for vesting allocations
+     * @param asset The ERC20 address, or NATIVE_ASSET
+     */
+    function _availableBalance(address asset) private view returns (uint256) {
+        uint256 balance = asset == NATIVE_ASSET ? address(this).balance : IERC20(asset).balanceOf(address(this));
+        return balance > totalLocked[asset] ? balance - totalLocked[asset] : 0;
+    }
+    
+    /**
+     * @notice Returns the vesting state of an address's claim in a phase
+     * @param phaseId The phase ID to check
+     * @param account The eligible address
+     * @return total Amount allocated by the claim
+     * @return vested Amount vested so far, released or not
+     * @return released Amount already sent to the beneficiary
+     * @return locked Amount not vested yet
+     */
+    function vestingStatus(uint32 phaseId, address account) external view returns (
+        uint256 total,
+        uint256 vested,
+        uint256 released,
+        uint256 locked
+    ) {
+        Vesting storage vesting = vestings[phaseId][account];
+        total = vesting.total;
+        vested = _vestedAmount(vesting);
+        released = vesting.released;
+        locked = total - vested;
+    }
+    
+    /**
+     * @notice Returns the amount release would send right now
+     * @param phaseId The phase ID to check
+     * @param account The eligible address
+     */
+    function releasableAmount(uint32 phaseId, address account) public view returns (uint256) {
+        Vesting storage vesting = vestings[phaseId][account];
+        return _vestedAmount(vesting) - vesting.released;
+    }
+    
+    /**
+     * @notice Helper function to compute the linearly vested part of an allocation
+     * @param vesting The allocation
+     * @return The amount vested at the current time
+     */
+    function _vestedAmount(Vesting storage vesting) private view returns (uint256) {
+        if (vesting.total == 0) return 0;
+        if (block.timestamp < uint256(vesting.start) + vesting.cliff) return 0;
+        
+        uint256 elapsed = block.timestamp - vesting.start;
+        if (elapsed >= vesting.duration) return vesting.total;
+        return uint256(vesting.total) * elapsed / vesting.duration;
+    }
+    
+    /**
+     * @notice Sends the vested, unreleased part of an allocation to its beneficiary
+     * @dev Anyone can call this, the tokens always go to the beneficiary chosen at claim time
+     * @param phaseId The phase ID the allocation was claimed from
+     * @param account The eligible address that claimed
+     * @return amount The amount released
+     */
+    function release(uint32 phaseId, address account) external nonReentrant whenNotPaused returns (uint256 amount) {
+        amount = releasableAmount(phaseId, account);
+        if (amount == 0) revert NothingToRelease();
+        
+        Vesting storage vesting = vestings[phaseId][account];
+        address asset = phases[phaseId].asset;
+        vesting.released += uint128(amount);
+        totalLocked[asset] -= amount;
+        
+        _transferAsset(asset, vesting.beneficiary, amount);
+        emit Released(phaseId, account, vesting.beneficiary, amount);
+    }
+    
+    /**
+     * @notice Returns what sweepPhase would send to the treasury right now
+     * @param phaseId The phase ID to check
+     * @return amount Unclaimed budget of the phase (0 if it hasn't ended or was already swept)
+     */
+    function sweepableAmount(uint32 phaseId) public view returns (uint256 amount) {
+        if (phaseId >= phases.length) return 0;
+        
+        Phase storage phase = phases[phaseId];
+        if (phase.swept || block.timestamp <= phase.endTime) return 0;
+        
+        amount = _unclaimedBudget(phase);
+    }
+    
+    /**
+     * @notice Helper function to compute a phase's budget minus its claims, capped by the balance
+     * @param phase The phase to compute the remainder of
+     * @return amount The unclaimed remainder
+     */
+    function _unclaimedBudget(Phase storage phase) private view returns (uint256 amount) {
+        amount = _reservedBudget(phase);
+        uint256 balance = _availableBalance(phase.asset);
+        if (amount > balance) amount = balance;
+    }
+    
+    /**
+     * @notice Helper function to compute a phase's share of totalReserved, its budget minus its claims
+     * @param phase The phase to compute the share of
+     * @return The budget not claimed yet
+     */
+    function _reservedBudget(Phase storage phase) private view returns (uint256) {
+        return phase.budget > phase.claimedAmount ? phase.budget - phase.claimedAmount : 0;
     }
 
     /* ========== ADMIN FUNCTIONS ========== */
     
     /**
-     * @notice Creates a new phase with new merkle root, drop amount, and end time
+     * @notice Creates a new phase with new merkle root, drop amount, start and end time
      * @param merkleRoot Merkle root for the new phase
      * @param dropAmount Amount per claim for the new phase
+     * @param startTime Time claiming opens (a past time opens it immediately)
      * @param endTime End time for the new phase
      * @param setActive Whether to automatically set the new phase as active
      * @return phaseId The ID of the newly created phase
@@ -325,26 +1119,137 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
     function createPhase(
         bytes32 merkleRoot,
         uint256 dropAmount,
+        uint256 startTime,
         uint256 endTime,
         bool setActive
-    ) external onlyOwner returns (uint8 phaseId) {
+    ) external onlyRole(PHASE_MANAGER_ROLE) returns (uint32 phaseId) {
         if (dropAmount == 0) revert ZeroAmount();
-        if (endTime <= block.timestamp) revert("End time must be in future");
         if (dropAmount > type(uint64).max) revert("Drop amount too large");
-        if (phases.length >= 255) revert("Max phases reached");
         
-        phaseId = uint8(phases.length);
+        return _createPhase(merkleRoot, dropAmount, startTime, endTime, setActive, PhaseMode.FixedAmount, token);
+    }
+    
+    /**
+     * @notice Creates a new phase whose leaves encode (address, amount) pairs
+     * @param merkleRoot Merkle root over keccak256(abi.encodePacked(recipient, amount)) leaves
+     * @param startTime Time claiming opens (a past time opens it immediately)
+     * @param endTime End time for the new phase
+     * @param setActive Whether to automatically set the new phase as active
+     * @return phaseId The ID of the newly created phase
+     */
+    function createPhaseWithAmounts(
+        bytes32 merkleRoot,
+        uint256 startTime,
+        uint256 endTime,
+        bool setActive
+    ) external onlyRole(PHASE_MANAGER_ROLE) returns (uint32 phaseId) {
+        return _createPhase(merkleRoot, 0, startTime, endTime, setActive, PhaseMode.PerRecipient, token);
+    }
+    
+    /**
+     * @notice Creates a new phase claimed with vouchers from a voucher signer instead of Merkle proofs
+     * @param startTime Time claiming opens (a past time opens it immediately)
+     * @param endTime End time for the new phase
+     * @param setActive Whether to automatically set the new phase as active
+     * @return phaseId The ID of the newly created phase
+     */
+    function createVoucherPhase(
+        uint256 startTime,
+        uint256 endTime,
+        bool setActive
+    ) external onlyRole(PHASE_MANAGER_ROLE) returns (uint32 phaseId) {
+        return _createPhase(bytes32(0), 0, startTime, endTime, setActive, PhaseMode.Voucher, token);
+    }
+    
+    /**
+     * @notice Creates a new phase paying out another ERC20 or native ETH
+     * @param asset The ERC20 address, or NATIVE_ASSET for ETH
+     * @param mode Leaf encoding used by the phase
+     * @param merkleRoot Merkle root for the new phase (must be 0 for voucher phases)
+     * @param dropAmount Amount per claim (must be 0 for per-recipient and voucher phases)
+     * @param startTime Time claiming opens (a past time opens it immediately)
+     * @param endTime End time for the new phase
+     * @param setActive Whether to automatically set the new phase as active
+     * @return phaseId The ID of the newly created phase
+     */
+    function createPhaseForAsset(
+        address asset,
+        PhaseMode mode,
+        bytes32 merkleRoot,
+        uint256 dropAmount,
+        uint256 startTime,
+        uint256 endTime,
+        bool setActive
+    ) external onlyRole(PHASE_MANAGER_ROLE) returns (uint32 phaseId) {
+        _checkAsset(asset);
+        if (mode == PhaseMode.FixedAmount) {
+            if (dropAmount == 0) revert ZeroAmount();
+            if (dropAmount > type(uint64).max) revert("Drop amount too large");
+        } else if (dropAmount != 0 || (mode == PhaseMode.Voucher && merkleRoot != bytes32(0))) {
+            revert WrongPhaseMode();
+        }
+        
+        phaseId = _createPhase(merkleRoot, dropAmount, startTime, endTime, setActive, mode, asset);
+        emit PhaseAssetSet(phaseId, asset);
+    }
+    
+    /**
+     * @notice Helper function to reject assets that don't behave like an ERC20
+     * @param asset The ERC20 address, or NATIVE_ASSET
+     */
+    function _checkAsset(address asset) private view {
+        if (asset == NATIVE_ASSET) return;
+        if (asset.code.length == 0) revert InvalidAsset();
+        
+        try IERC20(asset).totalSupply() returns (uint256) {} catch { revert InvalidAsset(); }
+        try IERC20(asset).balanceOf(address(this)) returns (uint256) {} catch { revert InvalidAsset(); }
+        try IERC20(asset).allowance(address(this), address(this)) returns (uint256) {} catch { revert InvalidAsset(); }
+    }
+    
+    /**
+     * @notice Shared phase creation logic
+     * @param merkleRoot Merkle root for the new phase
+     * @param dropAmount Amount per claim (0 for per-recipient phases)
+     * @param startTime Time claiming opens
+     * @param endTime End time for the new phase
+     * @param setActive Whether to automatically set the new phase as active
+     * @param mode Leaf encoding used by the phase
+     * @param asset Asset paid out by the phase
+     * @return phaseId The ID of the newly created phase
+     */
+    function _createPhase(
+        bytes32 merkleRoot,
+        uint256 dropAmount,
+        uint256 startTime,
+        uint256 endTime,
+        bool setActive,
+        PhaseMode mode,
+        address asset
+    ) private returns (uint32 phaseId) {
+        if (endTime <= block.timestamp) revert("End time must be in future");
+        if (startTime >= endTime) revert("Start time must be before end time");
+        if (phases.length > type(uint32).max) revert("Max phases reached");
+        
+        phaseId = uint32(phases.length);
         
         phases.push(Phase({
             merkleRoot: merkleRoot,
             dropAmount: uint64(dropAmount),
+            startTime: uint64(startTime),
             endTime: uint64(endTime),
             recipientCount: 0,
             phaseIndex: uint64(phaseId),
-            active: setActive
+            active: setActive,
+            mode: mode,
+            swept: false,
+            budget: 0,
+            claimedAmount: 0,
+            vestingCliff: 0,
+            vestingDuration: 0,
+            asset: asset
         }));
         
-        emit PhaseCreated(phaseId, merkleRoot, dropAmount, endTime);
+        emit PhaseCreated(phaseId, merkleRoot, dropAmount, startTime, endTime);
         
         if (setActive) {
             currentPhaseId = phaseId;
@@ -357,27 +1262,34 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
     /**
      * @notice Updates an existing phase
      * @param phaseId ID of the phase to update
-     * @param merkleRoot New merkle root (use bytes32(0) to keep current)
-     * @param dropAmount New drop amount (use 0 to keep current)
+     * @param merkleRoot New merkle root (use bytes32(0) to keep current, voucher phases have none)
+     * @param dropAmount New drop amount (use 0 to keep current, must be 0 for per-recipient phases)
+     * @param startTime New start time (use 0 to keep current)
      * @param endTime New end time (use 0 to keep current)
      */
     function updatePhase(
-        uint8 phaseId,
+        uint32 phaseId,
         bytes32 merkleRoot,
         uint256 dropAmount,
+        uint256 startTime,
         uint256 endTime
-    ) external onlyOwner {
+    ) external onlyRole(PHASE_MANAGER_ROLE) {
         if (phaseId >= phases.length) revert InvalidPhase();
         
         Phase storage phase = phases[phaseId];
         
+        // A swept phase has no funds left to reopen with
+        if (phase.swept) revert AlreadySwept();
+        
         // Update merkle root if provided
         if (merkleRoot != bytes32(0)) {
+            if (phase.mode == PhaseMode.Voucher) revert WrongPhaseMode();
             phase.merkleRoot = merkleRoot;
         }
         
         // Update drop amount if provided 
         if (dropAmount > 0) {
+            if (phase.mode != PhaseMode.FixedAmount) revert WrongPhaseMode();
             if (dropAmount > type(uint64).max) revert("Drop amount too large");
             phase.dropAmount = uint64(dropAmount);
         }
@@ -388,18 +1300,44 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
             phase.endTime = uint64(endTime);
         }
         
-        emit PhaseUpdated(phaseId, phase.merkleRoot, phase.dropAmount, phase.endTime);
+        // Update start time if provided
+        if (startTime > 0) {
+            phase.startTime = uint64(startTime);
+        }
+        if (phase.startTime >= phase.endTime) revert("Start time must be before end time");
+        
+        emit PhaseUpdated(phaseId, phase.merkleRoot, phase.dropAmount, phase.startTime, phase.endTime);
+    }
+    
+    /**
+     * @notice Makes claims of a phase vest linearly instead of paying out at once
+     * @dev Only possible before the first claim, so every claimant of a phase gets the same schedule
+     * @param phaseId ID of the phase
+     * @param cliff Seconds after a claim before anything vests
+     * @param duration Seconds over which a claim vests (0 turns vesting off)
+     */
+    function setPhaseVesting(uint32 phaseId, uint32 cliff, uint32 duration) external onlyRole(PHASE_MANAGER_ROLE) {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (cliff > duration) revert InvalidVesting();
+        
+        Phase storage phase = phases[phaseId];
+        if (phase.recipientCount > 0) revert VestingAlreadyStarted();
+        
+        phase.vestingCliff = cliff;
+        phase.vestingDuration = duration;
+        emit PhaseVestingSet(phaseId, cliff, duration);
     }
     
     /**
      * @notice Sets the active phase
      * @param phaseId ID of the phase to set active
      */
-    function setActivePhase(uint8 phaseId) external onlyOwner {
+    function setActivePhase(uint32 phaseId) external onlyRole(PHASE_MANAGER_ROLE) {
         if (phaseId >= phases.length) revert InvalidPhase();
         
         Phase storage phase = phases[phaseId];
         if (block.timestamp > phase.endTime) revert ClaimingEnded();
+        if (phase.swept) revert AlreadySwept();
         
         currentPhaseId = phaseId;
         phase.active = true;
@@ -411,41 +1349,169 @@ contract MerkleDistributorV2 is Ownable, ReentrancyGuard, Pausable {
      * @notice Deactivates a phase
      * @param phaseId ID of the phase to deactivate
      */
-    function deactivatePhase(uint8 phaseId) external onlyOwner {
+    function deactivatePhase(uint32 phaseId) external onlyRole(PHASE_MANAGER_ROLE) {
         if (phaseId >= phases.length) revert InvalidPhase();
         
         phases[phaseId].active = false;
         emit PhaseDeactivated(phaseId);
     }
     
+    /**
+     * @notice Deposits the phase's asset for a phase: ERC20s are pulled from the caller
+     *         (requires approval), ETH is sent along as msg.value
+     * @param phaseId ID of the phase to fund
+     * @param amount Amount to deposit
+     */
+    function fundPhase(uint32 phaseId, uint256 amount) external payable nonReentrant {
+        _fundPhase(phaseId, amount);
+    }
+    
+    /**
+     * @notice Deposits an ERC20 phase asset with an EIP-2612 permit instead of a prior approval
+     * @dev A permit that fails, e.g. because someone submitted it first, is ignored and the
+     *      transfer relies on the existing allowance
+     * @param phaseId ID of the phase to fund
+     * @param amount Amount to deposit, also the permitted value
+     * @param deadline Time after which the permit can no longer be used
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function fundPhaseWithPermit(
+        uint32 phaseId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        address asset = phases[phaseId].asset;
+        if (asset == NATIVE_ASSET) revert InvalidAsset();
+        
+        try IERC20Permit(asset).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _fundPhase(phaseId, amount);
+    }
+    
+    /**
+     * @notice Helper function to deposit a phase's asset and add it to the phase budget
+     * @param phaseId ID of the phase to fund
+     * @param amount Amount to deposit
+     */
+    function _fundPhase(uint32 phaseId, uint256 amount) private {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (amount == 0) revert ZeroAmount();
+        Phase storage phase = phases[phaseId];
+        if (phase.swept) revert AlreadySwept();
+        
+        address asset = phase.asset;
+        if (asset == NATIVE_ASSET) {
+            if (msg.value != amount) revert InvalidValue();
+        } else {
+            if (msg.value != 0) revert InvalidValue();
+            IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        // Claims made before the phase was funded count against its budget
+        uint256 reservedBefore = _reservedBudget(phase);
+        phase.budget += SafeCast.toUint128(amount);
+        totalReserved[asset] += _reservedBudget(phase) - reservedBefore;
+        
+        emit PhaseFunded(phaseId, msg.sender, amount);
+    }
+    
+    /**
+     * @notice Sets the address receiving swept tokens
+     * @param newTreasury The new treasury address
+     */
+    function setTreasury(address newTreasury) external onlyRole(TREASURY_ROLE) {
+        if (newTreasury == address(0)) revert ZeroAddress();
+        
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+    
+    /**
+     * @notice Sends the unclaimed budget of an expired phase to the treasury
+     * @param phaseId ID of the phase to sweep
+     * @return amount The amount sent
+     */
+    function sweepPhase(uint32 phaseId) external onlyRole(TREASURY_ROLE) nonReentrant returns (uint256 amount) {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        
+        Phase storage phase = phases[phaseId];
+        if (block.timestamp <= phase.endTime) revert PhaseNotEnded();
+        if (phase.swept) revert AlreadySwept();
+        
+        amount = _unclaimedBudget(phase);
+        if (amount == 0) revert NothingToSweep();
+        
+        totalReserved[phase.asset] -= _reservedBudget(phase);
+        phase.swept = true;
+        phase.active = false;
+        
+        _transferAsset(phase.asset, treasury, amount);
+        emit PhaseSwept(phaseId, treasury, amount);
+    }
+    
     /**
      * @notice Pauses the contract (emergency use)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
      * @notice Unpauses the contract
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
     /**
-     * @notice Emergency withdrawal of tokens
-     * @param tokenAddress Token address to withdraw
+     * @notice Grants the roles of a role map in one transaction, e.g. at deployment
+     * @param assignments Accounts to grant each role to
+     */
+    function grantRoles(RoleAssignments calldata assignments) external {
+        _grantAll(PHASE_MANAGER_ROLE, assignments.phaseManager);
+        _grantAll(DISTRIBUTOR_ROLE, assignments.distributor);
+        _grantAll(PAUSER_ROLE, assignments.pauser);
+        _grantAll(TREASURY_ROLE, assignments.treasury);
+        _grantAll(VOUCHER_SIGNER_ROLE, assignments.voucherSigner);
+    }
+    
+    /**
+     * @notice Helper function to grant a role to several accounts, checking the caller is the role's admin
+     * @param role Role to grant
+     * @param accounts Accounts receiving the role
+     */
+    function _grantAll(bytes32 role, address[] calldata accounts) private {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            grantRole(role, accounts[i]);
+        }
+    }
+    
+    /**
+     * @notice Emergency withdrawal of tokens, except those locked for vesting allocations or
+     *         reserved by the budget of a funded phase
+     * @param tokenAddress Token address to withdraw, or NATIVE_ASSET for ETH
      * @param recipient Address to receive the tokens
-     * @param amount Amount to withdraw
+     * @param amount Amount to withdraw, at most remainingTokensOf(tokenAddress) - totalReserved(tokenAddress)
      */
     function emergencyWithdraw(
         address tokenAddress,
         address recipient,
         uint256 amount
-    ) external onlyOwner {
+    ) external onlyRole(TREASURY_ROLE) nonReentrant {
         if (recipient == address(0)) revert ZeroAddress();
+        // Vested tokens belong to their beneficiaries and budgets to their phases' claims and sweeps
+        if (amount > _unreservedBalance(tokenAddress)) revert InsufficientBalance();
         
-        IERC20(tokenAddress).safeTransfer(recipient, amount);
+        _transferAsset(tokenAddress, recipient, amount);
         emit EmergencyWithdrawal(tokenAddress, recipient, amount);
     }
+    
+    /**
+     * @notice Accepts ETH sent directly, e.g. to top up native phases without fundPhase
+     */
+    receive() external payable {}
 }
\ No newline at end of file
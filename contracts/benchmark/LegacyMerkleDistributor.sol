@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+error AlreadyClaimed();
+error InvalidProof();
+error ClaimingEnded();
+error ClaimingNotStarted();
+error InsufficientBalance();
+error ZeroAddress();
+error ZeroAmount();
+error ArrayLengthMismatch();
+error InvalidPhase();
+error PhaseNotActive();
+
+// The claim and batchDistribute path of MerkleDistributorV2 as it was before claims moved to per-phase
+// bitmaps: address leaves, one storage slot per claimed address and uint8 phase ids. Storage layout,
+// checks and events are the old ones, everything the benchmark doesn't call is left out.
+// Baseline of the benchmark:claims task only, don't deploy it.
+contract LegacyMerkleDistributor is AccessControl, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+
+    // Immutable token address, the asset of phase 0
+    address public immutable token;
+
+    // Runs batch distribution
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+
+    // How leaves of a phase are encoded, only FixedAmount is claimable here
+    enum PhaseMode {
+        FixedAmount,      // leaf = keccak256(abi.encodePacked(recipient)), everyone gets dropAmount
+        PerRecipient      // leaf = keccak256(abi.encodePacked(recipient, amount)), amount comes from the leaf
+    }
+
+    // Phase struct, packed as it was
+    struct Phase {
+        bytes32 merkleRoot;       // Merkle root for this phase
+        uint64 dropAmount;        // Amount per claim for this phase (in smallest token units)
+        uint64 startTime;         // Time claiming opens for this phase
+        uint64 endTime;           // End time for this phase
+        uint64 recipientCount;    // Number of recipients who claimed in this phase
+        uint64 phaseIndex;        // Phase index for identification
+        bool active;              // Whether the phase is active
+        PhaseMode mode;           // Leaf encoding used by this phase
+        bool swept;               // Whether the unclaimed remainder was sent to the treasury
+        uint128 budget;           // Tokens deposited for this phase through fundPhase
+        uint128 claimedAmount;    // Tokens claimed in this phase
+        uint32 vestingCliff;      // Seconds after a claim before anything vests
+        uint32 vestingDuration;   // Seconds over which a claim vests linearly (0 = paid out at claim)
+        address asset;            // ERC20 paid out by this phase
+    }
+
+    // Track phases
+    Phase[] public phases;
+    uint8 public currentPhaseId;
+
+    // Track claims by phase - phaseId => address => claimed (1 = true, 0 = false)
+    mapping(uint8 => mapping(address => uint256)) private addressClaimed;
+
+    // Amount of each asset held for vesting allocations, always 0 here but read like before
+    mapping(address => uint256) public totalLocked;
+
+    // Stats tracking
+    uint128 public totalClaimed;
+    uint128 public totalRecipients;
+
+    // Events
+    event Claimed(
+        address indexed claimant,
+        address indexed destination,
+        address indexed asset,
+        uint256 amount,
+        uint8 phaseId
+    );
+    event BatchProcessed(uint256 successCount, uint256 skipCount, uint8 phaseId);
+
+    constructor(
+        address token_,
+        bytes32 initialMerkleRoot,
+        uint256 initialDropAmount,
+        uint256 initialStartTime,
+        uint256 initialEndTime,
+        address initialOwner
+    ) {
+        if (token_ == address(0)) revert ZeroAddress();
+        if (initialDropAmount == 0) revert ZeroAmount();
+
+        token = token_;
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        _grantRole(DISTRIBUTOR_ROLE, initialOwner);
+
+        uint256 endTime = initialEndTime > block.timestamp ? initialEndTime : type(uint64).max;
+        if (initialStartTime >= endTime) revert("Start time must be before end time");
+        if (initialDropAmount > type(uint64).max) revert("Drop amount too large");
+
+        phases.push(Phase({
+            merkleRoot: initialMerkleRoot,
+            dropAmount: uint64(initialDropAmount),
+            startTime: uint64(initialStartTime),
+            endTime: uint64(endTime),
+            recipientCount: 0,
+            phaseIndex: 0,
+            active: true,
+            mode: PhaseMode.FixedAmount,
+            swept: false,
+            budget: 0,
+            claimedAmount: 0,
+            vestingCliff: 0,
+            vestingDuration: 0,
+            asset: token_
+        }));
+    }
+
+    /**
+     * @notice Claims tokens for the calling address from the current phase
+     * @param merkleProof The merkle proof of inclusion in the airdrop
+     */
+    function claim(bytes32[] calldata merkleProof) external nonReentrant whenNotPaused {
+        uint8 phaseId = currentPhaseId;
+        if (phaseId >= phases.length) revert InvalidPhase();
+
+        Phase storage phase = phases[phaseId];
+        _checkClaimWindow(phase);
+        if (addressClaimed[phaseId][msg.sender] != 0) revert AlreadyClaimed();
+
+        bytes32 node = keccak256(abi.encodePacked(msg.sender));
+        if (!MerkleProof.verify(merkleProof, phase.merkleRoot, node)) revert InvalidProof();
+
+        uint256 amount = phase.dropAmount;
+        if (_availableBalance(phase.asset) < amount) revert InsufficientBalance();
+
+        _processValidClaim(phaseId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Admin function to distribute tokens to multiple recipients in one transaction
+     * @param phaseId The phase ID to process
+     * @param recipients Array of recipient addresses
+     * @param proofs Array of merkle proofs corresponding to each recipient
+     */
+    function batchDistribute(
+        uint8 phaseId,
+        address[] calldata recipients,
+        bytes32[][] calldata proofs
+    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant whenNotPaused {
+        if (phaseId >= phases.length) revert InvalidPhase();
+        if (recipients.length != proofs.length) revert ArrayLengthMismatch();
+
+        Phase storage phase = phases[phaseId];
+        _checkClaimWindow(phase);
+        bytes32 merkleRoot = phase.merkleRoot;
+        uint256 dropAmount = phase.dropAmount;
+        if (_availableBalance(phase.asset) < dropAmount * recipients.length) revert InsufficientBalance();
+
+        uint256 successCount;
+        uint256 skipCount;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address recipient = recipients[i];
+            bytes32 node = keccak256(abi.encodePacked(recipient));
+
+            // Skip null addresses, claimed addresses and invalid proofs
+            if (
+                recipient == address(0) ||
+                addressClaimed[phaseId][recipient] != 0 ||
+                !MerkleProof.verify(proofs[i], merkleRoot, node)
+            ) {
+                unchecked { skipCount++; }
+                continue;
+            }
+
+            _processValidClaim(phaseId, recipient, dropAmount);
+            unchecked { successCount++; }
+        }
+
+        emit BatchProcessed(successCount, skipCount, phaseId);
+    }
+
+    /**
+     * @notice Helper function to check that a phase currently accepts claims
+     * @param phase The phase being claimed from
+     */
+    function _checkClaimWindow(Phase storage phase) private view {
+        if (!phase.active) revert PhaseNotActive();
+        if (block.timestamp < phase.startTime) revert ClaimingNotStarted();
+        if (block.timestamp > phase.endTime) revert ClaimingEnded();
+    }
+
+    /**
+     * @notice Helper function to mark a claim, update counters and send the tokens
+     * @param phaseId The phase ID to claim from
+     * @param recipient The address receiving tokens
+     * @param amount The amount to send
+     */
+    function _processValidClaim(uint8 phaseId, address recipient, uint256 amount) private {
+        addressClaimed[phaseId][recipient] = 1;
+
+        Phase storage phase = phases[phaseId];
+        unchecked {
+            phase.recipientCount++;
+            phase.claimedAmount += uint128(amount);
+            if (phase.asset == token) totalClaimed += uint128(amount);
+            totalRecipients++;
+        }
+
+        IERC20(phase.asset).safeTransfer(recipient, amount);
+        emit Claimed(recipient, recipient, phase.asset, amount, phaseId);
+    }
+
+    /**
+     * @notice Helper function to compute the balance of an asset not held for vesting allocations
+     * @param asset The ERC20 address
+     */
+    function _availableBalance(address asset) private view returns (uint256) {
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        return balance > totalLocked[asset] ? balance - totalLocked[asset] : 0;
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @notice Minimal ERC-1271 wallet for tests, it accepts signatures made by its owner key
+ */
+contract SmartWallet is IERC1271 {
+    address public immutable owner;
+    
+    constructor(address owner_) {
+        owner = owner_;
+    }
+    
+    /**
+     * @notice Returns the ERC-1271 magic value when the owner signed the hash
+     * @param hash The signed digest
+     * @param signature The owner's signature
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(hash, signature);
+        if (recoverError == ECDSA.RecoverError.NoError && signer == owner) return IERC1271.isValidSignature.selector;
+        return 0xffffffff;
+    }
+}
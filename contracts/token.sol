@@ -3,15 +3,60 @@
 pragma solidity ^0.8.22;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Burnable} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import {ERC20Capped} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 
-contract AirdropToken is ERC20, Ownable {
-    constructor(address initialOwner)
+contract AirdropToken is ERC20, ERC20Burnable, ERC20Capped, ERC20Permit, Ownable {
+    // Tokens each minter other than the owner may still mint
+    mapping(address => uint256) public minterAllowance;
+
+    // Tokens minted so far by each account, the owner included
+    mapping(address => uint256) public mintedBy;
+
+    event MinterAllowanceSet(address indexed minter, uint256 allowance);
+
+    error InsufficientMinterAllowance(address minter, uint256 allowance, uint256 needed);
+
+    /**
+     * @param initialOwner Owner, mints without an allowance and sets the minters' allowances
+     * @param maxSupply Hard cap on the total supply, burnt tokens can be minted again
+     */
+    constructor(address initialOwner, uint256 maxSupply)
         ERC20("AIRDROP", "AIR")
+        ERC20Capped(maxSupply)
+        ERC20Permit("AIRDROP")
         Ownable(initialOwner)
     {}
 
-    function mint(address to, uint256 amount) public onlyOwner {
+    /**
+     * @notice Mints tokens, from the owner or against the caller's minter allowance
+     * @param to Receiver of the tokens
+     * @param amount Amount to mint, the total supply can't go over cap()
+     */
+    function mint(address to, uint256 amount) public {
+        if (msg.sender != owner()) {
+            uint256 allowance = minterAllowance[msg.sender];
+            if (allowance < amount) revert InsufficientMinterAllowance(msg.sender, allowance, amount);
+            minterAllowance[msg.sender] = allowance - amount;
+        }
+        mintedBy[msg.sender] += amount;
         _mint(to, amount);
     }
+
+    /**
+     * @notice Sets how much an account may still mint, replacing its previous allowance
+     * @param minter Account allowed to mint
+     * @param allowance Tokens it may mint (0 removes it as a minter)
+     */
+    function setMinterAllowance(address minter, uint256 allowance) external onlyOwner {
+        minterAllowance[minter] = allowance;
+        emit MinterAllowanceSet(minter, allowance);
+    }
+
+    // ERC20Capped checks the cap on every mint
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Capped) {
+        super._update(from, to, value);
+    }
 }
@@ -0,0 +1,311 @@
+import { ethers } from "/vendor/ethers.js";
+import { PHASE_MODES, formatDuration, phaseState, findRecipient, claimCall, isNativeAsset, shortHex } from "/format.js";
+
+// How often on-chain data is re-read, countdowns tick every second in between
+const REFRESH_MS = 15000;
+
+const state = {
+  config: null,
+  reader: null,
+  distributor: null,
+  assets: new Map(),
+  phases: [],
+  paused: false,
+  fetchedAt: 0,
+  artifacts: new Map(),
+  account: null,
+  signer: null
+};
+
+const $ = id => document.getElementById(id);
+
+/**
+ * Shows an error (or info) message above the views
+ * @param {string} text Message, empty to hide
+ * @param {boolean} [info] Whether this is an informational message
+ */
+function showMessage(text, info = false) {
+  const message = $("message");
+  message.hidden = !text;
+  message.textContent = text;
+  message.classList.toggle("info", info);
+}
+
+/**
+ * Turns a contract error into its custom error name when possible
+ * @param {Error} err
+ * @returns {string}
+ */
+function errorMessage(err) {
+  if (err.revert) return `${err.revert.name}(${err.revert.args.join(", ")})`;
+  return err.shortMessage || err.message;
+}
+
+/**
+ * Reads the decimals and symbol of a phase asset once
+ * @param {string} asset ERC20 address or NATIVE_ASSET
+ * @returns {Promise<{ decimals: bigint, symbol: string }>}
+ */
+async function loadAsset(asset) {
+  const key = asset.toLowerCase();
+  if (!state.assets.has(key)) {
+    if (isNativeAsset(asset)) {
+      state.assets.set(key, { decimals: 18n, symbol: "ETH" });
+    } else {
+      const token = new ethers.Contract(asset, state.config.token.abi, state.reader);
+      const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+      state.assets.set(key, { decimals, symbol });
+    }
+  }
+  return state.assets.get(key);
+}
+
+/**
+ * Formats an amount of an asset that was loaded with loadAsset
+ * @param {bigint} amount
+ * @param {string} [asset] Defaults to the distributor's token
+ * @returns {string}
+ */
+function formatAmount(amount, asset = state.config.token.address) {
+  const { decimals, symbol } = state.assets.get(asset.toLowerCase());
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+/**
+ * Returns the Merkle artifact of a phase, matched by root, fetching it on first use
+ * @param {string} root Phase merkle root
+ * @returns {Promise<object|null>}
+ */
+async function artifactForRoot(root) {
+  const entry = state.config.merkle.find(item => item.root.toLowerCase() === root.toLowerCase());
+  if (!entry) return null;
+
+  if (!state.artifacts.has(entry.id)) {
+    const res = await fetch(`/merkle/${entry.id}.json`);
+    state.artifacts.set(entry.id, await res.json());
+  }
+  return state.artifacts.get(entry.id);
+}
+
+/**
+ * Reads every phase and the contract-wide counters
+ */
+async function loadPhases() {
+  const { distributor } = state;
+  const count = Number(await distributor.getPhaseCount());
+
+  state.phases = await Promise.all(Array.from({ length: count }, async (_, id) => {
+    const [phase, status] = await Promise.all([distributor.phases(id), distributor.phaseStatus(id)]);
+    const entry = state.config.merkle.find(item => item.root.toLowerCase() === phase.merkleRoot.toLowerCase());
+    await loadAsset(phase.asset);
+    return {
+      id,
+      merkleRoot: phase.merkleRoot,
+      mode: PHASE_MODES[Number(phase.mode)],
+      asset: phase.asset,
+      dropAmount: phase.dropAmount,
+      startTime: Number(phase.startTime),
+      endTime: Number(phase.endTime),
+      recipientCount: phase.recipientCount,
+      active: phase.active,
+      remainingTime: Number(status.remainingTime),
+      timeUntilStart: Number(status.timeUntilStart),
+      eligible: entry ? entry.leafCount : null
+    };
+  }));
+
+  const [currentPhaseId, totalClaimed, totalRecipients, remainingTokens, paused] = await Promise.all([
+    distributor.currentPhaseId(),
+    distributor.totalClaimed(),
+    distributor.totalRecipients(),
+    distributor.remainingTokens(),
+    distributor.paused()
+  ]);
+  state.paused = paused;
+  state.fetchedAt = Date.now();
+
+  $("current-phase").textContent = currentPhaseId.toString();
+  $("total-claimed").textContent = formatAmount(totalClaimed);
+  $("total-recipients").textContent = totalRecipients.toString();
+  $("remaining-tokens").textContent = formatAmount(remainingTokens);
+  $("paused").textContent = paused ? "yes" : "no";
+}
+
+/**
+ * Seconds left in a phase and until it opens, counted down locally since the last refresh
+ * @param {object} phase
+ * @returns {{ remainingTime: number, timeUntilStart: number }}
+ */
+function countdown(phase) {
+  const elapsed = Math.floor((Date.now() - state.fetchedAt) / 1000);
+  return {
+    remainingTime: Math.max(0, phase.remainingTime - elapsed),
+    timeUntilStart: Math.max(0, phase.timeUntilStart - elapsed)
+  };
+}
+
+/**
+ * Renders the admin phase table
+ */
+function renderAdmin() {
+  $("phase-rows").replaceChildren(...state.phases.map(phase => {
+    const row = document.createElement("tr");
+    const times = countdown(phase);
+    const status = phaseState({ ...phase, ...times }, state.paused);
+    const cells = [
+      phase.id,
+      phase.mode,
+      shortHex(phase.merkleRoot),
+      phase.mode === "FixedAmount" ? formatAmount(phase.dropAmount, phase.asset) : "per recipient",
+      phase.startTime > 0 ? new Date(phase.startTime * 1000).toLocaleString() : "-",
+      new Date(phase.endTime * 1000).toLocaleString(),
+      status,
+      status === "scheduled" ? `opens in ${formatDuration(times.timeUntilStart)}` : formatDuration(times.remainingTime),
+      phase.recipientCount.toString(),
+      phase.eligible === null ? "?" : phase.eligible
+    ];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    row.children[6].className = `state-${status}`;
+    return row;
+  }));
+}
+
+/**
+ * Sends the claim matching the phase mode, to the "Send to" address when one is entered
+ * @param {object} phase
+ * @param {object} recipient Artifact entry of the connected account
+ */
+async function claim(phase, recipient) {
+  const destination = $("destination").value.trim();
+  if (destination && !ethers.isAddress(destination)) {
+    showMessage(`"${destination}" is not a valid address`);
+    return;
+  }
+
+  const distributor = state.distributor.connect(state.signer);
+  const [method, args] = claimCall(phase, recipient, destination && ethers.getAddress(destination.toLowerCase()));
+  showMessage(`Claiming phase ${phase.id}…`, true);
+  try {
+    const tx = await distributor[method](...args);
+    await tx.wait();
+    showMessage(`Claimed phase ${phase.id} in ${tx.hash}`, true);
+  } catch (err) {
+    showMessage(`Claim failed: ${errorMessage(err)}`);
+  }
+  await refresh();
+}
+
+/**
+ * Renders the claimant table for the connected account
+ */
+async function renderClaim() {
+  if (!state.account) {
+    $("claim-rows").replaceChildren();
+    return;
+  }
+
+  const rows = await Promise.all(state.phases.map(async phase => {
+    const artifact = await artifactForRoot(phase.merkleRoot);
+    const recipient = artifact ? findRecipient(artifact, state.account) : null;
+    // Claims are tracked by leaf index, so only listed accounts can have claimed
+    const claimed = recipient ? await state.distributor.isClaimed(phase.id, recipient.index) : false;
+    const status = phaseState({ ...phase, ...countdown(phase) }, state.paused);
+
+    const row = document.createElement("tr");
+    const amount = recipient
+      ? formatAmount(phase.mode === "PerRecipient" ? BigInt(recipient.amount) : phase.dropAmount, phase.asset)
+      : "-";
+    const eligible = artifact ? (recipient ? "yes" : "no") : "unknown";
+    for (const value of [phase.id, status, eligible, amount, claimed ? "yes" : "no"]) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+
+    const action = document.createElement("td");
+    if (recipient && !claimed && status === "open") {
+      const button = document.createElement("button");
+      button.textContent = "Claim";
+      button.addEventListener("click", () => claim(phase, recipient));
+      action.appendChild(button);
+    }
+    row.appendChild(action);
+    return row;
+  }));
+  $("claim-rows").replaceChildren(...rows);
+}
+
+/**
+ * Connects the browser wallet and switches it to the deployment's chain
+ */
+async function connect() {
+  if (!window.ethereum) {
+    showMessage("No browser wallet found");
+    return;
+  }
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  await provider.send("eth_requestAccounts", []);
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== state.config.chainId) {
+    try {
+      await provider.send("wallet_switchEthereumChain", [{ chainId: ethers.toQuantity(state.config.chainId) }]);
+    } catch (err) {
+      showMessage(`Switch your wallet to chain ${state.config.chainId}`);
+      return;
+    }
+  }
+
+  state.signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+  state.account = await state.signer.getAddress();
+  $("account").textContent = state.account;
+  showMessage("");
+  await renderClaim();
+}
+
+/**
+ * Re-reads on-chain data and redraws the current view
+ */
+async function refresh() {
+  try {
+    await loadPhases();
+    renderAdmin();
+    await renderClaim();
+  } catch (err) {
+    showMessage(`Could not read the distributor: ${errorMessage(err)}`);
+  }
+}
+
+/**
+ * Shows the view named in the location hash
+ */
+function route() {
+  const view = location.hash === "#/claim" ? "claim" : "admin";
+  $("admin-view").hidden = view !== "admin";
+  $("claim-view").hidden = view !== "claim";
+  document.querySelectorAll("nav a").forEach(link => link.classList.toggle("current", link.dataset.view === view));
+}
+
+async function main() {
+  route();
+  window.addEventListener("hashchange", route);
+
+  state.config = await (await fetch("/config.json")).json();
+  state.reader = state.config.rpcUrl
+    ? new ethers.JsonRpcProvider(state.config.rpcUrl)
+    : new ethers.BrowserProvider(window.ethereum);
+  state.distributor = new ethers.Contract(state.config.distributor.address, state.config.distributor.abi, state.reader);
+
+  await loadAsset(state.config.token.address);
+
+  $("connect").addEventListener("click", () => connect().catch(err => showMessage(errorMessage(err))));
+  await refresh();
+  setInterval(renderAdmin, 1000);
+  setInterval(refresh, REFRESH_MS);
+}
+
+main().catch(err => showMessage(errorMessage(err)));
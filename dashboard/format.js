@@ -0,0 +1,85 @@
+// Pure helpers shared by the dashboard views
+
+export const PHASE_MODES = ["FixedAmount", "PerRecipient", "Voucher"];
+
+// MerkleDistributorV2.NATIVE_ASSET, the asset of phases paying out ETH
+export const NATIVE_ASSET = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+/**
+ * Whether an asset address stands for native ETH
+ * @param {string} asset
+ * @returns {boolean}
+ */
+export function isNativeAsset(asset) {
+  return asset.toLowerCase() === NATIVE_ASSET.toLowerCase();
+}
+
+/**
+ * Formats a number of seconds as a countdown, e.g. "2d 03:04:05"
+ * @param {number} seconds Remaining seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (seconds <= 0) return "ended";
+
+  const days = Math.floor(seconds / 86400);
+  const pad = value => String(value).padStart(2, "0");
+  const clock = `${pad(Math.floor((seconds % 86400) / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+/**
+ * Labels the claiming state of a phase
+ * @param {{ active: boolean, remainingTime: number, timeUntilStart?: number }} phase Phase flags and phaseStatus times
+ * @param {boolean} paused Whether the contract is paused
+ * @returns {"paused"|"ended"|"inactive"|"scheduled"|"open"}
+ */
+export function phaseState(phase, paused) {
+  if (phase.remainingTime <= 0) return "ended";
+  if (!phase.active) return "inactive";
+  if (phase.timeUntilStart > 0) return "scheduled";
+  if (paused) return "paused";
+  return "open";
+}
+
+/**
+ * Looks up an address in a Merkle artifact, ignoring case
+ * @param {object} artifact Merkle artifact
+ * @param {string} address Address to find
+ * @returns {{ address: string, proof: string[], amount?: string }|null}
+ */
+export function findRecipient(artifact, address) {
+  const target = address.toLowerCase();
+  for (const [key, entry] of Object.entries(artifact.recipients)) {
+    if (key.toLowerCase() === target) return { address: key, ...entry };
+  }
+  return null;
+}
+
+/**
+ * Picks the claim method and arguments for a phase, sending to another wallet when a destination is set
+ * @param {{ id: number, mode: string }} phase
+ * @param {{ address: string, index: number, proof: string[], amount?: string }} recipient Artifact entry of the eligible address
+ * @param {string} [destination] Receiving address, defaults to the eligible address
+ * @returns {[string, any[]]}
+ */
+export function claimCall(phase, recipient, destination) {
+  const perRecipient = phase.mode === "PerRecipient";
+  if (destination && destination.toLowerCase() !== recipient.address.toLowerCase()) {
+    return perRecipient
+      ? ["claimToWithAmount", [phase.id, recipient.index, destination, recipient.amount, recipient.proof]]
+      : ["claimTo", [phase.id, recipient.index, destination, recipient.proof]];
+  }
+  return perRecipient
+    ? ["claimForPhaseWithAmount", [phase.id, recipient.index, recipient.amount, recipient.proof]]
+    : ["claimForPhase", [phase.id, recipient.index, recipient.proof]];
+}
+
+/**
+ * Shortens a hex string for display, e.g. "0x1234…abcd"
+ * @param {string} hex
+ * @returns {string}
+ */
+export function shortHex(hex) {
+  return hex.length > 12 ? `${hex.slice(0, 6)}…${hex.slice(-4)}` : hex;
+}
@@ -1,26 +1,52 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter")
+require("hardhat-contract-sizer");
 require("dotenv").config();
+const path = require("path");
+const { loadNetworkConfig } = require("./lib/networks");
+require("./tasks/merkle");
+require("./tasks/deploy");
+require("./tasks/deployments");
+require("./tasks/phase");
+require("./tasks/distribute");
+require("./tasks/indexer");
+require("./tasks/dashboard");
+require("./tasks/proofs");
+require("./tasks/solvency");
+require("./tasks/relayer");
+require("./tasks/snapshot");
+require("./tasks/roles");
+require("./tasks/vouchers");
+require("./tasks/campaign");
+require("./tasks/benchmark");
+require("./tasks/alerts");
+
+// Networks come from networks.json, only the selected one reads its keys from the environment
+const { networks, etherscan } = loadNetworkConfig(path.join(__dirname, "networks.json"));
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
-  networks:{
-    sepolia:{
-      accounts:[process.env.privatekey],
-      url:process.env.rpc
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // The IR pipeline keeps MerkleDistributorV2 well under the 24 KiB limit of EIP-170
+      viaIR: true
     }
   },
+  // Every compile sizes the deployable contracts and fails once one is over the limit
+  contractSizer: {
+    runOnCompile: true,
+    strict: true,
+    only: ["^contracts/(MerkleDistributor|token)\\.sol:"]
+  },
+  networks,
   gasReporter: {
     enabled: true,
-    currency: 'INR',
-    gasPrice: 30, // in gwei (set this based on network)
-    coinmarketcap: 'f919547f-8e2d-4836-bd60-20cc7af46d81', // optional but useful
-    token: 'POL' // or 'BNB' depending on your network
+    // Prices are only fetched with a CoinMarketCap key, the report shows gas otherwise
+    currency: process.env.GAS_REPORT_CURRENCY || "USD",
+    coinmarketcap: process.env.COINMARKETCAP_API_KEY,
+    token: process.env.GAS_REPORT_TOKEN || "ETH"
   },
-  etherscan:{
-    apiKey:{
-      sepolia: process.env.etherscan
-    }
-  }
+  etherscan
 };
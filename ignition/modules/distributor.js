@@ -0,0 +1,43 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const AirdropTokenModule = require("./token");
+
+module.exports = buildModule("MerkleDistributorModule", (m) => {
+  const { airdropToken } = m.useModule(AirdropTokenModule);
+
+  // The deploying account administers the distributor and starts with every role
+  const initialOwner = m.getAccount(0);
+
+  // Phase 0 configuration, see ignition/parameters/<network>.json
+  const merkleRoot = m.getParameter("merkleRoot");
+  const dropAmount = m.getParameter("dropAmount");
+  // Claiming opens at startTime, 0 opens it right away
+  const startTime = m.getParameter("startTime", 0);
+  const endTime = m.getParameter("endTime");
+
+  // recipientCount * dropAmount, computed from the Merkle artifact by the deploy:airdrop task
+  const fundAmount = m.getParameter("fundAmount");
+
+  // Deploy the MerkleDistributorV2 contract for the token
+  const merkleDistributor = m.contract("MerkleDistributorV2", [
+    airdropToken,
+    merkleRoot,
+    dropAmount,
+    startTime,
+    endTime,
+    initialOwner
+  ]);
+
+  // The funder may mint exactly the budget of the initial phase, without the owner key. It then
+  // deposits it with fundPhaseWithPermit (see deployDistributor, Ignition can't sign the permit),
+  // so the phase's unclaimed remainder can be swept to the treasury once it ends.
+  // No default: the owner mints without an allowance, so it can't be the funder
+  const funder = m.getParameter("funder");
+  m.call(airdropToken, "setMinterAllowance", [funder, fundAmount]);
+
+  // Role map such as { "distributor": ["0x..."] }, granted on top of the deployer's roles.
+  // Every role must be listed, resolveDistributorParameters fills in the missing ones.
+  const roles = m.getParameter("roles", { phaseManager: [], distributor: [], pauser: [], treasury: [], voucherSigner: [] });
+  m.call(merkleDistributor, "grantRoles", [roles]);
+
+  return { airdropToken, merkleDistributor };
+});
@@ -0,0 +1,14 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("AirdropTokenModule", (m) => {
+  // The deploying account owns the token and can mint the distributor's budget
+  const initialOwner = m.getAccount(0);
+
+  // Hard cap on the total supply in the smallest unit, see ignition/parameters/<network>.json
+  const maxSupply = m.getParameter("maxSupply");
+
+  // Deploy the AirdropToken contract
+  const airdropToken = m.contract("AirdropToken", [initialOwner, maxSupply]);
+
+  return { airdropToken };
+});
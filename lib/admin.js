@@ -0,0 +1,61 @@
+const { task } = require("hardhat/config");
+const { formatContractError } = require("./errors");
+const { confirm } = require("./cli");
+
+/**
+ * Defines an admin task (phase:*, role:*) with the options they all share
+ * @param {string} name Task name
+ * @param {string} description Task description
+ * @returns {import("hardhat/types").ConfigurableTaskDefinition}
+ */
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+    .addFlag("dryRun", "Only simulate the call with staticCall")
+    .addFlag("yes", "Send without asking for confirmation");
+}
+
+/**
+ * Simulates an admin call, then sends it once confirmed.
+ * Reverts are reported by custom error name instead of raw revert data.
+ * @param {import("ethers").Contract} distributor Contract to call
+ * @param {string} method Function name
+ * @param {any[]} args Function arguments
+ * @param {{ dryRun: boolean, yes: boolean }} options
+ * @returns {Promise<{ result?: any, receipt?: object, dryRun?: boolean, aborted?: boolean }>}
+ */
+async function execute(distributor, method, args, { dryRun, yes }) {
+  let result;
+  try {
+    result = await distributor[method].staticCall(...args);
+  } catch (err) {
+    throw new Error(`${method} would revert with ${formatContractError(err, distributor.interface)}`);
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: ${method} would succeed${result !== undefined ? ` and return ${result}` : ""}`);
+    return { result, dryRun: true };
+  }
+
+  if (!yes && !(await confirm(`Send ${method}?`))) {
+    console.log("Aborted");
+    return { aborted: true };
+  }
+
+  let tx;
+  let receipt;
+  try {
+    tx = await distributor[method](...args);
+    receipt = await tx.wait();
+  } catch (err) {
+    throw new Error(`${method} reverted with ${formatContractError(err, distributor.interface)}`);
+  }
+
+  console.log(`Sent ${method} in ${tx.hash} (block ${receipt.blockNumber})`);
+  return { result, receipt };
+}
+
+module.exports = {
+  adminTask,
+  execute
+};
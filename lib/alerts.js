@@ -0,0 +1,442 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { normalizeArgs } = require("./indexer");
+const { readPhase } = require("./phases");
+const { readAsset, isNativeAsset } = require("./assets");
+const { parseDuration, formatDuration, formatTime } = require("./cli");
+
+// Rules used when a config doesn't list any
+const DEFAULT_RULES = {
+  lowBalance: { claims: 10 },
+  phaseExpiring: { within: 24 * 3600 },
+  claimSpike: { window: 3600, maxClaims: 100 },
+  emergencyWithdrawal: true,
+  paused: true
+};
+const RULE_KEYS = Object.keys(DEFAULT_RULES);
+const SINK_TYPES = ["stdout", "file", "webhook"];
+
+// Seconds a webhook may take to answer by default, so a hanging endpoint can't stall the polls
+const WEBHOOK_TIMEOUT = 10;
+
+/**
+ * Validates an alert config and normalizes its rules and sinks
+ * @param {object} raw Parsed config: { rules?, sinks? }
+ * @param {string} [baseDir] Directory file sink paths are relative to
+ * @returns {{ rules: object, sinks: object[] }}
+ */
+function validateAlertConfig(raw, baseDir = process.cwd()) {
+  const errors = [];
+  const positive = (field, value) => {
+    if (!Number.isInteger(value) || value <= 0) {
+      errors.push(`${field}: expected a positive integer, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  };
+  const duration = (field, value) => {
+    try {
+      return positive(field, parseDuration(value));
+    } catch (err) {
+      errors.push(`${field}: ${err.message}`);
+    }
+  };
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid alert config: expected an object");
+  }
+  Object.keys(raw).filter(key => !["rules", "sinks"].includes(key)).forEach(key => errors.push(`${key}: unknown field`));
+
+  const rules = {};
+  const rawRules = raw.rules === undefined ? DEFAULT_RULES : raw.rules;
+  Object.keys(rawRules).filter(key => !RULE_KEYS.includes(key)).forEach(key => errors.push(`rules.${key}: unknown rule`));
+  for (const name of RULE_KEYS) {
+    const rule = rawRules[name];
+    // Omitted or false rules are off
+    if (rule === undefined || rule === false) continue;
+    if (name === "emergencyWithdrawal" || name === "paused") {
+      if (rule !== true) errors.push(`rules.${name}: expected true or false`);
+      rules[name] = true;
+      continue;
+    }
+    const options = rule === true ? DEFAULT_RULES[name] : rule;
+    if (!options || typeof options !== "object") {
+      errors.push(`rules.${name}: expected an object, true or false`);
+      continue;
+    }
+    if (name === "lowBalance") {
+      rules.lowBalance = { claims: positive("rules.lowBalance.claims", options.claims) };
+    } else if (name === "phaseExpiring") {
+      rules.phaseExpiring = { within: duration("rules.phaseExpiring.within", options.within) };
+    } else {
+      rules.claimSpike = {
+        window: duration("rules.claimSpike.window", options.window),
+        maxClaims: positive("rules.claimSpike.maxClaims", options.maxClaims)
+      };
+    }
+  }
+
+  const rawSinks = raw.sinks === undefined ? [{ type: "stdout" }] : raw.sinks;
+  const sinks = [];
+  if (!Array.isArray(rawSinks) || rawSinks.length === 0) {
+    errors.push("sinks: at least one sink is required");
+  } else {
+    rawSinks.forEach((sink, i) => {
+      const field = `sinks[${i}]`;
+      if (!sink || !SINK_TYPES.includes(sink.type)) {
+        errors.push(`${field}.type: expected one of ${SINK_TYPES.join(", ")}`);
+      } else if (sink.type === "file") {
+        if (typeof sink.path !== "string") errors.push(`${field}.path: required`);
+        else sinks.push({ type: "file", path: path.resolve(baseDir, sink.path) });
+      } else if (sink.type === "webhook") {
+        if (typeof sink.url !== "string" || !/^https?:\/\//.test(sink.url)) errors.push(`${field}.url: expected an http(s) URL`);
+        else {
+          const timeout = sink.timeout === undefined ? WEBHOOK_TIMEOUT : duration(`${field}.timeout`, sink.timeout);
+          sinks.push({ type: "webhook", url: sink.url, headers: sink.headers || {}, timeout });
+        }
+      } else {
+        sinks.push({ type: "stdout" });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert config:\n  ${errors.join("\n  ")}`);
+  }
+  return { rules, sinks };
+}
+
+/**
+ * Reads and validates an alert config (.json, .yaml or .yml)
+ * @param {string} file Path to the config
+ * @returns {{ rules: object, sinks: object[] }}
+ */
+function loadAlertConfig(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const raw = /\.ya?ml$/i.test(file) ? yaml.load(content, { schema: yaml.JSON_SCHEMA }) : JSON.parse(content);
+  return validateAlertConfig(raw, path.dirname(path.resolve(file)));
+}
+
+/**
+ * Formats an alert as a single log line
+ * @param {object} alert
+ * @returns {string}
+ */
+function formatAlert(alert) {
+  const status = alert.resolved ? "resolved" : alert.severity;
+  return `${formatTime(alert.timestamp)} [${status}] ${alert.rule}: ${alert.message}`;
+}
+
+/**
+ * Creates a sink from its config. A sink is any object with an async send(alert).
+ * @param {{ type: string, path?: string, url?: string, headers?: object, timeout?: number }} config Sink from validateAlertConfig
+ * @returns {{ name: string, send: (alert: object) => Promise<void> }}
+ */
+function createSink(config) {
+  switch (config.type) {
+    case "stdout":
+      return { name: "stdout", send: async alert => console.log(formatAlert(alert)) };
+    case "file":
+      // One JSON alert per line
+      return {
+        name: `file ${config.path}`,
+        send: async alert => {
+          fs.mkdirSync(path.dirname(config.path), { recursive: true });
+          fs.appendFileSync(config.path, JSON.stringify(alert) + "\n");
+        }
+      };
+    case "webhook": {
+      const timeout = config.timeout || WEBHOOK_TIMEOUT;
+      return {
+        name: `webhook ${config.url}`,
+        send: async alert => {
+          let res;
+          try {
+            res = await fetch(config.url, {
+              method: "POST",
+              headers: { "Content-Type": "application/json", ...config.headers },
+              body: JSON.stringify(alert),
+              signal: AbortSignal.timeout(timeout * 1000)
+            });
+          } catch (err) {
+            if (err.name !== "TimeoutError") throw err;
+            throw new Error(`${config.url} didn't answer within ${formatDuration(timeout)}`);
+          }
+          if (!res.ok) throw new Error(`${config.url} answered ${res.status}`);
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown sink type "${config.type}"`);
+  }
+}
+
+/**
+ * Polls a distributor and sends alerts when a rule trips.
+ * Condition rules (lowBalance, phaseExpiring, claimSpike, paused) alert once when they start
+ * and once more, marked resolved, when they clear. Every emergency withdrawal alerts.
+ * Time is the timestamp of the latest block, not the local clock.
+ */
+class AlertWatcher {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 instance
+   * @param {object} options.rules Rules from validateAlertConfig
+   * @param {{ name: string, send: (alert: object) => Promise<void> }[]} options.sinks Where alerts go
+   * @param {number} [options.fromBlock] First block to read events from (defaults to the head at the first poll)
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {(message: string) => void} [options.log] Progress logger
+   */
+  constructor({ distributor, rules, sinks, fromBlock, batchSize = 2000, log = () => {} }) {
+    this.distributor = distributor;
+    this.rules = rules;
+    this.sinks = sinks;
+    this.batchSize = batchSize;
+    this.log = log;
+    this.provider = distributor.runner.provider;
+    this.cursor = fromBlock === undefined ? null : fromBlock - 1;
+    // Alerts of the conditions currently tripped, by key
+    this.firing = new Map();
+    // Claims inside the spike window, and the largest claim seen per phase
+    this.recentClaims = [];
+    this.largestClaim = new Map();
+    this.decimals = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Formats an amount of an asset with its decimals
+   * @param {string} asset
+   * @param {bigint} amount
+   * @returns {Promise<string>}
+   */
+  async formatAmount(asset, amount) {
+    if (!this.decimals.has(asset)) {
+      this.decimals.set(asset, (await readAsset(this.provider, asset)).decimals);
+    }
+    return `${ethers.formatUnits(amount, this.decimals.get(asset))} ${isNativeAsset(asset) ? "ETH" : asset}`;
+  }
+
+  /**
+   * Reads the Claimed and EmergencyWithdrawal events of the blocks not read yet
+   * @param {number} head Latest block number
+   * @returns {Promise<{ claims: object[], withdrawals: object[] }>}
+   */
+  async readEvents(head) {
+    const fromBlock = this.cursor === null ? head + 1 : this.cursor + 1;
+    if (fromBlock > head) {
+      this.cursor = head;
+      return { claims: [], withdrawals: [] };
+    }
+
+    // A block with several events is only fetched once
+    const timestamps = new Map();
+    const timestampOf = async blockNumber => {
+      if (!timestamps.has(blockNumber)) {
+        timestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+      }
+      return timestamps.get(blockNumber);
+    };
+
+    // A watcher started far behind the head reads the backlog in chunks, like the indexer
+    const read = async filter => {
+      const events = [];
+      for (let start = fromBlock; start <= head; start += this.batchSize) {
+        const end = Math.min(start + this.batchSize - 1, head);
+        for (const log of await this.distributor.queryFilter(filter, start, end)) {
+          events.push({
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            timestamp: await timestampOf(log.blockNumber),
+            args: normalizeArgs(this.distributor.interface.parseLog(log))
+          });
+        }
+      }
+      return events;
+    };
+    const claims = await read(this.distributor.filters.Claimed());
+    const withdrawals = await read(this.distributor.filters.EmergencyWithdrawal());
+    // Only move on once both reads succeeded, a failed poll reads the same blocks again
+    this.cursor = head;
+    return { claims, withdrawals };
+  }
+
+  /**
+   * Evaluates the condition rules
+   * @param {number} now Latest block timestamp
+   * @returns {Promise<Map<string, object>>} Tripped conditions by key
+   */
+  async evaluate(now) {
+    const conditions = new Map();
+
+    if (this.rules.paused && (await this.distributor.paused())) {
+      conditions.set("paused", { rule: "paused", severity: "warning", message: "The distributor is paused, claims are blocked", details: {} });
+    }
+
+    if (this.rules.claimSpike) {
+      const { window, maxClaims } = this.rules.claimSpike;
+      this.recentClaims = this.recentClaims.filter(claim => claim.timestamp > now - window);
+      if (this.recentClaims.length > maxClaims) {
+        conditions.set("claimSpike", {
+          rule: "claimSpike",
+          severity: "warning",
+          message: `${this.recentClaims.length} claims in the last ${formatDuration(window)}, more than ${maxClaims}`,
+          details: { claims: this.recentClaims.length, window, maxClaims }
+        });
+      }
+    }
+
+    if (!this.rules.lowBalance && !this.rules.phaseExpiring) return conditions;
+    // What the live phases of each asset need, checked against the balance once for all of them
+    const needs = new Map();
+    const count = Number(await this.distributor.getPhaseCount());
+    for (let phaseId = 0; phaseId < count; phaseId++) {
+      const phase = await readPhase(this.distributor, phaseId);
+      const status = await this.distributor.phaseStatus(phaseId);
+      // Only phases that can still be claimed from
+      if (!phase.active || status.remainingTime === 0n) continue;
+
+      if (this.rules.phaseExpiring && status.started && status.remainingTime <= BigInt(this.rules.phaseExpiring.within)) {
+        conditions.set(`phaseExpiring:${phaseId}`, {
+          rule: "phaseExpiring",
+          severity: "warning",
+          message: `Phase ${phaseId} ends in ${formatDuration(status.remainingTime)}, at ${formatTime(phase.endTime)}`,
+          details: { phaseId, endTime: Number(phase.endTime), remainingTime: Number(status.remainingTime) }
+        });
+      }
+
+      if (this.rules.lowBalance) {
+        const need = needs.get(phase.asset) || { phaseIds: [], claims: 0n };
+        need.phaseIds.push(phaseId);
+        // Funded phases are covered by totalReserved, the others need the next claims' worth
+        if (phase.budget === 0n) {
+          // Per-recipient and voucher phases have no drop amount, their largest claim so far stands in
+          const claimAmount = status.claimAmount > 0n ? status.claimAmount : (this.largestClaim.get(phaseId) || 0n);
+          need.claims += claimAmount * BigInt(this.rules.lowBalance.claims);
+        }
+        needs.set(phase.asset, need);
+      }
+    }
+
+    for (const [asset, { phaseIds, claims }] of needs) {
+      const reserved = await this.distributor.totalReserved(asset);
+      const threshold = reserved + claims;
+      if (threshold === 0n) continue;
+      const remaining = await this.distributor.remainingTokensOf(asset);
+      if (remaining < threshold) {
+        conditions.set(`lowBalance:${asset}`, {
+          rule: "lowBalance",
+          severity: "critical",
+          message:
+            `${await this.formatAmount(asset, remaining)} left, less than the unclaimed budgets and ` +
+            `${this.rules.lowBalance.claims} claims of phase ${phaseIds.join(", ")} (${await this.formatAmount(asset, threshold)})`,
+          details: {
+            asset,
+            phaseIds,
+            remainingTokens: remaining.toString(),
+            reserved: reserved.toString(),
+            threshold: threshold.toString()
+          }
+        });
+      }
+    }
+    return conditions;
+  }
+
+  /**
+   * Sends an alert to every sink; a failing sink doesn't stop the others
+   * @param {object} alert
+   */
+  async send(alert) {
+    for (const sink of this.sinks) {
+      try {
+        await sink.send(alert);
+      } catch (err) {
+        this.log(`Sink ${sink.name} failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reads new events, evaluates every rule and sends the resulting alerts
+   * @returns {Promise<object[]>} Alerts sent
+   */
+  async poll() {
+    const head = await this.provider.getBlock("latest");
+    const now = head.timestamp;
+    const distributor = await this.distributor.getAddress();
+    const alerts = [];
+
+    const { claims, withdrawals } = await this.readEvents(head.number);
+    for (const claim of claims) {
+      const { phaseId, amount } = claim.args;
+      // Only the spike rule prunes the window, it would grow forever otherwise
+      if (this.rules.claimSpike) this.recentClaims.push(claim);
+      if (BigInt(amount) > (this.largestClaim.get(phaseId) || 0n)) this.largestClaim.set(phaseId, BigInt(amount));
+    }
+    if (this.rules.emergencyWithdrawal) {
+      for (const withdrawal of withdrawals) {
+        const { token, recipient, amount } = withdrawal.args;
+        alerts.push({
+          rule: "emergencyWithdrawal",
+          severity: "critical",
+          message: `${await this.formatAmount(token, BigInt(amount))} withdrawn to ${recipient} in ${withdrawal.transactionHash}`,
+          details: { ...withdrawal.args, transactionHash: withdrawal.transactionHash, blockNumber: withdrawal.blockNumber },
+          timestamp: withdrawal.timestamp,
+          distributor
+        });
+      }
+    }
+
+    const conditions = await this.evaluate(now);
+    for (const [key, condition] of conditions) {
+      if (this.firing.has(key)) continue;
+      const alert = { ...condition, timestamp: now, distributor };
+      this.firing.set(key, alert);
+      alerts.push(alert);
+    }
+    for (const [key, alert] of this.firing) {
+      if (conditions.has(key)) continue;
+      this.firing.delete(key);
+      alerts.push({ ...alert, severity: "info", resolved: true, timestamp: now });
+    }
+
+    for (const alert of alerts) await this.send(alert);
+    return alerts;
+  }
+
+  /**
+   * Polls on an interval until stop() is called
+   * @param {number} [intervalMs] Delay between polls
+   */
+  async watch(intervalMs = 60000) {
+    await this.poll();
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (err) {
+        this.log(`Poll failed: ${err.message}`);
+      }
+      if (this.timer) this.timer = setTimeout(tick, intervalMs);
+    };
+    this.timer = setTimeout(tick, intervalMs);
+  }
+
+  /**
+   * Stops polling
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  validateAlertConfig,
+  loadAlertConfig,
+  formatAlert,
+  createSink,
+  AlertWatcher
+};
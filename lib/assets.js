@@ -0,0 +1,139 @@
+const { ethers } = require("ethers");
+
+// MerkleDistributorV2.NATIVE_ASSET, the asset address of phases paying out ETH
+const NATIVE_ASSET = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// The ERC20 functions a reward asset must answer
+const ERC20_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+// EIP-2612 and ERC-5267 functions used to sign a permit
+const PERMIT_ABI = [
+  "function nonces(address) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1, string, string, uint256, address, bytes32, uint256[])"
+];
+
+// EIP-712 types of an EIP-2612 permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Whether an asset address stands for native ETH
+ * @param {string} asset Asset address
+ * @returns {boolean}
+ */
+function isNativeAsset(asset) {
+  return asset.toLowerCase() === NATIVE_ASSET.toLowerCase();
+}
+
+/**
+ * Parses an asset option: "ETH" (or "native") for ETH, otherwise an ERC20 address
+ * @param {string} value Option value
+ * @returns {string} Checksummed asset address
+ */
+function parseAsset(value) {
+  const text = String(value).trim();
+  if (/^(eth|native)$/i.test(text)) return NATIVE_ASSET;
+  if (!ethers.isAddress(text)) {
+    throw new Error(`Invalid asset "${text}", use an ERC20 address or ETH`);
+  }
+  return ethers.getAddress(text.toLowerCase());
+}
+
+/**
+ * Reads the symbol and decimals of an asset, checking that ERC20s answer the calls
+ * MerkleDistributorV2 makes on them. ETH is reported as 18 decimals.
+ * @param {import("ethers").Provider} provider
+ * @param {string} asset Asset address
+ * @returns {Promise<{ address: string, native: boolean, symbol: string, decimals: bigint }>}
+ */
+async function readAsset(provider, asset) {
+  if (isNativeAsset(asset)) {
+    return { address: NATIVE_ASSET, native: true, symbol: "ETH", decimals: 18n };
+  }
+  if ((await provider.getCode(asset)) === "0x") {
+    throw new Error(`Asset ${asset} has no code, it is not an ERC20`);
+  }
+
+  const token = new ethers.Contract(asset, ERC20_ABI, provider);
+  try {
+    await token.totalSupply();
+    await token.balanceOf(ethers.ZeroAddress);
+    await token.allowance(ethers.ZeroAddress, ethers.ZeroAddress);
+    const decimals = await token.decimals();
+    let symbol = "";
+    try {
+      symbol = await token.symbol();
+    } catch (err) {
+      // symbol() is optional in ERC20, some tokens return bytes32 or nothing
+    }
+    return { address: ethers.getAddress(asset), native: false, symbol, decimals };
+  } catch (err) {
+    throw new Error(`Asset ${asset} failed the ERC20 checks: ${err.shortMessage || err.message}`);
+  }
+}
+
+/**
+ * Reads an address's balance of an asset
+ * @param {import("ethers").Provider} provider
+ * @param {string} asset Asset address
+ * @param {string} holder Address to read the balance of
+ * @returns {Promise<bigint>}
+ */
+async function assetBalance(provider, asset, holder) {
+  if (isNativeAsset(asset)) return provider.getBalance(holder);
+  return new ethers.Contract(asset, ERC20_ABI, provider).balanceOf(holder);
+}
+
+/**
+ * Signs an EIP-2612 permit for an ERC20 that publishes its EIP-712 domain (ERC-5267)
+ * @param {import("ethers").Signer} signer Token holder
+ * @param {string} asset ERC20 address
+ * @param {{ spender: string, value: bigint, deadline: number|bigint }} permit
+ * @returns {Promise<{ v: number, r: string, s: string }|null>} null when the token doesn't support permits
+ */
+async function signPermit(signer, asset, { spender, value, deadline }) {
+  const token = new ethers.Contract(asset, PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  let domain;
+  let nonce;
+  try {
+    const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+    domain = { name, version, chainId, verifyingContract };
+    nonce = await token.nonces(owner);
+  } catch (err) {
+    return null;
+  }
+
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline: BigInt(deadline)
+  });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { v, r, s };
+}
+
+module.exports = {
+  NATIVE_ASSET,
+  ERC20_ABI,
+  signPermit,
+  isNativeAsset,
+  parseAsset,
+  readAsset,
+  assetBalance
+};
@@ -0,0 +1,351 @@
+const fs = require("fs");
+const path = require("path");
+const { LEAF_ENCODING_ADDRESS } = require("./merkle");
+const { formatContractError } = require("./errors");
+
+// Bump whenever the checkpoint layout changes
+const CHECKPOINT_VERSION = 4;
+
+// Size of the probe batch used to measure the marginal gas of one recipient
+const PROBE_SIZE = 5;
+
+/**
+ * Loads a checkpoint, or starts a new one. A checkpoint written for another
+ * distributor, phase or root is rejected rather than silently reused.
+ * @param {string} file Checkpoint path
+ * @param {object} run Identity of the run: { chainId, distributor, phaseId, root }
+ * @returns {object}
+ */
+function loadCheckpoint(file, run) {
+  if (!fs.existsSync(file)) {
+    return { version: CHECKPOINT_VERSION, ...run, alreadyClaimed: [], batches: [], pending: null };
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${file}`);
+  }
+  for (const key of Object.keys(run)) {
+    if (String(checkpoint[key]).toLowerCase() !== String(run[key]).toLowerCase()) {
+      throw new Error(`Checkpoint ${file} was written for ${key} ${checkpoint[key]}, not ${run[key]}`);
+    }
+  }
+  return checkpoint;
+}
+
+/**
+ * Writes a checkpoint atomically so an interrupted write never leaves a truncated file
+ * @param {string} file Checkpoint path
+ * @param {object} checkpoint Checkpoint to save
+ */
+function saveCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Builds the batchDistribute / batchDistributeWithAmounts call for a chunk of recipients
+ * @param {object} artifact Merkle artifact
+ * @param {number} phaseId Phase to distribute
+ * @param {string[]} recipients Addresses in the chunk
+ * @returns {{ method: string, args: any[] }}
+ */
+function batchCall(artifact, phaseId, recipients) {
+  const indices = recipients.map(address => artifact.recipients[address].index);
+  const proofs = recipients.map(address => artifact.recipients[address].proof);
+  if (artifact.leafEncoding === LEAF_ENCODING_ADDRESS) {
+    return { method: "batchDistribute", args: [phaseId, indices, recipients, proofs] };
+  }
+  const amounts = recipients.map(address => artifact.recipients[address].amount);
+  return { method: "batchDistributeWithAmounts", args: [phaseId, indices, recipients, amounts, proofs] };
+}
+
+/**
+ * Lists the recipients of a batch receipt whose ETH transfer failed (PayoutFailed)
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {import("ethers").TransactionReceipt} receipt Receipt of the batch
+ * @returns {Promise<string[]>}
+ */
+async function refusedRecipients(distributor, receipt) {
+  const distributorAddress = (await distributor.getAddress()).toLowerCase();
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === distributorAddress)
+    .map(log => distributor.interface.parseLog(log))
+    .filter(parsed => parsed && parsed.name === "PayoutFailed")
+    .map(parsed => parsed.args.recipient);
+}
+
+/**
+ * Builds the checkpoint entry of a mined batch
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {import("ethers").TransactionReceipt} receipt Receipt of the batch
+ * @param {{ recipients: string[], indices: number[] }} chunk Recipients sent in the batch and their indices
+ * @returns {Promise<object>}
+ */
+async function batchEntry(distributor, receipt, { recipients, indices }) {
+  const refused = await refusedRecipients(distributor, receipt);
+  return { hash: receipt.hash, blockNumber: receipt.blockNumber, recipients, indices, refused };
+}
+
+/**
+ * Settles the batch a run sent but didn't get to checkpoint, e.g. when it was interrupted while
+ * waiting for it. A mined batch is checkpointed from its receipt; the recipients of a reverted or
+ * dropped one are sent again, the contract skips any a late copy of it paid in between.
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {object} checkpoint Checkpoint holding the pending batch
+ * @param {(message: string) => void} log Progress logger
+ */
+async function reconcilePending(distributor, checkpoint, log) {
+  const { pending } = checkpoint;
+  if (!pending) return;
+
+  const provider = distributor.runner.provider;
+  let receipt = await provider.getTransactionReceipt(pending.hash);
+  if (!receipt && (await provider.getTransaction(pending.hash))) {
+    log(`Waiting for ${pending.hash}, sent before the interruption`);
+    receipt = await provider.waitForTransaction(pending.hash);
+  }
+
+  if (receipt && receipt.status === 1) {
+    checkpoint.batches.push(await batchEntry(distributor, receipt, pending));
+    log(`Batch ${checkpoint.batches.length}: ${pending.recipients.length} recipients in ${receipt.hash}, sent before the interruption`);
+  } else {
+    log(`${pending.hash} ${receipt ? "reverted" : "was dropped"}, its recipients are sent again`);
+  }
+  checkpoint.pending = null;
+}
+
+/**
+ * Estimates gas for a chunk, reporting reverts by custom error name
+ * @param {import("ethers").Contract} distributor
+ * @param {{ method: string, args: any[] }} call
+ * @returns {Promise<bigint>}
+ */
+async function estimate(distributor, call) {
+  try {
+    return await distributor[call.method].estimateGas(...call.args);
+  } catch (err) {
+    throw new Error(`${call.method} would revert with ${formatContractError(err, distributor.interface)}`);
+  }
+}
+
+/**
+ * Sizes chunks from two gas estimates: one recipient and a small probe batch.
+ * The marginal cost per recipient is extrapolated to fill the gas budget.
+ * @param {import("ethers").Contract} distributor
+ * @param {object} artifact Merkle artifact
+ * @param {number} phaseId Phase to distribute
+ * @param {string[]} pending Recipients still to process
+ * @param {bigint} gasBudget Maximum gas per transaction
+ * @param {number} maxChunkSize Upper bound on the chunk size
+ * @returns {Promise<number>}
+ */
+async function sizeChunks(distributor, artifact, phaseId, pending, gasBudget, maxChunkSize) {
+  const single = await estimate(distributor, batchCall(artifact, phaseId, pending.slice(0, 1)));
+  const probeSize = Math.min(PROBE_SIZE, pending.length);
+  if (probeSize < 2) return 1;
+
+  const probe = await estimate(distributor, batchCall(artifact, phaseId, pending.slice(0, probeSize)));
+  const perRecipient = (probe - single) / BigInt(probeSize - 1);
+  const base = single - perRecipient;
+  if (perRecipient <= 0n || gasBudget <= base) return 1;
+
+  const size = Number((gasBudget - base) / perRecipient);
+  return Math.max(1, Math.min(size, maxChunkSize));
+}
+
+/**
+ * Runs batchDistribute over every recipient of an artifact in gas-sized chunks.
+ * Progress is checkpointed after each transaction so an interrupted run resumes
+ * where it stopped; recipients that already claimed are never sent again, those
+ * that refused ETH are sent again until they are paid or claim another way.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 connected to a DISTRIBUTOR_ROLE account
+ * @param {object} options.artifact Merkle artifact for the phase
+ * @param {number} options.phaseId Phase to distribute
+ * @param {string} options.checkpointFile Where progress is saved
+ * @param {bigint} [options.gasBudget] Maximum gas per transaction (defaults to half the block gas limit)
+ * @param {number} [options.maxChunkSize] Upper bound on recipients per transaction
+ * @param {number} [options.maxBatches] Stop after sending this many transactions
+ * @param {(message: string) => void} [options.log] Progress logger
+ * @returns {Promise<object>} The checkpoint after the run
+ */
+async function runBatchDistribution({
+  distributor,
+  artifact,
+  phaseId,
+  checkpointFile,
+  gasBudget,
+  maxChunkSize = 500,
+  maxBatches = Infinity,
+  log = () => {}
+}) {
+  const provider = distributor.runner.provider;
+  const phase = await distributor.phases(phaseId);
+  if (phase.merkleRoot.toLowerCase() !== artifact.root.toLowerCase()) {
+    throw new Error(`Artifact root ${artifact.root} does not match phase ${phaseId} root ${phase.merkleRoot}`);
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const checkpoint = loadCheckpoint(checkpointFile, {
+    chainId: chainId.toString(),
+    distributor: await distributor.getAddress(),
+    phaseId,
+    root: artifact.root
+  });
+
+  await reconcilePending(distributor, checkpoint, log);
+
+  // Skip everything already sent or already claimed on chain. A recipient that refused ETH wasn't
+  // paid and stays claimable, so unless a later batch took it, it is checked again like the others
+  const done = new Set(checkpoint.alreadyClaimed);
+  for (const batch of checkpoint.batches) {
+    batch.recipients.forEach(address => done.add(address));
+    batch.refused.forEach(address => done.delete(address));
+  }
+  const pending = [];
+  for (const address of Object.keys(artifact.recipients)) {
+    if (done.has(address)) continue;
+    if (await distributor.isClaimed(phaseId, artifact.recipients[address].index)) {
+      checkpoint.alreadyClaimed.push(address);
+    } else {
+      pending.push(address);
+    }
+  }
+  saveCheckpoint(checkpointFile, checkpoint);
+  log(`${done.size} done earlier, ${checkpoint.alreadyClaimed.length} already claimed, ${pending.length} to send`);
+
+  if (pending.length === 0) return checkpoint;
+
+  if (gasBudget === undefined) {
+    const block = await provider.getBlock("latest");
+    gasBudget = block.gasLimit / 2n;
+  }
+  const chunkSize = await sizeChunks(distributor, artifact, phaseId, pending, gasBudget, maxChunkSize);
+  log(`Sending ${chunkSize} recipients per transaction (gas budget ${gasBudget})`);
+
+  let sent = 0;
+  for (let i = 0; i < pending.length && sent < maxBatches; i += chunkSize) {
+    const recipients = pending.slice(i, i + chunkSize);
+    const call = batchCall(artifact, phaseId, recipients);
+
+    // Indices let the report check the claimed bitmap without the artifact
+    const indices = recipients.map(address => artifact.recipients[address].index);
+
+    let receipt;
+    try {
+      const tx = await distributor[call.method](...call.args);
+      // Saved before waiting, so a run interrupted meanwhile settles this transaction instead of losing it
+      checkpoint.pending = { hash: tx.hash, recipients, indices };
+      saveCheckpoint(checkpointFile, checkpoint);
+      receipt = await tx.wait();
+    } catch (err) {
+      throw new Error(`${call.method} reverted with ${formatContractError(err, distributor.interface)}`);
+    }
+
+    checkpoint.batches.push(await batchEntry(distributor, receipt, { recipients, indices }));
+    checkpoint.pending = null;
+    saveCheckpoint(checkpointFile, checkpoint);
+    sent++;
+    log(`Batch ${checkpoint.batches.length}: ${recipients.length} recipients in ${receipt.hash}`);
+  }
+
+  return checkpoint;
+}
+
+/**
+ * Builds the distribution report from the BatchProcessed and Claimed events of every
+ * checkpointed transaction, so resumed runs are reported as a whole.
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {object} checkpoint Checkpoint from runBatchDistribution
+ * @returns {Promise<object>}
+ */
+async function buildDistributionReport(distributor, checkpoint) {
+  const provider = distributor.runner.provider;
+  const distributorAddress = (await distributor.getAddress()).toLowerCase();
+  const sent = [];
+  const skippedInvalidProof = [];
+  const skippedAlreadyClaimed = [...checkpoint.alreadyClaimed];
+  const skippedTransferFailed = [];
+  const transactions = [];
+  let totalAmount = 0n;
+
+  // A recipient that refused ETH is sent again by a resumed run, only its last outcome is reported
+  const lastBatch = new Map();
+  checkpoint.batches.forEach((batch, i) => batch.recipients.forEach(address => lastBatch.set(address, i)));
+  const claimedLater = new Set(checkpoint.alreadyClaimed);
+
+  for (const [batchIndex, batch] of checkpoint.batches.entries()) {
+    const receipt = await provider.getTransactionReceipt(batch.hash);
+    const paid = new Set();
+    const refused = new Set();
+    let processed;
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== distributorAddress) continue;
+      const parsed = distributor.interface.parseLog(log);
+      if (!parsed) continue;
+
+      if (parsed.name === "Claimed") {
+        paid.add(parsed.args.claimant);
+        sent.push({ address: parsed.args.claimant, amount: parsed.args.amount.toString() });
+        totalAmount += parsed.args.amount;
+      } else if (parsed.name === "PayoutFailed") {
+        refused.add(parsed.args.recipient);
+      } else if (parsed.name === "BatchProcessed") {
+        processed = { successCount: Number(parsed.args.successCount), skipCount: Number(parsed.args.skipCount) };
+      }
+    }
+
+    // A skipped recipient refused ETH, claimed through another path meanwhile or had a bad proof
+    for (const [i, address] of batch.recipients.entries()) {
+      if (paid.has(address)) continue;
+      if (refused.has(address)) {
+        if (lastBatch.get(address) === batchIndex && !claimedLater.has(address)) skippedTransferFailed.push(address);
+      } else if (await distributor.isClaimed(checkpoint.phaseId, batch.indices[i])) {
+        skippedAlreadyClaimed.push(address);
+      } else {
+        skippedInvalidProof.push(address);
+      }
+    }
+
+    transactions.push({
+      hash: batch.hash,
+      blockNumber: batch.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      recipients: batch.recipients.length,
+      ...processed
+    });
+  }
+
+  return {
+    chainId: checkpoint.chainId,
+    distributor: checkpoint.distributor,
+    phaseId: checkpoint.phaseId,
+    root: checkpoint.root,
+    summary: {
+      sent: sent.length,
+      skippedInvalidProof: skippedInvalidProof.length,
+      skippedAlreadyClaimed: skippedAlreadyClaimed.length,
+      skippedTransferFailed: skippedTransferFailed.length,
+      totalAmount: totalAmount.toString()
+    },
+    sent,
+    skippedInvalidProof,
+    skippedAlreadyClaimed,
+    skippedTransferFailed,
+    transactions
+  };
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  loadCheckpoint,
+  saveCheckpoint,
+  batchCall,
+  sizeChunks,
+  runBatchDistribution,
+  buildDistributionReport
+};
@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+const { buildArtifact } = require("./merkle");
+
+// Recipient counts measured by default
+const DEFAULT_SIZES = [10, 1000, 10000];
+
+const DROP_AMOUNT = ethers.parseEther("1");
+
+/**
+ * Builds an allowlist of `size` addresses starting with the claimers, padded with generated addresses
+ * @param {string[]} claimers Addresses that send the measured claims
+ * @param {number} size Number of recipients
+ * @returns {string[]}
+ */
+function benchmarkAllowlist(claimers, size) {
+  const addresses = claimers.slice(0, size);
+  for (let i = addresses.length; i < size; i++) {
+    addresses.push(ethers.getAddress(ethers.id(`benchmark:${i}`).slice(0, 42)));
+  }
+  return addresses;
+}
+
+/**
+ * Builds the root and proofs of LegacyMerkleDistributor, whose leaves are keccak256(abi.encodePacked(recipient))
+ * @param {string[]} addresses Recipients
+ * @returns {{ root: string, proofs: Map<string, string[]> }}
+ */
+function legacyTree(addresses) {
+  const leaves = addresses.map(address => ethers.solidityPackedKeccak256(["address"], [address]));
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  const proofs = new Map(addresses.map((address, index) => [address, tree.getHexProof(leaves[index], index)]));
+  return { root: tree.getHexRoot(), proofs };
+}
+
+/**
+ * Claim and batch calls of both distributors, so the benchmark can drive them the same way
+ */
+const VARIANTS = {
+  legacy: {
+    contract: "LegacyMerkleDistributor",
+    build(addresses) {
+      const { root, proofs } = legacyTree(addresses);
+      return {
+        root,
+        claim: (distributor, address) => distributor.claim(proofs.get(address)),
+        batch: (distributor, batch) => distributor.batchDistribute(0, batch, batch.map(address => proofs.get(address)))
+      };
+    }
+  },
+  bitmap: {
+    contract: "MerkleDistributorV2",
+    build(addresses) {
+      const { root, recipients } = buildArtifact(addresses);
+      return {
+        root,
+        claim: (distributor, address) => distributor.claim(recipients[address].index, recipients[address].proof),
+        batch: (distributor, batch) => distributor.batchDistribute(
+          0,
+          batch.map(address => recipients[address].index),
+          batch,
+          batch.map(address => recipients[address].proof)
+        )
+      };
+    }
+  }
+};
+
+/**
+ * Deploys a funded distributor of the given variant with phase 0 set to `root`
+ */
+async function deployVariant(hre, contract, root, size) {
+  const [owner] = await hre.ethers.getSigners();
+  const AirdropToken = await hre.ethers.getContractFactory("AirdropToken");
+  const token = await AirdropToken.deploy(owner.address, hre.ethers.MaxUint256);
+
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  const Distributor = await hre.ethers.getContractFactory(contract);
+  const distributor = await Distributor.deploy(
+    await token.getAddress(), root, DROP_AMOUNT, 0, timestamp + 86400, owner.address
+  );
+  await token.mint(await distributor.getAddress(), DROP_AMOUNT * BigInt(size));
+  return distributor;
+}
+
+/**
+ * Returns the gas used by each transaction, in order
+ */
+async function gasOf(transactions) {
+  const used = [];
+  for (const tx of transactions) {
+    used.push((await (await tx).wait()).gasUsed);
+  }
+  return used;
+}
+
+/**
+ * Measures claim and batchDistribute gas of LegacyMerkleDistributor (address leaves, a storage slot per
+ * claimed address) and MerkleDistributorV2 (index leaves, packed bitmap) on the Hardhat network.
+ * Every size gets fresh deployments: one for `claims` single claims from the first allowlist entries,
+ * one for a batchDistribute of the first `batchSize` recipients.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ sizes?: number[], batchSize?: number, claims?: number }} [options]
+ * @returns {Promise<object[]>} One row per size with the average claim and batch gas of both variants
+ */
+async function runClaimBenchmark(hre, { sizes = DEFAULT_SIZES, batchSize = 100, claims = 10 } = {}) {
+  const signers = (await hre.ethers.getSigners()).slice(1);
+  if (claims > signers.length) {
+    throw new Error(`The network has ${signers.length} spare accounts, fewer than the ${claims} claims to measure`);
+  }
+
+  const results = [];
+  for (const size of sizes) {
+    const addresses = benchmarkAllowlist(signers.slice(0, claims).map(signer => signer.address), size);
+    const claimers = signers.slice(0, Math.min(claims, size));
+    const batch = addresses.slice(0, Math.min(batchSize, size));
+    const row = { size, claims: claimers.length, batchSize: batch.length };
+
+    for (const [name, variant] of Object.entries(VARIANTS)) {
+      const { root, claim, batch: batchCall } = variant.build(addresses);
+
+      const claimDistributor = await deployVariant(hre, variant.contract, root, size);
+      const claimGas = await gasOf(claimers.map(signer => claim(claimDistributor.connect(signer), signer.address)));
+      const batchDistributor = await deployVariant(hre, variant.contract, root, size);
+      const [batchGas] = await gasOf([batchCall(batchDistributor, batch)]);
+
+      row[name] = {
+        claim: claimGas.reduce((sum, gas) => sum + gas, 0n) / BigInt(claimGas.length),
+        batch: batchGas,
+        batchPerRecipient: batchGas / BigInt(batch.length)
+      };
+    }
+    results.push(row);
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_SIZES,
+  benchmarkAllowlist,
+  legacyTree,
+  runClaimBenchmark
+};
@@ -0,0 +1,474 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { loadAllowlist, buildArtifact, readArtifact, LEAF_ENCODING_ADDRESS } = require("./merkle");
+const { parseTime, parseDuration, parseTokenAmount } = require("./cli");
+const { readPhase, diffPhase } = require("./phases");
+const { ERC20_ABI, parseAsset, readAsset, assetBalance, isNativeAsset } = require("./assets");
+const { findDistributorDeployment, DISTRIBUTOR_MODULE_ID } = require("./deployments");
+const { ROLES } = require("./roles");
+
+// Bump whenever the manifest layout changes so old manifests are rejected instead of misread
+const MANIFEST_VERSION = 1;
+
+// Keys a manifest and its phases may use, anything else is most likely a typo
+const MANIFEST_KEYS = ["version", "network", "distributor", "token", "owner", "currentPhase", "phases"];
+const PHASE_KEYS = ["allowlist", "artifact", "amount", "asset", "start", "end", "active", "budget", "vesting"];
+
+// The AirdropToken deployed along with the distributor, for plans made before the deployment
+const NEW_TOKEN = { symbol: "AIR", decimals: 18n };
+
+/**
+ * Parses a manifest time. Relative times such as "+7d" are refused, a plan must give the same
+ * result whenever it is made.
+ * @param {string|number} value Unix seconds or an ISO date
+ * @returns {number}
+ */
+function parseManifestTime(value) {
+  if (String(value).trim().startsWith("+")) {
+    throw new Error(`relative time "${value}" is not allowed, use unix seconds or an ISO date`);
+  }
+  return parseTime(value, 0);
+}
+
+/**
+ * Checks a manifest's structure and normalizes its fields. Every problem is reported at once.
+ * Allowlist and artifact paths are resolved against `baseDir`.
+ * @param {object} raw Parsed manifest
+ * @param {string} baseDir Directory of the manifest file
+ * @returns {object} Manifest with checksummed addresses, unix times and absolute paths
+ */
+function validateManifest(raw, baseDir) {
+  const errors = [];
+  const check = (field, fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      errors.push(`${field}: ${err.message}`);
+      return undefined;
+    }
+  };
+  const address = value => {
+    if (typeof value !== "string" || !ethers.isAddress(value)) throw new Error(`invalid address "${value}"`);
+    return ethers.getAddress(value.toLowerCase());
+  };
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid manifest: expected an object");
+  }
+  if (raw.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${raw.version}, expected ${MANIFEST_VERSION}`);
+  }
+  Object.keys(raw).filter(key => !MANIFEST_KEYS.includes(key)).forEach(key => errors.push(`${key}: unknown field`));
+
+  const manifest = { version: raw.version, network: raw.network, phases: [] };
+  if (raw.distributor !== undefined) manifest.distributor = check("distributor", () => address(raw.distributor));
+  if (raw.token !== undefined) manifest.token = check("token", () => address(raw.token));
+  if (raw.owner !== undefined) manifest.owner = check("owner", () => address(raw.owner));
+
+  if (!Array.isArray(raw.phases) || raw.phases.length === 0) {
+    errors.push("phases: at least one phase is required");
+  } else {
+    raw.phases.forEach((entry, id) => {
+      const field = `phases[${id}]`;
+      if (!entry || typeof entry !== "object") {
+        errors.push(`${field}: expected an object`);
+        return;
+      }
+      Object.keys(entry).filter(key => !PHASE_KEYS.includes(key)).forEach(key => errors.push(`${field}.${key}: unknown field`));
+      if ((entry.allowlist === undefined) === (entry.artifact === undefined)) {
+        errors.push(`${field}: give either an allowlist or an artifact`);
+      }
+      if (entry.end === undefined) errors.push(`${field}.end: required`);
+
+      const vesting = entry.vesting || {};
+      manifest.phases.push({
+        allowlist: entry.allowlist !== undefined ? path.resolve(baseDir, String(entry.allowlist)) : undefined,
+        artifact: entry.artifact !== undefined ? path.resolve(baseDir, String(entry.artifact)) : undefined,
+        amount: entry.amount !== undefined ? String(entry.amount) : undefined,
+        asset: entry.asset !== undefined ? check(`${field}.asset`, () => parseAsset(entry.asset)) : undefined,
+        startTime: check(`${field}.start`, () => parseManifestTime(entry.start === undefined ? 0 : entry.start)),
+        endTime: entry.end !== undefined ? check(`${field}.end`, () => parseManifestTime(entry.end)) : undefined,
+        active: entry.active === undefined ? true : entry.active === true,
+        budget: entry.budget !== undefined ? String(entry.budget) : undefined,
+        vestingCliff: check(`${field}.vesting.cliff`, () => BigInt(parseDuration(vesting.cliff === undefined ? 0 : vesting.cliff))),
+        vestingDuration: check(`${field}.vesting.duration`, () => BigInt(parseDuration(vesting.duration === undefined ? 0 : vesting.duration)))
+      });
+    });
+  }
+
+  if (raw.currentPhase !== undefined) {
+    if (!Number.isInteger(raw.currentPhase) || raw.currentPhase < 0 || raw.currentPhase >= manifest.phases.length) {
+      errors.push(`currentPhase: ${raw.currentPhase} is not one of the manifest's phases`);
+    } else if (!manifest.phases[raw.currentPhase].active) {
+      errors.push(`currentPhase: phase ${raw.currentPhase} is not active`);
+    } else {
+      manifest.currentPhase = raw.currentPhase;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest:\n  ${errors.join("\n  ")}`);
+  }
+  return manifest;
+}
+
+/**
+ * Reads and validates a campaign manifest (.json, .yaml or .yml)
+ * @param {string} file Path to the manifest
+ * @returns {object} Validated manifest
+ */
+function loadManifest(file) {
+  const content = fs.readFileSync(file, "utf8");
+  // The JSON schema keeps YAML dates as strings, so both formats read the same
+  const raw = /\.ya?ml$/i.test(file) ? yaml.load(content, { schema: yaml.JSON_SCHEMA }) : JSON.parse(content);
+  return validateManifest(raw, path.dirname(path.resolve(file)));
+}
+
+/**
+ * Builds the Merkle tree of every manifest phase and turns its amounts into the asset's smallest unit
+ * @param {object} manifest Manifest from loadManifest
+ * @param {{ provider: import("ethers").Provider, token: string|null }} context The distributor's token,
+ *   null before the deployment
+ * @returns {Promise<object[]>} Phases in the shape of readPhase, plus budget, liability, leafCount and the artifact
+ */
+async function resolvePhases(manifest, { provider, token }) {
+  const assets = new Map();
+  const assetInfo = async asset => {
+    if (!asset) return NEW_TOKEN;
+    if (!assets.has(asset)) assets.set(asset, await readAsset(provider, asset));
+    return assets.get(asset);
+  };
+
+  const phases = [];
+  for (const [id, phase] of manifest.phases.entries()) {
+    const artifact = phase.allowlist ? buildArtifact(loadAllowlist(phase.allowlist)) : readArtifact(phase.artifact);
+    const fixedAmount = artifact.leafEncoding === LEAF_ENCODING_ADDRESS;
+    if (fixedAmount && phase.amount === undefined) {
+      throw new Error(`phases[${id}]: amount is required for address-only allowlists`);
+    }
+    if (!fixedAmount && phase.amount !== undefined) {
+      throw new Error(`phases[${id}]: amount can't be used with per-recipient allowlists, amounts come from the leaves`);
+    }
+
+    const asset = phase.asset || token;
+    const { decimals, symbol } = await assetInfo(asset);
+    const dropAmount = fixedAmount ? parseTokenAmount(phase.amount, decimals) : 0n;
+    const liability = fixedAmount ? dropAmount * BigInt(artifact.leafCount) : BigInt(artifact.totalAmount);
+    phases.push({
+      merkleRoot: artifact.root,
+      mode: fixedAmount ? 0 : 1,
+      asset,
+      dropAmount,
+      startTime: BigInt(phase.startTime),
+      endTime: BigInt(phase.endTime),
+      active: phase.active,
+      vestingCliff: phase.vestingCliff,
+      vestingDuration: phase.vestingDuration,
+      budget: phase.budget !== undefined ? parseTokenAmount(phase.budget, decimals) : liability,
+      liability,
+      leafCount: artifact.leafCount,
+      decimals,
+      symbol,
+      artifact
+    });
+  }
+  return phases;
+}
+
+/**
+ * Reads what a plan is compared against: the distributor's phases, currentPhaseId and token,
+ * whether the manifest owner is an admin, and the sender's balance and allowance of every asset.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Manifest from loadManifest
+ * @param {string} [explicit] Distributor address given on the command line
+ * @returns {Promise<object>} `deployed` is false when there is no distributor yet
+ */
+async function readCampaignState(hre, manifest, explicit) {
+  const { provider } = hre.ethers;
+  const [signer] = await hre.ethers.getSigners();
+  const { timestamp } = await provider.getBlock("latest");
+  const address = explicit || manifest.distributor || (await findDistributorDeployment(hre)).address;
+
+  const state = {
+    deployed: Boolean(address),
+    address: address ? ethers.getAddress(address) : null,
+    token: null,
+    sender: signer.address,
+    now: BigInt(timestamp),
+    currentPhaseId: 0,
+    phases: [],
+    ownerIsAdmin: false,
+    funds: {}
+  };
+  if (!address) return state;
+
+  const distributor = await hre.ethers.getContractAt("MerkleDistributorV2", address);
+  state.token = await distributor.token();
+  state.currentPhaseId = Number(await distributor.currentPhaseId());
+  const count = Number(await distributor.getPhaseCount());
+  for (let id = 0; id < count; id++) {
+    state.phases.push(await readPhase(distributor, id));
+  }
+  state.ownerIsAdmin = manifest.owner ? await distributor.hasRole(ROLES.admin, manifest.owner) : true;
+  return state;
+}
+
+/**
+ * Reads the sender's balance and allowance to the distributor of each asset, keyed by lowercase address
+ * @param {import("ethers").Provider} provider
+ * @param {object} state State from readCampaignState, completed in place
+ * @param {string[]} assets Assets the manifest funds
+ */
+async function readSenderFunds(provider, state, assets) {
+  for (const asset of new Set(assets.filter(Boolean))) {
+    const balance = await assetBalance(provider, asset, state.sender);
+    const allowance = isNativeAsset(asset) || !state.address
+      ? 0n
+      : await new ethers.Contract(asset, ERC20_ABI, provider).allowance(state.sender, state.address);
+    state.funds[asset.toLowerCase()] = { balance, allowance };
+  }
+}
+
+/**
+ * Compares two addresses, null standing for the token deployed with the distributor
+ */
+function sameAddress(a, b) {
+  return (a || "").toLowerCase() === (b || "").toLowerCase();
+}
+
+/**
+ * Diffs the manifest against the distributor and lists the transactions that bring it in line.
+ * Pure: every read happens in readCampaignState, so running it again after an apply gives no actions.
+ * Actions are ordered so each one can be simulated once the ones before it are mined:
+ * deployment, admin role, then per phase creation or update, vesting and funding, then activation.
+ * @param {object} manifest Manifest from loadManifest
+ * @param {object[]} phases Phases from resolvePhases
+ * @param {object} state State from readCampaignState, with readSenderFunds applied
+ * @returns {{ actions: object[], diffs: object[], warnings: string[] }}
+ */
+function planCampaign(manifest, phases, state) {
+  const actions = [];
+  const diffs = [];
+  const warnings = [];
+  const errors = [];
+  const chain = {
+    phases: state.phases.map(phase => ({ ...phase })),
+    currentPhaseId: state.currentPhaseId,
+    ownerIsAdmin: state.ownerIsAdmin
+  };
+  const funds = Object.fromEntries(Object.entries(state.funds).map(([asset, entry]) => [asset, { ...entry }]));
+  const display = phase => ({ ...phase, asset: phase.asset || "AirdropToken (deployed with the distributor)" });
+  const action = (phaseId, target, method, args, summary, extra = {}) =>
+    actions.push({ phaseId, target, method, args, summary, ...extra });
+
+  if (!state.deployed) {
+    const first = phases[0];
+    if (manifest.token) errors.push("token: no distributor is deployed, the deployment creates its own AirdropToken");
+    if (first.mode !== 0 || manifest.phases[0].asset) {
+      errors.push("phases[0]: the deployment creates phase 0, it must be an address-only phase paying the deployed token");
+    }
+    if (first.endTime <= state.now) errors.push("phases[0].end: must be in the future");
+    action(0, "ignition", "deploy", [], `deploy AirdropToken and MerkleDistributorV2, phase 0 funded with ${ethers.formatUnits(first.liability, first.decimals)} ${first.symbol}`, {
+      parameters: {
+        [DISTRIBUTOR_MODULE_ID]: { dropAmount: first.dropAmount, startTime: Number(first.startTime), endTime: Number(first.endTime) }
+      },
+      artifact: first.artifact
+    });
+    chain.phases.push({
+      ...first, asset: null, recipientCount: 0n, swept: false, budget: first.liability, claimedAmount: 0n, vestingCliff: 0n, vestingDuration: 0n
+    });
+    diffs.push({ phaseId: 0, change: "create", rows: diffPhase(null, display(first), first.decimals) });
+    chain.currentPhaseId = 0;
+    // Ignition deploys from the first account, which gets the admin role
+    chain.ownerIsAdmin = !manifest.owner || sameAddress(manifest.owner, state.sender);
+  }
+
+  if (manifest.owner && !chain.ownerIsAdmin) {
+    action(null, "distributor", "grantRole", [ROLES.admin, manifest.owner], `make ${manifest.owner} an admin`);
+  }
+  if (state.phases.length > phases.length) {
+    warnings.push(`The distributor has ${state.phases.length} phases and the manifest ${phases.length}, phases ${phases.length}+ are left as they are`);
+  }
+
+  const funding = new Map();
+  phases.forEach((phase, id) => {
+    const field = `phases[${id}]`;
+    const current = chain.phases[id];
+
+    if (!current) {
+      if (phase.endTime <= state.now) {
+        errors.push(`${field}.end: must be in the future to create the phase`);
+        return;
+      }
+      const { merkleRoot, dropAmount, startTime, endTime, active } = phase;
+      if (!sameAddress(phase.asset, state.token)) {
+        action(id, "distributor", "createPhaseForAsset", [phase.asset, phase.mode, merkleRoot, dropAmount, startTime, endTime, active],
+          `create phase ${id} paying ${phase.symbol}`);
+      } else if (phase.mode === 0) {
+        action(id, "distributor", "createPhase", [merkleRoot, dropAmount, startTime, endTime, active], `create phase ${id}`);
+      } else {
+        action(id, "distributor", "createPhaseWithAmounts", [merkleRoot, startTime, endTime, active], `create phase ${id}`);
+      }
+      diffs.push({ phaseId: id, change: "create", rows: diffPhase(null, display({ ...phase, recipientCount: 0n, vestingCliff: 0n, vestingDuration: 0n }), phase.decimals) });
+      chain.phases[id] = { ...phase, recipientCount: 0n, swept: false, budget: 0n, claimedAmount: 0n, vestingCliff: 0n, vestingDuration: 0n };
+      if (active) chain.currentPhaseId = id;
+    } else {
+      if (current.mode !== phase.mode) {
+        errors.push(`${field}: the phase's mode can't change, the allowlist must ${current.mode === 0 ? "not " : ""}have amounts`);
+        return;
+      }
+      if (!sameAddress(current.asset, phase.asset)) {
+        errors.push(`${field}.asset: the phase pays ${current.asset}, a phase's asset can't change`);
+        return;
+      }
+
+      const changed = {
+        merkleRoot: current.merkleRoot !== phase.merkleRoot,
+        dropAmount: phase.mode === 0 && current.dropAmount !== phase.dropAmount,
+        startTime: current.startTime !== phase.startTime,
+        endTime: current.endTime !== phase.endTime
+      };
+      if (Object.values(changed).some(Boolean)) {
+        if (current.swept) {
+          errors.push(`${field}: the phase was swept and can't be updated anymore`);
+          return;
+        }
+        // updatePhase treats 0 as "keep the current value"
+        if (changed.startTime && phase.startTime === 0n) {
+          errors.push(`${field}.start: 0 can't replace a start time, use a time in the past to open claiming right away`);
+          return;
+        }
+        if (changed.endTime && phase.endTime <= state.now) {
+          errors.push(`${field}.end: must be in the future to move the end time`);
+          return;
+        }
+        action(id, "distributor", "updatePhase", [
+          id,
+          changed.merkleRoot ? phase.merkleRoot : ethers.ZeroHash,
+          changed.dropAmount ? phase.dropAmount : 0n,
+          changed.startTime ? phase.startTime : 0n,
+          changed.endTime ? phase.endTime : 0n
+        ], `update phase ${id} (${Object.keys(changed).filter(key => changed[key]).join(", ")})`);
+        const updated = { ...current, merkleRoot: phase.merkleRoot, dropAmount: phase.mode === 0 ? phase.dropAmount : current.dropAmount, startTime: phase.startTime, endTime: phase.endTime };
+        diffs.push({ phaseId: id, change: "update", rows: diffPhase(display(current), display(updated), phase.decimals) });
+        chain.phases[id] = updated;
+      }
+    }
+
+    const onChain = chain.phases[id];
+    if (onChain.vestingCliff !== phase.vestingCliff || onChain.vestingDuration !== phase.vestingDuration) {
+      action(id, "distributor", "setPhaseVesting", [id, phase.vestingCliff, phase.vestingDuration], `set the vesting of phase ${id}`);
+      onChain.vestingCliff = phase.vestingCliff;
+      onChain.vestingDuration = phase.vestingDuration;
+    }
+
+    if (onChain.budget > phase.budget) {
+      warnings.push(`Phase ${id} holds a budget of ${ethers.formatUnits(onChain.budget, phase.decimals)} ${phase.symbol}, above the manifest's ${ethers.formatUnits(phase.budget, phase.decimals)}, budgets can't be lowered`);
+    } else if (onChain.budget < phase.budget && onChain.swept) {
+      warnings.push(`Phase ${id} was swept and can't be funded anymore`);
+    } else if (onChain.budget < phase.budget) {
+      const amount = phase.budget - onChain.budget;
+      const formatted = `${ethers.formatUnits(amount, phase.decimals)} ${phase.symbol}`;
+      if (phase.asset && isNativeAsset(phase.asset)) {
+        action(id, "distributor", "fundPhase", [id, amount], `fund phase ${id} with ${formatted}`, { value: amount });
+      } else {
+        const key = (phase.asset || "").toLowerCase();
+        const entry = funds[key] || (funds[key] = { balance: null, allowance: 0n });
+        // fundPhase pulls the tokens, so the allowance must cover each deposit
+        if (entry.allowance < amount) {
+          action(id, phase.asset, "approve", [state.address, amount], `approve ${formatted} for phase ${id}`);
+          entry.allowance = amount;
+        }
+        entry.allowance -= amount;
+        action(id, "distributor", "fundPhase", [id, amount], `fund phase ${id} with ${formatted}`);
+      }
+      onChain.budget = phase.budget;
+
+      const total = funding.get(phase.asset) || { amount: 0n, phase };
+      funding.set(phase.asset, { amount: total.amount + amount, phase });
+    }
+  });
+
+  for (const [asset, { amount, phase }] of funding) {
+    const entry = state.funds[(asset || "").toLowerCase()];
+    if (entry && entry.balance < amount) {
+      warnings.push(`Funding needs ${ethers.formatUnits(amount, phase.decimals)} ${phase.symbol}, the sender holds ${ethers.formatUnits(entry.balance, phase.decimals)}`);
+    }
+  }
+
+  // Deactivations first, then activations, with the current phase activated last so it ends up current
+  phases.forEach((phase, id) => {
+    if (errors.length > 0 || phase.active || !chain.phases[id].active) return;
+    action(id, "distributor", "deactivatePhase", [id], `deactivate phase ${id}`);
+    chain.phases[id].active = false;
+  });
+  phases.forEach((phase, id) => {
+    if (errors.length > 0 || !phase.active || chain.phases[id].active || id === manifest.currentPhase) return;
+    // setActivePhase refuses ended phases
+    if (chain.phases[id].endTime <= state.now) {
+      warnings.push(`Phase ${id} has ended and can't be activated`);
+      return;
+    }
+    action(id, "distributor", "setActivePhase", [id], `activate phase ${id}`);
+    chain.phases[id].active = true;
+    chain.currentPhaseId = id;
+  });
+  const target = manifest.currentPhase;
+  if (errors.length === 0 && target !== undefined && (chain.currentPhaseId !== target || !chain.phases[target].active)) {
+    action(target, "distributor", "setActivePhase", [target], `make phase ${target} the current phase`);
+    chain.currentPhaseId = target;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`The manifest can't be applied:\n  ${errors.join("\n  ")}`);
+  }
+  return { actions, diffs, warnings };
+}
+
+/**
+ * Formats an action as the call it sends, e.g. "fundPhase(1, 5000000000000000000)"
+ * @param {object} action Action from planCampaign
+ * @returns {string}
+ */
+function formatAction(action) {
+  if (action.method === "deploy") return `ignition deploy ${DISTRIBUTOR_MODULE_ID}`;
+  const call = `${action.method}(${action.args.map(arg => (arg === null ? "<distributor>" : String(arg))).join(", ")})`;
+  const target = action.target === "distributor" ? "" : `${action.target || "<token>"}.`;
+  return `${target}${call}${action.value !== undefined ? ` value=${action.value}` : ""}`;
+}
+
+/**
+ * Loads a manifest, reads the chain and plans the transactions that apply it
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} file Manifest path
+ * @param {{ address?: string }} [options] Distributor address overriding the manifest and the deployment registry
+ * @returns {Promise<{ manifest: object, phases: object[], state: object, plan: object }>}
+ */
+async function buildCampaignPlan(hre, file, { address } = {}) {
+  const manifest = loadManifest(file);
+  if (manifest.network && manifest.network !== hre.network.name) {
+    throw new Error(`The manifest is for network ${manifest.network}, not ${hre.network.name}`);
+  }
+
+  const state = await readCampaignState(hre, manifest, address);
+  if (manifest.token && state.deployed && !sameAddress(manifest.token, state.token)) {
+    throw new Error(`The distributor pays ${state.token}, the manifest expects ${manifest.token}`);
+  }
+  const phases = await resolvePhases(manifest, { provider: hre.ethers.provider, token: state.token });
+  await readSenderFunds(hre.ethers.provider, state, phases.map(phase => phase.asset));
+
+  return { manifest, phases, state, plan: planCampaign(manifest, phases, state) };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  validateManifest,
+  loadManifest,
+  resolvePhases,
+  readCampaignState,
+  planCampaign,
+  formatAction,
+  buildCampaignPlan
+};
@@ -0,0 +1,139 @@
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+// Units accepted by relative times such as "+7d"
+const TIME_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parses a human-readable time into a unix timestamp (seconds).
+ * Accepts unix seconds ("1767225600"), ISO dates ("2026-01-01T00:00:00Z") and
+ * offsets from now ("+30m", "+12h", "+7d", "+2w").
+ * @param {string|number} value Time to parse
+ * @param {number} now Current unix timestamp, used for relative times
+ * @returns {number}
+ */
+function parseTime(value, now) {
+  const text = String(value).trim();
+
+  const relative = text.match(/^\+(\d+)([smhdw])$/);
+  if (relative) {
+    return now + Number(relative[1]) * TIME_UNITS[relative[2]];
+  }
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const millis = Date.parse(text);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid time "${text}", use unix seconds, an ISO date or an offset like +7d`);
+  }
+  return Math.floor(millis / 1000);
+}
+
+/**
+ * Parses a length of time into seconds, e.g. "3600", "30d" or "2w"
+ * @param {string|number} value Duration to parse
+ * @returns {number}
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)([smhdw])?$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", use seconds or a length like 30d`);
+  }
+  return Number(match[1]) * (match[2] ? TIME_UNITS[match[2]] : 1);
+}
+
+/**
+ * Formats seconds with the largest unit that divides them exactly, e.g. 2592000 -> "30d"
+ * @param {bigint|number} seconds Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const value = Number(seconds);
+  const [unit, size] = Object.entries(TIME_UNITS)
+    .reverse()
+    .find(([, size]) => value % size === 0) || ["s", 1];
+  return `${value / size}${unit}`;
+}
+
+/**
+ * Formats a unix timestamp as an ISO date
+ * @param {bigint|number} timestamp Unix seconds
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  const seconds = BigInt(timestamp);
+  // uint64 max is used by the contract for "never ends"
+  if (seconds >= 8640000000000n) return "never";
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Parses a human-readable token amount ("12.5") into the token's smallest unit
+ * @param {string} value Amount to parse
+ * @param {number|bigint} decimals Token decimals
+ * @returns {bigint}
+ */
+function parseTokenAmount(value, decimals) {
+  try {
+    return ethers.parseUnits(String(value).trim(), decimals);
+  } catch (err) {
+    throw new Error(`Invalid token amount "${value}"`);
+  }
+}
+
+/**
+ * Prints rows as an aligned table
+ * @param {string[]} header Column titles
+ * @param {string[][]} rows Table rows
+ */
+function printTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+  const format = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+
+  console.log(format(header));
+  console.log(widths.map(width => "-".repeat(width)).join("  "));
+  rows.forEach(row => console.log(format(row)));
+}
+
+/**
+ * Formats rows as CSV, quoting cells that contain commas, quotes or newlines
+ * @param {string[]} header Column titles
+ * @param {any[][]} rows Table rows
+ * @returns {string}
+ */
+function formatCsv(header, rows) {
+  const cell = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(cell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Asks a yes/no question on the terminal
+ * @param {string} question Question to print
+ * @returns {Promise<boolean>} Whether the user answered yes
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+    // A closed stdin (e.g. in CI) means no answer
+    rl.on("close", () => resolve(false));
+  });
+}
+
+module.exports = {
+  parseTime,
+  parseDuration,
+  formatDuration,
+  formatTime,
+  parseTokenAmount,
+  printTable,
+  formatCsv,
+  confirm
+};
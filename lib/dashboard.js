@@ -0,0 +1,105 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { readArtifact } = require("./merkle");
+const { sendJson, sendError } = require("./http");
+const { contractAbi } = require("./deployments");
+
+// Static files of the web app
+const DASHBOARD_DIR = path.join(__dirname, "..", "dashboard");
+
+// Browser build of ethers, served to the app as an ES module
+const ETHERS_BUNDLE = path.join(path.dirname(require.resolve("ethers")), "..", "dist", "ethers.min.js");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8"
+};
+
+/**
+ * Collects what the web app needs: chain, contract addresses and ABIs, and the Merkle artifacts it can offer.
+ * ABIs come from the deployment registry when it records the contracts.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} options
+ * @param {string} options.distributor MerkleDistributorV2 address
+ * @param {string[]} [options.artifacts] Merkle artifact files, one per phase
+ * @param {string} [options.rpcUrl] JSON-RPC endpoint the browser reads from
+ * @returns {Promise<{ config: object, merkle: object[] }>}
+ */
+async function buildDashboardConfig(hre, { distributor, artifacts = [], rpcUrl }) {
+  const contract = await hre.ethers.getContractAt("MerkleDistributorV2", distributor);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const merkle = artifacts.map(file => readArtifact(file));
+  const address = await contract.getAddress();
+  const token = await contract.token();
+
+  const config = {
+    chainId: Number(chainId),
+    rpcUrl: rpcUrl || null,
+    distributor: {
+      address,
+      abi: await contractAbi(hre, "MerkleDistributorV2", address)
+    },
+    token: {
+      address: token,
+      abi: await contractAbi(hre, "AirdropToken", token)
+    },
+    // The app matches artifacts to phases by root
+    merkle: merkle.map((artifact, id) => ({
+      id,
+      root: artifact.root,
+      leafEncoding: artifact.leafEncoding,
+      leafCount: artifact.leafCount
+    }))
+  };
+  return { config, merkle };
+}
+
+/**
+ * Sends a file from disk
+ * @param {http.ServerResponse} res
+ * @param {string} file Path of the file
+ */
+function sendFile(res, file) {
+  fs.readFile(file, (err, content) => {
+    if (err) return sendError(res, 404, "NOT_FOUND", "Not found");
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(content);
+  });
+}
+
+/**
+ * Creates the HTTP server for the web app
+ * @param {{ config: object, merkle: object[] }} options Output of buildDashboardConfig
+ * @returns {http.Server}
+ */
+function createDashboardServer({ config, merkle }) {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") return sendError(res, 405, "METHOD_NOT_ALLOWED", "Method not allowed");
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/config.json") return sendJson(res, 200, config);
+    if (pathname === "/vendor/ethers.js") return sendFile(res, ETHERS_BUNDLE);
+
+    const merkleMatch = pathname.match(/^\/merkle\/(\d+)\.json$/);
+    if (merkleMatch) {
+      const artifact = merkle[Number(merkleMatch[1])];
+      return artifact
+        ? sendJson(res, 200, artifact)
+        : sendError(res, 404, "UNKNOWN_ARTIFACT", `No Merkle artifact ${merkleMatch[1]}`);
+    }
+
+    // Static files, never outside the dashboard directory
+    const file = path.normalize(path.join(DASHBOARD_DIR, pathname === "/" ? "index.html" : pathname));
+    if (!file.startsWith(DASHBOARD_DIR + path.sep)) return sendError(res, 404, "NOT_FOUND", "Not found");
+    return sendFile(res, file);
+  });
+}
+
+module.exports = {
+  DASHBOARD_DIR,
+  buildDashboardConfig,
+  createDashboardServer
+};
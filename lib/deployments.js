@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LEAF_ENCODING_ADDRESS } = require("./merkle");
+const { normalizeRoleMap } = require("./roles");
+const { signPermit } = require("./assets");
+
+// Ignition module id of the distributor, also the key of its parameters
+const DISTRIBUTOR_MODULE_ID = "MerkleDistributorModule";
+
+// Ignition module id of the token, also the key of its parameters
+const TOKEN_MODULE_ID = "AirdropTokenModule";
+
+// Token cap used when the parameters don't set one: 1 billion tokens of 18 decimals
+const DEFAULT_MAX_SUPPLY = 10n ** 27n;
+
+// Ignition future id under which the distributor address is recorded
+const DISTRIBUTOR_FUTURE_ID = `${DISTRIBUTOR_MODULE_ID}#MerkleDistributorV2`;
+
+// Bump whenever the registry layout changes so old files are rejected instead of misread
+const REGISTRY_VERSION = 1;
+
+// Contracts recorded in the registry, by artifact name
+const REGISTRY_CONTRACTS = ["AirdropToken", "MerkleDistributorV2"];
+
+// Registries of the in-process Hardhat network, whose chain disappears with the process, by chain id
+const memoryRegistries = new Map();
+
+/**
+ * Completes the distributor module parameters from a Merkle artifact.
+ * The root is taken from the artifact (a root already present in the parameters must match it)
+ * and the distributor is funded with exactly leafCount * dropAmount. The optional `roles` map is
+ * validated and completed with empty lists for the roles it leaves out. The token's `maxSupply`
+ * defaults to DEFAULT_MAX_SUPPLY and must leave room for the phase 0 budget.
+ * @param {object} parameters Ignition parameters, as read from ignition/parameters/<network>.json
+ * @param {object} artifact Merkle artifact from merkle:build
+ * @returns {object} Parameters ready for hre.ignition.deploy
+ */
+function resolveDistributorParameters(parameters, artifact) {
+  const moduleParams = parameters[DISTRIBUTOR_MODULE_ID] || {};
+
+  if (artifact.leafEncoding !== LEAF_ENCODING_ADDRESS) {
+    throw new Error(`The initial phase uses address-only leaves, got a "${artifact.leafEncoding}" artifact`);
+  }
+  if (moduleParams.dropAmount === undefined) {
+    throw new Error(`Missing ${DISTRIBUTOR_MODULE_ID}.dropAmount parameter`);
+  }
+  if (moduleParams.endTime === undefined) {
+    throw new Error(`Missing ${DISTRIBUTOR_MODULE_ID}.endTime parameter`);
+  }
+
+  const configuredRoot = moduleParams.merkleRoot;
+  if (configuredRoot && BigInt(configuredRoot) !== 0n && configuredRoot.toLowerCase() !== artifact.root.toLowerCase()) {
+    throw new Error(`merkleRoot parameter ${configuredRoot} does not match the artifact root ${artifact.root}`);
+  }
+
+  const dropAmount = BigInt(moduleParams.dropAmount);
+  const fundAmount = BigInt(artifact.leafCount) * dropAmount;
+  const tokenParams = parameters[TOKEN_MODULE_ID] || {};
+  const maxSupply = tokenParams.maxSupply === undefined ? DEFAULT_MAX_SUPPLY : BigInt(tokenParams.maxSupply);
+  if (maxSupply < fundAmount) {
+    throw new Error(`${TOKEN_MODULE_ID}.maxSupply ${maxSupply} is below the phase 0 budget of ${fundAmount}`);
+  }
+
+  return {
+    ...parameters,
+    [TOKEN_MODULE_ID]: { ...tokenParams, maxSupply },
+    [DISTRIBUTOR_MODULE_ID]: {
+      ...moduleParams,
+      merkleRoot: artifact.root,
+      dropAmount,
+      fundAmount,
+      roles: normalizeRoleMap(moduleParams.roles)
+    }
+  };
+}
+
+/**
+ * Returns where the registry of a chain lives: deployments/chain-<id>.json, or null on the
+ * in-process Hardhat network, whose registry is only kept in memory like its chain
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {bigint|number} chainId
+ * @returns {string|null}
+ */
+function registryFile(hre, chainId) {
+  if (hre.network.name === "hardhat") return null;
+  return path.join(hre.config.paths.root, "deployments", `chain-${chainId}.json`);
+}
+
+/**
+ * Reads a registry file
+ * @param {string} file
+ * @returns {object|null} null when the file doesn't exist
+ */
+function loadRegistry(file) {
+  if (!fs.existsSync(file)) return null;
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`${file} is a version ${registry.version} registry, expected version ${REGISTRY_VERSION}`);
+  }
+  return registry;
+}
+
+/**
+ * Writes a registry file, creating the deployments directory as needed
+ * @param {string} file
+ * @param {object} registry
+ */
+function saveRegistry(file, registry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Reads the deployment registry of the current chain
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<{ file: string|null, chainId: bigint, registry: object|null }>} registry is null when nothing was recorded
+ */
+async function readRegistry(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = registryFile(hre, chainId);
+  const registry = file ? loadRegistry(file) : memoryRegistries.get(chainId) || null;
+  return { file, chainId, registry };
+}
+
+/**
+ * Finds the block and transaction that created a contract, searching the blocks after `fromBlock`.
+ * The block is found by bisecting on eth_getCode, then the creation transaction by its receipt.
+ * @param {import("ethers").Provider} provider
+ * @param {string} address Contract address
+ * @param {number} [fromBlock] A block before the deployment
+ * @returns {Promise<{ blockNumber: number, transactionHash: string, data: string }|null>} null when the
+ *   contract already existed at `fromBlock` or was created by another contract
+ */
+async function findCreation(provider, address, fromBlock = 0) {
+  let low = fromBlock;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, low)) !== "0x" || (await provider.getCode(address, high)) === "0x") return null;
+
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, middle)) === "0x") low = middle;
+    else high = middle;
+  }
+
+  const block = await provider.getBlock(high, true);
+  for (const tx of block.prefetchedTransactions.filter(candidate => candidate.to === null)) {
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt.contractAddress && receipt.contractAddress.toLowerCase() === address.toLowerCase()) {
+      return { blockNumber: high, transactionHash: tx.hash, data: tx.data };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes the constructor arguments appended to a contract's creation bytecode
+ * @param {{ abi: object[], bytecode: string }} artifact Compiled artifact of the contract
+ * @param {string} data Input of the creation transaction
+ * @returns {any[]|null} JSON-ready arguments, bigints as strings, or null when the bytecode differs from the artifact
+ */
+function decodeConstructorArgs(artifact, data) {
+  if (!data.toLowerCase().startsWith(artifact.bytecode.toLowerCase())) return null;
+  const constructor = artifact.abi.find(item => item.type === "constructor");
+  if (!constructor) return [];
+
+  const decoded = ethers.AbiCoder.defaultAbiCoder().decode(constructor.inputs, "0x" + data.slice(artifact.bytecode.length));
+  const plain = value => {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(plain);
+    return value;
+  };
+  return plain(decoded.toArray(true));
+}
+
+/**
+ * Records deployed contracts in the registry of the current chain: address, constructor arguments,
+ * creation block and transaction, and ABI. Entries of contracts not given are kept.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} contracts Artifact name (AirdropToken, MerkleDistributorV2) => address
+ * @param {{ fromBlock?: number }} [options] A block before the deployment, narrows the search for the creation block
+ * @returns {Promise<{ file: string|null, registry: object }>}
+ */
+async function recordDeployment(hre, contracts, { fromBlock = 0 } = {}) {
+  const { file, chainId, registry: existing } = await readRegistry(hre);
+  const registry = existing || { version: REGISTRY_VERSION, chainId: Number(chainId), network: hre.network.name, contracts: {} };
+  registry.network = hre.network.name;
+
+  for (const [name, address] of Object.entries(contracts)) {
+    if (!REGISTRY_CONTRACTS.includes(name)) {
+      throw new Error(`The registry records ${REGISTRY_CONTRACTS.join(" and ")}, not ${name}`);
+    }
+    const artifact = await hre.artifacts.readArtifact(name);
+    // Nodes that aren't archive nodes refuse old state, the address and ABI are still worth recording
+    const creation = await findCreation(hre.ethers.provider, address, fromBlock).catch(() => null);
+    const previous = registry.contracts[name];
+    // A contract found before fromBlock keeps what an earlier record found out about it
+    const known = previous && previous.address.toLowerCase() === address.toLowerCase() ? previous : {};
+
+    registry.contracts[name] = {
+      address: ethers.getAddress(address),
+      constructorArgs: creation ? decodeConstructorArgs(artifact, creation.data) : known.constructorArgs || null,
+      blockNumber: creation ? creation.blockNumber : known.blockNumber || null,
+      transactionHash: creation ? creation.transactionHash : known.transactionHash || null,
+      abi: artifact.abi
+    };
+  }
+
+  if (file) saveRegistry(file, registry);
+  else memoryRegistries.set(chainId, registry);
+  return { file, registry };
+}
+
+/**
+ * Mints the phase 0 budget against the funder's minter allowance and deposits it with a permit.
+ * Does nothing once phase 0 has a budget. The mint takes exactly the allowance the module granted,
+ * so a resumed deployment whose allowance is already spent deposits the minted tokens without minting again.
+ * @param {import("ethers").Contract} airdropToken
+ * @param {import("ethers").Contract} merkleDistributor
+ * @param {import("ethers").Signer} funder Account given the minter allowance by the module
+ * @param {bigint} amount Phase 0 budget
+ */
+async function fundInitialPhase(airdropToken, merkleDistributor, funder, amount) {
+  if ((await merkleDistributor.phases(0)).budget !== 0n) return;
+
+  const token = airdropToken.connect(funder);
+  const address = await funder.getAddress();
+  if ((await token.minterAllowance(address)) !== 0n) {
+    await (await token.mint(address, amount)).wait();
+  }
+
+  const { timestamp } = await funder.provider.getBlock("latest");
+  const deadline = timestamp + 3600;
+  const spender = await merkleDistributor.getAddress();
+  const { v, r, s } = await signPermit(funder, await token.getAddress(), { spender, value: amount, deadline });
+  await (await merkleDistributor.connect(funder).fundPhaseWithPermit(0, amount, deadline, v, r, s)).wait();
+}
+
+/**
+ * Deploys the distributor module through Ignition, funds phase 0 from the funder and records both
+ * contracts in the registry
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} parameters Parameters from resolveDistributorParameters
+ * @param {{ displayUi?: boolean, funder: import("ethers").Signer }} options The funder can't be the deployer,
+ *   which owns the token and mints without an allowance. A `funder` parameter must be its address
+ * @returns {Promise<{ airdropToken: import("ethers").Contract, merkleDistributor: import("ethers").Contract, file: string|null }>}
+ */
+async function deployDistributor(hre, parameters, { displayUi = false, funder } = {}) {
+  // Required here so the registry helpers load without the Ignition plugin
+  const MerkleDistributorModule = require("../ignition/modules/distributor");
+  const moduleParams = parameters[DISTRIBUTOR_MODULE_ID];
+  if (!funder) throw new Error("Phase 0 needs a funder, set FUNDER_KEY");
+  const funderAddress = await funder.getAddress();
+  const [deployer] = await hre.ethers.getSigners();
+  if (funderAddress === deployer.address) {
+    throw new Error(`The funder ${funderAddress} is the deployer, which owns the token; use a separate funding key`);
+  }
+  if (moduleParams.funder && ethers.getAddress(moduleParams.funder) !== funderAddress) {
+    throw new Error(`${DISTRIBUTOR_MODULE_ID}.funder is ${moduleParams.funder}, but phase 0 would be funded from ${funderAddress}`);
+  }
+
+  const fromBlock = await hre.ethers.provider.getBlockNumber();
+  const { airdropToken, merkleDistributor } = await hre.ignition.deploy(MerkleDistributorModule, {
+    parameters: { ...parameters, [DISTRIBUTOR_MODULE_ID]: { ...moduleParams, funder: funderAddress } },
+    displayUi
+  });
+  await fundInitialPhase(airdropToken, merkleDistributor, funder, moduleParams.fundAmount);
+
+  const { file } = await recordDeployment(hre, {
+    AirdropToken: await airdropToken.getAddress(),
+    MerkleDistributorV2: await merkleDistributor.getAddress()
+  }, { fromBlock });
+  return { airdropToken, merkleDistributor, file };
+}
+
+/**
+ * Reads the distributor address and deployment block recorded in the registry of the current chain
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<{ file: string|null, chainId: bigint, registry: object|null, address: string|null, blockNumber: number|null }>}
+ *   address is null when no distributor was recorded, blockNumber when its deployment block isn't known
+ */
+async function findDistributorDeployment(hre) {
+  const { file, chainId, registry } = await readRegistry(hre);
+  const entry = registry && registry.contracts.MerkleDistributorV2;
+  return { file, chainId, registry, address: entry ? entry.address : null, blockNumber: entry ? entry.blockNumber ?? null : null };
+}
+
+/**
+ * Resolves the distributor address: an explicit address wins, otherwise the one recorded
+ * in the deployment registry of the current chain
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [explicit] Address given on the command line
+ * @returns {Promise<string>}
+ */
+async function resolveDistributorAddress(hre, explicit) {
+  if (explicit) return hre.ethers.getAddress(explicit);
+
+  const { file, chainId, registry, address } = await findDistributorDeployment(hre);
+  const where = file || "the in-memory registry of the Hardhat network";
+  if (!registry) {
+    throw new Error(`No deployment recorded for chain ${chainId} in ${where}, pass --address or run deployments:record`);
+  }
+  if (!address) {
+    throw new Error(`MerkleDistributorV2 is not in ${where}, pass --address or run deployments:record`);
+  }
+  return address;
+}
+
+/**
+ * Returns the ABI of a contract: the one recorded with it in the registry, so a deployment keeps
+ * the interface it was compiled with, or the current artifact's for unrecorded addresses
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} name AirdropToken or MerkleDistributorV2
+ * @param {string} address Contract address
+ * @returns {Promise<object[]>}
+ */
+async function contractAbi(hre, name, address) {
+  const { registry } = await readRegistry(hre);
+  const entry = registry && registry.contracts[name];
+  if (entry && entry.address.toLowerCase() === address.toLowerCase()) return entry.abi;
+  return (await hre.artifacts.readArtifact(name)).abi;
+}
+
+/**
+ * Returns the MerkleDistributorV2 contract connected to the first signer
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [explicit] Address given on the command line
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function getDistributor(hre, explicit) {
+  const address = await resolveDistributorAddress(hre, explicit);
+  return hre.ethers.getContractAt("MerkleDistributorV2", address);
+}
+
+module.exports = {
+  DISTRIBUTOR_MODULE_ID,
+  TOKEN_MODULE_ID,
+  DEFAULT_MAX_SUPPLY,
+  DISTRIBUTOR_FUTURE_ID,
+  REGISTRY_VERSION,
+  resolveDistributorParameters,
+  loadRegistry,
+  saveRegistry,
+  readRegistry,
+  findCreation,
+  decodeConstructorArgs,
+  recordDeployment,
+  fundInitialPhase,
+  deployDistributor,
+  findDistributorDeployment,
+  contractAbi,
+  resolveDistributorAddress,
+  getDistributor
+};
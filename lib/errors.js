@@ -0,0 +1,66 @@
+/**
+ * Looks for raw revert data on an error thrown by ethers or the Hardhat provider
+ * @param {Error} err Error thrown by a contract call
+ * @returns {string|undefined} 0x-prefixed revert data
+ */
+function findRevertData(err) {
+  const seen = new Set();
+  const queue = [err];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data === "object") queue.push(current.data);
+    queue.push(current.error, current.info, current.cause);
+    if (current.info) queue.push(current.info.error);
+  }
+  return undefined;
+}
+
+/**
+ * Decodes the custom error (or Error(string) / Panic(uint256)) a contract call reverted with
+ * @param {Error} err Error thrown by a contract call
+ * @param {import("ethers").Interface} iface Interface of the called contract
+ * @returns {{ name: string, args: any[] }|null} Decoded error, or null when it can't be decoded
+ */
+function decodeContractError(err, iface) {
+  if (err && err.revert && err.revert.name) {
+    return { name: err.revert.name, args: [...err.revert.args] };
+  }
+
+  const data = findRevertData(err);
+  if (!data || data === "0x") return null;
+
+  try {
+    const parsed = iface.parseError(data);
+    if (parsed) return { name: parsed.name, args: [...parsed.args] };
+  } catch (parseErr) {
+    // Unknown selector, fall through
+  }
+  return null;
+}
+
+/**
+ * Formats a contract error for display, e.g. `InvalidPhase()` or `Error("End time must be in future")`
+ * @param {Error} err Error thrown by a contract call
+ * @param {import("ethers").Interface} iface Interface of the called contract
+ * @returns {string}
+ */
+function formatContractError(err, iface) {
+  const decoded = decodeContractError(err, iface);
+  if (!decoded) return err.shortMessage || err.message;
+
+  const args = decoded.args.map(arg => (typeof arg === "string" ? JSON.stringify(arg) : String(arg)));
+  return `${decoded.name}(${args.join(", ")})`;
+}
+
+module.exports = {
+  findRevertData,
+  decodeContractError,
+  formatContractError
+};
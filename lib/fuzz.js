@@ -0,0 +1,147 @@
+// Replays attempted while shrinking a failing sequence, each one re-runs the sequence from scratch
+const DEFAULT_MAX_SHRINKS = 200;
+
+/**
+ * Seeded pseudo-random generator (mulberry32). The same seed always gives the same values,
+ * so a generated sequence can be replayed from its seed alone.
+ * @param {number} seed 32-bit seed
+ * @returns {{ seed: number, next: () => number, int: (min: number, max: number) => number,
+ *   bool: (probability?: number) => boolean, pick: (items: any[]) => any,
+ *   subset: (items: any[], min?: number) => any[], weighted: (weights: object) => string }}
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    seed: seed >>> 0,
+    next,
+    int,
+    bool: (probability = 0.5) => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)],
+    // Random non-empty selection keeping the order of `items`
+    subset(items, min = 1) {
+      const picked = items.filter(() => next() < 0.5);
+      while (picked.length < Math.min(min, items.length)) {
+        const item = items[int(0, items.length - 1)];
+        if (!picked.includes(item)) picked.push(item);
+      }
+      return items.filter(item => picked.includes(item));
+    },
+    // Picks a key of `weights` with probability proportional to its value
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+      }
+      return entries[entries.length - 1][0];
+    }
+  };
+}
+
+/**
+ * Formats an action as "type {params}" for failure reports, bigints included
+ * @param {{ type: string }} action
+ * @returns {string}
+ */
+function formatStep({ type, ...params }) {
+  return `${type} ${JSON.stringify(params, (key, value) => (typeof value === "bigint" ? value.toString() : value))}`;
+}
+
+/**
+ * Removes actions from a failing sequence for as long as it keeps failing: chunks of half the
+ * sequence first, then smaller chunks down to single actions. Deterministic for a deterministic
+ * `check`, so the same seed always shrinks to the same sequence.
+ * @param {object[]} actions Failing sequence
+ * @param {(actions: object[]) => Promise<Error|null>} check Runs a sequence and returns its failure, if any
+ * @param {{ maxShrinks?: number }} [options]
+ * @returns {Promise<{ actions: object[], error: Error|null, attempts: number }>}
+ */
+async function shrinkSequence(actions, check, { maxShrinks = DEFAULT_MAX_SHRINKS } = {}) {
+  let current = actions;
+  let error = null;
+  let attempts = 0;
+
+  let size = Math.max(1, Math.floor(current.length / 2));
+  while (attempts < maxShrinks) {
+    let removed = false;
+    for (let start = 0; start < current.length && attempts < maxShrinks;) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      attempts++;
+      const failure = await check(candidate);
+      if (failure) {
+        current = candidate;
+        error = failure;
+        removed = true;
+      } else {
+        start += size;
+      }
+    }
+    if (!removed) {
+      if (size === 1) break;
+      size = Math.floor(size / 2);
+    }
+  }
+  return { actions: current, error, attempts };
+}
+
+/**
+ * Runs a property over `runs` generated sequences. Run i uses seed `seed + i`. The first failing
+ * sequence is shrunk and reported with its seed, which replays it with `runs: 1`.
+ * @param {object} options
+ * @param {number} options.seed Seed of the first run
+ * @param {number} options.runs Number of sequences
+ * @param {number} options.steps Actions per sequence
+ * @param {(random: object, steps: number) => object[]} options.generate Builds a sequence of `{ type, ... }` actions
+ * @param {(actions: object[]) => Promise<void>} options.execute Runs a sequence from a fresh state, throwing when
+ *   an invariant breaks
+ * @param {number} [options.maxShrinks]
+ * @returns {Promise<{ runs: number }>}
+ */
+async function runProperty({ seed, runs, steps, generate, execute, maxShrinks }) {
+  const check = async actions => {
+    try {
+      await execute(actions);
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = (seed + run) >>> 0;
+    const actions = generate(createRandom(runSeed), steps);
+    const failure = await check(actions);
+    if (!failure) continue;
+
+    const shrunk = await shrinkSequence(actions, check, { maxShrinks });
+    const error = shrunk.error || failure;
+    const lines = shrunk.actions.map((action, i) => `  ${i + 1}. ${formatStep(action)}`);
+    const report = new Error(
+      `Property failed for seed ${runSeed} after ${actions.length} actions, shrunk to ${shrunk.actions.length}:\n` +
+      `${lines.join("\n")}\n${error.message}\n` +
+      `Replay with FUZZ_SEED=${runSeed} FUZZ_RUNS=1 FUZZ_STEPS=${steps}`
+    );
+    report.seed = runSeed;
+    report.actions = shrunk.actions;
+    report.cause = error;
+    throw report;
+  }
+  return { runs };
+}
+
+module.exports = {
+  createRandom,
+  formatStep,
+  shrinkSequence,
+  runProperty
+};
@@ -0,0 +1,121 @@
+/**
+ * Sends a JSON response
+ * @param {import("http").ServerResponse} res
+ * @param {number} status HTTP status
+ * @param {object} body Response body
+ * @param {object} [headers] Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error in the shape every service uses: { error: { code, message } }
+ * @param {import("http").ServerResponse} res
+ * @param {number} status HTTP status
+ * @param {string} code Machine-readable code, e.g. "UNKNOWN_PHASE"
+ * @param {string} message Human-readable explanation
+ * @param {object} [headers] Extra headers
+ */
+function sendError(res, status, code, message, headers) {
+  sendJson(res, status, { error: { code, message } }, headers);
+}
+
+/**
+ * Small in-memory cache whose entries expire after a fixed time
+ */
+class TtlCache {
+  /**
+   * @param {number} ttlMs Lifetime of an entry in milliseconds
+   * @param {() => number} [now] Clock, replaceable in tests
+   */
+  constructor(ttlMs, now = Date.now) {
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the cached value for a key, computing and caching it when missing or expired.
+   * Concurrent calls for the same key share one computation.
+   * @param {string} key
+   * @param {() => Promise<any>} load Computes the value
+   * @returns {Promise<any>}
+   */
+  async get(key, load) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expires > this.now()) return entry.value;
+
+    const value = load();
+    this.entries.set(key, { value, expires: this.now() + this.ttlMs });
+    try {
+      return await value;
+    } catch (err) {
+      // Don't cache failures
+      this.entries.delete(key);
+      throw err;
+    }
+  }
+
+  /**
+   * Drops every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Fixed-window rate limiter keyed by client (usually the remote address)
+ */
+class RateLimiter {
+  /**
+   * @param {number} limit Requests allowed per window
+   * @param {number} windowMs Window length in milliseconds
+   * @param {() => number} [now] Clock, replaceable in tests
+   */
+  constructor(limit, windowMs, now = Date.now) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.windows = new Map();
+  }
+
+  /**
+   * Counts a request and tells whether it is allowed
+   * @param {string} key Client key
+   * @returns {{ allowed: boolean, retryAfter: number }} retryAfter is in seconds
+   */
+  hit(key) {
+    const now = this.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= this.limit,
+      retryAfter: Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+
+  /**
+   * Forgets windows that already ended, to keep memory bounded
+   */
+  prune() {
+    const now = this.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  sendJson,
+  sendError,
+  TtlCache,
+  RateLimiter
+};
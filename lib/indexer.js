@@ -0,0 +1,196 @@
+const DISTRIBUTOR_EVENTS = [
+  "Claimed",
+  "BatchProcessed",
+  "PhaseCreated",
+  "PhaseUpdated",
+  "PhaseActivated",
+  "PhaseDeactivated",
+  "EmergencyWithdrawal",
+  "PhaseFunded",
+  "PhaseSwept",
+  "TreasuryUpdated",
+  "PhaseVestingSet",
+  "Released",
+  "PayoutFailed"
+];
+const TOKEN_EVENTS = ["Transfer"];
+
+/**
+ * Converts decoded event arguments into JSON-friendly values:
+ * phase ids become numbers, other integers decimal strings
+ * @param {import("ethers").LogDescription} parsed Decoded log
+ * @returns {object}
+ */
+function normalizeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    if (typeof value === "bigint") {
+      args[input.name] = input.name === "phaseId" ? Number(value) : value.toString();
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Indexes MerkleDistributorV2 and AirdropToken events into an EventStore.
+ * Only blocks at least `confirmations` deep are indexed; the hashes of indexed blocks are
+ * remembered so a reorg reaching below that depth is detected and rolled back on the next sync.
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 instance
+   * @param {import("ethers").Contract} options.token AirdropToken instance
+   * @param {import("./store").EventStore} options.store Store to write into
+   * @param {number} [options.confirmations] Blocks to wait before indexing a block
+   * @param {number} [options.startBlock] First block to backfill from
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {(message: string) => void} [options.log] Progress logger
+   */
+  constructor({ distributor, token, store, confirmations = 0, startBlock = 0, batchSize = 2000, log = () => {} }) {
+    this.distributor = distributor;
+    this.token = token;
+    this.store = store;
+    this.confirmations = confirmations;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.log = log;
+    this.provider = distributor.runner.provider;
+    this.timer = null;
+  }
+
+  /**
+   * Rolls the store back to the newest indexed block still on the canonical chain
+   * @returns {Promise<number|null>} The block rolled back to, or null when there was no reorg
+   */
+  async detectReorg() {
+    const known = this.store.knownBlocks();
+    if (known.length === 0) return null;
+
+    for (let i = 0; i < known.length; i++) {
+      const block = await this.provider.getBlock(known[i].number);
+      if (block && block.hash === known[i].hash) {
+        if (i === 0) return null;
+        this.log(`Reorg detected, rolling back to block ${known[i].number}`);
+        this.store.rollback(known[i].number);
+        return known[i].number;
+      }
+    }
+
+    // Nothing we indexed is canonical anymore, start over
+    this.log("Reorg deeper than every known block, re-indexing from the start");
+    this.store.rollback(this.startBlock - 1);
+    return this.startBlock - 1;
+  }
+
+  /**
+   * Fetches and decodes the events of a block range
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<object[]>}
+   */
+  async fetchEvents(fromBlock, toBlock) {
+    const sources = [
+      { source: "distributor", contract: this.distributor, names: DISTRIBUTOR_EVENTS },
+      { source: "token", contract: this.token, names: TOKEN_EVENTS }
+    ];
+    const addresses = await Promise.all(sources.map(({ contract }) => contract.getAddress()));
+    const logs = await this.provider.getLogs({ address: addresses, fromBlock, toBlock });
+
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      const i = addresses.findIndex(address => address.toLowerCase() === log.address.toLowerCase());
+      const { source, contract, names } = sources[i];
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed || !names.includes(parsed.name)) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+      }
+      this.store.setBlockHash(log.blockNumber, log.blockHash);
+
+      events.push({
+        id: `${log.transactionHash}:${log.index}`,
+        source,
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args: normalizeArgs(parsed)
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Indexes every confirmed block not indexed yet
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number }|null>} What was indexed, null if nothing
+   */
+  async sync() {
+    await this.detectReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    const fromBlock = this.store.cursor === null ? this.startBlock : this.store.cursor + 1;
+    if (target < fromBlock) return null;
+
+    let count = 0;
+    for (let start = fromBlock; start <= target; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, target);
+      const events = await this.fetchEvents(start, end);
+      this.store.addEvents(events);
+      count += events.length;
+
+      // Remember where we stopped so the next sync can tell if it was reorged away
+      const block = await this.provider.getBlock(end);
+      this.store.setBlockHash(end, block.hash);
+      this.store.cursor = end;
+      this.store.save();
+    }
+
+    // Hashes far below the confirmation window are no longer needed
+    this.store.pruneBlocks(target - this.confirmations - this.batchSize);
+    this.store.save();
+
+    this.log(`Indexed blocks ${fromBlock}-${target}: ${count} events`);
+    return { fromBlock, toBlock: target, events: count };
+  }
+
+  /**
+   * Backfills, then keeps syncing on an interval until stop() is called
+   * @param {number} [intervalMs] Delay between syncs
+   */
+  async follow(intervalMs = 5000) {
+    await this.sync();
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (err) {
+        this.log(`Sync failed: ${err.message}`);
+      }
+      if (this.timer) this.timer = setTimeout(tick, intervalMs);
+    };
+    this.timer = setTimeout(tick, intervalMs);
+  }
+
+  /**
+   * Stops following new blocks
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  DISTRIBUTOR_EVENTS,
+  TOKEN_EVENTS,
+  normalizeArgs,
+  EventIndexer
+};
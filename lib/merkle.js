@@ -0,0 +1,293 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+// Bump whenever the artifact layout changes so consumers can reject files they don't understand
+const ARTIFACT_VERSION = 2;
+
+// Leaf encodings matching MerkleDistributorV2.PhaseMode
+const LEAF_ENCODING_ADDRESS = "index-address";
+const LEAF_ENCODING_ADDRESS_AMOUNT = "index-address-amount";
+
+/**
+ * Hashes a leaf exactly like MerkleDistributorV2: keccak256(abi.encodePacked(index, recipient)),
+ * or keccak256(abi.encodePacked(index, recipient, amount)) when an amount is given
+ * @param {number|bigint} index Position of the recipient in the allowlist, its bit in the claimed bitmap
+ * @param {string} address Recipient address
+ * @param {bigint|string} [amount] Per-recipient amount in the token's smallest unit
+ * @returns {string} 0x-prefixed leaf hash
+ */
+function hashLeaf(index, address, amount) {
+  if (amount === undefined || amount === null) {
+    return ethers.solidityPackedKeccak256(["uint256", "address"], [BigInt(index), address]);
+  }
+  return ethers.solidityPackedKeccak256(["uint256", "address", "uint256"], [BigInt(index), address, BigInt(amount)]);
+}
+
+/**
+ * Turns an address or { address, amount } object into a leaf entry
+ * @param {string|{ address: string, amount?: bigint|string }} item
+ * @returns {{ address: string, amount?: bigint }}
+ */
+function toEntry(item) {
+  if (typeof item === "string") return { address: item };
+  return item.amount === undefined || item.amount === null
+    ? { address: item.address }
+    : { address: item.address, amount: BigInt(item.amount) };
+}
+
+/**
+ * Validates a single address and returns it in checksummed form.
+ * Mixed-case input must carry a valid EIP-55 checksum; all-lower/upper case input is accepted as is.
+ * @param {string} raw Address as read from the allowlist
+ * @returns {string} Checksummed address
+ */
+function normalizeAddress(raw) {
+  const value = String(raw).trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new Error(`invalid address "${value}"`);
+  }
+
+  let address;
+  try {
+    address = ethers.getAddress(value);
+  } catch (err) {
+    throw new Error(`bad checksum for address "${value}"`);
+  }
+
+  if (address === ethers.ZeroAddress) {
+    throw new Error("zero address is not allowed");
+  }
+  return address;
+}
+
+/**
+ * Parses an amount given in the token's smallest unit
+ * @param {string|number|bigint} raw Amount as read from the allowlist
+ * @returns {bigint}
+ */
+function parseAmount(raw) {
+  const value = String(raw).trim();
+  if (!/^[0-9]+$/.test(value)) {
+    throw new Error(`invalid amount "${value}"`);
+  }
+  const amount = BigInt(value);
+  if (amount === 0n) {
+    throw new Error("amount must be greater than zero");
+  }
+  // The distributor keeps claimed amounts in uint128 counters
+  if (amount >= 2n ** 128n) {
+    throw new Error(`amount "${value}" does not fit in uint128`);
+  }
+  return amount;
+}
+
+/**
+ * Parses a CSV allowlist. The first column holds the address and an optional second column the amount.
+ * An optional header row is skipped.
+ * @param {string} content Raw file content
+ * @returns {{ value: string, amount?: string, line: number }[]}
+ */
+function parseCsv(content) {
+  const rows = [];
+  content.split(/\r?\n/).forEach((text, i) => {
+    const line = text.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const cells = line.split(",").map(cell => cell.trim());
+    // Skip a header row such as "address"
+    if (rows.length === 0 && !cells[0].startsWith("0x")) return;
+
+    const row = { value: cells[0], line: i + 1 };
+    if (cells.length > 1 && cells[1] !== "") row.amount = cells[1];
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Parses a JSON allowlist: an array of addresses or of objects with an `address` and optional `amount` field.
+ * @param {string} content Raw file content
+ * @returns {{ value: string, amount?: string, line: number }[]}
+ */
+function parseJson(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data)) {
+    throw new Error("JSON allowlist must be an array");
+  }
+  return data.map((item, i) => {
+    if (typeof item === "string") return { value: item, line: i + 1 };
+
+    const row = { value: item && item.address, line: i + 1 };
+    if (item && item.amount !== undefined) row.amount = item.amount;
+    return row;
+  });
+}
+
+/**
+ * Validates raw allowlist entries, rejecting bad checksums, zero addresses, duplicates and bad amounts.
+ * Either every entry carries an amount or none does. All problems are collected and reported together.
+ * @param {{ value: string, amount?: string, line: number }[]} rows Parsed entries
+ * @returns {{ address: string, amount?: bigint }[]} Checksummed entries in input order
+ */
+function validateAllowlist(rows) {
+  const errors = [];
+  const seen = new Map();
+  const entries = [];
+  const withAmounts = rows.length > 0 && rows[0].amount !== undefined;
+
+  for (const row of rows) {
+    let address;
+    try {
+      address = normalizeAddress(row.value);
+    } catch (err) {
+      errors.push(`entry ${row.line}: ${err.message}`);
+      continue;
+    }
+
+    let amount;
+    if ((row.amount !== undefined) !== withAmounts) {
+      errors.push(`entry ${row.line}: ${withAmounts ? "missing amount" : "unexpected amount"}`);
+      continue;
+    }
+    if (withAmounts) {
+      try {
+        amount = parseAmount(row.amount);
+      } catch (err) {
+        errors.push(`entry ${row.line}: ${err.message}`);
+        continue;
+      }
+    }
+
+    if (seen.has(address)) {
+      errors.push(`entry ${row.line}: duplicate address ${address} (first seen at entry ${seen.get(address)})`);
+      continue;
+    }
+    seen.set(address, row.line);
+    entries.push(withAmounts ? { address, amount } : { address });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid allowlist:\n  ${errors.join("\n  ")}`);
+  }
+  if (entries.length === 0) {
+    throw new Error("Invalid allowlist: no addresses found");
+  }
+  return entries;
+}
+
+/**
+ * Reads and validates an allowlist file (.csv or .json)
+ * @param {string} file Path to the allowlist
+ * @returns {{ address: string, amount?: bigint }[]} Checksummed entries
+ */
+function loadAllowlist(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const rows = path.extname(file).toLowerCase() === ".json" ? parseJson(content) : parseCsv(content);
+  return validateAllowlist(rows);
+}
+
+/**
+ * Builds a sorted-pair Merkle tree compatible with OpenZeppelin's MerkleProof.
+ * Each recipient's index is its position in `items`.
+ * @param {(string|{ address: string, amount?: bigint })[]} items Recipient addresses, or entries with amounts
+ * @returns {MerkleTree}
+ */
+function createMerkleTree(items) {
+  const leaves = items.map(toEntry).map((entry, index) => hashLeaf(index, entry.address, entry.amount));
+  return new MerkleTree(leaves, keccak256, { sortPairs: true });
+}
+
+/**
+ * Returns the hex proof for a leaf in the given tree
+ * @param {MerkleTree} tree Tree built with createMerkleTree
+ * @param {number} index Recipient index
+ * @param {string} address Recipient address
+ * @param {bigint|string} [amount] Amount, for (index, address, amount) trees
+ * @returns {string[]}
+ */
+function getProof(tree, index, address, amount) {
+  // Passing the position skips a linear search for the leaf, which adds up on large trees
+  return tree.getHexProof(hashLeaf(index, address, amount), index);
+}
+
+/**
+ * Builds the artifact holding the root and every recipient's index and proof (and amount, for per-recipient trees)
+ * @param {(string|{ address: string, amount?: bigint })[]} items Validated addresses or entries
+ * @returns {object}
+ */
+function buildArtifact(items) {
+  const entries = items.map(toEntry);
+  const withAmounts = entries[0].amount !== undefined;
+  const tree = createMerkleTree(entries);
+  const recipients = {};
+  let totalAmount = 0n;
+
+  entries.forEach(({ address, amount }, index) => {
+    if (withAmounts) {
+      recipients[address] = { index, amount: amount.toString(), proof: getProof(tree, index, address, amount) };
+      totalAmount += amount;
+    } else {
+      recipients[address] = { index, proof: getProof(tree, index, address) };
+    }
+  });
+
+  const artifact = {
+    version: ARTIFACT_VERSION,
+    leafEncoding: withAmounts ? LEAF_ENCODING_ADDRESS_AMOUNT : LEAF_ENCODING_ADDRESS,
+    root: tree.getHexRoot(),
+    leafCount: entries.length
+  };
+  if (withAmounts) artifact.totalAmount = totalAmount.toString();
+  artifact.recipients = recipients;
+  return artifact;
+}
+
+/**
+ * Writes an artifact as pretty-printed JSON, creating parent directories as needed
+ * @param {string} file Output path
+ * @param {object} artifact Artifact from buildArtifact
+ */
+function writeArtifact(file, artifact) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(artifact, null, 2) + "\n");
+}
+
+/**
+ * Reads an artifact and checks its version
+ * @param {string} file Artifact path
+ * @returns {object}
+ */
+function readArtifact(file) {
+  const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (artifact.version === 1) {
+    throw new Error(`${file} is a version 1 artifact without leaf indices, rebuild it with merkle:build`);
+  }
+  if (artifact.version !== ARTIFACT_VERSION) {
+    throw new Error(`Unsupported Merkle artifact version ${artifact.version} in ${file}`);
+  }
+  if (![LEAF_ENCODING_ADDRESS, LEAF_ENCODING_ADDRESS_AMOUNT].includes(artifact.leafEncoding)) {
+    throw new Error(`Unsupported leaf encoding "${artifact.leafEncoding}" in ${file}`);
+  }
+  return artifact;
+}
+
+module.exports = {
+  ARTIFACT_VERSION,
+  LEAF_ENCODING_ADDRESS,
+  LEAF_ENCODING_ADDRESS_AMOUNT,
+  hashLeaf,
+  normalizeAddress,
+  parseAmount,
+  parseCsv,
+  parseJson,
+  validateAllowlist,
+  loadAllowlist,
+  createMerkleTree,
+  getProof,
+  buildArtifact,
+  writeArtifact,
+  readArtifact
+};
@@ -0,0 +1,99 @@
+const fs = require("fs");
+
+// "${NAME}" in a network definition is replaced by the environment variable NAME
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Returns the network a Hardhat invocation targets: --network, then HARDHAT_NETWORK, then "hardhat"
+ * @param {string[]} [argv]
+ * @param {object} [env]
+ * @returns {string}
+ */
+function selectedNetwork(argv = process.argv, env = process.env) {
+  const flag = argv.indexOf("--network");
+  if (flag !== -1 && argv[flag + 1]) return argv[flag + 1];
+  const inline = argv.find(arg => arg.startsWith("--network="));
+  if (inline) return inline.slice("--network=".length);
+  return env.HARDHAT_NETWORK || "hardhat";
+}
+
+/**
+ * Replaces the placeholders of a value. A missing variable is an error when `required`,
+ * otherwise the placeholder is left as it is.
+ * @param {string} value
+ * @param {object} env
+ * @param {string} network Network the value belongs to, for the error message
+ * @param {boolean} required
+ * @returns {string}
+ */
+function interpolate(value, env, network, required) {
+  return String(value).replace(PLACEHOLDER, (placeholder, name) => {
+    if (env[name] !== undefined && env[name] !== "") return env[name];
+    if (required) throw new Error(`Network ${network} needs ${name}, set it in the environment or in .env`);
+    return placeholder;
+  });
+}
+
+/**
+ * Turns the network definitions of networks.json into Hardhat's `networks` and `etherscan` config.
+ * Placeholders are resolved for every network, but only the selected one must have its variables set,
+ * and only the selected one gets `accounts`, so keys are never read for networks that aren't used.
+ * Networks without accounts use the node's (`"remote"`). FORK=<network> makes the Hardhat network
+ * fork that network's url, at its `forkBlockNumber` when one is given.
+ * @param {object} definitions Network name => { url, chainId?, accounts?, etherscanApiKey?, forkBlockNumber?, ... }
+ * @param {{ network: string, env: object }} options Selected network and environment
+ * @returns {{ networks: object, etherscan: { apiKey: object } }}
+ */
+function buildNetworkConfig(definitions, { network, env }) {
+  const networks = {};
+  const apiKey = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (name === "hardhat") {
+      throw new Error("networks.json can't define the hardhat network, fork a network with FORK=<name> instead");
+    }
+    if (typeof definition.url !== "string") {
+      throw new Error(`Network ${name} has no url`);
+    }
+    // Hardhat rejects keys it doesn't know, the ones only used here are taken out
+    const { accounts, etherscanApiKey, forkBlockNumber, ...hardhatConfig } = definition;
+    const selected = name === network;
+
+    networks[name] = { ...hardhatConfig, url: interpolate(definition.url, env, name, selected) };
+    if (selected && accounts !== undefined) {
+      networks[name].accounts = interpolate(accounts, env, name, true).split(",").map(key => key.trim()).filter(Boolean);
+    }
+    if (selected && etherscanApiKey !== undefined) {
+      apiKey[name] = interpolate(etherscanApiKey, env, name, true);
+    }
+  }
+
+  if (env.FORK) {
+    const source = definitions[env.FORK];
+    if (!source) throw new Error(`FORK=${env.FORK} is not a network of networks.json`);
+    networks.hardhat = {
+      forking: {
+        url: interpolate(source.url, env, env.FORK, true),
+        ...(source.forkBlockNumber !== undefined && { blockNumber: source.forkBlockNumber })
+      }
+    };
+  }
+  return { networks, etherscan: { apiKey } };
+}
+
+/**
+ * Reads networks.json and builds the config of the network this process targets
+ * @param {string} file Path to networks.json
+ * @param {{ argv?: string[], env?: object }} [options]
+ * @returns {{ networks: object, etherscan: { apiKey: object } }}
+ */
+function loadNetworkConfig(file, { argv = process.argv, env = process.env } = {}) {
+  const definitions = JSON.parse(fs.readFileSync(file, "utf8"));
+  return buildNetworkConfig(definitions, { network: selectedNetwork(argv, env), env });
+}
+
+module.exports = {
+  selectedNetwork,
+  buildNetworkConfig,
+  loadNetworkConfig
+};
@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+const { formatTime, formatDuration } = require("./cli");
+const { isNativeAsset } = require("./assets");
+
+// Names of MerkleDistributorV2.PhaseMode values, by index
+const PHASE_MODES = ["FixedAmount", "PerRecipient", "Voucher"];
+
+/**
+ * Reads phases(i) into a plain object
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {number|bigint} phaseId Phase to read
+ * @returns {Promise<object>}
+ */
+async function readPhase(distributor, phaseId) {
+  const phase = await distributor.phases(phaseId);
+  return {
+    merkleRoot: phase.merkleRoot,
+    dropAmount: phase.dropAmount,
+    startTime: phase.startTime,
+    endTime: phase.endTime,
+    recipientCount: phase.recipientCount,
+    active: phase.active,
+    mode: Number(phase.mode),
+    swept: phase.swept,
+    budget: phase.budget,
+    claimedAmount: phase.claimedAmount,
+    vestingCliff: phase.vestingCliff,
+    vestingDuration: phase.vestingDuration,
+    asset: phase.asset
+  };
+}
+
+/**
+ * Turns a phase into human-readable strings, keyed by field
+ * @param {object|null} phase Phase from readPhase (null for a phase that doesn't exist yet)
+ * @param {number|bigint} decimals Decimals of the phase asset
+ * @returns {object}
+ */
+function describePhase(phase, decimals) {
+  if (!phase) {
+    return {
+      merkleRoot: "-",
+      mode: "-",
+      asset: "-",
+      dropAmount: "-",
+      startTime: "-",
+      endTime: "-",
+      vesting: "-",
+      active: "-",
+      recipientCount: "-"
+    };
+  }
+  return {
+    merkleRoot: phase.merkleRoot,
+    mode: PHASE_MODES[phase.mode] || String(phase.mode),
+    asset: isNativeAsset(phase.asset) ? "ETH" : phase.asset,
+    dropAmount: ethers.formatUnits(phase.dropAmount, decimals),
+    // A start time in the past (usually 0) means claims open as soon as the phase is active
+    startTime: BigInt(phase.startTime) > 0n ? formatTime(phase.startTime) : "immediately",
+    endTime: formatTime(phase.endTime),
+    vesting: describeVesting(phase),
+    active: String(phase.active),
+    recipientCount: String(phase.recipientCount)
+  };
+}
+
+/**
+ * Describes the vesting schedule of a phase, e.g. "30d cliff, 365d linear"
+ * @param {{ vestingCliff?: bigint, vestingDuration?: bigint }} phase
+ * @returns {string}
+ */
+function describeVesting({ vestingCliff = 0n, vestingDuration = 0n }) {
+  if (BigInt(vestingDuration) === 0n) return "none";
+  return `${formatDuration(vestingCliff)} cliff, ${formatDuration(vestingDuration)} linear`;
+}
+
+/**
+ * Compares a phase against a proposed version of it
+ * @param {object|null} current Phase from readPhase, or null when creating
+ * @param {object} proposed Proposed phase, same shape as readPhase
+ * @param {number|bigint} decimals Token decimals
+ * @returns {string[][]} Rows of [field, current, proposed, "*" when changed]
+ */
+function diffPhase(current, proposed, decimals) {
+  const before = describePhase(current, decimals);
+  const after = describePhase(proposed, decimals);
+  return Object.keys(after).map(field => [
+    field,
+    before[field],
+    after[field],
+    before[field] === after[field] ? "" : "*"
+  ]);
+}
+
+/**
+ * Lists the phases whose unclaimed budget can be swept to the treasury now
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @returns {Promise<{ phaseId: number, amount: bigint, phase: object }[]>}
+ */
+async function sweepablePhases(distributor) {
+  const count = Number(await distributor.getPhaseCount());
+  const result = [];
+  for (let phaseId = 0; phaseId < count; phaseId++) {
+    const amount = await distributor.sweepableAmount(phaseId);
+    if (amount > 0n) result.push({ phaseId, amount, phase: await readPhase(distributor, phaseId) });
+  }
+  return result;
+}
+
+module.exports = {
+  PHASE_MODES,
+  readPhase,
+  describePhase,
+  diffPhase,
+  sweepablePhases
+};
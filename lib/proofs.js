@@ -0,0 +1,194 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { sendJson, sendError, TtlCache, RateLimiter } = require("./http");
+
+// Headers added to every response so browser apps on other origins can call the service
+const CORS_HEADERS = { "Access-Control-Allow-Origin": "*" };
+
+/**
+ * Indexes an artifact's recipients by lowercase address
+ * @param {object} artifact Merkle artifact
+ * @returns {Map<string, { address: string, proof: string[], amount?: string }>}
+ */
+function indexArtifact(artifact) {
+  const index = new Map();
+  for (const [address, entry] of Object.entries(artifact.recipients)) {
+    index.set(address.toLowerCase(), { address, ...entry });
+  }
+  return index;
+}
+
+/**
+ * Assigns artifacts to phases by matching their root against phases(i).merkleRoot
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {object[]} artifacts Merkle artifacts
+ * @returns {Promise<{ phases: Object<number, object>, unmatched: object[] }>}
+ */
+async function mapArtifactsToPhases(distributor, artifacts) {
+  const count = Number(await distributor.getPhaseCount());
+  const phases = {};
+  const matched = new Set();
+
+  for (let phaseId = 0; phaseId < count; phaseId++) {
+    const { merkleRoot } = await distributor.phases(phaseId);
+    const artifact = artifacts.find(item => item.root.toLowerCase() === merkleRoot.toLowerCase());
+    if (artifact) {
+      phases[phaseId] = artifact;
+      matched.add(artifact);
+    }
+  }
+  return { phases, unmatched: artifacts.filter(artifact => !matched.has(artifact)) };
+}
+
+/**
+ * Creates the proof-serving HTTP service.
+ *
+ *   GET /proof/:phaseId/:address   proof (and amount) of an address in a phase;
+ *                                  ?destination=0x… adds the claimTo call sending the tokens there
+ *   GET /eligibility/:address      every phase the address is in, with on-chain claim status
+ *   GET /health                    loaded phases
+ *
+ * Errors are returned as { error: { code, message } }.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 instance
+ * @param {Object<number, object>} options.phases Merkle artifact per phase id
+ * @param {number} [options.cacheTtlMs] Lifetime of cached on-chain reads
+ * @param {number} [options.rateLimit] Requests allowed per client and window
+ * @param {number} [options.rateWindowMs] Rate limit window
+ * @returns {http.Server}
+ */
+function createProofService({ distributor, phases, cacheTtlMs = 15000, rateLimit = 60, rateWindowMs = 60000 }) {
+  const indexes = new Map(Object.entries(phases).map(([phaseId, artifact]) => [
+    Number(phaseId),
+    { artifact, recipients: indexArtifact(artifact) }
+  ]));
+  const cache = new TtlCache(cacheTtlMs);
+  const limiter = new RateLimiter(rateLimit, rateWindowMs);
+  const pruneTimer = setInterval(() => limiter.prune(), rateWindowMs);
+  pruneTimer.unref();
+
+  const phaseStatus = phaseId => cache.get(`status:${phaseId}`, () => distributor.phaseStatus(phaseId));
+  // A phase's asset never changes, but it is cached like the rest to keep reads in one place
+  const phaseAsset = phaseId => cache.get(`asset:${phaseId}`, async () => (await distributor.phases(phaseId)).asset);
+  const isClaimed = (phaseId, index) =>
+    cache.get(`claimed:${phaseId}:${index}`, () => distributor.isClaimed(phaseId, index));
+
+  /**
+   * Validates an address path segment
+   * @returns {string|null} Checksummed address, or null after sending a 400
+   */
+  function parseAddress(res, raw) {
+    if (!ethers.isAddress(raw)) {
+      sendError(res, 400, "INVALID_ADDRESS", `"${raw}" is not a valid address`, CORS_HEADERS);
+      return null;
+    }
+    return ethers.getAddress(raw.toLowerCase());
+  }
+
+  async function proof(res, rawPhaseId, rawAddress, rawDestination) {
+    if (!/^\d+$/.test(rawPhaseId)) {
+      return sendError(res, 400, "INVALID_PHASE", `"${rawPhaseId}" is not a phase id`, CORS_HEADERS);
+    }
+    const address = parseAddress(res, rawAddress);
+    if (!address) return;
+    let destination = null;
+    if (rawDestination !== null) {
+      destination = parseAddress(res, rawDestination);
+      if (!destination) return;
+    }
+
+    const phaseId = Number(rawPhaseId);
+    const phase = indexes.get(phaseId);
+    if (!phase) {
+      return sendError(res, 404, "UNKNOWN_PHASE", `No Merkle artifact is loaded for phase ${phaseId}`, CORS_HEADERS);
+    }
+    const entry = phase.recipients.get(address.toLowerCase());
+    if (!entry) {
+      return sendError(res, 404, "NOT_ELIGIBLE", `${address} is not eligible for phase ${phaseId}`, CORS_HEADERS);
+    }
+
+    const body = {
+      phaseId,
+      index: entry.index,
+      address: entry.address,
+      leafEncoding: phase.artifact.leafEncoding,
+      proof: entry.proof
+    };
+    if (entry.amount !== undefined) body.amount = entry.amount;
+    if (destination) {
+      // The leaf stays the eligible address, only the receiver changes
+      body.destination = destination;
+      body.method = entry.amount !== undefined ? "claimToWithAmount" : "claimTo";
+      body.args = entry.amount !== undefined
+        ? [phaseId, entry.index, destination, entry.amount, entry.proof]
+        : [phaseId, entry.index, destination, entry.proof];
+    }
+    return sendJson(res, 200, body, { ...CORS_HEADERS, "Cache-Control": "public, max-age=60" });
+  }
+
+  async function eligibility(res, rawAddress) {
+    const address = parseAddress(res, rawAddress);
+    if (!address) return;
+
+    const result = [];
+    for (const [phaseId, phase] of indexes) {
+      const entry = phase.recipients.get(address.toLowerCase());
+      if (!entry) continue;
+
+      const [status, claimed, asset] = await Promise.all([
+        phaseStatus(phaseId),
+        isClaimed(phaseId, entry.index),
+        phaseAsset(phaseId)
+      ]);
+      result.push({
+        phaseId,
+        index: entry.index,
+        leafEncoding: phase.artifact.leafEncoding,
+        asset,
+        amount: entry.amount !== undefined ? entry.amount : status.claimAmount.toString(),
+        claimed,
+        isActive: status.isActive,
+        started: status.started,
+        timeUntilStart: Number(status.timeUntilStart),
+        remainingTime: Number(status.remainingTime),
+        proof: entry.proof
+      });
+    }
+
+    if (result.length === 0) {
+      return sendError(res, 404, "NOT_ELIGIBLE", `${address} is not eligible for any loaded phase`, CORS_HEADERS);
+    }
+    return sendJson(res, 200, { address, phases: result.sort((a, b) => a.phaseId - b.phaseId) }, CORS_HEADERS);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { allowed, retryAfter } = limiter.hit(req.socket.remoteAddress);
+    if (!allowed) {
+      return sendError(res, 429, "RATE_LIMITED", "Too many requests", { ...CORS_HEADERS, "Retry-After": String(retryAfter) });
+    }
+    if (req.method !== "GET") {
+      return sendError(res, 405, "METHOD_NOT_ALLOWED", "Method not allowed", CORS_HEADERS);
+    }
+
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const parts = pathname.split("/").filter(Boolean);
+    try {
+      if (parts[0] === "proof" && parts.length === 3) return await proof(res, parts[1], parts[2], searchParams.get("destination"));
+      if (parts[0] === "eligibility" && parts.length === 2) return await eligibility(res, parts[1]);
+      if (parts[0] === "health" && parts.length === 1) {
+        return sendJson(res, 200, { ok: true, phases: [...indexes.keys()] }, CORS_HEADERS);
+      }
+      return sendError(res, 404, "NOT_FOUND", `No route for ${pathname}`, CORS_HEADERS);
+    } catch (err) {
+      return sendError(res, 500, "INTERNAL_ERROR", err.shortMessage || err.message, CORS_HEADERS);
+    }
+  });
+  server.on("close", () => clearInterval(pruneTimer));
+  return server;
+}
+
+module.exports = {
+  indexArtifact,
+  mapArtifactsToPhases,
+  createProofService
+};
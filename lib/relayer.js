@@ -0,0 +1,452 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { sendJson, sendError, RateLimiter } = require("./http");
+const { formatContractError } = require("./errors");
+
+// EIP-712 types of MerkleDistributorV2.CLAIM_TYPEHASH
+const CLAIM_TYPES = {
+  Claim: [
+    { name: "phaseId", type: "uint32" },
+    { name: "recipient", type: "address" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" }
+  ]
+};
+
+// EIP-712 types of MerkleDistributorV2.CLAIM_TO_TYPEHASH
+const CLAIM_TO_TYPES = {
+  ClaimTo: [
+    { name: "phaseId", type: "uint32" },
+    { name: "recipient", type: "address" },
+    { name: "destination", type: "address" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" }
+  ]
+};
+
+// Value ERC-1271 wallets return from isValidSignature for a valid signature
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+// Largest phase id, phase ids are uint32 on chain
+const MAX_PHASE_ID = 2 ** 32 - 1;
+
+// Largest request body the relayer accepts
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * A request the relayer refuses, with a machine-readable code for the HTTP error
+ */
+class RelayError extends Error {
+  /**
+   * @param {string} code e.g. "INVALID_SIGNATURE"
+   * @param {string} message Human-readable explanation
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Reads the EIP-712 domain of a distributor (ERC-5267)
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @returns {Promise<import("ethers").TypedDataDomain>}
+ */
+async function claimDomain(distributor) {
+  const domain = await distributor.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * Checks a signature like the contract's SignatureChecker: an ECDSA signature of the account,
+ * or for smart wallets, one their ERC-1271 isValidSignature accepts
+ * @param {import("ethers").Provider} provider
+ * @param {string} account Address that should have signed
+ * @param {string} digest Signed EIP-712 digest
+ * @param {string} signature
+ * @returns {Promise<boolean>}
+ */
+async function isValidSignatureNow(provider, account, digest, signature) {
+  try {
+    if (ethers.recoverAddress(digest, signature) === account) return true;
+  } catch (err) {
+    // Not a 65-byte ECDSA signature, a wallet may still accept it
+  }
+  if ((await provider.getCode(account)) === "0x") return false;
+  try {
+    const wallet = new ethers.Contract(account, ERC1271_ABI, provider);
+    return (await wallet.isValidSignature(digest, signature)) === ERC1271_MAGIC_VALUE;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Signs a Claim message for the signer's own address, using its current nonce
+ * @param {import("ethers").Signer} signer The recipient
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {{ phaseId: number, deadline: number|bigint }} claim
+ * @returns {Promise<{ phaseId: number, recipient: string, deadline: bigint, nonce: bigint, signature: string }>}
+ */
+async function signClaim(signer, distributor, { phaseId, deadline }) {
+  const recipient = await signer.getAddress();
+  const message = {
+    phaseId,
+    recipient,
+    deadline: BigInt(deadline),
+    nonce: await distributor.nonces(recipient)
+  };
+  const signature = await signer.signTypedData(await claimDomain(distributor), CLAIM_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Signs a ClaimTo message letting anyone claim the signer's tokens into another address
+ * @param {import("ethers").Signer} signer The eligible recipient
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {{ phaseId: number, destination: string, deadline: number|bigint }} claim
+ * @returns {Promise<{ phaseId: number, recipient: string, destination: string, deadline: bigint, nonce: bigint, signature: string }>}
+ */
+async function signClaimTo(signer, distributor, { phaseId, destination, deadline }) {
+  const recipient = await signer.getAddress();
+  const message = {
+    phaseId,
+    recipient,
+    destination: ethers.getAddress(destination),
+    deadline: BigInt(deadline),
+    nonce: await distributor.nonces(recipient)
+  };
+  const signature = await signer.signTypedData(await claimDomain(distributor), CLAIM_TO_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Queues signed claim requests and submits them one at a time from a funded key.
+ * Requests are checked (fields, deadline, signature) and simulated before they are queued,
+ * and simulated again right before sending since the chain may have moved on.
+ * Queued requests are only sent between start() and stop().
+ */
+class Relayer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 instance
+   * @param {import("ethers").Signer} options.signer Funded key paying for the transactions
+   * @param {number} [options.maxQueue] Queued requests accepted before refusing new ones
+   * @param {(message: string) => void} [options.log] Progress logger
+   */
+  constructor({ distributor, signer, maxQueue = 100, log = () => {} }) {
+    this.distributor = distributor.connect(signer);
+    this.signer = signer;
+    this.maxQueue = maxQueue;
+    this.log = log;
+    this.jobs = new Map();
+    this.queue = [];
+    this.nextId = 1;
+    this.running = false;
+    this.working = null;
+  }
+
+  /**
+   * Starts sending queued requests
+   */
+  start() {
+    this.running = true;
+    this.kick();
+  }
+
+  /**
+   * Stops sending once the current request is done; queued requests stay queued
+   */
+  async stop() {
+    this.running = false;
+    await this.idle();
+  }
+
+  /**
+   * Starts the worker if it isn't running and there is something to send
+   */
+  kick() {
+    if (this.running && !this.working && this.queue.length > 0) {
+      this.working = this.work().finally(() => { this.working = null; });
+    }
+  }
+
+  /**
+   * Normalizes and validates a request body
+   * @param {object} body { phaseId, index, recipient, destination?, amount?, deadline, proof, signature }
+   * @returns {Promise<object>}
+   */
+  async validate(body) {
+    const { phaseId, index, recipient, destination, amount, deadline, proof, signature } = body || {};
+    if (!Number.isInteger(phaseId) || phaseId < 0 || phaseId > MAX_PHASE_ID) {
+      throw new RelayError("INVALID_REQUEST", `phaseId must be an integer between 0 and ${MAX_PHASE_ID}`);
+    }
+    if (!Number.isSafeInteger(index) || index < 0) {
+      throw new RelayError("INVALID_REQUEST", "index must be the recipient's leaf index");
+    }
+    if (typeof recipient !== "string" || !ethers.isAddress(recipient)) {
+      throw new RelayError("INVALID_REQUEST", "recipient must be an address");
+    }
+    if (destination !== undefined && (typeof destination !== "string" || !ethers.isAddress(destination))) {
+      throw new RelayError("INVALID_REQUEST", "destination must be an address");
+    }
+    if (!Array.isArray(proof) || !proof.every(node => ethers.isHexString(node, 32))) {
+      throw new RelayError("INVALID_REQUEST", "proof must be an array of 32-byte hex strings");
+    }
+    if (!ethers.isHexString(signature)) {
+      throw new RelayError("INVALID_REQUEST", "signature must be a hex string");
+    }
+    let request;
+    try {
+      request = {
+        phaseId,
+        index,
+        recipient: ethers.getAddress(recipient.toLowerCase()),
+        destination: destination !== undefined ? ethers.getAddress(destination.toLowerCase()) : undefined,
+        amount: amount !== undefined ? BigInt(amount) : undefined,
+        deadline: BigInt(deadline),
+        proof,
+        signature
+      };
+    } catch (err) {
+      throw new RelayError("INVALID_REQUEST", "deadline and amount must be integers");
+    }
+
+    const { timestamp } = await this.signer.provider.getBlock("latest");
+    if (request.deadline < BigInt(timestamp)) {
+      throw new RelayError("EXPIRED", `The signature expired at ${request.deadline}`);
+    }
+
+    // Checked here so forged requests never reach the queue
+    const message = {
+      phaseId,
+      recipient: request.recipient,
+      deadline: request.deadline,
+      nonce: await this.distributor.nonces(request.recipient)
+    };
+    if (request.destination) message.destination = request.destination;
+    const types = request.destination ? CLAIM_TO_TYPES : CLAIM_TYPES;
+    const digest = ethers.TypedDataEncoder.hash(await claimDomain(this.distributor), types, message);
+    if (!(await isValidSignatureNow(this.signer.provider, request.recipient, digest, signature))) {
+      throw new RelayError("INVALID_SIGNATURE", `The signature is not from ${request.recipient} for its current nonce`);
+    }
+    return request;
+  }
+
+  /**
+   * Method and arguments of the claim matching the request
+   * @param {object} request Validated request
+   * @returns {[string, any[]]}
+   */
+  call(request) {
+    const { phaseId, index, recipient, destination, amount, deadline, proof, signature } = request;
+    if (destination) {
+      return amount !== undefined
+        ? ["claimToWithSigAndAmount", [phaseId, index, recipient, destination, amount, deadline, proof, signature]]
+        : ["claimToWithSig", [phaseId, index, recipient, destination, deadline, proof, signature]];
+    }
+    return amount !== undefined
+      ? ["claimForWithAmount", [phaseId, index, recipient, amount, deadline, proof, signature]]
+      : ["claimFor", [phaseId, index, recipient, deadline, proof, signature]];
+  }
+
+  /**
+   * Simulates a request with staticCall
+   * @param {object} request Validated request
+   */
+  async simulate(request) {
+    const [method, args] = this.call(request);
+    try {
+      await this.distributor[method].staticCall(...args);
+    } catch (err) {
+      throw new RelayError("SIMULATION_FAILED", `${method} would revert with ${formatContractError(err, this.distributor.interface)}`);
+    }
+  }
+
+  /**
+   * Validates, simulates and queues a request
+   * @param {object} body Request body
+   * @returns {Promise<object>} The queued job
+   */
+  async submit(body) {
+    if (this.queue.length >= this.maxQueue) {
+      throw new RelayError("QUEUE_FULL", "The relayer queue is full, try again later");
+    }
+    const request = await this.validate(body);
+    const pending = [...this.jobs.values()].find(job =>
+      job.request.signature === request.signature && (job.status === "queued" || job.status === "sending"));
+    if (pending) {
+      throw new RelayError("DUPLICATE", `The request is already queued as ${pending.id}`);
+    }
+    await this.simulate(request);
+
+    const job = { id: String(this.nextId++), status: "queued", request, transactionHash: null, error: null };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.log(`Queued ${job.id}: phase ${request.phaseId} for ${request.recipient}`);
+
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Sends queued jobs one at a time until the queue is empty or the relayer is stopped
+   */
+  async work() {
+    while (this.running && this.queue.length > 0) {
+      const job = this.queue.shift();
+      job.status = "sending";
+      try {
+        await this.simulate(job.request);
+        const [method, args] = this.call(job.request);
+        const tx = await this.distributor[method](...args);
+        job.transactionHash = tx.hash;
+        await tx.wait();
+        job.status = "mined";
+        this.log(`Mined ${job.id} in ${tx.hash}`);
+      } catch (err) {
+        job.status = "failed";
+        job.error = err instanceof RelayError ? err.message : formatContractError(err, this.distributor.interface);
+        this.log(`Failed ${job.id}: ${job.error}`);
+      }
+    }
+  }
+
+  /**
+   * Waits until every queued job has been processed
+   */
+  async idle() {
+    while (this.working) await this.working;
+  }
+
+  /**
+   * Returns a job in its JSON form
+   * @param {string} id Job id
+   * @returns {object|null}
+   */
+  status(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    return {
+      id: job.id,
+      status: job.status,
+      phaseId: job.request.phaseId,
+      recipient: job.request.recipient,
+      destination: job.request.destination || job.request.recipient,
+      transactionHash: job.transactionHash,
+      error: job.error
+    };
+  }
+}
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayError("INVALID_REQUEST", "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(new RelayError("INVALID_REQUEST", "Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// HTTP status of each RelayError code
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_SIGNATURE: 400,
+  EXPIRED: 400,
+  SIMULATION_FAILED: 422,
+  DUPLICATE: 409,
+  QUEUE_FULL: 503
+};
+
+/**
+ * Creates the relayer HTTP server.
+ *
+ *   POST /claims       queue a signed claim, 202 with the job
+ *   GET  /claims/:id   job status: queued, sending, mined or failed
+ *   GET  /health       relayer address, balance and queue length
+ *
+ * Errors are returned as { error: { code, message } }.
+ * @param {Relayer} relayer
+ * @param {object} [options]
+ * @param {number} [options.rateLimit] Requests allowed per client and window
+ * @param {number} [options.rateWindowMs] Rate limit window
+ * @returns {http.Server}
+ */
+function createRelayerServer(relayer, { rateLimit = 30, rateWindowMs = 60000 } = {}) {
+  const limiter = new RateLimiter(rateLimit, rateWindowMs);
+  const pruneTimer = setInterval(() => limiter.prune(), rateWindowMs);
+  pruneTimer.unref();
+
+  const server = http.createServer(async (req, res) => {
+    const { allowed, retryAfter } = limiter.hit(req.socket.remoteAddress);
+    if (!allowed) {
+      return sendError(res, 429, "RATE_LIMITED", "Too many requests", { "Retry-After": String(retryAfter) });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const parts = pathname.split("/").filter(Boolean);
+    try {
+      if (req.method === "POST" && pathname === "/claims") {
+        const job = await relayer.submit(await readJsonBody(req));
+        return sendJson(res, 202, relayer.status(job.id));
+      }
+      if (req.method === "GET" && parts[0] === "claims" && parts.length === 2) {
+        const job = relayer.status(parts[1]);
+        return job ? sendJson(res, 200, job) : sendError(res, 404, "UNKNOWN_JOB", `No job ${parts[1]}`);
+      }
+      if (req.method === "GET" && pathname === "/health") {
+        const address = await relayer.signer.getAddress();
+        return sendJson(res, 200, {
+          ok: true,
+          relayer: address,
+          balance: (await relayer.signer.provider.getBalance(address)).toString(),
+          queued: relayer.queue.length
+        });
+      }
+      return sendError(res, 404, "NOT_FOUND", `No route for ${req.method} ${pathname}`);
+    } catch (err) {
+      if (err instanceof RelayError) return sendError(res, ERROR_STATUS[err.code] || 400, err.code, err.message);
+      return sendError(res, 500, "INTERNAL_ERROR", err.shortMessage || err.message);
+    }
+  });
+  server.on("close", () => clearInterval(pruneTimer));
+  return server;
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  CLAIM_TO_TYPES,
+  RelayError,
+  claimDomain,
+  isValidSignatureNow,
+  signClaim,
+  signClaimTo,
+  Relayer,
+  createRelayerServer
+};
@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+
+// Solidity constant of each MerkleDistributorV2 role, by the name used in role maps and on the command line
+const ROLE_CONSTANTS = {
+  admin: "DEFAULT_ADMIN_ROLE",
+  phaseManager: "PHASE_MANAGER_ROLE",
+  distributor: "DISTRIBUTOR_ROLE",
+  pauser: "PAUSER_ROLE",
+  treasury: "TREASURY_ROLE",
+  voucherSigner: "VOUCHER_SIGNER_ROLE"
+};
+
+// Role hashes by name, DEFAULT_ADMIN_ROLE is 0x00 and the others keccak256 of their constant name
+const ROLES = Object.fromEntries(Object.entries(ROLE_CONSTANTS).map(([name, constant]) => [
+  name,
+  name === "admin" ? ethers.ZeroHash : ethers.id(constant)
+]));
+
+// Roles a deployment role map can assign, in the order of MerkleDistributorV2.RoleAssignments
+const ASSIGNABLE_ROLES = ["phaseManager", "distributor", "pauser", "treasury", "voucherSigner"];
+
+/**
+ * Resolves a role given by name ("pauser"), by constant name ("PAUSER_ROLE") or as a hash
+ * @param {string} value Role to resolve
+ * @returns {{ name: string, role: string }}
+ */
+function parseRole(value) {
+  const text = String(value).trim();
+  const name = Object.keys(ROLES).find(key =>
+    key.toLowerCase() === text.toLowerCase() || ROLE_CONSTANTS[key] === text || ROLES[key] === text.toLowerCase()
+  );
+  if (!name) {
+    throw new Error(`Unknown role "${text}", use one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return { name, role: ROLES[name] };
+}
+
+/**
+ * Returns the name of a role hash, or the hash itself for roles this repo doesn't define
+ * @param {string} role Role hash
+ * @returns {string}
+ */
+function roleName(role) {
+  return Object.keys(ROLES).find(key => ROLES[key] === role.toLowerCase()) || role;
+}
+
+/**
+ * Validates a deployment role map such as { "pauser": ["0x..."] } and completes it with
+ * empty lists, so it can be passed as MerkleDistributorV2.RoleAssignments
+ * @param {object} [roles] Role map from the Ignition parameters
+ * @returns {{ phaseManager: string[], distributor: string[], pauser: string[], treasury: string[], voucherSigner: string[] }}
+ */
+function normalizeRoleMap(roles = {}) {
+  const unknown = Object.keys(roles).filter(key => !ASSIGNABLE_ROLES.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role ${unknown.join(", ")} in the role map, use ${ASSIGNABLE_ROLES.join(", ")}`);
+  }
+
+  const assignments = {};
+  for (const name of ASSIGNABLE_ROLES) {
+    const accounts = roles[name] === undefined ? [] : roles[name];
+    if (!Array.isArray(accounts)) {
+      throw new Error(`Role map entry "${name}" must be an array of addresses`);
+    }
+    assignments[name] = accounts.map(account => {
+      if (!ethers.isAddress(account) || BigInt(account) === 0n) {
+        throw new Error(`Invalid address "${account}" for role ${name}`);
+      }
+      return ethers.getAddress(account.toLowerCase());
+    });
+  }
+  return assignments;
+}
+
+/**
+ * Lists the current members of every role by replaying RoleGranted and RoleRevoked events
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {{ fromBlock?: number, toBlock?: number|string }} [range] Blocks to read, from the deployment by default
+ * @returns {Promise<object>} Sorted member addresses by role name
+ */
+async function fetchRoleMembers(distributor, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const [granted, revoked] = await Promise.all([
+    distributor.queryFilter(distributor.filters.RoleGranted(), fromBlock, toBlock),
+    distributor.queryFilter(distributor.filters.RoleRevoked(), fromBlock, toBlock)
+  ]);
+  const events = [...granted, ...revoked].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const members = new Map();
+  for (const event of events) {
+    const name = roleName(event.args.role);
+    if (!members.has(name)) members.set(name, new Set());
+    if (event.fragment.name === "RoleGranted") {
+      members.get(name).add(event.args.account);
+    } else {
+      members.get(name).delete(event.args.account);
+    }
+  }
+
+  const result = {};
+  for (const [name, accounts] of members) {
+    result[name] = [...accounts].sort();
+  }
+  return result;
+}
+
+module.exports = {
+  ROLES,
+  ASSIGNABLE_ROLES,
+  parseRole,
+  roleName,
+  normalizeRoleMap,
+  fetchRoleMembers
+};
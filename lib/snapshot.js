@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatCsv } = require("./cli");
+
+const TRANSFER_EVENT = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+]);
+const TRANSFER_TOPIC = TRANSFER_EVENT.getEvent("Transfer").topicHash;
+
+/**
+ * Fetches a token's Transfer events in chain order
+ * @param {import("ethers").Provider} provider
+ * @param {string} token Token address
+ * @param {object} options
+ * @param {number} [options.fromBlock] First block to read
+ * @param {number} options.toBlock Last block to read (the snapshot block)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<{ from: string, to: string, value: bigint, blockNumber: number, logIndex: number }[]>}
+ */
+async function fetchTransfers(provider, token, { fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const transfers = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: token, topics: [TRANSFER_TOPIC], fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const { args } = TRANSFER_EVENT.parseLog(log);
+      transfers.push({ from: args.from, to: args.to, value: args.value, blockNumber: log.blockNumber, logIndex: log.index });
+    }
+  }
+  // Providers return logs in order already, sort anyway so the replay never depends on it
+  return transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Replays transfers into balances. Mints come from and burns go to the zero address,
+ * which is not tracked as a holder.
+ * @param {{ from: string, to: string, value: bigint, blockNumber: number }[]} transfers Transfers in chain order
+ * @returns {Map<string, bigint>} Balance of every address that ever held the token, zero balances included
+ */
+function replayBalances(transfers) {
+  const balances = new Map();
+  for (const { from, to, value, blockNumber } of transfers) {
+    if (from !== ethers.ZeroAddress) {
+      const balance = (balances.get(from) || 0n) - value;
+      if (balance < 0n) {
+        throw new Error(`${from} would go below zero at block ${blockNumber}, the history must start at the token's deployment`);
+      }
+      balances.set(from, balance);
+    }
+    if (to !== ethers.ZeroAddress) {
+      balances.set(to, (balances.get(to) || 0n) + value);
+    }
+  }
+  return balances;
+}
+
+/**
+ * Splits a total between holders in proportion to their balances. Each share is rounded down
+ * and the remainder goes one unit at a time to the largest fractional parts, ties broken by address.
+ * @param {{ address: string, balance: bigint }[]} holders Holders sorted by address
+ * @param {bigint} total Amount to split
+ * @returns {bigint[]} Amount of each holder, in the same order
+ */
+function allocateProportional(holders, total) {
+  const sum = holders.reduce((acc, { balance }) => acc + balance, 0n);
+  if (sum === 0n) return holders.map(() => 0n);
+
+  const amounts = holders.map(({ balance }) => total * balance / sum);
+  let remainder = total - amounts.reduce((acc, amount) => acc + amount, 0n);
+
+  const order = holders
+    .map(({ balance }, i) => ({ i, fraction: total * balance % sum }))
+    .sort((a, b) => (a.fraction === b.fraction ? a.i - b.i : a.fraction > b.fraction ? -1 : 1));
+  for (const { i } of order) {
+    if (remainder === 0n) break;
+    amounts[i] += 1n;
+    remainder -= 1n;
+  }
+  return amounts;
+}
+
+/**
+ * Reconstructs token balances at a block and turns the holders into an allowlist.
+ * Holders are kept when they hold at least `minBalance`, are not excluded and, unless
+ * `includeContracts` is set, had no code at the snapshot block.
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.token Token address
+ * @param {number} options.block Snapshot block
+ * @param {number} [options.fromBlock] First block of the history, at or before the token's deployment
+ * @param {bigint} [options.minBalance] Smallest balance kept
+ * @param {string[]} [options.exclude] Addresses left out, e.g. the distributor and owners
+ * @param {boolean} [options.includeContracts] Keep holders that are contracts
+ * @param {bigint} [options.total] Split this amount in proportion to balances instead of listing addresses only
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<object>} The snapshot, with `entries` ready for buildArtifact
+ */
+async function takeSnapshot({
+  provider, token, block, fromBlock = 0, minBalance = 1n, exclude = [], includeContracts = false, total, batchSize
+}) {
+  const transfers = await fetchTransfers(provider, token, { fromBlock, toBlock: block, batchSize });
+  const balances = replayBalances(transfers);
+  const excluded = new Set(exclude.map(address => ethers.getAddress(address)));
+  const skipped = { excluded: [], belowMinimum: [], contracts: [] };
+
+  const holders = [];
+  const addresses = [...balances.keys()].filter(address => balances.get(address) > 0n).sort();
+  for (const address of addresses) {
+    const balance = balances.get(address);
+    if (excluded.has(address)) {
+      skipped.excluded.push(address);
+    } else if (balance < minBalance) {
+      skipped.belowMinimum.push(address);
+    } else if (!includeContracts && (await provider.getCode(address, block)) !== "0x") {
+      skipped.contracts.push(address);
+    } else {
+      holders.push({ address, balance });
+    }
+  }
+
+  let entries = holders.map(({ address }) => ({ address }));
+  if (total !== undefined) {
+    const amounts = allocateProportional(holders, total);
+    // A share rounded down to nothing can't be a leaf
+    entries = holders
+      .map(({ address }, i) => ({ address, amount: amounts[i] }))
+      .filter(({ amount }) => amount > 0n);
+  }
+
+  return {
+    token: ethers.getAddress(token),
+    block,
+    fromBlock,
+    transfers: transfers.length,
+    holders: holders.map(({ address, balance }) => ({ address, balance: balance.toString() })),
+    totalBalance: holders.reduce((acc, { balance }) => acc + balance, 0n).toString(),
+    skipped,
+    entries
+  };
+}
+
+/**
+ * Writes snapshot entries as an allowlist merkle:build can read: .json for a JSON array, CSV otherwise
+ * @param {string} file Output path
+ * @param {{ address: string, amount?: bigint }[]} entries Allowlist entries
+ */
+function writeAllowlist(file, entries) {
+  const withAmounts = entries.length > 0 && entries[0].amount !== undefined;
+  let content;
+  if (path.extname(file).toLowerCase() === ".json") {
+    const items = entries.map(({ address, amount }) => (withAmounts ? { address, amount: amount.toString() } : address));
+    content = JSON.stringify(items, null, 2) + "\n";
+  } else {
+    content = withAmounts
+      ? formatCsv(["address", "amount"], entries.map(({ address, amount }) => [address, amount]))
+      : formatCsv(["address"], entries.map(({ address }) => [address]));
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  fetchTransfers,
+  replayBalances,
+  allocateProportional,
+  takeSnapshot,
+  writeAllowlist
+};
@@ -0,0 +1,196 @@
+const { normalizeArgs } = require("./indexer");
+const { readPhase, PHASE_MODES } = require("./phases");
+const { formatCsv } = require("./cli");
+const { indexArtifact } = require("./proofs");
+
+/**
+ * Reads Claimed events from the chain, in the record shape of the indexer store
+ * @param {import("ethers").Contract} distributor MerkleDistributorV2 instance
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to read
+ * @param {number|string} [options.toBlock] Last block to read
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<object[]>}
+ */
+async function fetchClaims(distributor, { fromBlock = 0, toBlock = "latest", batchSize = 2000 } = {}) {
+  const lastBlock = toBlock === "latest" ? await distributor.runner.provider.getBlockNumber() : toBlock;
+  const claims = [];
+  for (let start = fromBlock; start <= lastBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, lastBlock);
+    for (const log of await distributor.queryFilter(distributor.filters.Claimed(), start, end)) {
+      claims.push({
+        name: "Claimed",
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args: normalizeArgs(distributor.interface.parseLog(log))
+      });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Reconciles one phase against its allowlist
+ * @param {object} phase Phase from readPhase
+ * @param {object|null} artifact Merkle artifact of the phase
+ * @param {object[]} claims Claimed events of the phase
+ * @param {number} now Current unix timestamp
+ * @returns {object}
+ */
+function reconcilePhase(phase, artifact, claims, now) {
+  const expired = BigInt(now) > phase.endTime;
+  const allowlist = artifact ? indexArtifact(artifact) : null;
+  const unknownClaims = [];
+  const claimed = new Set();
+  for (const claim of claims) {
+    const address = claim.args.claimant.toLowerCase();
+    claimed.add(address);
+    if (allowlist && !allowlist.has(address)) {
+      unknownClaims.push({
+        address: claim.args.claimant,
+        amount: claim.args.amount,
+        transactionHash: claim.transactionHash,
+        blockNumber: claim.blockNumber
+      });
+    }
+  }
+
+  const result = {
+    mode: PHASE_MODES[phase.mode],
+    asset: phase.asset,
+    merkleRoot: phase.merkleRoot,
+    active: phase.active,
+    endTime: Number(phase.endTime),
+    expired,
+    dropAmount: phase.dropAmount.toString(),
+    recipientCount: Number(phase.recipientCount),
+    hasArtifact: Boolean(artifact),
+    eligible: null,
+    outstanding: null,
+    liability: null,
+    unclaimed: [],
+    unknownClaims
+  };
+  if (!artifact) return result;
+
+  const perRecipient = PHASE_MODES[phase.mode] === "PerRecipient";
+  result.unclaimed = Object.entries(artifact.recipients)
+    .filter(([address]) => !claimed.has(address.toLowerCase()))
+    .map(([address, entry]) => ({ address, amount: perRecipient ? entry.amount : phase.dropAmount.toString() }));
+
+  result.eligible = artifact.leafCount;
+  if (perRecipient) {
+    // recipientCount alone doesn't say how much is owed when amounts differ
+    result.outstanding = result.unclaimed.length;
+    result.liability = result.unclaimed.reduce((sum, { amount }) => sum + BigInt(amount), 0n);
+  } else {
+    const remaining = BigInt(artifact.leafCount) - phase.recipientCount;
+    result.outstanding = Number(remaining > 0n ? remaining : 0n);
+    result.liability = BigInt(result.outstanding) * phase.dropAmount;
+  }
+  // Nobody can claim from an expired phase anymore
+  if (expired) result.liability = 0n;
+  result.liability = result.liability.toString();
+  return result;
+}
+
+/**
+ * Compares what every phase still owes with what the distributor holds of the phase's asset
+ * @param {object} options
+ * @param {import("ethers").Contract} options.distributor MerkleDistributorV2 instance
+ * @param {Object<number, object>} options.phases Merkle artifact per phase id
+ * @param {object[]} options.claims Claimed events, from fetchClaims or an EventStore
+ * @param {number} options.now Current unix timestamp
+ * @returns {Promise<object>}
+ */
+async function buildSolvencyReport({ distributor, phases, claims, now }) {
+  const count = Number(await distributor.getPhaseCount());
+
+  const report = [];
+  // Liabilities can only be compared with the balance of the same asset
+  const liabilities = new Map();
+  for (let phaseId = 0; phaseId < count; phaseId++) {
+    const phase = await readPhase(distributor, phaseId);
+    const artifact = phases[phaseId] || null;
+    const phaseClaims = claims.filter(claim => claim.args.phaseId === phaseId);
+    const entry = { phaseId, ...reconcilePhase(phase, artifact, phaseClaims, now) };
+    const liability = liabilities.get(entry.asset) || 0n;
+    liabilities.set(entry.asset, liability + (entry.liability !== null ? BigInt(entry.liability) : 0n));
+    report.push(entry);
+  }
+
+  const assets = [];
+  for (const [asset, totalLiability] of liabilities) {
+    const remainingTokens = await distributor.remainingTokensOf(asset);
+    const shortfall = totalLiability > remainingTokens ? totalLiability - remainingTokens : 0n;
+    assets.push({
+      asset,
+      remainingTokens: remainingTokens.toString(),
+      totalLiability: totalLiability.toString(),
+      shortfall: shortfall.toString(),
+      solvent: shortfall === 0n
+    });
+  }
+
+  return {
+    generatedAt: now,
+    distributor: await distributor.getAddress(),
+    summary: {
+      assets,
+      solvent: assets.every(asset => asset.solvent),
+      // Liability is a lower bound when a phase has no artifact
+      complete: report.every(phase => phase.hasArtifact),
+      unclaimed: report.reduce((sum, phase) => sum + phase.unclaimed.length, 0),
+      unknownClaims: report.reduce((sum, phase) => sum + phase.unknownClaims.length, 0)
+    },
+    phases: report
+  };
+}
+
+/**
+ * Turns a solvency report into CSV tables
+ * @param {object} report Output of buildSolvencyReport
+ * @returns {{ phases: string, unclaimed: string, unknownClaims: string }}
+ */
+function solvencyReportCsv(report) {
+  return {
+    phases: formatCsv(
+      ["phase", "mode", "asset", "active", "expired", "drop_amount", "eligible", "recipient_count", "outstanding", "liability", "unknown_claims"],
+      report.phases.map(phase => [
+        phase.phaseId,
+        phase.mode,
+        phase.asset,
+        phase.active,
+        phase.expired,
+        phase.dropAmount,
+        phase.eligible,
+        phase.recipientCount,
+        phase.outstanding,
+        phase.liability,
+        phase.unknownClaims.length
+      ])
+    ),
+    unclaimed: formatCsv(
+      ["phase", "address", "amount"],
+      report.phases.flatMap(phase => phase.unclaimed.map(item => [phase.phaseId, item.address, item.amount]))
+    ),
+    unknownClaims: formatCsv(
+      ["phase", "address", "amount", "transaction", "block"],
+      report.phases.flatMap(phase => phase.unknownClaims.map(item => [
+        phase.phaseId,
+        item.address,
+        item.amount,
+        item.transactionHash,
+        item.blockNumber
+      ]))
+    )
+  };
+}
+
+module.exports = {
+  fetchClaims,
+  reconcilePhase,
+  buildSolvencyReport,
+  solvencyReportCsv
+};
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+// Bump whenever the store layout changes
+const STORE_VERSION = 1;
+
+/**
+ * Embedded event store persisted as a single JSON file (or kept in memory when no file is given).
+ * Events are kept ordered by (blockNumber, logIndex); amounts are stored as decimal strings.
+ */
+class EventStore {
+  /**
+   * @param {string} [file] JSON file backing the store
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = { version: STORE_VERSION, cursor: null, blocks: {}, events: [] };
+
+    if (file && fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (data.version !== STORE_VERSION) {
+        throw new Error(`Unsupported store version ${data.version} in ${file}`);
+      }
+      this.data = data;
+    }
+  }
+
+  /**
+   * Writes the store to disk atomically
+   */
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Last block whose events are fully stored, or null before the first sync
+   * @returns {number|null}
+   */
+  get cursor() {
+    return this.data.cursor;
+  }
+
+  set cursor(blockNumber) {
+    this.data.cursor = blockNumber;
+  }
+
+  /**
+   * Remembers the hash of an indexed block, used to detect reorgs
+   * @param {number} blockNumber
+   * @param {string} hash
+   */
+  setBlockHash(blockNumber, hash) {
+    this.data.blocks[blockNumber] = hash;
+  }
+
+  /**
+   * Indexed blocks with a known hash, newest first
+   * @returns {{ number: number, hash: string }[]}
+   */
+  knownBlocks() {
+    return Object.entries(this.data.blocks)
+      .map(([number, hash]) => ({ number: Number(number), hash }))
+      .sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Forgets block hashes older than the given block
+   * @param {number} blockNumber Oldest block to keep
+   */
+  pruneBlocks(blockNumber) {
+    for (const number of Object.keys(this.data.blocks)) {
+      if (Number(number) < blockNumber) delete this.data.blocks[number];
+    }
+  }
+
+  /**
+   * Adds events, ignoring ones already stored
+   * @param {object[]} events Records with at least id, blockNumber and logIndex
+   */
+  addEvents(events) {
+    const ids = new Set(this.data.events.map(event => event.id));
+    for (const event of events) {
+      if (!ids.has(event.id)) this.data.events.push(event);
+    }
+    this.data.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Drops everything after a block, used when the chain reorganized
+   * @param {number} blockNumber Last block to keep
+   */
+  rollback(blockNumber) {
+    this.data.events = this.data.events.filter(event => event.blockNumber <= blockNumber);
+    for (const number of Object.keys(this.data.blocks)) {
+      if (Number(number) > blockNumber) delete this.data.blocks[number];
+    }
+    this.data.cursor = blockNumber;
+  }
+
+  /**
+   * Returns stored events matching a filter
+   * @param {object} [filter]
+   * @param {string} [filter.name] Event name, e.g. "Claimed"
+   * @param {string} [filter.source] "distributor" or "token"
+   * @param {number} [filter.fromTime] Earliest block timestamp (inclusive)
+   * @param {number} [filter.toTime] Latest block timestamp (inclusive)
+   * @returns {object[]}
+   */
+  events({ name, source, fromTime, toTime } = {}) {
+    return this.data.events.filter(event =>
+      (name === undefined || event.name === name) &&
+      (source === undefined || event.source === source) &&
+      (fromTime === undefined || event.timestamp >= fromTime) &&
+      (toTime === undefined || event.timestamp <= toTime)
+    );
+  }
+
+  /**
+   * Returns Claimed events, optionally for one phase, one claimant and/or a time range
+   * @param {object} [filter]
+   * @param {number} [filter.phaseId]
+   * @param {string} [filter.address] Claimant address (any case)
+   * @param {number} [filter.fromTime]
+   * @param {number} [filter.toTime]
+   * @returns {object[]}
+   */
+  claims({ phaseId, address, fromTime, toTime } = {}) {
+    const claimant = address && address.toLowerCase();
+    return this.events({ name: "Claimed", fromTime, toTime }).filter(event =>
+      (phaseId === undefined || event.args.phaseId === Number(phaseId)) &&
+      (claimant === undefined || event.args.claimant.toLowerCase() === claimant)
+    );
+  }
+
+  /**
+   * Totals claims per phase
+   * @returns {Object<string, { count: number, amount: string }>}
+   */
+  claimsByPhase() {
+    const totals = {};
+    for (const event of this.claims()) {
+      const phase = totals[event.args.phaseId] || { count: 0, amount: 0n };
+      phase.count++;
+      phase.amount += BigInt(event.args.amount);
+      totals[event.args.phaseId] = phase;
+    }
+    for (const phase of Object.values(totals)) {
+      phase.amount = phase.amount.toString();
+    }
+    return totals;
+  }
+
+  /**
+   * Buckets claims over time
+   * @param {object} options
+   * @param {number} options.interval Bucket size in seconds
+   * @param {number} [options.phaseId] Only count this phase
+   * @returns {{ start: number, count: number, amount: string }[]} Non-empty buckets, oldest first
+   */
+  claimsOverTime({ interval, phaseId }) {
+    const buckets = new Map();
+    for (const event of this.claims({ phaseId })) {
+      const start = event.timestamp - (event.timestamp % interval);
+      const bucket = buckets.get(start) || { start, count: 0, amount: 0n };
+      bucket.count++;
+      bucket.amount += BigInt(event.args.amount);
+      buckets.set(start, bucket);
+    }
+    return [...buckets.values()]
+      .sort((a, b) => a.start - b.start)
+      .map(bucket => ({ ...bucket, amount: bucket.amount.toString() }));
+  }
+}
+
+module.exports = {
+  STORE_VERSION,
+  EventStore
+};
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Bump whenever the voucher file layout changes so consumers can reject files they don't understand
+const VOUCHER_FILE_VERSION = 2;
+
+// EIP-712 types of MerkleDistributorV2.VOUCHER_TYPEHASH
+const VOUCHER_TYPES = {
+  Voucher: [
+    { name: "phaseId", type: "uint32" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ]
+};
+
+/**
+ * Signs a voucher making a recipient eligible for an amount in a voucher phase
+ * @param {import("ethers").Signer} signer Account holding VOUCHER_SIGNER_ROLE
+ * @param {import("ethers").TypedDataDomain} domain EIP-712 domain of the distributor (see claimDomain)
+ * @param {{ phaseId: number, recipient: string, amount: bigint|string, nonce?: bigint|string, expiry: number|bigint }} voucher
+ *   nonce is the recipient's voucherNonces entry, 0 until its vouchers are cancelled
+ * @returns {Promise<{ phaseId: number, recipient: string, amount: bigint, nonce: bigint, expiry: bigint, signature: string }>}
+ */
+async function signVoucher(signer, domain, { phaseId, recipient, amount, nonce = 0n, expiry }) {
+  const message = {
+    phaseId,
+    recipient: ethers.getAddress(recipient),
+    amount: BigInt(amount),
+    nonce: BigInt(nonce),
+    expiry: BigInt(expiry)
+  };
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Returns the address that signed a voucher
+ * @param {import("ethers").TypedDataDomain} domain EIP-712 domain of the distributor
+ * @param {{ phaseId: number, recipient: string, amount: bigint|string, nonce: bigint|string, expiry: number|bigint, signature: string }} voucher
+ * @returns {string}
+ */
+function recoverVoucherSigner(domain, { phaseId, recipient, amount, nonce, expiry, signature }) {
+  const message = { phaseId, recipient, amount: BigInt(amount), nonce: BigInt(nonce), expiry: BigInt(expiry) };
+  return ethers.verifyTypedData(domain, VOUCHER_TYPES, message, signature);
+}
+
+/**
+ * Signs a voucher for every entry and adds them to a voucher file. An entry takes the place of its
+ * address's voucher in the file. The earlier voucher stays redeemable on-chain until it is cancelled
+ * with cancelVouchers, so a replacement is signed for the recipient's nonce after that call.
+ * Recipients missing from the entries keep their voucher.
+ * @param {import("ethers").Signer} signer Account holding VOUCHER_SIGNER_ROLE
+ * @param {import("ethers").TypedDataDomain} domain EIP-712 domain of the distributor
+ * @param {object} options
+ * @param {number} options.phaseId Voucher phase
+ * @param {{ address: string, amount: bigint, nonce?: bigint }[]} options.entries Validated allowlist entries with
+ *   amounts, and the recipients' voucherNonces entries (0 when missing)
+ * @param {number} options.expiry Unix time after which the vouchers can't be redeemed
+ * @param {object} [options.previous] Voucher file to add to, from readVoucherFile
+ * @returns {Promise<object>} The voucher file
+ */
+async function issueVouchers(signer, domain, { phaseId, entries, expiry, previous }) {
+  const distributor = ethers.getAddress(domain.verifyingContract);
+  const chainId = Number(domain.chainId);
+  if (previous && (previous.chainId !== chainId || previous.distributor !== distributor || previous.phaseId !== phaseId)) {
+    throw new Error(
+      `The voucher file is for phase ${previous.phaseId} of ${previous.distributor} on chain ${previous.chainId}, ` +
+      `not phase ${phaseId} of ${distributor} on chain ${chainId}`
+    );
+  }
+
+  const signerAddress = await signer.getAddress();
+  const vouchers = { ...(previous ? previous.vouchers : {}) };
+  for (const { address, amount, nonce = 0n } of entries) {
+    if (amount === undefined) throw new Error(`No amount for ${address}, vouchers always name an amount`);
+    const { signature } = await signVoucher(signer, domain, { phaseId, recipient: address, amount, nonce, expiry });
+    vouchers[address] = { amount: amount.toString(), nonce: nonce.toString(), expiry, signer: signerAddress, signature };
+  }
+
+  return {
+    version: VOUCHER_FILE_VERSION,
+    chainId,
+    distributor,
+    phaseId,
+    totalAmount: Object.values(vouchers).reduce((sum, voucher) => sum + BigInt(voucher.amount), 0n).toString(),
+    vouchers
+  };
+}
+
+/**
+ * Lists the vouchers of a file as allowlist entries, to sign them again (e.g. after a key rotation)
+ * @param {object} file Voucher file from readVoucherFile
+ * @param {{ signers?: string[] }} [filter] Only the vouchers signed by one of these addresses
+ * @returns {{ address: string, amount: bigint }[]}
+ */
+function voucherEntries(file, { signers } = {}) {
+  const keep = signers ? new Set(signers.map(signer => signer.toLowerCase())) : null;
+  return Object.entries(file.vouchers)
+    .filter(([, voucher]) => !keep || keep.has(voucher.signer.toLowerCase()))
+    .map(([address, voucher]) => ({ address, amount: BigInt(voucher.amount) }));
+}
+
+/**
+ * Returns the claimWithVoucher arguments of a recipient
+ * @param {object} file Voucher file from readVoucherFile
+ * @param {string} recipient Address the voucher was issued to
+ * @returns {[number, string, bigint, bigint, string]} phaseId, recipient, amount, expiry, signature
+ */
+function voucherClaimArgs(file, recipient) {
+  const address = Object.keys(file.vouchers).find(key => key.toLowerCase() === recipient.toLowerCase());
+  if (!address) throw new Error(`No voucher for ${recipient} in phase ${file.phaseId}`);
+  const voucher = file.vouchers[address];
+  return [file.phaseId, address, BigInt(voucher.amount), BigInt(voucher.expiry), voucher.signature];
+}
+
+/**
+ * Writes a voucher file as pretty-printed JSON, creating parent directories as needed
+ * @param {string} file Output path
+ * @param {object} data Voucher file from issueVouchers
+ */
+function writeVoucherFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * Reads a voucher file and checks its version
+ * @param {string} file Voucher file path
+ * @returns {object}
+ */
+function readVoucherFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.version !== VOUCHER_FILE_VERSION) {
+    throw new Error(`Unsupported voucher file version ${data.version} in ${file}`);
+  }
+  return data;
+}
+
+module.exports = {
+  VOUCHER_FILE_VERSION,
+  VOUCHER_TYPES,
+  signVoucher,
+  recoverVoucherSigner,
+  issueVouchers,
+  voucherEntries,
+  voucherClaimArgs,
+  writeVoucherFile,
+  readVoucherFile
+};
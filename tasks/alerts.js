@@ -0,0 +1,28 @@
+const { task, types } = require("hardhat/config");
+const { getDistributor } = require("../lib/deployments");
+const { validateAlertConfig, loadAlertConfig, createSink, AlertWatcher } = require("../lib/alerts");
+
+task("alerts:watch", "Watches a distributor and alerts on low balance, expiring phases and unusual activity")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("rules", "Alert config (.json, .yaml or .yml), without it the default rules print to stdout")
+  .addOptionalParam("interval", "Polling interval in seconds", 60, types.int)
+  .addOptionalParam("fromBlock", "First block to read events from (defaults to the latest block)", undefined, types.int)
+  .addFlag("once", "Poll once and exit instead of watching")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const config = args.rules ? loadAlertConfig(args.rules) : validateAlertConfig({});
+    const watcher = new AlertWatcher({
+      distributor,
+      rules: config.rules,
+      sinks: config.sinks.map(createSink),
+      fromBlock: args.fromBlock,
+      log: message => console.log(message)
+    });
+
+    if (args.once) return watcher.poll();
+
+    await watcher.watch(args.interval * 1000);
+    console.log(`Watching ${await distributor.getAddress()} (${Object.keys(config.rules).join(", ")}), press Ctrl+C to stop`);
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    watcher.stop();
+  });
@@ -0,0 +1,38 @@
+const { task, types } = require("hardhat/config");
+const { printTable } = require("../lib/cli");
+const { DEFAULT_SIZES, runClaimBenchmark } = require("../lib/benchmark");
+
+/**
+ * Formats the change from `before` to `after` as a signed percentage
+ */
+function change(before, after) {
+  const percent = Number((after - before) * 10000n / before) / 100;
+  return `${percent > 0 ? "+" : ""}${percent.toFixed(2)}%`;
+}
+
+task("benchmark:claims", "Compares claim and batchDistribute gas of address-slot and bitmap claim tracking")
+  .addOptionalParam("sizes", "Comma-separated recipient counts", DEFAULT_SIZES.join(","))
+  .addOptionalParam("batchSize", "Recipients in the measured batchDistribute", 100, types.int)
+  .addOptionalParam("claims", "Single claims averaged per size", 10, types.int)
+  .setAction(async (args, hre) => {
+    // Deploys throwaway contracts and sends hundreds of transactions
+    if (hre.network.name !== "hardhat") {
+      throw new Error("Run the benchmark on the Hardhat network");
+    }
+    const sizes = args.sizes.split(",").map(size => Number(size.trim()));
+    if (sizes.some(size => !Number.isInteger(size) || size < 1)) {
+      throw new Error(`Invalid sizes "${args.sizes}", use positive integers such as 10,1000`);
+    }
+
+    const results = await runClaimBenchmark(hre, { sizes, batchSize: args.batchSize, claims: args.claims });
+
+    const rows = [];
+    for (const { size, claims, batchSize, legacy, bitmap } of results) {
+      rows.push([size, `claim (avg of ${claims})`, legacy.claim, bitmap.claim, change(legacy.claim, bitmap.claim)]);
+      rows.push([size, `batchDistribute (${batchSize})`, legacy.batch, bitmap.batch, change(legacy.batch, bitmap.batch)]);
+      rows.push([size, "  per recipient", legacy.batchPerRecipient, bitmap.batchPerRecipient, change(legacy.batchPerRecipient, bitmap.batchPerRecipient)]);
+    }
+    printTable(["recipients", "call", "before", "after", "change"], rows);
+
+    return results;
+  });
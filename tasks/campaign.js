@@ -0,0 +1,83 @@
+const { task } = require("hardhat/config");
+const { getDistributor, resolveDistributorParameters, deployDistributor } = require("../lib/deployments");
+const { execute } = require("../lib/admin");
+const { confirm, printTable } = require("../lib/cli");
+const { buildCampaignPlan, formatAction } = require("../lib/campaign");
+
+/**
+ * Prints the phase diffs, the transactions and the warnings of a plan
+ * @param {{ actions: object[], diffs: object[], warnings: string[] }} plan
+ */
+function printPlan(plan) {
+  for (const { phaseId, change, rows } of plan.diffs) {
+    console.log(`Phase ${phaseId} (${change})`);
+    printTable(["field", "current", "proposed", ""], rows);
+    console.log("");
+  }
+  if (plan.actions.length === 0) {
+    console.log("The distributor matches the manifest, nothing to do");
+  } else {
+    printTable(
+      ["#", "transaction", "summary"],
+      plan.actions.map((action, i) => [i + 1, formatAction(action), action.summary])
+    );
+  }
+  plan.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+}
+
+task("campaign:plan", "Diffs a campaign manifest against the distributor and prints the transactions that apply it")
+  .addParam("manifest", "Campaign manifest (.json, .yaml or .yml)")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the manifest, then the deployment registry)")
+  .setAction(async (args, hre) => {
+    const { state, plan } = await buildCampaignPlan(hre, args.manifest, { address: args.address });
+    console.log(`Distributor: ${state.address || "not deployed"}`);
+    console.log(`Sender:      ${state.sender}`);
+    console.log("");
+    printPlan(plan);
+    return plan;
+  });
+
+task("campaign:apply", "Sends the transactions of campaign:plan, skipping whatever already matches the manifest")
+  .addParam("manifest", "Campaign manifest (.json, .yaml or .yml)")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the manifest, then the deployment registry)")
+  .addFlag("yes", "Send without asking for confirmation")
+  .setAction(async (args, hre) => {
+    let { phases, plan, state } = await buildCampaignPlan(hre, args.manifest, { address: args.address });
+    printPlan(plan);
+    if (plan.actions.length === 0) return { sent: [] };
+    if (!args.yes && !(await confirm(`Send ${plan.actions.length} transaction(s)?`))) {
+      console.log("Aborted");
+      return { aborted: true, sent: [] };
+    }
+
+    const sent = [];
+    let address = state.address;
+    if (plan.actions[0].method === "deploy") {
+      const { parameters, artifact } = plan.actions[0];
+      // Phase 0 is funded by FUNDER_KEY like in deploy:airdrop, never by the owner
+      if (!process.env.FUNDER_KEY) throw new Error("Set FUNDER_KEY to the account that funds phase 0");
+      const funder = new hre.ethers.Wallet(process.env.FUNDER_KEY, hre.ethers.provider);
+      const { merkleDistributor } = await deployDistributor(hre, resolveDistributorParameters(parameters, artifact), { funder });
+      address = await merkleDistributor.getAddress();
+      console.log(`Deployed MerkleDistributorV2 at ${address}`);
+      sent.push({ method: "deploy", address });
+
+      // The rest of the plan needs the new addresses, so it is made again against the deployment
+      ({ phases, plan, state } = await buildCampaignPlan(hre, args.manifest, { address }));
+    }
+
+    const distributor = await getDistributor(hre, address);
+    for (const action of plan.actions) {
+      const contract = action.target === "distributor" ? distributor : await hre.ethers.getContractAt("IERC20", action.target);
+      const callArgs = action.value !== undefined ? [...action.args, { value: action.value }] : action.args;
+      const { result, receipt } = await execute(contract, action.method, callArgs, { dryRun: false, yes: true });
+
+      // Someone else creating a phase in between would shift the ids of the manifest
+      if (action.method.startsWith("createPhase") && Number(result) !== action.phaseId) {
+        throw new Error(`Created phase ${result} instead of ${action.phaseId}, the distributor changed since the plan`);
+      }
+      sent.push({ method: action.method, phaseId: action.phaseId, hash: receipt.hash });
+    }
+    console.log(`Applied ${args.manifest} to ${address} for ${phases.length} phase(s)`);
+    return { address, sent };
+  });
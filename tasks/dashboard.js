@@ -0,0 +1,23 @@
+const { task, types } = require("hardhat/config");
+const { resolveDistributorAddress } = require("../lib/deployments");
+const { buildDashboardConfig, createDashboardServer } = require("../lib/dashboard");
+
+task("dashboard:serve", "Serves the admin and claimant web dashboard")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("artifacts", "Comma-separated Merkle artifacts offered to claimants", "")
+  .addOptionalParam("rpcUrl", "JSON-RPC endpoint the browser reads from (defaults to the network's url)")
+  .addOptionalParam("port", "Port to listen on", 3000, types.int)
+  .setAction(async (args, hre) => {
+    const dashboard = await buildDashboardConfig(hre, {
+      distributor: await resolveDistributorAddress(hre, args.address),
+      artifacts: args.artifacts.split(",").map(file => file.trim()).filter(Boolean),
+      rpcUrl: args.rpcUrl || hre.network.config.url
+    });
+
+    const server = createDashboardServer(dashboard);
+    await new Promise(resolve => server.listen(args.port, resolve));
+    console.log(`Dashboard for ${dashboard.config.distributor.address} on http://localhost:${server.address().port}`);
+
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    server.close();
+  });
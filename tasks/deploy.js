@@ -0,0 +1,31 @@
+const { task } = require("hardhat/config");
+const { readDeploymentParameters } = require("@nomicfoundation/hardhat-ignition/helpers");
+const { readArtifact } = require("../lib/merkle");
+const { DISTRIBUTOR_MODULE_ID, resolveDistributorParameters, deployDistributor } = require("../lib/deployments");
+
+task("deploy:airdrop", "Deploys AirdropToken and MerkleDistributorV2, funds phase 0 from a Merkle artifact and records both in the registry")
+  .addParam("parameters", "Ignition parameters file (e.g. ignition/parameters/sepolia.json)")
+  .addParam("artifact", "Merkle artifact for phase 0, from merkle:build")
+  .setAction(async ({ parameters, artifact }, hre) => {
+    const merkle = readArtifact(artifact);
+    const resolved = resolveDistributorParameters(await readDeploymentParameters(parameters), merkle);
+    const { dropAmount, fundAmount } = resolved[DISTRIBUTOR_MODULE_ID];
+
+    console.log(`Merkle root:  ${merkle.root}`);
+    console.log(`Recipients:   ${merkle.leafCount}`);
+    console.log(`Drop amount:  ${dropAmount}`);
+    console.log(`Fund amount:  ${fundAmount}`);
+
+    // A dedicated funding key mints against a minter allowance, so the owner key never mints
+    if (!process.env.FUNDER_KEY) throw new Error("Set FUNDER_KEY to the account that funds phase 0");
+    const funder = new hre.ethers.Wallet(process.env.FUNDER_KEY, hre.ethers.provider);
+    console.log(`Funder:       ${funder.address}`);
+
+    const { airdropToken, merkleDistributor, file } = await deployDistributor(hre, resolved, { displayUi: true, funder });
+
+    console.log(`AirdropToken:        ${await airdropToken.getAddress()}`);
+    console.log(`MerkleDistributorV2: ${await merkleDistributor.getAddress()}`);
+    console.log(`Recorded in ${file || "the in-memory registry of the Hardhat network"}`);
+
+    return { airdropToken, merkleDistributor };
+  });
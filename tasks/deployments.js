@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { DISTRIBUTOR_FUTURE_ID, readRegistry, recordDeployment } = require("../lib/deployments");
+const { printTable } = require("../lib/cli");
+
+/**
+ * Prints the contracts of a registry
+ * @param {object} registry
+ */
+function printRegistry(registry) {
+  printTable(
+    ["contract", "address", "block", "transaction"],
+    Object.entries(registry.contracts).map(([name, entry]) => [name, entry.address, entry.blockNumber ?? "-", entry.transactionHash ?? "-"])
+  );
+}
+
+task("deployments:show", "Prints the contracts recorded in the deployment registry of the network")
+  .setAction(async (args, hre) => {
+    const { file, chainId, registry } = await readRegistry(hre);
+    if (!registry) {
+      console.log(`Nothing recorded for chain ${chainId}${file ? ` in ${file}` : ""}`);
+      return null;
+    }
+    console.log(`Chain ${chainId} (${registry.network})${file ? `, ${file}` : ""}`);
+    printRegistry(registry);
+    return registry;
+  });
+
+task("deployments:record", "Records an existing distributor and its token in the deployment registry")
+  .addOptionalParam("distributor", "MerkleDistributorV2 address (defaults to the network's Ignition deployment)")
+  .addOptionalParam("fromBlock", "A block before the deployment, to find the creation blocks faster", 0, types.int)
+  .setAction(async (args, hre) => {
+    let address = args.distributor;
+    if (!address) {
+      // Deployments made before the registry existed are only in Ignition's own records
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const file = path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`, "deployed_addresses.json");
+      address = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8"))[DISTRIBUTOR_FUTURE_ID] : undefined;
+      if (!address) throw new Error(`No Ignition deployment of the distributor found in ${file}, pass --distributor`);
+    }
+
+    const distributor = await hre.ethers.getContractAt("MerkleDistributorV2", hre.ethers.getAddress(address));
+    const { file, registry } = await recordDeployment(hre, {
+      AirdropToken: await distributor.token(),
+      MerkleDistributorV2: await distributor.getAddress()
+    }, { fromBlock: args.fromBlock });
+
+    console.log(`Recorded in ${file || "the in-memory registry of the Hardhat network"}`);
+    printRegistry(registry);
+    return registry;
+  });
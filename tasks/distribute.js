@@ -0,0 +1,51 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { readArtifact } = require("../lib/merkle");
+const { getDistributor } = require("../lib/deployments");
+const { runBatchDistribution, buildDistributionReport } = require("../lib/batch");
+const { readPhase } = require("../lib/phases");
+const { readAsset } = require("../lib/assets");
+
+task("distribute:batch", "Distributes a phase to every recipient of a Merkle artifact in resumable chunks")
+  .addParam("artifact", "Merkle artifact for the phase")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("checkpoint", "Progress file (defaults to <artifact>.phase<id>.checkpoint.json)")
+  .addOptionalParam("report", "Report file (defaults to <artifact>.phase<id>.report.json)")
+  .addOptionalParam("gasBudget", "Maximum gas per transaction (defaults to half the block gas limit)")
+  .addOptionalParam("maxChunk", "Maximum recipients per transaction", 500, types.int)
+  .addOptionalParam("maxBatches", "Stop after sending this many transactions", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const artifact = readArtifact(args.artifact);
+    const prefix = args.artifact.replace(/\.json$/, "");
+    const checkpointFile = args.checkpoint || `${prefix}.phase${args.phase}.checkpoint.json`;
+    const reportFile = args.report || `${prefix}.phase${args.phase}.report.json`;
+
+    const checkpoint = await runBatchDistribution({
+      distributor,
+      artifact,
+      phaseId: args.phase,
+      checkpointFile,
+      gasBudget: args.gasBudget !== undefined ? BigInt(args.gasBudget) : undefined,
+      maxChunkSize: args.maxChunk,
+      maxBatches: args.maxBatches,
+      log: message => console.log(message)
+    });
+
+    const report = await buildDistributionReport(distributor, checkpoint);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + "\n");
+
+    const { asset } = await readPhase(distributor, args.phase);
+    const { decimals } = await readAsset(hre.ethers.provider, asset);
+    console.log(`Sent:                    ${report.summary.sent}`);
+    console.log(`Skipped (invalid proof): ${report.summary.skippedInvalidProof}`);
+    console.log(`Skipped (claimed):       ${report.summary.skippedAlreadyClaimed}`);
+    console.log(`Skipped (refused ETH):   ${report.summary.skippedTransferFailed}`);
+    console.log(`Tokens moved:            ${ethers.formatUnits(report.summary.totalAmount, decimals)}`);
+    console.log(`Checkpoint:              ${checkpointFile}`);
+    console.log(`Report:                  ${reportFile}`);
+
+    return report;
+  });
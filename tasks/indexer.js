@@ -0,0 +1,64 @@
+const { task, types } = require("hardhat/config");
+const { getDistributor } = require("../lib/deployments");
+const { EventStore } = require("../lib/store");
+const { EventIndexer } = require("../lib/indexer");
+const { formatTime, printTable } = require("../lib/cli");
+
+task("indexer:run", "Indexes distributor and token events into a local store")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("db", "Store file", "data/indexer.json")
+  .addOptionalParam("confirmations", "Blocks to wait before indexing a block", 2, types.int)
+  .addOptionalParam("startBlock", "First block to backfill from", 0, types.int)
+  .addOptionalParam("interval", "Polling interval in milliseconds when following", 5000, types.int)
+  .addFlag("follow", "Keep following new blocks after the backfill")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const token = await hre.ethers.getContractAt("AirdropToken", await distributor.token());
+    const store = new EventStore(args.db);
+    const indexer = new EventIndexer({
+      distributor,
+      token,
+      store,
+      confirmations: args.confirmations,
+      startBlock: args.startBlock,
+      log: message => console.log(message)
+    });
+
+    if (!args.follow) {
+      await indexer.sync();
+      return store;
+    }
+
+    await indexer.follow(args.interval);
+    console.log("Following new blocks, press Ctrl+C to stop");
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    indexer.stop();
+    return store;
+  });
+
+task("indexer:claims", "Queries indexed claims")
+  .addOptionalParam("db", "Store file", "data/indexer.json")
+  .addOptionalParam("phase", "Only this phase", undefined, types.int)
+  .addOptionalParam("claimant", "Only this claimant")
+  .setAction(async (args) => {
+    const store = new EventStore(args.db);
+    const claims = store.claims({ phaseId: args.phase, address: args.claimant });
+
+    printTable(
+      ["time", "phase", "claimant", "destination", "amount", "transaction"],
+      claims.map(event => [
+        formatTime(event.timestamp),
+        event.args.phaseId,
+        event.args.claimant,
+        event.args.destination,
+        event.args.amount,
+        event.transactionHash
+      ])
+    );
+    console.log("");
+    printTable(
+      ["phase", "claims", "amount"],
+      Object.entries(store.claimsByPhase()).map(([phaseId, { count, amount }]) => [phaseId, count, amount])
+    );
+    return claims;
+  });
@@ -0,0 +1,26 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { loadAllowlist, buildArtifact, writeArtifact } = require("../lib/merkle");
+
+task("merkle:build", "Builds a Merkle tree from an allowlist and writes the root and proofs to an artifact")
+  .addParam("input", "Allowlist file (.csv with address[,amount] columns, or .json array)")
+  .addOptionalParam("output", "Artifact path (defaults to <input>.merkle.json)")
+  .setAction(async ({ input, output }) => {
+    const entries = loadAllowlist(input);
+    const artifact = buildArtifact(entries);
+
+    const outFile = output || path.join(
+      path.dirname(input),
+      `${path.basename(input, path.extname(input))}.merkle.json`
+    );
+    writeArtifact(outFile, artifact);
+
+    console.log(`Merkle root: ${artifact.root}`);
+    console.log(`Leaves:      ${artifact.leafCount} (${artifact.leafEncoding})`);
+    if (artifact.totalAmount !== undefined) {
+      console.log(`Total:       ${artifact.totalAmount}`);
+    }
+    console.log(`Artifact:    ${outFile}`);
+
+    return artifact;
+  });
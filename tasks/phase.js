@@ -0,0 +1,335 @@
+const fs = require("fs");
+const path = require("path");
+const { types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { readArtifact, LEAF_ENCODING_ADDRESS } = require("../lib/merkle");
+const { getDistributor } = require("../lib/deployments");
+const { adminTask, execute } = require("../lib/admin");
+const { parseTime, parseDuration, parseTokenAmount, printTable } = require("../lib/cli");
+const { readPhase, diffPhase, sweepablePhases } = require("../lib/phases");
+const { parseAsset, readAsset, assetBalance, isNativeAsset, signPermit } = require("../lib/assets");
+
+/**
+ * Reads the decimals of a phase's asset (18 for ETH)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Contract} distributor
+ * @param {number} phaseId Phase to read
+ * @returns {Promise<bigint>}
+ */
+async function phaseDecimals(hre, distributor, phaseId) {
+  const { asset } = await readPhase(distributor, phaseId);
+  return (await readAsset(hre.ethers.provider, asset)).decimals;
+}
+
+/**
+ * Returns the timestamp of the latest block, used as "now" for relative times
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<number>}
+ */
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Checks a phase id against getPhaseCount() so typos fail before anything is simulated
+ * @param {import("ethers").Contract} distributor
+ * @param {number} phaseId
+ */
+async function checkPhaseId(distributor, phaseId) {
+  const count = await distributor.getPhaseCount();
+  if (BigInt(phaseId) >= count) {
+    throw new Error(`Phase ${phaseId} does not exist (InvalidPhase), the contract has ${count} phase(s)`);
+  }
+}
+
+adminTask("phase:create", "Creates a phase from a Merkle artifact")
+  .addParam("artifact", "Merkle artifact from merkle:build")
+  .addParam("end", "End time: unix seconds, ISO date or offset like +7d")
+  .addOptionalParam("start", "Start time: unix seconds, ISO date or offset like +1d (defaults to now)", "0")
+  .addOptionalParam("amount", "Tokens per claim, e.g. 12.5 (address-only artifacts)")
+  .addOptionalParam("asset", "Reward asset: an ERC20 address or ETH (defaults to the distributor's token)")
+  .addFlag("activate", "Make the new phase the current phase")
+  .addFlag("fund", "Deposit the phase budget with phase:fund once the phase is created")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const token = await distributor.token();
+    const asset = args.asset !== undefined ? parseAsset(args.asset) : token;
+    // Fails early, with a readable message, on addresses that aren't ERC20s
+    const { decimals, symbol } = await readAsset(hre.ethers.provider, asset);
+    const merkle = readArtifact(args.artifact);
+    const now = await latestTimestamp(hre);
+    const startTime = parseTime(args.start, now);
+    const endTime = parseTime(args.end, now);
+    const fixedAmount = merkle.leafEncoding === LEAF_ENCODING_ADDRESS;
+
+    if (fixedAmount && args.amount === undefined) {
+      throw new Error("--amount is required for address-only artifacts");
+    }
+    if (!fixedAmount && args.amount !== undefined) {
+      throw new Error("--amount can't be used with per-recipient artifacts, amounts come from the leaves");
+    }
+    const dropAmount = fixedAmount ? parseTokenAmount(args.amount, decimals) : 0n;
+    const budget = fixedAmount ? dropAmount * BigInt(merkle.leafCount) : BigInt(merkle.totalAmount);
+
+    console.log(`Creating phase ${await distributor.getPhaseCount()}`);
+    printTable(["field", "current", "proposed", ""], diffPhase(null, {
+      merkleRoot: merkle.root,
+      mode: fixedAmount ? 0 : 1,
+      asset,
+      dropAmount,
+      startTime,
+      endTime,
+      active: args.activate,
+      recipientCount: 0
+    }, decimals));
+    console.log(`Budget: ${ethers.formatUnits(budget, decimals)} ${symbol} for ${merkle.leafCount} recipients`);
+
+    let created;
+    if (asset !== token) {
+      const mode = fixedAmount ? 0 : 1;
+      created = await execute(distributor, "createPhaseForAsset",
+        [asset, mode, merkle.root, dropAmount, startTime, endTime, args.activate], args);
+    } else if (fixedAmount) {
+      created = await execute(distributor, "createPhase", [merkle.root, dropAmount, startTime, endTime, args.activate], args);
+    } else {
+      created = await execute(distributor, "createPhaseWithAmounts", [merkle.root, startTime, endTime, args.activate], args);
+    }
+
+    if (args.fund && created.receipt) {
+      await hre.run("phase:fund", {
+        address: await distributor.getAddress(),
+        phase: Number(created.result),
+        amount: ethers.formatUnits(budget, decimals),
+        yes: args.yes
+      });
+    }
+    return created;
+  });
+
+adminTask("phase:update", "Updates the root, drop amount, start or end time of a phase")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .addOptionalParam("artifact", "Merkle artifact with the new root")
+  .addOptionalParam("amount", "New tokens per claim, e.g. 12.5")
+  .addOptionalParam("start", "New start time: unix seconds, ISO date or offset like +1d")
+  .addOptionalParam("end", "New end time: unix seconds, ISO date or offset like +7d")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const decimals = await phaseDecimals(hre, distributor, args.phase);
+    const current = await readPhase(distributor, args.phase);
+
+    // Zero values keep the current setting, like updatePhase itself
+    const merkleRoot = args.artifact ? readArtifact(args.artifact).root : ethers.ZeroHash;
+    const dropAmount = args.amount !== undefined ? parseTokenAmount(args.amount, decimals) : 0n;
+    const now = await latestTimestamp(hre);
+    const startTime = args.start !== undefined ? parseTime(args.start, now) : 0;
+    const endTime = args.end !== undefined ? parseTime(args.end, now) : 0;
+
+    printTable(["field", "current", "proposed", ""], diffPhase(current, {
+      ...current,
+      merkleRoot: merkleRoot !== ethers.ZeroHash ? merkleRoot : current.merkleRoot,
+      dropAmount: dropAmount > 0n ? dropAmount : current.dropAmount,
+      startTime: startTime > 0 ? startTime : current.startTime,
+      endTime: endTime > 0 ? endTime : current.endTime
+    }, decimals));
+
+    return execute(distributor, "updatePhase", [args.phase, merkleRoot, dropAmount, startTime, endTime], args);
+  });
+
+adminTask("phase:activate", "Activates a phase and makes it the current phase")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const decimals = await phaseDecimals(hre, distributor, args.phase);
+    const current = await readPhase(distributor, args.phase);
+
+    console.log(`currentPhaseId: ${await distributor.currentPhaseId()} -> ${args.phase}`);
+    printTable(["field", "current", "proposed", ""], diffPhase(current, { ...current, active: true }, decimals));
+
+    return execute(distributor, "setActivePhase", [args.phase], args);
+  });
+
+adminTask("phase:deactivate", "Deactivates a phase")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const decimals = await phaseDecimals(hre, distributor, args.phase);
+    const current = await readPhase(distributor, args.phase);
+
+    printTable(["field", "current", "proposed", ""], diffPhase(current, { ...current, active: false }, decimals));
+
+    return execute(distributor, "deactivatePhase", [args.phase], args);
+  });
+
+adminTask("phase:pause", "Pauses claiming and batch distribution")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    console.log(`paused: ${await distributor.paused()} -> true`);
+    return execute(distributor, "pause", [], args);
+  });
+
+adminTask("phase:unpause", "Unpauses claiming and batch distribution")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    console.log(`paused: ${await distributor.paused()} -> false`);
+    return execute(distributor, "unpause", [], args);
+  });
+
+adminTask("phase:fund", "Deposits a phase's asset (ERC20 or ETH) so its unclaimed remainder can be swept later")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .addParam("amount", "Amount, e.g. 12.5")
+  .addFlag("mint", "Mint the amount first, as the token owner or against the sender's minter allowance")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const { budget, asset } = await readPhase(distributor, args.phase);
+    const { decimals, symbol } = await readAsset(hre.ethers.provider, asset);
+    const amount = parseTokenAmount(args.amount, decimals);
+
+    console.log(`Phase ${args.phase} budget: ${ethers.formatUnits(budget, decimals)} -> ${ethers.formatUnits(budget + amount, decimals)} ${symbol}`);
+
+    if (isNativeAsset(asset)) {
+      if (args.mint) throw new Error("--mint needs an AirdropToken phase, not an ETH phase");
+      return execute(distributor, "fundPhase", [args.phase, amount, { value: amount }], args);
+    }
+
+    const token = await hre.ethers.getContractAt("AirdropToken", asset);
+    const [signer] = await hre.ethers.getSigners();
+    const spender = await distributor.getAddress();
+    if (args.mint) {
+      const minted = await execute(token, "mint", [signer.address, amount], args);
+      // Without the minted tokens, fundPhase can't even be simulated
+      if (!minted.receipt) return minted;
+    }
+    if ((await token.allowance(signer.address, spender)) < amount) {
+      // A permit saves the approve transaction, tokens without one are approved first
+      const deadline = (await latestTimestamp(hre)) + 3600;
+      const permit = await signPermit(signer, asset, { spender, value: amount, deadline });
+      if (permit) {
+        return execute(distributor, "fundPhaseWithPermit", [args.phase, amount, deadline, permit.v, permit.r, permit.s], args);
+      }
+      const approval = await execute(token, "approve", [spender, amount], args);
+      if (!approval.receipt) return approval;
+    }
+    return execute(distributor, "fundPhase", [args.phase, amount], args);
+  });
+
+adminTask("phase:treasury", "Sets the address receiving swept tokens")
+  .addParam("treasury", "Treasury address")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    console.log(`treasury: ${await distributor.treasury()} -> ${args.treasury}`);
+    return execute(distributor, "setTreasury", [args.treasury], args);
+  });
+
+adminTask("phase:sweep", "Sends the unclaimed budget of every expired phase to the treasury")
+  .addOptionalParam("phase", "Only sweep this phase", undefined, types.int)
+  .addOptionalParam("record", "File the sweeps are appended to", "data/sweeps.json")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const treasury = await distributor.treasury();
+    const sweepable = (await sweepablePhases(distributor))
+      .filter(({ phaseId }) => args.phase === undefined || phaseId === args.phase);
+    for (const entry of sweepable) {
+      entry.assetInfo = await readAsset(hre.ethers.provider, entry.phase.asset);
+    }
+
+    if (sweepable.length === 0) {
+      console.log("Nothing to sweep");
+      return [];
+    }
+    console.log(`Treasury: ${treasury}`);
+    printTable(
+      ["phase", "asset", "budget", "claimed", "sweep"],
+      sweepable.map(({ phaseId, amount, phase, assetInfo: { symbol, decimals } }) => [
+        phaseId,
+        symbol || phase.asset,
+        ethers.formatUnits(phase.budget, decimals),
+        ethers.formatUnits(phase.claimedAmount, decimals),
+        ethers.formatUnits(amount, decimals)
+      ])
+    );
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const results = [];
+    for (const { phaseId, phase } of sweepable) {
+      const { result, receipt } = await execute(distributor, "sweepPhase", [phaseId], args);
+      if (!receipt) continue;
+      results.push({
+        chainId: Number(chainId),
+        distributor: await distributor.getAddress(),
+        phaseId,
+        asset: phase.asset,
+        treasury,
+        amount: result.toString(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+    }
+
+    if (results.length > 0) {
+      const previous = fs.existsSync(args.record) ? JSON.parse(fs.readFileSync(args.record, "utf8")) : [];
+      fs.mkdirSync(path.dirname(args.record), { recursive: true });
+      fs.writeFileSync(args.record, JSON.stringify([...previous, ...results], null, 2) + "\n");
+      console.log(`Recorded ${results.length} sweep(s) in ${args.record}`);
+    }
+    return results;
+  });
+
+adminTask("phase:vesting", "Makes claims of a phase vest linearly after a cliff")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .addParam("duration", "Vesting duration: seconds or a length like 365d (0 pays out at claim)")
+  .addOptionalParam("cliff", "Cliff after each claim: seconds or a length like 30d", "0")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const decimals = await phaseDecimals(hre, distributor, args.phase);
+    const cliff = parseDuration(args.cliff);
+    const duration = parseDuration(args.duration);
+
+    const current = await readPhase(distributor, args.phase);
+    printTable(["field", "current", "proposed", ""], diffPhase(current, {
+      ...current,
+      vestingCliff: BigInt(cliff),
+      vestingDuration: BigInt(duration)
+    }, decimals));
+    return execute(distributor, "setPhaseVesting", [args.phase, cliff, duration], args);
+  });
+
+adminTask("phase:release", "Releases the vested tokens of a claim to its beneficiary")
+  .addParam("phase", "Phase id", undefined, types.int)
+  .addParam("account", "Eligible address that claimed")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    await checkPhaseId(distributor, args.phase);
+    const decimals = await phaseDecimals(hre, distributor, args.phase);
+    const [total, vested, released, locked] = await distributor.vestingStatus(args.phase, args.account);
+    printTable(
+      ["total", "vested", "released", "locked"],
+      [[total, vested, released, locked].map(amount => ethers.formatUnits(amount, decimals))]
+    );
+    return execute(distributor, "release", [args.phase, args.account], args);
+  });
+
+adminTask("phase:withdraw", "Withdraws tokens from the distributor with emergencyWithdraw")
+  .addParam("to", "Recipient of the tokens")
+  .addParam("amount", "Amount, e.g. 12.5, or \"all\" for everything not locked for vesting or reserved by a budget")
+  .addOptionalParam("token", "Token to withdraw, or ETH (defaults to the distributor's token)")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const tokenAddress = args.token ? parseAsset(args.token) : await distributor.token();
+    const { decimals } = await readAsset(hre.ethers.provider, tokenAddress);
+    const balance = await assetBalance(hre.ethers.provider, tokenAddress, await distributor.getAddress());
+    // Tokens locked for vesting allocations or reserved by phase budgets can't be withdrawn
+    const remaining = await distributor.remainingTokensOf(tokenAddress);
+    const reserved = await distributor.totalReserved(tokenAddress);
+    const available = remaining > reserved ? remaining - reserved : 0n;
+    const amount = args.amount === "all" ? available : parseTokenAmount(args.amount, decimals);
+
+    console.log(`Distributor balance: ${ethers.formatUnits(balance, decimals)} -> ${ethers.formatUnits(balance - amount, decimals)}`);
+    console.log(`Recipient:           ${args.to}`);
+
+    return execute(distributor, "emergencyWithdraw", [tokenAddress, args.to, amount], args);
+  });
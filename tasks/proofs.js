@@ -0,0 +1,33 @@
+const { task, types } = require("hardhat/config");
+const { getDistributor } = require("../lib/deployments");
+const { readArtifact } = require("../lib/merkle");
+const { mapArtifactsToPhases, createProofService } = require("../lib/proofs");
+
+task("proofs:serve", "Serves Merkle proofs and eligibility over HTTP")
+  .addParam("artifacts", "Comma-separated Merkle artifacts, matched to phases by root")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("port", "Port to listen on", 3001, types.int)
+  .addOptionalParam("rateLimit", "Requests allowed per client and minute", 60, types.int)
+  .addOptionalParam("cacheTtl", "Seconds on-chain reads are cached", 15, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const artifacts = args.artifacts.split(",").map(file => file.trim()).filter(Boolean).map(file => readArtifact(file));
+    const { phases, unmatched } = await mapArtifactsToPhases(distributor, artifacts);
+    for (const artifact of unmatched) {
+      console.warn(`Warning: no phase has root ${artifact.root}, artifact ignored`);
+    }
+    if (Object.keys(phases).length === 0) throw new Error("No artifact matches a phase of the distributor");
+
+    const server = createProofService({
+      distributor,
+      phases,
+      cacheTtlMs: args.cacheTtl * 1000,
+      rateLimit: args.rateLimit,
+      rateWindowMs: 60000
+    });
+    await new Promise(resolve => server.listen(args.port, resolve));
+    console.log(`Serving proofs for phases ${Object.keys(phases).join(", ")} on http://localhost:${server.address().port}`);
+
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    server.close();
+  });
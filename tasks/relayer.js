@@ -0,0 +1,31 @@
+const { task, types } = require("hardhat/config");
+const { getDistributor } = require("../lib/deployments");
+const { Relayer, createRelayerServer } = require("../lib/relayer");
+
+task("relayer:serve", "Relays signed claims (claimFor, claimToWithSig) from a funded key")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("port", "Port to listen on", 3002, types.int)
+  .addOptionalParam("maxQueue", "Queued requests accepted before refusing new ones", 100, types.int)
+  .addOptionalParam("rateLimit", "Requests allowed per client and minute", 30, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    // A dedicated key keeps the owner key off the relayer host
+    const signer = process.env.RELAYER_KEY
+      ? new hre.ethers.Wallet(process.env.RELAYER_KEY, hre.ethers.provider)
+      : (await hre.ethers.getSigners())[0];
+
+    const relayer = new Relayer({
+      distributor,
+      signer,
+      maxQueue: args.maxQueue,
+      log: message => console.log(message)
+    });
+    relayer.start();
+    const server = createRelayerServer(relayer, { rateLimit: args.rateLimit });
+    await new Promise(resolve => server.listen(args.port, resolve));
+    console.log(`Relaying claims to ${await distributor.getAddress()} from ${await signer.getAddress()} on http://localhost:${server.address().port}`);
+
+    await new Promise(resolve => process.once("SIGINT", resolve));
+    server.close();
+    await relayer.stop();
+  });
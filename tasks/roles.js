@@ -0,0 +1,59 @@
+const { task, types } = require("hardhat/config");
+const { getDistributor } = require("../lib/deployments");
+const { adminTask, execute } = require("../lib/admin");
+const { printTable } = require("../lib/cli");
+const { ROLES, parseRole, fetchRoleMembers } = require("../lib/roles");
+
+adminTask("role:grant", "Grants a distributor role (admin, phaseManager, distributor, pauser, treasury, voucherSigner) to an account")
+  .addParam("role", "Role name, e.g. distributor or DISTRIBUTOR_ROLE")
+  .addParam("account", "Account receiving the role")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const { name, role } = parseRole(args.role);
+    const account = hre.ethers.getAddress(args.account);
+
+    if (await distributor.hasRole(role, account)) {
+      console.log(`${account} already has the ${name} role`);
+      return { unchanged: true };
+    }
+    console.log(`Granting ${name} to ${account}`);
+    return execute(distributor, "grantRole", [role, account], args);
+  });
+
+adminTask("role:revoke", "Revokes a distributor role from an account")
+  .addParam("role", "Role name, e.g. distributor or DISTRIBUTOR_ROLE")
+  .addParam("account", "Account losing the role")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const { name, role } = parseRole(args.role);
+    const account = hre.ethers.getAddress(args.account);
+
+    if (!(await distributor.hasRole(role, account))) {
+      console.log(`${account} doesn't have the ${name} role`);
+      return { unchanged: true };
+    }
+    // Revoking the last admin can't be undone
+    if (role === ROLES.admin) {
+      console.warn("Warning: without an admin no role can be granted or revoked anymore");
+    }
+    console.log(`Revoking ${name} from ${account}`);
+    return execute(distributor, "revokeRole", [role, account], args);
+  });
+
+task("role:list", "Lists the members of every distributor role from RoleGranted and RoleRevoked events")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("fromBlock", "First block to read role events from", 0, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const members = await fetchRoleMembers(distributor, { fromBlock: args.fromBlock });
+
+    const rows = [];
+    for (const name of Object.keys(ROLES)) {
+      const accounts = members[name] || [];
+      if (accounts.length === 0) rows.push([name, "-"]);
+      accounts.forEach(account => rows.push([name, account]));
+    }
+    printTable(["role", "account"], rows);
+
+    return members;
+  });
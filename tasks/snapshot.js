@@ -0,0 +1,90 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { getDistributor } = require("../lib/deployments");
+const { parseTokenAmount, printTable } = require("../lib/cli");
+const { readAsset } = require("../lib/assets");
+const { takeSnapshot, writeAllowlist } = require("../lib/snapshot");
+const { fetchRoleMembers } = require("../lib/roles");
+
+task("snapshot:holders", "Builds an allowlist of token holders at a block by replaying Transfer events")
+  .addParam("block", "Snapshot block", undefined, types.int)
+  .addParam("output", "Allowlist path (.csv or .json), ready for merkle:build")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("token", "Token to snapshot (defaults to the distributor's token)")
+  .addOptionalParam("fromBlock", "First block of the Transfer history, at or before the token's deployment", 0, types.int)
+  .addOptionalParam("minBalance", "Smallest balance kept, in tokens (e.g. 100)")
+  .addOptionalParam("exclude", "Comma-separated addresses to leave out, on top of the distributor, its role holders and the token owner")
+  .addFlag("includeContracts", "Keep holders that are contracts")
+  .addOptionalParam("total", "Split this many tokens in proportion to balances, writing address,amount entries")
+  .setAction(async (args, hre) => {
+    const { provider } = hre.ethers;
+    const head = await provider.getBlockNumber();
+    if (args.block > head) {
+      throw new Error(`Snapshot block ${args.block} is after the latest block ${head}`);
+    }
+
+    // The distributor, its admins and operators and the token owner hold tokens to hand out, not as holders
+    // --token alone still excludes the registry's distributor, and needs --exclude when there is none
+    const exclude = [];
+    let token = args.token;
+    let distributor;
+    try {
+      distributor = await getDistributor(hre, args.address);
+    } catch (err) {
+      if (!token || !args.exclude) {
+        throw new Error(token ? `${err.message}, or --exclude to snapshot without a distributor` : err.message);
+      }
+    }
+    if (distributor) {
+      token = token || await distributor.token();
+      const members = await fetchRoleMembers(distributor, { fromBlock: args.fromBlock, toBlock: args.block });
+      exclude.push(await distributor.getAddress(), ...Object.values(members).flat());
+    }
+    token = ethers.getAddress(token);
+    try {
+      const owner = await new ethers.Contract(token, ["function owner() view returns (address)"], provider).owner();
+      exclude.push(owner);
+    } catch (err) {
+      // Not every token is Ownable
+    }
+    if (args.exclude) {
+      exclude.push(...args.exclude.split(",").map(address => address.trim()).filter(Boolean));
+    }
+
+    const { decimals, symbol } = await readAsset(provider, token);
+    const snapshot = await takeSnapshot({
+      provider,
+      token,
+      block: args.block,
+      fromBlock: args.fromBlock,
+      minBalance: args.minBalance === undefined ? 1n : parseTokenAmount(args.minBalance, decimals),
+      exclude,
+      includeContracts: args.includeContracts,
+      total: args.total === undefined ? undefined : parseTokenAmount(args.total, decimals)
+    });
+    if (snapshot.entries.length === 0) {
+      throw new Error("No holder matches the snapshot rules");
+    }
+    writeAllowlist(args.output, snapshot.entries);
+
+    const amounts = new Map(snapshot.entries.map(({ address, amount }) => [address, amount]));
+    printTable(
+      args.total === undefined ? ["address", "balance"] : ["address", "balance", "amount"],
+      snapshot.holders.map(({ address, balance }) => {
+        const row = [address, ethers.formatUnits(balance, decimals)];
+        if (args.total !== undefined) row.push(ethers.formatUnits(amounts.get(address) || 0n, decimals));
+        return row;
+      })
+    );
+    console.log("");
+    console.log(`Token:     ${token} (${symbol})`);
+    console.log(`Block:     ${snapshot.block} (${snapshot.transfers} transfers replayed)`);
+    console.log(`Holders:   ${snapshot.entries.length}, holding ${ethers.formatUnits(snapshot.totalBalance, decimals)} ${symbol}`);
+    console.log(
+      `Skipped:   ${snapshot.skipped.excluded.length} excluded, ${snapshot.skipped.belowMinimum.length} below the minimum, ` +
+      `${snapshot.skipped.contracts.length} contracts`
+    );
+    console.log(`Allowlist: ${args.output}`);
+
+    return snapshot;
+  });
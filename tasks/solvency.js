@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { readArtifact } = require("../lib/merkle");
+const { getDistributor, findDistributorDeployment } = require("../lib/deployments");
+const { printTable } = require("../lib/cli");
+const { EventStore } = require("../lib/store");
+const { mapArtifactsToPhases } = require("../lib/proofs");
+const { fetchClaims, buildSolvencyReport, solvencyReportCsv } = require("../lib/solvency");
+const { readAsset } = require("../lib/assets");
+
+task("report:solvency", "Compares what every phase still owes with the distributor's balance")
+  .addParam("artifacts", "Comma-separated Merkle artifacts, matched to phases by root")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addOptionalParam("db", "Read Claimed events from this indexer store instead of the chain")
+  .addOptionalParam("fromBlock", "First block to read Claimed events from (defaults to the recorded deployment block)", undefined, types.int)
+  .addOptionalParam("output", "Prefix of the report files", "solvency-report")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const artifacts = args.artifacts.split(",").map(file => file.trim()).filter(Boolean).map(file => readArtifact(file));
+    const { phases, unmatched } = await mapArtifactsToPhases(distributor, artifacts);
+    for (const artifact of unmatched) {
+      console.warn(`Warning: no phase has root ${artifact.root}, artifact ignored`);
+    }
+
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+      // Nothing was claimed before the distributor was deployed
+      const deployment = await findDistributorDeployment(hre);
+      fromBlock = deployment.address === (await distributor.getAddress()) && deployment.blockNumber !== null ? deployment.blockNumber : 0;
+    }
+    const claims = args.db
+      ? new EventStore(args.db).claims()
+      : await fetchClaims(distributor, { fromBlock });
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const report = await buildSolvencyReport({ distributor, phases, claims, now: timestamp });
+
+    const csv = solvencyReportCsv(report);
+    const files = {
+      json: `${args.output}.json`,
+      phases: `${args.output}.phases.csv`,
+      unclaimed: `${args.output}.unclaimed.csv`,
+      unknownClaims: `${args.output}.unknown-claims.csv`
+    };
+    fs.mkdirSync(path.dirname(files.json), { recursive: true });
+    fs.writeFileSync(files.json, JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(files.phases, csv.phases);
+    fs.writeFileSync(files.unclaimed, csv.unclaimed);
+    fs.writeFileSync(files.unknownClaims, csv.unknownClaims);
+
+    const assets = new Map();
+    for (const { asset } of report.summary.assets) {
+      assets.set(asset, await readAsset(hre.ethers.provider, asset));
+    }
+    const amount = (value, asset) => {
+      if (value === null) return "?";
+      const { decimals, symbol } = assets.get(asset);
+      return `${ethers.formatUnits(value, decimals)} ${symbol}`.trim();
+    };
+    printTable(
+      ["phase", "mode", "expired", "eligible", "claimed", "outstanding", "liability", "unknown claims"],
+      report.phases.map(phase => [
+        phase.phaseId,
+        phase.mode,
+        phase.expired,
+        phase.eligible === null ? "?" : phase.eligible,
+        phase.recipientCount,
+        phase.outstanding === null ? "?" : phase.outstanding,
+        amount(phase.liability, phase.asset),
+        phase.unknownClaims.length
+      ])
+    );
+    console.log("");
+    printTable(
+      ["asset", "remaining", "liability", "shortfall"],
+      report.summary.assets.map(({ asset, remainingTokens, totalLiability, shortfall }) => [
+        asset,
+        amount(remainingTokens, asset),
+        amount(totalLiability, asset),
+        amount(shortfall, asset)
+      ])
+    );
+    if (!report.summary.complete) console.log("Phases without artifact are not counted in the liability");
+    if (!report.summary.solvent) console.warn("Warning: the distributor cannot cover every eligible claim");
+    if (report.summary.unknownClaims > 0) {
+      console.warn(`Warning: ${report.summary.unknownClaims} claims by addresses missing from their phase's allowlist`);
+    }
+    console.log(`Reports: ${Object.values(files).join(", ")}`);
+
+    return report;
+  });
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { loadAllowlist } = require("../lib/merkle");
+const { getDistributor } = require("../lib/deployments");
+const { adminTask, execute } = require("../lib/admin");
+const { parseTime, parseTokenAmount, printTable } = require("../lib/cli");
+const { readPhase, diffPhase, PHASE_MODES } = require("../lib/phases");
+const { parseAsset, readAsset } = require("../lib/assets");
+const { ROLES, fetchRoleMembers } = require("../lib/roles");
+const { claimDomain } = require("../lib/relayer");
+const { issueVouchers, voucherEntries, voucherClaimArgs, writeVoucherFile, readVoucherFile } = require("../lib/vouchers");
+
+// PhaseMode.Voucher
+const VOUCHER_MODE = PHASE_MODES.indexOf("Voucher");
+
+adminTask("voucher:phase", "Creates a phase claimed with signed vouchers instead of Merkle proofs")
+  .addParam("end", "End time: unix seconds, ISO date or offset like +7d")
+  .addOptionalParam("start", "Start time: unix seconds, ISO date or offset like +1d (defaults to now)", "0")
+  .addOptionalParam("asset", "Reward asset: an ERC20 address or ETH (defaults to the distributor's token)")
+  .addFlag("activate", "Make the new phase the current phase")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const token = await distributor.token();
+    const asset = args.asset !== undefined ? parseAsset(args.asset) : token;
+    const { decimals } = await readAsset(hre.ethers.provider, asset);
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const startTime = parseTime(args.start, now);
+    const endTime = parseTime(args.end, now);
+
+    console.log(`Creating phase ${await distributor.getPhaseCount()}`);
+    printTable(["field", "current", "proposed", ""], diffPhase(null, {
+      merkleRoot: ethers.ZeroHash,
+      mode: VOUCHER_MODE,
+      asset,
+      dropAmount: 0n,
+      startTime,
+      endTime,
+      active: args.activate,
+      recipientCount: 0
+    }, decimals));
+
+    if (asset !== token) {
+      return execute(distributor, "createPhaseForAsset",
+        [asset, VOUCHER_MODE, ethers.ZeroHash, 0, startTime, endTime, args.activate], args);
+    }
+    return execute(distributor, "createVoucherPhase", [startTime, endTime, args.activate], args);
+  });
+
+task("voucher:issue", "Signs vouchers for the recipients of an allowlist and adds them to a voucher file")
+  .addOptionalParam("address", "MerkleDistributorV2 address (defaults to the deployment registry)")
+  .addParam("phase", "Voucher phase id", undefined, types.int)
+  .addOptionalParam("input", "Allowlist (.csv or .json), without it the file's vouchers from revoked signers are signed again")
+  .addOptionalParam("amount", "Tokens per recipient, e.g. 12.5, for allowlists without amounts")
+  .addOptionalParam("expiry", "Time the vouchers expire: unix seconds, ISO date or offset like +30d", "+30d")
+  .addOptionalParam("output", "Voucher file (defaults to vouchers/phase-<id>.json)")
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    if (BigInt(args.phase) >= (await distributor.getPhaseCount())) {
+      throw new Error(`Phase ${args.phase} does not exist (InvalidPhase)`);
+    }
+    const phase = await readPhase(distributor, args.phase);
+    if (phase.mode !== VOUCHER_MODE) {
+      throw new Error(`Phase ${args.phase} is a ${PHASE_MODES[phase.mode]} phase, vouchers are only redeemable in voucher phases`);
+    }
+
+    // A dedicated key keeps the owner key off the host that issues vouchers
+    const signer = process.env.VOUCHER_SIGNER_KEY
+      ? new hre.ethers.Wallet(process.env.VOUCHER_SIGNER_KEY, hre.ethers.provider)
+      : (await hre.ethers.getSigners())[0];
+    if (!(await distributor.hasRole(ROLES.voucherSigner, signer.address))) {
+      throw new Error(`${signer.address} doesn't have the voucherSigner role, grant it with voucher:rotate or role:grant`);
+    }
+
+    const output = args.output || path.join("vouchers", `phase-${args.phase}.json`);
+    const previous = fs.existsSync(output) ? readVoucherFile(output) : undefined;
+
+    let entries;
+    if (args.input) {
+      entries = loadAllowlist(args.input);
+      if (entries[0].amount === undefined) {
+        if (args.amount === undefined) throw new Error("--amount is required for allowlists without amounts");
+        const amount = parseTokenAmount(args.amount, (await readAsset(hre.ethers.provider, phase.asset)).decimals);
+        entries = entries.map(({ address }) => ({ address, amount }));
+      } else if (args.amount !== undefined) {
+        throw new Error("--amount can't be used with allowlists that have amounts");
+      }
+    } else {
+      if (!previous) throw new Error(`Pass --input, there are no vouchers in ${output} to sign again`);
+      const stale = [];
+      for (const voucher of Object.values(previous.vouchers)) {
+        if (!stale.includes(voucher.signer) && !(await distributor.hasRole(ROLES.voucherSigner, voucher.signer))) {
+          stale.push(voucher.signer);
+        }
+      }
+      entries = voucherEntries(previous, { signers: stale });
+    }
+
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const expiry = parseTime(args.expiry, now);
+
+    // An earlier voucher that is still redeemable is cancelled on-chain first, so only the new one pays
+    const cancelled = [];
+    for (const { address } of previous ? entries : []) {
+      const key = Object.keys(previous.vouchers).find(candidate => candidate.toLowerCase() === address.toLowerCase());
+      const earlier = key && previous.vouchers[key];
+      if (
+        earlier &&
+        earlier.expiry >= now &&
+        BigInt(earlier.nonce) === (await distributor.voucherNonces(args.phase, key)) &&
+        (await distributor.hasRole(ROLES.voucherSigner, earlier.signer)) &&
+        !(await distributor.isClaimed(args.phase, BigInt(key)))
+      ) {
+        await (await distributor.connect(signer).cancelVouchers(args.phase, key)).wait();
+        cancelled.push(key);
+      }
+    }
+
+    // Vouchers are signed for the recipients' current nonces
+    const signed = [];
+    for (const entry of entries) {
+      signed.push({ ...entry, nonce: await distributor.voucherNonces(args.phase, entry.address) });
+    }
+    const vouchers = await issueVouchers(signer, await claimDomain(distributor), {
+      phaseId: args.phase,
+      entries: signed,
+      expiry,
+      previous
+    });
+    writeVoucherFile(output, vouchers);
+
+    console.log(`Signed ${entries.length} voucher(s) with ${signer.address}, valid until ${new Date(expiry * 1000).toISOString()}`);
+    console.log(`Vouchers:  ${Object.keys(vouchers.vouchers).length}, ${vouchers.totalAmount} in total`);
+    console.log(`File:      ${output}`);
+    if (cancelled.length > 0) {
+      console.log(`Cancelled: ${cancelled.length} earlier voucher(s) still redeemable, with cancelVouchers`);
+    }
+    return vouchers;
+  });
+
+adminTask("voucher:rotate", "Grants the voucher signer role to a new key and revokes it from the current ones")
+  .addParam("signer", "Address of the new voucher signer")
+  .addFlag("keep", "Leave the current signers in place, their vouchers stay redeemable")
+  .addOptionalParam("fromBlock", "First block to read role events from", 0, types.int)
+  .setAction(async (args, hre) => {
+    const distributor = await getDistributor(hre, args.address);
+    const signer = hre.ethers.getAddress(args.signer);
+    const members = await fetchRoleMembers(distributor, { fromBlock: args.fromBlock });
+    const current = (members.voucherSigner || []).filter(account => account !== signer);
+
+    const result = { granted: null, revoked: [] };
+    if (await distributor.hasRole(ROLES.voucherSigner, signer)) {
+      console.log(`${signer} already has the voucherSigner role`);
+    } else {
+      console.log(`Granting voucherSigner to ${signer}`);
+      result.granted = await execute(distributor, "grantRole", [ROLES.voucherSigner, signer], args);
+      // Revoking before the new key works would leave the phase without a signer
+      if (!result.granted.receipt && !args.dryRun) return result;
+    }
+
+    if (args.keep) return result;
+    for (const account of current) {
+      console.log(`Revoking voucherSigner from ${account}, its vouchers stop being redeemable`);
+      result.revoked.push(await execute(distributor, "revokeRole", [ROLES.voucherSigner, account], args));
+    }
+    if (current.length > 0) {
+      console.log("Sign the outstanding vouchers again with voucher:issue and the new key");
+    }
+    return result;
+  });
+
+adminTask("voucher:cancel", "Cancels a recipient's vouchers on-chain and removes them from the voucher file")
+  .addParam("vouchers", "Voucher file from voucher:issue")
+  .addParam("recipient", "Recipient whose vouchers are cancelled")
+  .setAction(async (args, hre) => {
+    const file = readVoucherFile(args.vouchers);
+    const distributor = await getDistributor(hre, args.address || file.distributor);
+    const recipient = hre.ethers.getAddress(args.recipient);
+
+    // Like voucher:issue, cancelling needs the voucher signer key
+    const signer = process.env.VOUCHER_SIGNER_KEY
+      ? new hre.ethers.Wallet(process.env.VOUCHER_SIGNER_KEY, hre.ethers.provider)
+      : (await hre.ethers.getSigners())[0];
+    console.log(`Cancelling the vouchers of ${recipient} in phase ${file.phaseId}`);
+    const result = await execute(distributor.connect(signer), "cancelVouchers", [file.phaseId, recipient], args);
+    if (!result.receipt) return result;
+
+    const key = Object.keys(file.vouchers).find(candidate => candidate.toLowerCase() === recipient.toLowerCase());
+    if (key) {
+      const { [key]: removed, ...vouchers } = file.vouchers;
+      const totalAmount = (BigInt(file.totalAmount) - BigInt(removed.amount)).toString();
+      writeVoucherFile(args.vouchers, { ...file, totalAmount, vouchers });
+      console.log(`Removed its voucher from ${args.vouchers}`);
+    }
+    return result;
+  });
+
+adminTask("voucher:redeem", "Submits a recipient's voucher, the tokens go to the recipient whoever sends it")
+  .addParam("vouchers", "Voucher file from voucher:issue")
+  .addOptionalParam("recipient", "Recipient of the voucher (defaults to the first signer)")
+  .setAction(async (args, hre) => {
+    const file = readVoucherFile(args.vouchers);
+    const distributor = await getDistributor(hre, args.address || file.distributor);
+    const recipient = args.recipient || (await hre.ethers.getSigners())[0].address;
+    const claimArgs = voucherClaimArgs(file, recipient);
+
+    console.log(`Redeeming ${claimArgs[2]} from phase ${file.phaseId} for ${claimArgs[1]}`);
+    return execute(distributor, "claimWithVoucher", claimArgs, args);
+  });
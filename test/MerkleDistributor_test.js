@@ -1,8 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { MerkleTree } = require("merkletreejs");
-const keccak256 = require("keccak256");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createMerkleTree, getProof: getTreeProof, buildArtifact } = require("../lib/merkle");
+const { signClaim, signClaimTo } = require("../lib/relayer");
 
 describe("MerkleDistributorV2", function () {
   let merkleDistributor;
@@ -13,6 +13,7 @@ describe("MerkleDistributorV2", function () {
   let addr3;
   let addr4;
   let addrs;
+  let allowlist;
   let merkleTree;
   let merkleRoot;
 
@@ -20,20 +21,14 @@ describe("MerkleDistributorV2", function () {
   const dropAmount = ethers.parseEther("0.01");
   const oneWeek = 7 * 24 * 60 * 60; // 1 week in seconds
 
-  // Updated helper function to properly create a merkle tree from addresses
-  function createMerkleTree(addresses) {
-    // Hash addresses directly without ABI encoding
-    const leaves = addresses.map(addr => 
-      keccak256(Buffer.from(addr.slice(2).toLowerCase(), 'hex'))
-    );
-    const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-    return merkleTree;
+  // Leaf index of an address, its position in the shared allowlist
+  function indexOf(address) {
+    return allowlist.indexOf(address);
   }
 
-  // Helper function to get proof for an address
+  // Helper function to get proof for an address from the shared tree builder
   function getProof(address) {
-    const leaf = keccak256(Buffer.from(address.slice(2).toLowerCase(), 'hex'));
-    return merkleTree.getHexProof(leaf);
+    return getTreeProof(merkleTree, indexOf(address), address);
   }
 
   beforeEach(async function () {
@@ -41,12 +36,13 @@ describe("MerkleDistributorV2", function () {
     [owner, addr1, addr2, addr3, addr4, ...addrs] = await ethers.getSigners();
 
     // Create merkle tree and root
-    merkleTree = createMerkleTree([addr1.address, addr2.address, addr3.address]);
+    allowlist = [addr1.address, addr2.address, addr3.address];
+    merkleTree = createMerkleTree(allowlist);
     merkleRoot = merkleTree.getHexRoot();
 
     // Deploy AirdropToken
     const AirdropToken = await ethers.getContractFactory("AirdropToken");
-    token = await AirdropToken.deploy(owner.address);
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
     await token.waitForDeployment();
 
     // Mint tokens to owner for distribution - use a large amount
@@ -60,6 +56,7 @@ describe("MerkleDistributorV2", function () {
       await token.getAddress(),
       merkleRoot,
       dropAmount,
+      0,
       endTime,
       owner.address
     );
@@ -74,8 +71,10 @@ describe("MerkleDistributorV2", function () {
       expect(await merkleDistributor.token()).to.equal(await token.getAddress());
     });
 
-    it("Should have the correct owner", async function () {
-      expect(await merkleDistributor.owner()).to.equal(owner.address);
+    it("Should give the owner the admin role and every operator role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PHASE_MANAGER_ROLE", "DISTRIBUTOR_ROLE", "PAUSER_ROLE", "TREASURY_ROLE"]) {
+        expect(await merkleDistributor.hasRole(await merkleDistributor[role](), owner.address)).to.equal(true);
+      }
     });
 
     it("Should initialize with the correct phase data", async function () {
@@ -98,14 +97,14 @@ describe("MerkleDistributorV2", function () {
       const initialBalance = await token.balanceOf(addr1.address);
       
       // Claim tokens
-      await merkleDistributor.connect(addr1).claim(proof);
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof);
       
       // Check balances after claim
       const finalBalance = await token.balanceOf(addr1.address);
       expect(finalBalance - initialBalance).to.equal(dropAmount);
       
       // Check contract state
-      expect(await merkleDistributor.isClaimedForPhase(0, addr1.address)).to.equal(true);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr1.address))).to.equal(true);
       expect(await merkleDistributor.totalClaimed()).to.equal(dropAmount);
       expect(await merkleDistributor.totalRecipients()).to.equal(1);
     });
@@ -114,10 +113,10 @@ describe("MerkleDistributorV2", function () {
       const proof = getProof(addr1.address);
       
       // First claim
-      await merkleDistributor.connect(addr1).claim(proof);
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof);
       
       // Second claim should fail
-      await expect(merkleDistributor.connect(addr1).claim(proof)).to.be.revertedWithCustomError(
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof)).to.be.revertedWithCustomError(
         merkleDistributor,
         "AlreadyClaimed"
       );
@@ -127,7 +126,7 @@ describe("MerkleDistributorV2", function () {
       const proof = getProof(addr1.address);
       
       // Try claiming with wrong address
-      await expect(merkleDistributor.connect(addr4).claim(proof)).to.be.revertedWithCustomError(
+      await expect(merkleDistributor.connect(addr4).claim(indexOf(addr1.address), proof)).to.be.revertedWithCustomError(
         merkleDistributor,
         "InvalidProof"
       );
@@ -140,7 +139,7 @@ describe("MerkleDistributorV2", function () {
       const proof = getProof(addr1.address);
       
       // Try claiming from inactive phase
-      await expect(merkleDistributor.connect(addr1).claim(proof)).to.be.revertedWithCustomError(
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof)).to.be.revertedWithCustomError(
         merkleDistributor,
         "PhaseNotActive"
       );
@@ -152,6 +151,7 @@ describe("MerkleDistributorV2", function () {
       await merkleDistributor.createPhase(
         merkleRoot,
         dropAmount,
+        0,
         endTime,
         true
       );
@@ -162,7 +162,7 @@ describe("MerkleDistributorV2", function () {
       const proof = getProof(addr1.address);
       
       // Try claiming from expired phase
-      await expect(merkleDistributor.connect(addr1).claimForPhase(1, proof))
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), proof))
         .to.be.revertedWithCustomError(merkleDistributor, "ClaimingEnded");
     });
 
@@ -172,6 +172,7 @@ describe("MerkleDistributorV2", function () {
       await merkleDistributor.createPhase(
         merkleRoot,
         dropAmount,
+        0,
         endTime,
         true
       );
@@ -179,14 +180,14 @@ describe("MerkleDistributorV2", function () {
       const proof = getProof(addr1.address);
       
       // Claim from the original phase (phase 0)
-      await merkleDistributor.connect(addr1).claimForPhase(0, proof);
+      await merkleDistributor.connect(addr1).claimForPhase(0, indexOf(addr1.address), proof);
       
       // Check balance after first claim
       let balance = await token.balanceOf(addr1.address);
       expect(balance).to.equal(dropAmount);
       
       // Claim from the new phase (phase 1)
-      await merkleDistributor.connect(addr1).claimForPhase(1, proof);
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), proof);
       
       // Check balance after second claim (should add another dropAmount)
       balance = await token.balanceOf(addr1.address);
@@ -205,7 +206,7 @@ describe("MerkleDistributorV2", function () {
       const initialBalance3 = await token.balanceOf(addr3.address);
       
       // Batch distribute
-      await merkleDistributor.connect(owner).batchDistribute(0, recipients, proofs);
+      await merkleDistributor.connect(owner).batchDistribute(0, recipients.map(indexOf), recipients, proofs);
       
       // Check balances
       expect(await token.balanceOf(addr1.address)).to.equal(initialBalance1 + dropAmount);
@@ -220,13 +221,14 @@ describe("MerkleDistributorV2", function () {
     it("Should skip invalid proofs in batch distribution", async function () {
       // Create a list with one valid and one invalid recipient
       const recipients = [addr1.address, addr4.address]; // addr4 is not in the merkle tree
-      const proofs = [getProof(addr1.address), getProof(addr1.address)]; // Invalid proof for addr4
+      const indices = [indexOf(addr1.address), indexOf(addr2.address)]; // addr4 borrows addr2's leaf
+      const proofs = [getProof(addr1.address), getProof(addr2.address)]; // Invalid proof for addr4
       
       // Initial distribution count
       const initialTotalRecipients = await merkleDistributor.totalRecipients();
       
       // Batch distribute
-      const tx = await merkleDistributor.connect(owner).batchDistribute(0, recipients, proofs);
+      const tx = await merkleDistributor.connect(owner).batchDistribute(0, indices, recipients, proofs);
       
       // Get receipt to check events
       const receipt = await tx.wait();
@@ -243,8 +245,8 @@ describe("MerkleDistributorV2", function () {
       }
       
       // Check claim status - only addr1 should be claimed
-      expect(await merkleDistributor.isClaimedForPhase(0, addr1.address)).to.equal(true);
-      expect(await merkleDistributor.isClaimedForPhase(0, addr4.address)).to.equal(false);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr1.address))).to.equal(true);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr2.address))).to.equal(false);
       
       // Check total recipients increased by 1
       expect(await merkleDistributor.totalRecipients()).to.equal(initialTotalRecipients + BigInt(1));
@@ -255,8 +257,153 @@ describe("MerkleDistributorV2", function () {
       const proofs = recipients.map(addr => getProof(addr));
       
       await expect(
-        merkleDistributor.connect(addr1).batchDistribute(0, recipients, proofs)
-      ).to.be.revertedWithCustomError(merkleDistributor, "OwnableUnauthorizedAccount");
+        merkleDistributor.connect(addr1).batchDistribute(0, recipients.map(indexOf), recipients, proofs)
+      ).to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Claimed Bitmap", function () {
+    it("Should track claims by leaf index in packed words", async function () {
+      // 300 recipients span two bitmap words
+      const wallets = Array.from({ length: 300 }, () => ethers.Wallet.createRandom().address);
+      const artifact = buildArtifact(wallets);
+      const endTime = (await time.latest()) + oneWeek;
+      await merkleDistributor.createPhase(artifact.root, dropAmount, 0, endTime, true);
+
+      const picked = [wallets[0], wallets[255], wallets[256], wallets[299]];
+      await merkleDistributor.batchDistribute(
+        1,
+        picked.map(address => artifact.recipients[address].index),
+        picked,
+        picked.map(address => artifact.recipients[address].proof)
+      );
+
+      for (const index of [0, 255, 256, 299]) {
+        expect(await merkleDistributor.isClaimed(1, index)).to.equal(true);
+      }
+      for (const index of [1, 254, 257, 298]) {
+        expect(await merkleDistributor.isClaimed(1, index)).to.equal(false);
+      }
+      // Phases keep separate bitmaps
+      expect(await merkleDistributor.isClaimed(0, 0)).to.equal(false);
+    });
+
+    it("Should bind a proof to its index", async function () {
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr2.address), getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidProof");
+    });
+
+    it("Should create more than 255 phases", async function () {
+      const endTime = (await time.latest()) + oneWeek;
+      for (let i = 0; i < 300; i++) {
+        await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, endTime, false);
+      }
+      expect(await merkleDistributor.getPhaseCount()).to.equal(301);
+
+      await merkleDistributor.setActivePhase(300);
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address)))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr1.address, addr1.address, await token.getAddress(), dropAmount, 300);
+      expect(await merkleDistributor.isClaimed(300, indexOf(addr1.address))).to.equal(true);
+    });
+  });
+
+  describe("Per-recipient Amounts", function () {
+    let artifact;
+    const amounts = {};
+
+    beforeEach(async function () {
+      amounts[addr1.address] = ethers.parseEther("0.01");
+      amounts[addr2.address] = ethers.parseEther("0.05");
+      amounts[addr3.address] = ethers.parseEther("2");
+      artifact = buildArtifact(Object.entries(amounts).map(([address, amount]) => ({ address, amount })));
+
+      const endTime = (await time.latest()) + oneWeek;
+      await merkleDistributor.createPhaseWithAmounts(artifact.root, 0, endTime, true);
+    });
+
+    it("Should expose the phase mode on chain", async function () {
+      expect((await merkleDistributor.phases(0)).mode).to.equal(0);
+      expect((await merkleDistributor.phases(1)).mode).to.equal(1);
+      expect((await merkleDistributor.phases(1)).dropAmount).to.equal(0);
+    });
+
+    it("Should pay the amount encoded in the leaf", async function () {
+      const { index, amount, proof } = artifact.recipients[addr2.address];
+
+      await expect(merkleDistributor.connect(addr2).claimWithAmount(index, amount, proof))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr2.address, addr2.address, await token.getAddress(), amount, 1);
+
+      expect(await token.balanceOf(addr2.address)).to.equal(amounts[addr2.address]);
+      expect(await merkleDistributor.totalClaimed()).to.equal(amounts[addr2.address]);
+      expect((await merkleDistributor.phases(1)).recipientCount).to.equal(1);
+    });
+
+    it("Should reject a claim for a different amount", async function () {
+      const { index, proof } = artifact.recipients[addr2.address];
+
+      await expect(merkleDistributor.connect(addr2).claimForPhaseWithAmount(1, index, amounts[addr3.address], proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidProof");
+    });
+
+    it("Should not allow double claiming", async function () {
+      const { index, amount, proof } = artifact.recipients[addr1.address];
+      await merkleDistributor.connect(addr1).claimForPhaseWithAmount(1, index, amount, proof);
+
+      await expect(merkleDistributor.connect(addr1).claimForPhaseWithAmount(1, index, amount, proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "AlreadyClaimed");
+    });
+
+    it("Should reject entry points that don't match the phase mode", async function () {
+      const { index, amount, proof } = artifact.recipients[addr1.address];
+
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, index, proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "WrongPhaseMode");
+      await expect(merkleDistributor.connect(addr1).claimForPhaseWithAmount(0, index, amount, getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "WrongPhaseMode");
+      await expect(merkleDistributor.updatePhase(1, ethers.ZeroHash, dropAmount, 0, 0))
+        .to.be.revertedWithCustomError(merkleDistributor, "WrongPhaseMode");
+    });
+
+    it("Should batch distribute per-recipient amounts and skip bad entries", async function () {
+      const recipients = [addr1.address, addr2.address, addr3.address];
+      const batchAmounts = recipients.map(address => artifact.recipients[address].amount);
+      const indices = recipients.map(address => artifact.recipients[address].index);
+      const proofs = recipients.map(address => artifact.recipients[address].proof);
+      // Tamper with addr3's amount so its proof no longer matches
+      batchAmounts[2] = amounts[addr3.address] * 2n;
+
+      await expect(merkleDistributor.batchDistributeWithAmounts(1, indices, recipients, batchAmounts, proofs))
+        .to.emit(merkleDistributor, "BatchProcessed")
+        .withArgs(2, 1, 1);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(amounts[addr1.address]);
+      expect(await token.balanceOf(addr2.address)).to.equal(amounts[addr2.address]);
+      expect(await token.balanceOf(addr3.address)).to.equal(0);
+      expect(await merkleDistributor.totalClaimed()).to.equal(amounts[addr1.address] + amounts[addr2.address]);
+    });
+
+    it("Should reject mismatched batch arrays", async function () {
+      await expect(merkleDistributor.batchDistributeWithAmounts(1, [0], [addr1.address], [], [[]]))
+        .to.be.revertedWithCustomError(merkleDistributor, "ArrayLengthMismatch");
+    });
+
+    it("Should revert instead of truncating amounts of 2^128 or more", async function () {
+      const huge = 2n ** 128n;
+      const hugeArtifact = buildArtifact([{ address: addr1.address, amount: huge }]);
+      await merkleDistributor.createPhaseWithAmounts(hugeArtifact.root, 0, (await time.latest()) + oneWeek, true);
+      await token.mint(await merkleDistributor.getAddress(), huge);
+
+      const { index, amount, proof } = hugeArtifact.recipients[addr1.address];
+      await expect(merkleDistributor.connect(addr1).claimForPhaseWithAmount(2, index, amount, proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "SafeCastOverflowedUintDowncast")
+        .withArgs(128, huge);
+    });
+
+    it("Should not batch distribute per-recipient phases through batchDistribute", async function () {
+      await expect(merkleDistributor.batchDistribute(1, [indexOf(addr1.address)], [addr1.address], [getProof(addr1.address)]))
+        .to.be.revertedWithCustomError(merkleDistributor, "WrongPhaseMode");
     });
   });
 
@@ -271,6 +418,7 @@ describe("MerkleDistributorV2", function () {
       await merkleDistributor.createPhase(
         merkleRoot,
         newDropAmount,
+        0,
         endTime,
         true
       );
@@ -302,6 +450,7 @@ describe("MerkleDistributorV2", function () {
         0,
         newMerkleRoot,
         newDropAmount,
+        0,
         newEndTime
       );
       
@@ -318,6 +467,7 @@ describe("MerkleDistributorV2", function () {
       await merkleDistributor.createPhase(
         merkleRoot,
         dropAmount,
+        0,
         endTime,
         false // Not active by default
       );
@@ -347,6 +497,7 @@ describe("MerkleDistributorV2", function () {
         await merkleDistributor.createPhase(
           merkleRoot,
           dropAmount,
+          0,
           phaseEnd,
           true
         );
@@ -364,6 +515,688 @@ describe("MerkleDistributorV2", function () {
       });
   });
 
+  describe("Scheduled Phases", function () {
+    let startTime;
+
+    beforeEach(async function () {
+      startTime = (await time.latest()) + 3600;
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, startTime, startTime + oneWeek, true);
+    });
+
+    it("Should store the start time", async function () {
+      expect((await merkleDistributor.phases(0)).startTime).to.equal(0);
+      expect((await merkleDistributor.phases(1)).startTime).to.equal(startTime);
+    });
+
+    it("Should reject claims and batches before the start time", async function () {
+      const proof = getProof(addr1.address);
+
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "ClaimingNotStarted");
+      await expect(merkleDistributor.batchDistribute(1, [indexOf(addr1.address)], [addr1.address], [proof]))
+        .to.be.revertedWithCustomError(merkleDistributor, "ClaimingNotStarted");
+
+      await time.increaseTo(startTime);
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), proof))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr1.address, addr1.address, await token.getAddress(), dropAmount, 1);
+    });
+
+    it("Should report scheduled, open and closed states", async function () {
+      let status = await merkleDistributor.phaseStatus(1);
+      expect(status.isActive).to.equal(false);
+      expect(status.started).to.equal(false);
+      expect(status.timeUntilStart).to.equal(startTime - (await time.latest()));
+
+      await time.increaseTo(startTime);
+      status = await merkleDistributor.phaseStatus(1);
+      expect(status.isActive).to.equal(true);
+      expect(status.started).to.equal(true);
+      expect(status.timeUntilStart).to.equal(0);
+      expect(status.remainingTime).to.equal(oneWeek);
+
+      await time.increase(oneWeek + 1);
+      status = await merkleDistributor.phaseStatus(1);
+      expect(status.isActive).to.equal(false);
+      expect(status.started).to.equal(true);
+      expect(status.remainingTime).to.equal(0);
+    });
+
+    it("Should reschedule a phase and keep the start before the end", async function () {
+      const newStart = startTime + 600;
+      await expect(merkleDistributor.updatePhase(1, ethers.ZeroHash, 0, newStart, 0))
+        .to.emit(merkleDistributor, "PhaseUpdated")
+        .withArgs(1, merkleRoot, dropAmount, newStart, startTime + oneWeek);
+
+      await expect(merkleDistributor.updatePhase(1, ethers.ZeroHash, 0, startTime + oneWeek, 0))
+        .to.be.revertedWith("Start time must be before end time");
+      await expect(merkleDistributor.createPhase(merkleRoot, dropAmount, startTime, startTime, true))
+        .to.be.revertedWith("Start time must be before end time");
+    });
+  });
+
+  describe("Sweeping", function () {
+    const budget = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await token.approve(await merkleDistributor.getAddress(), budget);
+      await merkleDistributor.fundPhase(0, budget);
+    });
+
+    it("Should track the funded budget and claims of a phase", async function () {
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address));
+
+      const phase = await merkleDistributor.phases(0);
+      expect(phase.budget).to.equal(budget);
+      expect(phase.claimedAmount).to.equal(dropAmount);
+    });
+
+    it("Should only sweep after the end time", async function () {
+      expect(await merkleDistributor.sweepableAmount(0)).to.equal(0);
+      await expect(merkleDistributor.sweepPhase(0))
+        .to.be.revertedWithCustomError(merkleDistributor, "PhaseNotEnded");
+    });
+
+    it("Should send the budget minus claims to the treasury", async function () {
+      await merkleDistributor.setTreasury(addr4.address);
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address));
+      await merkleDistributor.connect(addr2).claim(indexOf(addr2.address), getProof(addr2.address));
+      await time.increase(oneWeek + 1);
+
+      const remainder = budget - dropAmount * 2n;
+      expect(await merkleDistributor.sweepableAmount(0)).to.equal(remainder);
+      await expect(merkleDistributor.sweepPhase(0))
+        .to.emit(merkleDistributor, "PhaseSwept")
+        .withArgs(0, addr4.address, remainder);
+
+      expect(await token.balanceOf(addr4.address)).to.equal(remainder);
+      expect(await merkleDistributor.sweepableAmount(0)).to.equal(0);
+      await expect(merkleDistributor.sweepPhase(0))
+        .to.be.revertedWithCustomError(merkleDistributor, "AlreadySwept");
+      await expect(merkleDistributor.updatePhase(0, ethers.ZeroHash, 0, 0, (await time.latest()) + oneWeek))
+        .to.be.revertedWithCustomError(merkleDistributor, "AlreadySwept");
+    });
+
+    it("Should not sweep phases without a budget", async function () {
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + 100, false);
+      await time.increase(oneWeek + 1);
+
+      await expect(merkleDistributor.sweepPhase(1))
+        .to.be.revertedWithCustomError(merkleDistributor, "NothingToSweep");
+    });
+
+    it("Should not let a funded phase claim past its budget", async function () {
+      await merkleDistributor.createPhase(merkleRoot, ethers.parseEther("0.4"), 0, (await time.latest()) + oneWeek, true);
+      await token.approve(await merkleDistributor.getAddress(), ethers.parseEther("0.5"));
+      await merkleDistributor.fundPhase(1, ethers.parseEther("0.5"));
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget + ethers.parseEther("0.5"));
+
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address));
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget + ethers.parseEther("0.1"));
+
+      // The contract holds far more, but not for this phase
+      await expect(merkleDistributor.connect(addr2).claimForPhase(1, indexOf(addr2.address), getProof(addr2.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "BudgetExceeded");
+      await expect(merkleDistributor.batchDistribute(1, [indexOf(addr2.address)], [addr2.address], [getProof(addr2.address)]))
+        .to.be.revertedWithCustomError(merkleDistributor, "BudgetExceeded");
+    });
+
+    it("Should only count the paid entries of a batch against the budget", async function () {
+      await merkleDistributor.createPhase(merkleRoot, ethers.parseEther("0.4"), 0, (await time.latest()) + oneWeek, true);
+      await token.approve(await merkleDistributor.getAddress(), ethers.parseEther("0.8"));
+      await merkleDistributor.fundPhase(1, ethers.parseEther("0.8"));
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address));
+
+      // addr1 is already claimed and addr3 has a bad proof, only addr2's drop is left to fit the budget
+      const recipients = [addr1.address, addr3.address, addr2.address];
+      await expect(merkleDistributor.batchDistribute(
+        1,
+        recipients.map((address) => indexOf(address)),
+        recipients,
+        [getProof(addr1.address), getProof(addr1.address), getProof(addr2.address)]
+      ))
+        .to.emit(merkleDistributor, "BatchProcessed")
+        .withArgs(1, 2, 1);
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget);
+    });
+
+    it("Should keep phases without a budget off the other phases' budgets", async function () {
+      await merkleDistributor.emergencyWithdraw(await token.getAddress(), owner.address, ethers.parseEther("100000"));
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + oneWeek, true);
+
+      // Only phase 0's budget is left
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+      await merkleDistributor.connect(addr1).claimForPhase(0, indexOf(addr1.address), getProof(addr1.address));
+    });
+
+    it("Should keep emergency withdrawals off funded budgets", async function () {
+      const tokenAddress = await token.getAddress();
+      const unreserved = (await merkleDistributor.remainingTokensOf(tokenAddress)) - budget;
+
+      await expect(merkleDistributor.emergencyWithdraw(tokenAddress, owner.address, unreserved + 1n))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+      await merkleDistributor.emergencyWithdraw(tokenAddress, owner.address, unreserved);
+      await expect(merkleDistributor.emergencyWithdraw(tokenAddress, owner.address, 1))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+
+      // The budget still pays its claims and its sweep
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address));
+      await time.increase(oneWeek + 1);
+      await expect(merkleDistributor.sweepPhase(0))
+        .to.emit(merkleDistributor, "PhaseSwept")
+        .withArgs(0, owner.address, budget - dropAmount);
+    });
+
+    it("Should only sweep the phase's own budget when phases share an asset", async function () {
+      await merkleDistributor.emergencyWithdraw(await token.getAddress(), owner.address, ethers.parseEther("100000"));
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + 100, true);
+      await token.approve(await merkleDistributor.getAddress(), budget);
+      await merkleDistributor.fundPhase(1, budget);
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address));
+      await time.increase(101);
+
+      await expect(merkleDistributor.sweepPhase(1))
+        .to.emit(merkleDistributor, "PhaseSwept")
+        .withArgs(1, owner.address, budget - dropAmount);
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget);
+      expect(await token.balanceOf(await merkleDistributor.getAddress())).to.equal(budget);
+
+      // Phase 0 still has its whole budget
+      await merkleDistributor.setActivePhase(0);
+      for (const signer of [addr1, addr2, addr3]) {
+        await merkleDistributor.connect(signer).claim(indexOf(signer.address), getProof(signer.address));
+      }
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget - dropAmount * 3n);
+    });
+
+    it("Should count claims made before funding against the budget", async function () {
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + oneWeek, true);
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address));
+      await token.approve(await merkleDistributor.getAddress(), dropAmount * 2n);
+      await merkleDistributor.fundPhase(1, dropAmount * 2n);
+
+      expect(await merkleDistributor.totalReserved(await token.getAddress())).to.equal(budget + dropAmount);
+      await merkleDistributor.connect(addr2).claimForPhase(1, indexOf(addr2.address), getProof(addr2.address));
+      await expect(merkleDistributor.connect(addr3).claimForPhase(1, indexOf(addr3.address), getProof(addr3.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "BudgetExceeded");
+    });
+
+    it("Should restrict sweeping and the treasury to the owner", async function () {
+      await time.increase(oneWeek + 1);
+
+      await expect(merkleDistributor.connect(addr1).sweepPhase(0))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+      await expect(merkleDistributor.connect(addr1).setTreasury(addr1.address))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+      await expect(merkleDistributor.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(merkleDistributor, "ZeroAddress");
+      expect(await merkleDistributor.treasury()).to.equal(owner.address);
+    });
+  });
+
+  describe("Gasless Claims", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should let anyone submit a signed claim for the recipient", async function () {
+      const { signature } = await signClaim(addr1, merkleDistributor, { phaseId: 0, deadline });
+
+      await expect(merkleDistributor.connect(addr4).claimFor(0, indexOf(addr1.address), addr1.address, deadline, getProof(addr1.address), signature))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr1.address, addr1.address, await token.getAddress(), dropAmount, 0);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount);
+      expect(await token.balanceOf(addr4.address)).to.equal(0);
+      expect(await merkleDistributor.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { signature } = await signClaim(addr1, merkleDistributor, { phaseId: 0, deadline });
+      await merkleDistributor.createPhase(merkleRoot, dropAmount, 0, deadline, true);
+      await merkleDistributor.claimFor(0, indexOf(addr1.address), addr1.address, deadline, getProof(addr1.address), signature);
+
+      // The nonce moved on, so the same signature no longer matches
+      await expect(merkleDistributor.claimFor(0, indexOf(addr1.address), addr1.address, deadline, getProof(addr1.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+      // And it is bound to its phase
+      await expect(merkleDistributor.claimFor(1, indexOf(addr1.address), addr1.address, deadline, getProof(addr1.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+    });
+
+    it("Should reject an expired deadline", async function () {
+      const { signature } = await signClaim(addr1, merkleDistributor, { phaseId: 0, deadline });
+      await time.increaseTo(deadline + 1);
+
+      await expect(merkleDistributor.claimFor(0, indexOf(addr1.address), addr1.address, deadline, getProof(addr1.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "SignatureExpired");
+    });
+
+    it("Should reject a signature used for another recipient", async function () {
+      const { signature } = await signClaim(addr1, merkleDistributor, { phaseId: 0, deadline });
+
+      await expect(merkleDistributor.claimFor(0, indexOf(addr2.address), addr2.address, deadline, getProof(addr2.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+      await expect(merkleDistributor.claimFor(0, indexOf(addr1.address), addr1.address, deadline + 1, getProof(addr1.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+    });
+
+    it("Should relay per-recipient claims", async function () {
+      const amount = ethers.parseEther("3");
+      const artifact = buildArtifact([{ address: addr2.address, amount }]);
+      await merkleDistributor.createPhaseWithAmounts(artifact.root, 0, deadline, true);
+      const { signature } = await signClaim(addr2, merkleDistributor, { phaseId: 1, deadline });
+
+      await merkleDistributor.claimForWithAmount(1, 0, addr2.address, amount, deadline, artifact.recipients[addr2.address].proof, signature);
+
+      expect(await token.balanceOf(addr2.address)).to.equal(amount);
+    });
+  });
+
+  describe("Claiming to Another Address", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should send the caller's claim to the destination", async function () {
+      await expect(merkleDistributor.connect(addr1).claimTo(0, indexOf(addr1.address), addr4.address, getProof(addr1.address)))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr1.address, addr4.address, await token.getAddress(), dropAmount, 0);
+
+      expect(await token.balanceOf(addr4.address)).to.equal(dropAmount);
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+      // The eligible address is the one marked as claimed
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr1.address))).to.equal(true);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr2.address))).to.equal(false);
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "AlreadyClaimed");
+    });
+
+    it("Should send per-recipient amounts to the destination", async function () {
+      const amount = ethers.parseEther("3");
+      const artifact = buildArtifact([{ address: addr2.address, amount }]);
+      await merkleDistributor.createPhaseWithAmounts(artifact.root, 0, deadline, true);
+
+      await merkleDistributor.connect(addr2).claimToWithAmount(1, 0, addr4.address, amount, artifact.recipients[addr2.address].proof);
+
+      expect(await token.balanceOf(addr4.address)).to.equal(amount);
+    });
+
+    it("Should only let the eligible address name a destination", async function () {
+      // The leaf is computed from msg.sender, so a stranger's proof doesn't help
+      await expect(merkleDistributor.connect(addr4).claimTo(0, indexOf(addr1.address), addr4.address, getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidProof");
+      await expect(merkleDistributor.connect(addr1).claimTo(0, indexOf(addr1.address), ethers.ZeroAddress, getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "ZeroAddress");
+    });
+
+    it("Should send a signed claim to the destination the recipient chose", async function () {
+      const { signature } = await signClaimTo(addr1, merkleDistributor, { phaseId: 0, destination: addr4.address, deadline });
+      const proof = getProof(addr1.address);
+
+      // The destination is signed, so a relayer can't redirect the tokens
+      await expect(merkleDistributor.claimToWithSig(0, indexOf(addr1.address), addr1.address, addr2.address, deadline, proof, signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+
+      await expect(merkleDistributor.connect(addr3).claimToWithSig(0, indexOf(addr1.address), addr1.address, addr4.address, deadline, proof, signature))
+        .to.emit(merkleDistributor, "Claimed")
+        .withArgs(addr1.address, addr4.address, await token.getAddress(), dropAmount, 0);
+      expect(await token.balanceOf(addr4.address)).to.equal(dropAmount);
+      expect(await merkleDistributor.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should not accept a Claim signature as a ClaimTo authorization", async function () {
+      const { signature } = await signClaim(addr1, merkleDistributor, { phaseId: 0, deadline });
+
+      await expect(merkleDistributor.claimToWithSig(0, indexOf(addr1.address), addr1.address, addr1.address, deadline, getProof(addr1.address), signature))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidSignature");
+    });
+
+    it("Should send signed per-recipient claims to the destination", async function () {
+      const amount = ethers.parseEther("3");
+      const artifact = buildArtifact([{ address: addr2.address, amount }]);
+      await merkleDistributor.createPhaseWithAmounts(artifact.root, 0, deadline, true);
+      const { signature } = await signClaimTo(addr2, merkleDistributor, { phaseId: 1, destination: addr4.address, deadline });
+
+      await merkleDistributor.claimToWithSigAndAmount(
+        1, 0, addr2.address, addr4.address, amount, deadline, artifact.recipients[addr2.address].proof, signature
+      );
+
+      expect(await token.balanceOf(addr4.address)).to.equal(amount);
+    });
+  });
+
+  describe("Vesting", function () {
+    const cliff = 100;
+    const duration = 1000;
+
+    beforeEach(async function () {
+      await merkleDistributor.setPhaseVesting(0, cliff, duration);
+    });
+
+    /**
+     * Claims for addr1 and returns the claim timestamp, the start of its schedule
+     */
+    async function claimVesting() {
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), getProof(addr1.address));
+      return time.latest();
+    }
+
+    it("Should validate vesting settings", async function () {
+      await expect(merkleDistributor.setPhaseVesting(0, duration + 1, duration))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidVesting");
+      await expect(merkleDistributor.connect(addr1).setPhaseVesting(0, 0, duration))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+
+      await claimVesting();
+      await expect(merkleDistributor.setPhaseVesting(0, 0, 0))
+        .to.be.revertedWithCustomError(merkleDistributor, "VestingAlreadyStarted");
+    });
+
+    it("Should keep emergency withdrawals off locked allocations", async function () {
+      await claimVesting();
+      const available = await merkleDistributor.remainingTokens();
+      const distributorAddress = await merkleDistributor.getAddress();
+
+      await expect(merkleDistributor.emergencyWithdraw(await token.getAddress(), owner.address, available + 1n))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+      await merkleDistributor.emergencyWithdraw(await token.getAddress(), owner.address, available);
+      expect(await token.balanceOf(distributorAddress)).to.equal(dropAmount);
+
+      // The beneficiary can still release everything
+      await time.increase(duration);
+      await merkleDistributor.release(0, addr1.address);
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount);
+    });
+
+    it("Should lock the claim instead of transferring it", async function () {
+      const remainingBefore = await merkleDistributor.remainingTokens();
+      await claimVesting();
+
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+      expect(await merkleDistributor.totalLocked(await token.getAddress())).to.equal(dropAmount);
+      expect(await merkleDistributor.remainingTokens()).to.equal(remainingBefore - dropAmount);
+
+      const [total, vested, released, locked] = await merkleDistributor.vestingStatus(0, addr1.address);
+      expect([total, vested, released, locked]).to.deep.equal([dropAmount, 0n, 0n, dropAmount]);
+    });
+
+    it("Should release nothing before the cliff and vest linearly after it", async function () {
+      const start = await claimVesting();
+
+      await time.setNextBlockTimestamp(start + cliff - 1);
+      await expect(merkleDistributor.release(0, addr1.address))
+        .to.be.revertedWithCustomError(merkleDistributor, "NothingToRelease");
+
+      await time.setNextBlockTimestamp(start + 250);
+      await expect(merkleDistributor.connect(addr3).release(0, addr1.address))
+        .to.emit(merkleDistributor, "Released")
+        .withArgs(0, addr1.address, addr1.address, dropAmount / 4n);
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount / 4n);
+
+      await time.increaseTo(start + 500);
+      const [, vested, released, locked] = await merkleDistributor.vestingStatus(0, addr1.address);
+      expect(vested).to.equal(dropAmount / 2n);
+      expect(released).to.equal(dropAmount / 4n);
+      expect(locked).to.equal(dropAmount / 2n);
+      expect(await merkleDistributor.releasableAmount(0, addr1.address)).to.equal(dropAmount / 4n);
+
+      await time.increaseTo(start + duration + 1);
+      await merkleDistributor.release(0, addr1.address);
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount);
+      expect(await merkleDistributor.totalLocked(await token.getAddress())).to.equal(0);
+      await expect(merkleDistributor.release(0, addr1.address))
+        .to.be.revertedWithCustomError(merkleDistributor, "NothingToRelease");
+    });
+
+    it("Should release to the destination chosen at claim time", async function () {
+      await merkleDistributor.connect(addr1).claimTo(0, indexOf(addr1.address), addr4.address, getProof(addr1.address));
+      await time.increase(duration);
+
+      await merkleDistributor.connect(addr1).release(0, addr1.address);
+      expect(await token.balanceOf(addr4.address)).to.equal(dropAmount);
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should register batch distributions as vesting allocations", async function () {
+      const recipients = [addr1.address, addr2.address];
+      await merkleDistributor.batchDistribute(0, recipients.map(indexOf), recipients, recipients.map(getProof));
+
+      expect(await merkleDistributor.totalLocked(await token.getAddress())).to.equal(dropAmount * 2n);
+      expect(await token.balanceOf(addr2.address)).to.equal(0);
+      expect((await merkleDistributor.vestingStatus(0, addr2.address)).total).to.equal(dropAmount);
+    });
+
+    it("Should keep locked tokens out of later claims", async function () {
+      await claimVesting();
+      await merkleDistributor.emergencyWithdraw(
+        await token.getAddress(),
+        owner.address,
+        await merkleDistributor.remainingTokens()
+      );
+
+      await expect(merkleDistributor.connect(addr2).claim(indexOf(addr2.address), getProof(addr2.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+
+      await time.increase(duration);
+      await merkleDistributor.release(0, addr1.address);
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount);
+    });
+  });
+
+  describe("Reward Assets", function () {
+    const NATIVE_ASSET = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    let endTime;
+
+    beforeEach(async function () {
+      endTime = (await time.latest()) + oneWeek;
+    });
+
+    it("Should pay out native ETH from an ETH phase", async function () {
+      const amount = ethers.parseEther("1");
+      await merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 0, merkleRoot, amount, 0, endTime, true);
+      await merkleDistributor.fundPhase(1, amount * 3n, { value: amount * 3n });
+      expect(await merkleDistributor.remainingTokensOf(NATIVE_ASSET)).to.equal(amount * 3n);
+
+      const claim = merkleDistributor.connect(addr1).claimTo(1, indexOf(addr1.address), addr4.address, getProof(addr1.address));
+      await expect(claim).to.changeEtherBalances([addr4, merkleDistributor], [amount, -amount]);
+      await expect(claim).to.emit(merkleDistributor, "Claimed").withArgs(addr1.address, addr4.address, NATIVE_ASSET, amount, 1);
+
+      // The default token is untouched
+      expect(await merkleDistributor.remainingTokens()).to.equal(ethers.parseEther("100000"));
+      expect(await merkleDistributor.totalClaimed()).to.equal(0);
+      expect((await merkleDistributor.phases(1)).claimedAmount).to.equal(amount);
+    });
+
+    it("Should skip batch recipients that refuse ETH", async function () {
+      const amount = ethers.parseEther("1");
+      // The token contract has no receive function
+      const batch = [addr1.address, await token.getAddress(), addr2.address];
+      const artifact = buildArtifact(batch);
+      await merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 0, artifact.root, amount, 0, endTime, true);
+      await merkleDistributor.fundPhase(1, amount * 3n, { value: amount * 3n });
+
+      const distribute = merkleDistributor.batchDistribute(1, [0, 1, 2], batch, batch.map(address => artifact.recipients[address].proof));
+      await expect(distribute).to.emit(merkleDistributor, "PayoutFailed").withArgs(1, batch[1], amount);
+      await expect(distribute).to.emit(merkleDistributor, "BatchProcessed").withArgs(2, 1, 1);
+      await expect(distribute).to.changeEtherBalances([addr1, addr2], [amount, amount]);
+
+      // The refused entry stays claimable and its share stays reserved
+      expect(await merkleDistributor.isClaimed(1, 1)).to.equal(false);
+      expect(await merkleDistributor.totalReserved(NATIVE_ASSET)).to.equal(amount);
+    });
+
+    it("Should pay out a partner ERC20 from its own balance", async function () {
+      const AirdropToken = await ethers.getContractFactory("AirdropToken");
+      const partner = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+      await partner.mint(owner.address, ethers.parseEther("10"));
+
+      const amount = ethers.parseEther("4");
+      const artifact = buildArtifact([{ address: addr2.address, amount }]);
+      await merkleDistributor.createPhaseForAsset(await partner.getAddress(), 1, artifact.root, 0, 0, endTime, true);
+      await partner.approve(await merkleDistributor.getAddress(), amount);
+      await merkleDistributor.fundPhase(1, amount);
+
+      await merkleDistributor.connect(addr2).claimToWithAmount(1, 0, addr2.address, amount, artifact.recipients[addr2.address].proof);
+
+      expect(await partner.balanceOf(addr2.address)).to.equal(amount);
+      expect(await token.balanceOf(addr2.address)).to.equal(0);
+      expect(await merkleDistributor.remainingTokensOf(await partner.getAddress())).to.equal(0);
+    });
+
+    it("Should check a phase's balance in its own asset", async function () {
+      await merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 0, merkleRoot, dropAmount, 0, endTime, true);
+
+      // Plenty of the default token, but no ETH
+      await expect(merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address)))
+        .to.be.revertedWithCustomError(merkleDistributor, "InsufficientBalance");
+    });
+
+    it("Should refuse assets that aren't ERC20s", async function () {
+      await expect(merkleDistributor.createPhaseForAsset(addr1.address, 0, merkleRoot, dropAmount, 0, endTime, true))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidAsset");
+      await expect(merkleDistributor.createPhaseForAsset(await merkleDistributor.getAddress(), 0, merkleRoot, dropAmount, 0, endTime, true))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidAsset");
+      await expect(merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 1, merkleRoot, dropAmount, 0, endTime, true))
+        .to.be.revertedWithCustomError(merkleDistributor, "WrongPhaseMode");
+      await expect(merkleDistributor.connect(addr1).createPhaseForAsset(NATIVE_ASSET, 0, merkleRoot, dropAmount, 0, endTime, true))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should require msg.value to match ETH funding only", async function () {
+      await merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 0, merkleRoot, dropAmount, 0, endTime, true);
+
+      await expect(merkleDistributor.fundPhase(1, dropAmount, { value: dropAmount - 1n }))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidValue");
+      await expect(merkleDistributor.fundPhase(0, dropAmount, { value: dropAmount }))
+        .to.be.revertedWithCustomError(merkleDistributor, "InvalidValue");
+    });
+
+    it("Should sweep, vest and withdraw ETH", async function () {
+      const amount = ethers.parseEther("1");
+      await merkleDistributor.createPhaseForAsset(NATIVE_ASSET, 0, merkleRoot, amount, 0, endTime, true);
+      await merkleDistributor.setPhaseVesting(1, 0, 100);
+      await merkleDistributor.fundPhase(1, amount * 3n, { value: amount * 3n });
+
+      await merkleDistributor.connect(addr1).claimForPhase(1, indexOf(addr1.address), getProof(addr1.address));
+      expect(await merkleDistributor.totalLocked(NATIVE_ASSET)).to.equal(amount);
+
+      await time.increaseTo(endTime + 1);
+      await merkleDistributor.setTreasury(addr3.address);
+      await expect(merkleDistributor.sweepPhase(1)).to.changeEtherBalance(addr3, amount * 2n);
+      await expect(merkleDistributor.release(1, addr1.address)).to.changeEtherBalance(addr1, amount);
+
+      await owner.sendTransaction({ to: await merkleDistributor.getAddress(), value: amount });
+      await expect(merkleDistributor.emergencyWithdraw(NATIVE_ASSET, addr4.address, amount))
+        .to.changeEtherBalance(addr4, amount);
+    });
+  });
+
+  describe("Roles", function () {
+    let PHASE_MANAGER_ROLE;
+    let DISTRIBUTOR_ROLE;
+    let PAUSER_ROLE;
+    let TREASURY_ROLE;
+
+    beforeEach(async function () {
+      PHASE_MANAGER_ROLE = await merkleDistributor.PHASE_MANAGER_ROLE();
+      DISTRIBUTOR_ROLE = await merkleDistributor.DISTRIBUTOR_ROLE();
+      PAUSER_ROLE = await merkleDistributor.PAUSER_ROLE();
+      TREASURY_ROLE = await merkleDistributor.TREASURY_ROLE();
+    });
+
+    it("Should let a distributor key batch distribute and nothing else", async function () {
+      await merkleDistributor.grantRole(DISTRIBUTOR_ROLE, addr4.address);
+      const distributorKey = merkleDistributor.connect(addr4);
+
+      await distributorKey.batchDistribute(0, [indexOf(addr1.address)], [addr1.address], [getProof(addr1.address)]);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr1.address))).to.equal(true);
+
+      await expect(distributorKey.emergencyWithdraw(await token.getAddress(), addr4.address, 1))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount")
+        .withArgs(addr4.address, TREASURY_ROLE);
+      await expect(distributorKey.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + oneWeek, true))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount")
+        .withArgs(addr4.address, PHASE_MANAGER_ROLE);
+      await expect(distributorKey.pause())
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount")
+        .withArgs(addr4.address, PAUSER_ROLE);
+    });
+
+    it("Should let a phase manager create, update and switch phases", async function () {
+      await merkleDistributor.grantRole(PHASE_MANAGER_ROLE, addr4.address);
+      const manager = merkleDistributor.connect(addr4);
+
+      await manager.createPhase(merkleRoot, dropAmount, 0, (await time.latest()) + oneWeek, true);
+      await manager.updatePhase(1, ethers.ZeroHash, dropAmount * 2n, 0, 0);
+      await manager.setActivePhase(0);
+      await manager.deactivatePhase(1);
+      await manager.setPhaseVesting(1, 0, 3600);
+
+      expect((await merkleDistributor.phases(1)).dropAmount).to.equal(dropAmount * 2n);
+      expect(await merkleDistributor.currentPhaseId()).to.equal(0);
+      await expect(manager.setTreasury(addr4.address))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep pausing and withdrawals with their own roles", async function () {
+      await merkleDistributor.grantRole(PAUSER_ROLE, addr3.address);
+      await merkleDistributor.grantRole(TREASURY_ROLE, addr4.address);
+
+      await merkleDistributor.connect(addr3).pause();
+      expect(await merkleDistributor.paused()).to.equal(true);
+      await merkleDistributor.connect(addr3).unpause();
+
+      await merkleDistributor.connect(addr4).emergencyWithdraw(await token.getAddress(), addr4.address, 1000);
+      expect(await token.balanceOf(addr4.address)).to.equal(1000);
+      await merkleDistributor.connect(addr4).setTreasury(addr4.address);
+      await expect(merkleDistributor.connect(addr4).batchDistribute(0, [indexOf(addr1.address)], [addr1.address], [getProof(addr1.address)]))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should stop a key once its role is revoked", async function () {
+      await merkleDistributor.grantRole(PAUSER_ROLE, addr4.address);
+      await merkleDistributor.revokeRole(PAUSER_ROLE, addr4.address);
+
+      expect(await merkleDistributor.hasRole(PAUSER_ROLE, addr4.address)).to.equal(false);
+      await expect(merkleDistributor.connect(addr4).pause())
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let the admin grant roles", async function () {
+      await merkleDistributor.grantRole(TREASURY_ROLE, addr4.address);
+
+      await expect(merkleDistributor.connect(addr4).grantRole(TREASURY_ROLE, addr3.address))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount")
+        .withArgs(addr4.address, ethers.ZeroHash);
+    });
+
+    it("Should grant a role map in one transaction", async function () {
+      const assignments = {
+        phaseManager: [addr1.address],
+        distributor: [addr2.address, addr3.address],
+        pauser: [],
+        treasury: [addr4.address],
+        voucherSigner: []
+      };
+
+      await expect(merkleDistributor.connect(addr1).grantRoles(assignments))
+        .to.be.revertedWithCustomError(merkleDistributor, "AccessControlUnauthorizedAccount");
+      await expect(merkleDistributor.grantRoles(assignments))
+        .to.emit(merkleDistributor, "RoleGranted").withArgs(DISTRIBUTOR_ROLE, addr3.address, owner.address);
+
+      expect(await merkleDistributor.hasRole(PHASE_MANAGER_ROLE, addr1.address)).to.equal(true);
+      expect(await merkleDistributor.hasRole(DISTRIBUTOR_ROLE, addr2.address)).to.equal(true);
+      expect(await merkleDistributor.hasRole(TREASURY_ROLE, addr4.address)).to.equal(true);
+      expect(await merkleDistributor.hasRole(PAUSER_ROLE, addr1.address)).to.equal(false);
+    });
+  });
+
   describe("Emergency Functions", function () {
     it("Should allow owner to pause and unpause the contract", async function () {
       // Pause the contract
@@ -371,14 +1204,14 @@ describe("MerkleDistributorV2", function () {
       
       // Try claiming while paused
       const proof = getProof(addr1.address);
-      await expect(merkleDistributor.connect(addr1).claim(proof)).to.be.reverted;
+      await expect(merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof)).to.be.reverted;
       
       // Unpause the contract
       await merkleDistributor.unpause();
       
       // Claim should work now
-      await merkleDistributor.connect(addr1).claim(proof);
-      expect(await merkleDistributor.isClaimedForPhase(0, addr1.address)).to.equal(true);
+      await merkleDistributor.connect(addr1).claim(indexOf(addr1.address), proof);
+      expect(await merkleDistributor.isClaimed(0, indexOf(addr1.address))).to.equal(true);
     });
 
     it("Should allow owner to withdraw tokens in emergency", async function () {
@@ -411,7 +1244,7 @@ describe("AirdropToken", function() {
     [owner, addr1] = await ethers.getSigners();
     
     const AirdropToken = await ethers.getContractFactory("AirdropToken");
-    token = await AirdropToken.deploy(owner.address);
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
     await token.waitForDeployment();
   });
 
@@ -1,7 +1,13 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit, NATIVE_ASSET } = require("../lib/assets");
+const AirdropTokenModule = require("../ignition/modules/token");
 
 describe("AirdropToken", function () {
+  const MAX_SUPPLY = ethers.parseEther("1000000");
+
   let airdropToken;
   let owner;
   let addr1;
@@ -13,7 +19,7 @@ describe("AirdropToken", function () {
 
     // Deploy the contract
     const AirdropToken = await ethers.getContractFactory("AirdropToken");
-    airdropToken = await AirdropToken.deploy(owner.address);
+    airdropToken = await AirdropToken.deploy(owner.address, MAX_SUPPLY);
     await airdropToken.waitForDeployment();
   });
 
@@ -41,12 +47,13 @@ describe("AirdropToken", function () {
       expect(await airdropToken.balanceOf(addr1.address)).to.equal(mintAmount);
     });
 
-    it("Should fail when non-owner tries to mint tokens", async function () {
+    it("Should fail when non-owner without a minter allowance tries to mint tokens", async function () {
       const mintAmount = ethers.parseEther("100");
       
       await expect(
         airdropToken.connect(addr1).mint(addr1.address, mintAmount)
-      ).to.be.revertedWithCustomError(airdropToken, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(airdropToken, "InsufficientMinterAllowance")
+        .withArgs(addr1.address, 0, mintAmount);
     });
   });
 
@@ -87,6 +94,9 @@ describe("AirdropToken", function () {
       const mintAmount = ethers.parseEther("100");
       await expect(
         airdropToken.connect(owner).mint(addr2.address, mintAmount)
+      ).to.be.revertedWithCustomError(airdropToken, "InsufficientMinterAllowance");
+      await expect(
+        airdropToken.connect(owner).setMinterAllowance(owner.address, mintAmount)
       ).to.be.revertedWithCustomError(airdropToken, "OwnableUnauthorizedAccount");
       
       // New owner should be able to mint
@@ -94,4 +104,146 @@ describe("AirdropToken", function () {
       expect(await airdropToken.balanceOf(addr2.address)).to.equal(mintAmount);
     });
   });
-});
\ No newline at end of file
+
+  describe("Supply cap", function () {
+    it("Should refuse mints above the cap", async function () {
+      expect(await airdropToken.cap()).to.equal(MAX_SUPPLY);
+      await airdropToken.mint(addr1.address, MAX_SUPPLY);
+
+      await expect(airdropToken.mint(addr1.address, 1))
+        .to.be.revertedWithCustomError(airdropToken, "ERC20ExceededCap")
+        .withArgs(MAX_SUPPLY + 1n, MAX_SUPPLY);
+    });
+
+    it("Should let burnt tokens be minted again", async function () {
+      await airdropToken.mint(addr1.address, MAX_SUPPLY);
+      await airdropToken.connect(addr1).burn(ethers.parseEther("10"));
+
+      expect(await airdropToken.totalSupply()).to.equal(MAX_SUPPLY - ethers.parseEther("10"));
+      await airdropToken.mint(addr2.address, ethers.parseEther("10"));
+      expect(await airdropToken.totalSupply()).to.equal(MAX_SUPPLY);
+    });
+
+    it("Should refuse a zero cap", async function () {
+      const AirdropToken = await ethers.getContractFactory("AirdropToken");
+      await expect(AirdropToken.deploy(owner.address, 0))
+        .to.be.revertedWithCustomError(airdropToken, "ERC20InvalidCap").withArgs(0);
+    });
+
+    it("Should take the cap from the Ignition parameters", async function () {
+      const { airdropToken: deployed } = await hre.ignition.deploy(AirdropTokenModule, {
+        parameters: { AirdropTokenModule: { maxSupply: 5000n } }
+      });
+
+      expect(await deployed.cap()).to.equal(5000n);
+      expect(await deployed.owner()).to.equal(owner.address);
+    });
+  });
+
+  describe("Burning", function () {
+    it("Should burn from the caller and, with an allowance, from others", async function () {
+      await airdropToken.mint(addr1.address, 100n);
+      await airdropToken.connect(addr1).burn(40n);
+      await airdropToken.connect(addr1).approve(addr2.address, 30n);
+      await airdropToken.connect(addr2).burnFrom(addr1.address, 30n);
+
+      expect(await airdropToken.balanceOf(addr1.address)).to.equal(30n);
+      expect(await airdropToken.totalSupply()).to.equal(30n);
+      await expect(airdropToken.connect(addr2).burnFrom(addr1.address, 1n))
+        .to.be.revertedWithCustomError(airdropToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Minter allowances", function () {
+    it("Should let a minter mint up to its allowance", async function () {
+      await expect(airdropToken.setMinterAllowance(addr1.address, 100n))
+        .to.emit(airdropToken, "MinterAllowanceSet").withArgs(addr1.address, 100n);
+
+      await airdropToken.connect(addr1).mint(addr2.address, 60n);
+      expect(await airdropToken.balanceOf(addr2.address)).to.equal(60n);
+      expect(await airdropToken.minterAllowance(addr1.address)).to.equal(40n);
+      expect(await airdropToken.mintedBy(addr1.address)).to.equal(60n);
+
+      await expect(airdropToken.connect(addr1).mint(addr2.address, 41n))
+        .to.be.revertedWithCustomError(airdropToken, "InsufficientMinterAllowance")
+        .withArgs(addr1.address, 40n, 41n);
+    });
+
+    it("Should count the owner's mints without an allowance", async function () {
+      await airdropToken.mint(addr1.address, 500n);
+
+      expect(await airdropToken.mintedBy(owner.address)).to.equal(500n);
+      expect(await airdropToken.minterAllowance(owner.address)).to.equal(0n);
+    });
+
+    it("Should let only the owner set allowances, and 0 remove a minter", async function () {
+      await expect(airdropToken.connect(addr1).setMinterAllowance(addr1.address, 100n))
+        .to.be.revertedWithCustomError(airdropToken, "OwnableUnauthorizedAccount");
+
+      await airdropToken.setMinterAllowance(addr1.address, 100n);
+      await airdropToken.setMinterAllowance(addr1.address, 0n);
+      await expect(airdropToken.connect(addr1).mint(addr1.address, 1n))
+        .to.be.revertedWithCustomError(airdropToken, "InsufficientMinterAllowance");
+    });
+
+    it("Should keep minters under the cap", async function () {
+      await airdropToken.setMinterAllowance(addr1.address, MAX_SUPPLY * 2n);
+
+      await expect(airdropToken.connect(addr1).mint(addr1.address, MAX_SUPPLY + 1n))
+        .to.be.revertedWithCustomError(airdropToken, "ERC20ExceededCap");
+    });
+  });
+
+  describe("Permit", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 3600;
+      await airdropToken.mint(addr1.address, 1000n);
+    });
+
+    it("Should approve through an EIP-2612 permit", async function () {
+      const { v, r, s } = await signPermit(addr1, await airdropToken.getAddress(), { spender: addr2.address, value: 300n, deadline });
+
+      // Anyone can submit the permit
+      await airdropToken.permit(addr1.address, addr2.address, 300n, deadline, v, r, s);
+      expect(await airdropToken.allowance(addr1.address, addr2.address)).to.equal(300n);
+      expect(await airdropToken.nonces(addr1.address)).to.equal(1n);
+
+      await expect(airdropToken.permit(addr1.address, addr2.address, 300n, deadline, v, r, s))
+        .to.be.revertedWithCustomError(airdropToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should refuse expired permits", async function () {
+      const { v, r, s } = await signPermit(addr1, await airdropToken.getAddress(), { spender: addr2.address, value: 300n, deadline });
+
+      await time.increaseTo(deadline + 1);
+      await expect(airdropToken.permit(addr1.address, addr2.address, 300n, deadline, v, r, s))
+        .to.be.revertedWithCustomError(airdropToken, "ERC2612ExpiredSignature");
+    });
+
+    it("Should fund a distributor phase in one transaction", async function () {
+      const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+      const distributor = await MerkleDistributorV2.deploy(
+        await airdropToken.getAddress(), ethers.ZeroHash, 1n, 0, deadline, owner.address
+      );
+      const spender = await distributor.getAddress();
+      const permit = await signPermit(addr1, await airdropToken.getAddress(), { spender, value: 600n, deadline });
+
+      await expect(distributor.connect(addr1).fundPhaseWithPermit(0, 600n, deadline, permit.v, permit.r, permit.s))
+        .to.emit(distributor, "PhaseFunded").withArgs(0, addr1.address, 600n);
+      expect((await distributor.phases(0)).budget).to.equal(600n);
+      expect(await airdropToken.balanceOf(spender)).to.equal(600n);
+
+      // A permit submitted by someone else first doesn't block the deposit
+      const next = await signPermit(addr1, await airdropToken.getAddress(), { spender, value: 400n, deadline });
+      await airdropToken.permit(addr1.address, spender, 400n, deadline, next.v, next.r, next.s);
+      await distributor.connect(addr1).fundPhaseWithPermit(0, 400n, deadline, next.v, next.r, next.s);
+      expect((await distributor.phases(0)).budget).to.equal(1000n);
+
+      await distributor.createPhaseForAsset(NATIVE_ASSET, 0, ethers.ZeroHash, 1n, 0, deadline, false);
+      await expect(distributor.fundPhaseWithPermit(1, 1n, deadline, next.v, next.r, next.s))
+        .to.be.revertedWithCustomError(distributor, "InvalidAsset");
+    });
+  });
+});
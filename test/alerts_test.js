@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { validateAlertConfig, loadAlertConfig, createSink, AlertWatcher } = require("../lib/alerts");
+
+describe("Alerts", function () {
+  let tmpDir;
+  let server;
+  let webhookUrl;
+  let received;
+  let webhookStatus;
+  let webhookHangs;
+  let token;
+  let distributor;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let artifact;
+  let endTime;
+
+  const dropAmount = ethers.parseEther("0.01");
+
+  // Creates a watcher sending to the webhook stand-in and a file
+  function createWatcher(rules, options = {}) {
+    const config = validateAlertConfig({
+      rules,
+      sinks: [{ type: "webhook", url: webhookUrl }, { type: "file", path: "alerts.log" }]
+    }, tmpDir);
+    return new AlertWatcher({ distributor, rules: config.rules, sinks: config.sinks.map(createSink), ...options });
+  }
+
+  // Claims the current phase for a recipient of the test allowlist
+  function claim(signer) {
+    const { index, proof } = artifact.recipients[signer.address];
+    return distributor.connect(signer).claim(index, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+    artifact = buildArtifact([addr1.address, addr2.address, addr3.address]);
+
+    // Webhook stand-in recording every alert posted to it
+    received = [];
+    webhookStatus = 200;
+    webhookHangs = false;
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        if (webhookHangs) return;
+        res.writeHead(webhookStatus);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/alerts`;
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    endTime = (await time.latest()) + 2 * 86400;
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      dropAmount,
+      0,
+      endTime,
+      owner.address
+    );
+    // Enough for 100 claims
+    await token.mint(await distributor.getAddress(), ethers.parseEther("1"));
+  });
+
+  afterEach(async function () {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Config", function () {
+    it("Should fill in the default rules and sinks", function () {
+      const config = validateAlertConfig({});
+      expect(config.rules).to.deep.equal({
+        lowBalance: { claims: 10 },
+        phaseExpiring: { within: 86400 },
+        claimSpike: { window: 3600, maxClaims: 100 },
+        emergencyWithdrawal: true,
+        paused: true
+      });
+      expect(config.sinks).to.deep.equal([{ type: "stdout" }]);
+    });
+
+    it("Should load YAML configs with durations and relative file sinks", function () {
+      const file = path.join(tmpDir, "alerts.yaml");
+      fs.writeFileSync(file, [
+        "rules:",
+        "  phaseExpiring: { within: 12h }",
+        "  claimSpike: true",
+        "  emergencyWithdrawal: true",
+        "sinks:",
+        "  - type: file",
+        "    path: logs/alerts.log"
+      ].join("\n"));
+
+      const config = loadAlertConfig(file);
+      expect(config.rules).to.deep.equal({
+        phaseExpiring: { within: 43200 },
+        claimSpike: { window: 3600, maxClaims: 100 },
+        emergencyWithdrawal: true
+      });
+      expect(config.sinks).to.deep.equal([{ type: "file", path: path.join(tmpDir, "logs", "alerts.log") }]);
+    });
+
+    it("Should report every problem of a config at once", function () {
+      expect(() => validateAlertConfig({
+        rules: { lowBalance: { claims: 0 }, phaseExpiring: { within: "soon" }, gasPrice: true, paused: "yes" },
+        sinks: [{ type: "email" }, { type: "webhook", url: "ftp://example.com" }, { type: "file" }]
+      })).to.throw([
+        "Invalid alert config:",
+        "  rules.gasPrice: unknown rule",
+        "  rules.lowBalance.claims: expected a positive integer, got 0",
+        "  rules.phaseExpiring.within: Invalid duration \"soon\", use seconds or a length like 30d",
+        "  rules.paused: expected true or false",
+        "  sinks[0].type: expected one of stdout, file, webhook",
+        "  sinks[1].url: expected an http(s) URL",
+        "  sinks[2].path: required"
+      ].join("\n"));
+    });
+  });
+
+  describe("Watcher", function () {
+    it("Should alert once when a phase is about to end and resolve when it ended", async function () {
+      const watcher = createWatcher({ phaseExpiring: { within: "24h" } });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await time.increase(86400 + 3600);
+      const [alert] = await watcher.poll();
+      expect(alert).to.include({ rule: "phaseExpiring", severity: "warning", distributor: await distributor.getAddress() });
+      expect(alert.details).to.include({ phaseId: 0, endTime });
+      expect(alert.details.remainingTime).to.be.within(1, 86400);
+
+      // Still tripped, no repeat
+      await time.increase(3600);
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await time.increaseTo(endTime + 1);
+      const [resolved] = await watcher.poll();
+      expect(resolved).to.include({ rule: "phaseExpiring", severity: "info", resolved: true });
+
+      expect(received.map(({ rule, resolved }) => [rule, !!resolved])).to.deep.equal([
+        ["phaseExpiring", false],
+        ["phaseExpiring", true]
+      ]);
+    });
+
+    it("Should alert on emergency withdrawals and the low balance they leave", async function () {
+      const watcher = createWatcher({ lowBalance: { claims: 50 }, emergencyWithdrawal: true });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await claim(addr1);
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      // 0.39 left, 39 claims' worth
+      await distributor.emergencyWithdraw(await token.getAddress(), owner.address, ethers.parseEther("0.6"));
+      const alerts = await watcher.poll();
+      expect(alerts.map(alert => alert.rule)).to.deep.equal(["emergencyWithdrawal", "lowBalance"]);
+      expect(alerts[0]).to.include({ severity: "critical" });
+      expect(alerts[0].details).to.include({ recipient: owner.address, amount: ethers.parseEther("0.6").toString() });
+      expect(alerts[0].message).to.include(`0.6 ${await token.getAddress()}`);
+      expect(alerts[1].details).to.deep.equal({
+        asset: await token.getAddress(),
+        phaseIds: [0],
+        remainingTokens: ethers.parseEther("0.39").toString(),
+        reserved: "0",
+        threshold: ethers.parseEther("0.5").toString()
+      });
+
+      // The file sink got the same alerts as the webhook, one JSON line each
+      const lines = fs.readFileSync(path.join(tmpDir, "alerts.log"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+      expect(lines).to.deep.equal(received);
+      expect(lines).to.have.lengthOf(2);
+
+      await token.mint(await distributor.getAddress(), ethers.parseEther("1"));
+      const [resolved] = await watcher.poll();
+      expect(resolved).to.include({ rule: "lowBalance", resolved: true });
+    });
+
+    it("Should use the largest claim of per-recipient phases as a claim's worth", async function () {
+      const weighted = buildArtifact([
+        { address: addr1.address, amount: ethers.parseEther("0.1") },
+        { address: addr2.address, amount: ethers.parseEther("0.2") }
+      ]);
+      await distributor.createPhaseForAsset(await token.getAddress(), 1, weighted.root, 0, 0, endTime, true);
+      const watcher = createWatcher({ lowBalance: { claims: 5 } });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      const { index, amount, proof } = weighted.recipients[addr2.address];
+      await distributor.connect(addr2).claimForPhaseWithAmount(1, index, amount, proof);
+      const [alert] = await watcher.poll();
+      // 0.8 left, less than 5 claims of 0.01 in phase 0 and 5 of 0.2 in phase 1
+      expect(alert).to.include({ rule: "lowBalance" });
+      expect(alert.details).to.deep.include({ phaseIds: [0, 1], threshold: ethers.parseEther("1.05").toString() });
+    });
+
+    it("Should count the unclaimed budgets of funded phases sharing the asset", async function () {
+      // Phase 1 holds a budget of 1 next to phase 0's unreserved 1
+      await distributor.createPhase(artifact.root, dropAmount, 0, endTime, true);
+      await token.mint(owner.address, ethers.parseEther("1"));
+      await token.approve(await distributor.getAddress(), ethers.parseEther("1"));
+      await distributor.fundPhase(1, ethers.parseEther("1"));
+      const watcher = createWatcher({ lowBalance: { claims: 10 } });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      // 1.05 left covers phase 1's budget or 10 claims of phase 0, not both
+      await distributor.emergencyWithdraw(await token.getAddress(), owner.address, ethers.parseEther("0.95"));
+      const [alert] = await watcher.poll();
+      expect(alert.details).to.deep.equal({
+        asset: await token.getAddress(),
+        phaseIds: [0, 1],
+        remainingTokens: ethers.parseEther("1.05").toString(),
+        reserved: ethers.parseEther("1").toString(),
+        threshold: ethers.parseEther("1.1").toString()
+      });
+    });
+
+    it("Should alert on claim spikes until the window passes", async function () {
+      const watcher = createWatcher({ claimSpike: { window: "1h", maxClaims: 2 } });
+      await watcher.poll();
+
+      await claim(addr1);
+      await claim(addr2);
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await claim(addr3);
+      const [alert] = await watcher.poll();
+      expect(alert).to.include({ rule: "claimSpike", message: "3 claims in the last 1h, more than 2" });
+
+      await time.increase(3600);
+      const [resolved] = await watcher.poll();
+      expect(resolved).to.include({ rule: "claimSpike", resolved: true });
+    });
+
+    it("Should only keep recent claims for the spike rule", async function () {
+      const watcher = createWatcher({ paused: true });
+      await watcher.poll();
+
+      await claim(addr1);
+      await watcher.poll();
+      expect(watcher.recentClaims).to.deep.equal([]);
+      expect(watcher.largestClaim.get(0)).to.equal(dropAmount);
+    });
+
+    it("Should alert while the distributor is paused", async function () {
+      const watcher = createWatcher({ paused: true });
+      await distributor.pause();
+      const [alert] = await watcher.poll();
+      expect(alert).to.include({ rule: "paused", severity: "warning" });
+
+      await distributor.unpause();
+      expect((await watcher.poll())[0]).to.include({ rule: "paused", resolved: true });
+    });
+
+    it("Should read events from a given block", async function () {
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await distributor.emergencyWithdraw(await token.getAddress(), owner.address, dropAmount);
+
+      expect(await createWatcher({ emergencyWithdrawal: true }).poll()).to.deep.equal([]);
+      const alerts = await createWatcher({ emergencyWithdrawal: true }, { fromBlock }).poll();
+      expect(alerts.map(alert => alert.rule)).to.deep.equal(["emergencyWithdrawal"]);
+    });
+
+    it("Should read a backlog in chunks and fetch each block once", async function () {
+      const fromBlock = await ethers.provider.getBlockNumber() + 1;
+
+      // Two claims in one block, then a third a few blocks later
+      const batch = [addr1.address, addr2.address];
+      await distributor.batchDistribute(
+        0,
+        batch.map(address => artifact.recipients[address].index),
+        batch,
+        batch.map(address => artifact.recipients[address].proof)
+      );
+      await mine(4);
+      await claim(addr3);
+
+      const watcher = createWatcher({ claimSpike: { window: "1h", maxClaims: 2 } }, { fromBlock, batchSize: 2 });
+      const queried = [];
+      const queryFilter = watcher.distributor.queryFilter.bind(watcher.distributor);
+      watcher.distributor = Object.assign(Object.create(watcher.distributor), {
+        queryFilter: (filter, start, end) => {
+          queried.push([start, end]);
+          return queryFilter(filter, start, end);
+        }
+      });
+      const fetched = [];
+      const provider = watcher.provider;
+      watcher.provider = { getBlock: blockTag => { fetched.push(blockTag); return provider.getBlock(blockTag); } };
+
+      const [alert] = await watcher.poll();
+      expect(alert).to.include({ rule: "claimSpike", message: "3 claims in the last 1h, more than 2" });
+      expect(queried.every(([start, end]) => end - start < 2)).to.equal(true);
+      expect(queried.length).to.be.greaterThan(2);
+      expect(fetched.filter(blockTag => blockTag !== "latest")).to.have.lengthOf(2);
+    });
+
+    it("Should keep sending to the other sinks when one fails", async function () {
+      const logs = [];
+      const watcher = createWatcher({ paused: true }, { log: message => logs.push(message) });
+      webhookStatus = 500;
+      await distributor.pause();
+
+      expect(await watcher.poll()).to.have.lengthOf(1);
+      expect(received).to.have.lengthOf(1);
+      expect(logs).to.deep.equal([`Sink webhook ${webhookUrl} failed: ${webhookUrl} answered 500`]);
+      expect(fs.readFileSync(path.join(tmpDir, "alerts.log"), "utf8")).to.include("\"rule\":\"paused\"");
+    });
+
+    it("Should give up on a webhook that doesn't answer", async function () {
+      const logs = [];
+      const { rules, sinks } = validateAlertConfig({ rules: { paused: true }, sinks: [{ type: "webhook", url: webhookUrl, timeout: "1s" }] });
+      const watcher = new AlertWatcher({ distributor, rules, sinks: sinks.map(createSink), log: message => logs.push(message) });
+      webhookHangs = true;
+      await distributor.pause();
+
+      expect(await watcher.poll()).to.have.lengthOf(1);
+      expect(received).to.have.lengthOf(1);
+      expect(logs).to.deep.equal([`Sink webhook ${webhookUrl} failed: ${webhookUrl} didn't answer within 1s`]);
+    });
+  });
+
+  it("Should poll once from the alerts:watch task", async function () {
+    const file = path.join(tmpDir, "alerts.json");
+    fs.writeFileSync(file, JSON.stringify({
+      rules: { phaseExpiring: { within: "3d" } },
+      sinks: [{ type: "webhook", url: webhookUrl }]
+    }));
+
+    const alerts = await hre.run("alerts:watch", { address: await distributor.getAddress(), rules: file, once: true });
+    expect(alerts.map(alert => alert.rule)).to.deep.equal(["phaseExpiring"]);
+    expect(received).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, writeArtifact } = require("../lib/merkle");
+const { runBatchDistribution, buildDistributionReport, loadCheckpoint, saveCheckpoint } = require("../lib/batch");
+
+describe("Batch distribution runner", function () {
+  let tmpDir;
+  let token;
+  let distributor;
+  let owner;
+  let addr1;
+  let recipients;
+  let artifact;
+  let checkpointFile;
+
+  const dropAmount = ethers.parseEther("0.01");
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+    checkpointFile = path.join(tmpDir, "checkpoint.json");
+
+    // addr1 can claim for itself, the rest are generated addresses
+    recipients = [addr1.address];
+    for (let i = 0; i < 24; i++) {
+      recipients.push(ethers.Wallet.createRandom().address);
+    }
+    artifact = buildArtifact(recipients);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      dropAmount,
+      0,
+      (await time.latest()) + 3600,
+      owner.address
+    );
+    await token.mint(await distributor.getAddress(), dropAmount * 25n);
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should split the artifact into gas-sized chunks", async function () {
+    const checkpoint = await runBatchDistribution({
+      distributor, artifact, phaseId: 0, checkpointFile, gasBudget: 400000n
+    });
+
+    expect(checkpoint.batches.length).to.be.greaterThan(1);
+    for (const batch of checkpoint.batches) {
+      const receipt = await ethers.provider.getTransactionReceipt(batch.hash);
+      expect(receipt.gasUsed).to.be.lte(400000n);
+    }
+    expect(await distributor.remainingTokens()).to.equal(0);
+  });
+
+  it("Should skip recipients that already claimed", async function () {
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+
+    const checkpoint = await runBatchDistribution({ distributor, artifact, phaseId: 0, checkpointFile });
+    const report = await buildDistributionReport(distributor, checkpoint);
+
+    expect(report.summary.sent).to.equal(24);
+    expect(report.skippedAlreadyClaimed).to.deep.equal([addr1.address]);
+  });
+
+  it("Should resume an interrupted run without double work", async function () {
+    const options = { distributor, artifact, phaseId: 0, checkpointFile, maxChunkSize: 10 };
+
+    await runBatchDistribution({ ...options, maxBatches: 1 });
+    expect(loadCheckpoint(checkpointFile, {}).batches.length).to.equal(1);
+    expect(await distributor.totalRecipients()).to.equal(10);
+
+    const checkpoint = await runBatchDistribution(options);
+    expect(checkpoint.batches.length).to.equal(3);
+    expect(checkpoint.batches.flatMap(batch => batch.recipients)).to.have.lengthOf(25);
+
+    // A further run has nothing left to send
+    const again = await runBatchDistribution(options);
+    expect(again.batches.length).to.equal(3);
+
+    const report = await buildDistributionReport(distributor, again);
+    expect(report.summary.sent).to.equal(25);
+    expect(report.summary.totalAmount).to.equal((dropAmount * 25n).toString());
+  });
+
+  it("Should checkpoint a batch that was mined while the run was interrupted", async function () {
+    const options = { distributor, artifact, phaseId: 0, checkpointFile, maxChunkSize: 10 };
+    await runBatchDistribution({ ...options, maxBatches: 0 });
+
+    // Sent, then interrupted before its receipt was checkpointed
+    const chunk = recipients.slice(0, 10);
+    const indices = chunk.map(address => artifact.recipients[address].index);
+    const proofs = chunk.map(address => artifact.recipients[address].proof);
+    const tx = await distributor.batchDistribute(0, indices, chunk, proofs);
+    const interrupted = loadCheckpoint(checkpointFile, {});
+    saveCheckpoint(checkpointFile, { ...interrupted, pending: { hash: tx.hash, recipients: chunk, indices } });
+
+    const checkpoint = await runBatchDistribution(options);
+    expect(checkpoint.pending).to.equal(null);
+    expect(checkpoint.batches[0]).to.include({ hash: tx.hash });
+    expect(checkpoint.batches.flatMap(batch => batch.recipients)).to.have.lengthOf(25);
+
+    const report = await buildDistributionReport(distributor, checkpoint);
+    expect(report.summary).to.include({ sent: 25, skippedAlreadyClaimed: 0 });
+  });
+
+  it("Should send again the recipients of a pending batch that never made it on chain", async function () {
+    await runBatchDistribution({ distributor, artifact, phaseId: 0, checkpointFile, maxBatches: 0 });
+    const interrupted = loadCheckpoint(checkpointFile, {});
+    const chunk = recipients.slice(0, 10);
+    saveCheckpoint(checkpointFile, {
+      ...interrupted,
+      pending: { hash: ethers.id("dropped"), recipients: chunk, indices: chunk.map(address => artifact.recipients[address].index) }
+    });
+
+    const checkpoint = await runBatchDistribution({ distributor, artifact, phaseId: 0, checkpointFile });
+    expect(checkpoint.pending).to.equal(null);
+    expect(await distributor.totalRecipients()).to.equal(25);
+    expect((await buildDistributionReport(distributor, checkpoint)).summary.sent).to.equal(25);
+  });
+
+  it("Should report recipients skipped for a bad proof", async function () {
+    const tampered = JSON.parse(JSON.stringify(artifact));
+    tampered.recipients[recipients[3]].proof = artifact.recipients[recipients[4]].proof;
+
+    const checkpoint = await runBatchDistribution({ distributor, artifact: tampered, phaseId: 0, checkpointFile });
+    const report = await buildDistributionReport(distributor, checkpoint);
+
+    expect(report.summary.sent).to.equal(24);
+    expect(report.skippedInvalidProof).to.deep.equal([recipients[3]]);
+    expect(report.transactions[0].skipCount).to.equal(1);
+  });
+
+  it("Should report ETH recipients that refused the transfer", async function () {
+    // The token contract has no receive function
+    const ethRecipients = [...recipients.slice(0, 3), await token.getAddress()];
+    const ethArtifact = buildArtifact(ethRecipients);
+    const NATIVE_ASSET = await distributor.NATIVE_ASSET();
+    await distributor.createPhaseForAsset(NATIVE_ASSET, 0, ethArtifact.root, dropAmount, 0, (await time.latest()) + 3600, true);
+    await distributor.fundPhase(1, dropAmount * 4n, { value: dropAmount * 4n });
+
+    const checkpoint = await runBatchDistribution({ distributor, artifact: ethArtifact, phaseId: 1, checkpointFile });
+    const report = await buildDistributionReport(distributor, checkpoint);
+
+    expect(report.summary).to.include({ sent: 3, skippedInvalidProof: 0, skippedTransferFailed: 1 });
+    expect(report.skippedTransferFailed).to.deep.equal([ethRecipients[3]]);
+  });
+
+  it("Should send ETH recipients that refused the transfer again on resume", async function () {
+    const wallet = await (await ethers.getContractFactory("SmartWallet")).deploy(owner.address);
+    const ethRecipients = [...recipients.slice(0, 3), await wallet.getAddress()];
+    const ethArtifact = buildArtifact(ethRecipients);
+    const NATIVE_ASSET = await distributor.NATIVE_ASSET();
+    await distributor.createPhaseForAsset(NATIVE_ASSET, 0, ethArtifact.root, dropAmount, 0, (await time.latest()) + 3600, true);
+    await distributor.fundPhase(1, dropAmount * 4n, { value: dropAmount * 4n });
+    const options = { distributor, artifact: ethArtifact, phaseId: 1, checkpointFile };
+
+    const first = await runBatchDistribution(options);
+    expect(first.batches[0].refused).to.deep.equal([ethRecipients[3]]);
+
+    // The wallet now takes ETH, the resumed run pays it
+    await ethers.provider.send("hardhat_setCode", [ethRecipients[3], "0x"]);
+    const checkpoint = await runBatchDistribution(options);
+    expect(checkpoint.batches).to.have.lengthOf(2);
+    expect(checkpoint.batches[1].recipients).to.deep.equal([ethRecipients[3]]);
+    expect(await distributor.isClaimed(1, ethArtifact.recipients[ethRecipients[3]].index)).to.equal(true);
+
+    const report = await buildDistributionReport(distributor, checkpoint);
+    expect(report.summary).to.include({ sent: 4, skippedAlreadyClaimed: 0, skippedTransferFailed: 0 });
+    expect(await runBatchDistribution(options)).to.have.property("batches").with.lengthOf(2);
+  });
+
+  it("Should refuse a checkpoint from another phase root", async function () {
+    await runBatchDistribution({ distributor, artifact, phaseId: 0, checkpointFile, maxBatches: 0 });
+
+    const other = buildArtifact(recipients.slice(1));
+    await distributor.updatePhase(0, other.root, 0, 0, 0);
+
+    await expect(runBatchDistribution({ distributor, artifact: other, phaseId: 0, checkpointFile }))
+      .to.be.rejectedWith("was written for root");
+  });
+
+  it("Should run through the distribute:batch task and write a report", async function () {
+    const artifactFile = path.join(tmpDir, "phase0.json");
+    writeArtifact(artifactFile, artifact);
+
+    const report = await hre.run("distribute:batch", {
+      artifact: artifactFile,
+      phase: 0,
+      address: await distributor.getAddress()
+    });
+
+    expect(report.summary.sent).to.equal(25);
+    const written = JSON.parse(fs.readFileSync(path.join(tmpDir, "phase0.phase0.report.json"), "utf8"));
+    expect(written.summary).to.deep.equal(report.summary);
+    expect(fs.existsSync(path.join(tmpDir, "phase0.phase0.checkpoint.json"))).to.equal(true);
+  });
+});
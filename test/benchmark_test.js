@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { benchmarkAllowlist, legacyTree } = require("../lib/benchmark");
+
+describe("Claim gas benchmark", function () {
+  it("Should pad the allowlist after the claimers with distinct addresses", async function () {
+    const [, addr1, addr2] = await ethers.getSigners();
+    const addresses = benchmarkAllowlist([addr1.address, addr2.address], 50);
+
+    expect(addresses.slice(0, 2)).to.deep.equal([addr1.address, addr2.address]);
+    expect(new Set(addresses).size).to.equal(50);
+    expect(benchmarkAllowlist([addr1.address, addr2.address], 1)).to.deep.equal([addr1.address]);
+  });
+
+  it("Should build address-leaf proofs for the legacy distributor", async function () {
+    const [owner, addr1] = await ethers.getSigners();
+    const addresses = benchmarkAllowlist([addr1.address], 20);
+    const { root, proofs } = legacyTree(addresses);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const Legacy = await ethers.getContractFactory("LegacyMerkleDistributor");
+    const legacy = await Legacy.deploy(await token.getAddress(), root, 1000, 0, 0, owner.address);
+    await token.mint(await legacy.getAddress(), 1000);
+
+    await expect(legacy.connect(addr1).claim(proofs.get(addr1.address))).to.emit(legacy, "Claimed");
+  });
+
+  it("Should report cheaper claims and batches with bitmap tracking", async function () {
+    const results = await hre.run("benchmark:claims", { sizes: "10,40", batchSize: 20, claims: 3 });
+
+    expect(results.map(({ size, batchSize }) => [size, batchSize])).to.deep.equal([[10, 10], [40, 20]]);
+    for (const { legacy, bitmap } of results) {
+      expect(bitmap.claim).to.be.lessThan(legacy.claim);
+      expect(bitmap.batch).to.be.lessThan(legacy.batch);
+    }
+  });
+});
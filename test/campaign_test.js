@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { NATIVE_ASSET } = require("../lib/assets");
+const { ROLES } = require("../lib/roles");
+const { findDistributorDeployment } = require("../lib/deployments");
+const { loadManifest, validateManifest } = require("../lib/campaign");
+
+describe("Campaign manifest", function () {
+  let tmpDir;
+  let token;
+  let distributor;
+  let address;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let now;
+
+  const oneWeek = 7 * 24 * 60 * 60;
+
+  // Writes a file into the temporary directory and returns its path
+  function write(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content, null, 2));
+    return file;
+  }
+
+  // A manifest with the test distributor's phase 0 and the given extra fields
+  function manifest(fields = {}) {
+    return {
+      version: 1,
+      distributor: address,
+      phases: [{ allowlist: "phase0.csv", amount: "0.01", end: now + oneWeek }],
+      ...fields
+    };
+  }
+
+  function methods(plan) {
+    return plan.actions.map(action => action.method);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "campaign-"));
+    now = await time.latest();
+
+    write("phase0.csv", `address\n${addr1.address}\n${addr2.address}\n`);
+    write("partners.csv", `address,amount\n${addr2.address},${ethers.parseEther("3")}\n${addr3.address},${ethers.parseEther("1")}\n`);
+    write("eth.json", [addr1.address, addr3.address]);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    await token.mint(owner.address, ethers.parseEther("100"));
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      buildArtifact([addr1.address, addr2.address]).root,
+      ethers.parseEther("0.01"),
+      0,
+      now + oneWeek,
+      owner.address
+    );
+    address = await distributor.getAddress();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should read JSON and YAML manifests alike", function () {
+    const json = write("campaign.json", manifest({ currentPhase: 0 }));
+    const yamlFile = write("campaign.yaml", [
+      "version: 1",
+      `distributor: "${address}"`,
+      "currentPhase: 0",
+      "phases:",
+      "  - allowlist: phase0.csv",
+      "    amount: 0.01",
+      `    end: ${new Date((now + oneWeek) * 1000).toISOString().replace(".000", "")}`
+    ].join("\n"));
+
+    const fromJson = loadManifest(json);
+    expect(loadManifest(yamlFile)).to.deep.equal(fromJson);
+    expect(fromJson.phases[0]).to.include({ allowlist: path.join(tmpDir, "phase0.csv"), amount: "0.01", startTime: 0, active: true });
+  });
+
+  it("Should report every manifest problem at once", function () {
+    const raw = {
+      version: 1,
+      owner: "0x1234",
+      currentPhase: 1,
+      phases: [{ allowlist: "a.csv", artifact: "a.json", amount: "1", start: "+1d", extra: true }]
+    };
+
+    expect(() => validateManifest(raw, tmpDir)).to.throw(
+      /owner: invalid address[\s\S]*phases\[0\]\.extra: unknown field[\s\S]*either an allowlist or an artifact[\s\S]*phases\[0\]\.end: required[\s\S]*relative time[\s\S]*currentPhase: 1 is not one/
+    );
+    expect(() => validateManifest({ ...raw, version: 2 }, tmpDir)).to.throw("Unsupported manifest version 2");
+  });
+
+  it("Should plan the transactions that bring the distributor in line, then nothing once applied", async function () {
+    const file = write("campaign.json", manifest({
+      phases: [
+        { allowlist: "phase0.csv", amount: "0.01", end: now + 2 * oneWeek },
+        { allowlist: "partners.csv", start: now + oneWeek, end: now + 3 * oneWeek, vesting: { cliff: "30d", duration: "365d" } },
+        { allowlist: "eth.json", asset: "ETH", amount: "0.5", end: now + 3 * oneWeek, active: false }
+      ],
+      currentPhase: 1
+    }));
+
+    const plan = await hre.run("campaign:plan", { manifest: file });
+    expect(methods(plan)).to.deep.equal([
+      "updatePhase", "approve", "fundPhase",
+      "createPhaseWithAmounts", "setPhaseVesting", "approve", "fundPhase",
+      "createPhaseForAsset", "fundPhase"
+    ]);
+    expect(plan.actions[0].args).to.deep.equal([0, ethers.ZeroHash, 0n, 0n, BigInt(now + 2 * oneWeek)]);
+    expect(plan.actions[8]).to.include({ value: ethers.parseEther("1") });
+    expect(plan.diffs.map(diff => [diff.phaseId, diff.change])).to.deep.equal([[0, "update"], [1, "create"], [2, "create"]]);
+
+    await hre.run("campaign:apply", { manifest: file, yes: true });
+
+    expect(await distributor.getPhaseCount()).to.equal(3);
+    expect(await distributor.currentPhaseId()).to.equal(1);
+    expect((await distributor.phases(0)).budget).to.equal(ethers.parseEther("0.02"));
+    expect((await distributor.phases(1)).budget).to.equal(ethers.parseEther("4"));
+    expect((await distributor.phases(1)).vestingDuration).to.equal(365n * 86400n);
+    expect((await distributor.phases(2)).asset).to.equal(NATIVE_ASSET);
+    expect((await distributor.phases(2)).active).to.equal(false);
+
+    const again = await hre.run("campaign:plan", { manifest: file });
+    expect(again.actions).to.deep.equal([]);
+    expect((await hre.run("campaign:apply", { manifest: file, yes: true })).sent).to.deep.equal([]);
+  });
+
+  it("Should switch the current phase and top up budgets", async function () {
+    await distributor.createPhase(buildArtifact([addr1.address, addr2.address]).root, 1, 0, now + oneWeek, true);
+    const file = write("campaign.json", manifest({
+      phases: [
+        { allowlist: "phase0.csv", amount: "0.01", end: now + oneWeek, budget: "0.015" },
+        { allowlist: "phase0.csv", amount: "0.000000000000000001", end: now + oneWeek, active: false }
+      ],
+      currentPhase: 0
+    }));
+
+    const plan = await hre.run("campaign:plan", { manifest: file });
+    expect(methods(plan)).to.deep.equal(["approve", "fundPhase", "approve", "fundPhase", "deactivatePhase", "setActivePhase"]);
+    expect(plan.actions[1].args).to.deep.equal([0, ethers.parseEther("0.015")]);
+    expect(plan.actions[5].args).to.deep.equal([0]);
+  });
+
+  it("Should refuse changes the contract can't make", async function () {
+    const modeChange = write("mode.json", manifest({ phases: [{ allowlist: "partners.csv", end: now + oneWeek }] }));
+    await expect(hre.run("campaign:plan", { manifest: modeChange })).to.be.rejectedWith("the phase's mode can't change");
+
+    const otherToken = write("token.json", manifest({ token: addr1.address }));
+    await expect(hre.run("campaign:plan", { manifest: otherToken })).to.be.rejectedWith("the manifest expects");
+
+    const otherNetwork = write("network.json", manifest({ network: "sepolia" }));
+    await expect(hre.run("campaign:plan", { manifest: otherNetwork })).to.be.rejectedWith("is for network sepolia");
+  });
+
+  it("Should deploy the distributor when none exists and hand the admin role to the owner", async function () {
+    // A local Ignition deployment would be picked up instead
+    if ((await findDistributorDeployment(hre)).address) this.skip();
+    const file = write("campaign.json", { ...manifest({ owner: addr1.address }), distributor: undefined });
+
+    const plan = await hre.run("campaign:plan", { manifest: file });
+    expect(methods(plan)).to.deep.equal(["deploy", "grantRole"]);
+
+    // Phase 0 is funded from FUNDER_KEY, not from the owner
+    const funder = ethers.Wallet.createRandom();
+    await owner.sendTransaction({ to: funder.address, value: ethers.parseEther("1") });
+    process.env.FUNDER_KEY = funder.privateKey;
+    let deployed, sent;
+    try {
+      ({ address: deployed, sent } = await hre.run("campaign:apply", { manifest: file, yes: true }));
+    } finally {
+      delete process.env.FUNDER_KEY;
+    }
+    expect(sent.map(entry => entry.method)).to.deep.equal(["deploy", "grantRole"]);
+
+    const created = await ethers.getContractAt("MerkleDistributorV2", deployed);
+    expect(await created.hasRole(ROLES.admin, addr1.address)).to.equal(true);
+    expect((await created.phases(0)).budget).to.equal(ethers.parseEther("0.02"));
+    const token = await ethers.getContractAt("AirdropToken", await created.token());
+    expect(await token.mintedBy(funder.address)).to.equal(ethers.parseEther("0.02"));
+    expect(await token.mintedBy(owner.address)).to.equal(0);
+    expect((await hre.run("campaign:plan", { manifest: file, address: deployed })).actions).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, writeArtifact } = require("../lib/merkle");
+const { buildDashboardConfig, createDashboardServer, DASHBOARD_DIR } = require("../lib/dashboard");
+
+describe("Dashboard", function () {
+  let tmpDir;
+  let server;
+  let baseUrl;
+  let distributor;
+  let owner;
+  let addr1;
+  let addr2;
+  let artifact;
+  let format;
+
+  before(async function () {
+    format = await import(pathToFileURL(path.join(DASHBOARD_DIR, "format.js")).href);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-"));
+    artifact = buildArtifact([addr1.address, addr2.address]);
+    const artifactFile = path.join(tmpDir, "phase0.json");
+    writeArtifact(artifactFile, artifact);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      ethers.parseEther("0.01"),
+      0,
+      (await time.latest()) + 3600,
+      owner.address
+    );
+
+    const dashboard = await buildDashboardConfig(hre, {
+      distributor: await distributor.getAddress(),
+      artifacts: [artifactFile],
+      rpcUrl: "http://127.0.0.1:8545"
+    });
+    server = createDashboardServer(dashboard);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Server", function () {
+    it("Should serve the deployment config with addresses, ABIs and artifacts", async function () {
+      const config = await (await fetch(`${baseUrl}/config.json`)).json();
+
+      expect(config.chainId).to.equal(31337);
+      expect(config.distributor.address).to.equal(await distributor.getAddress());
+      expect(config.token.address).to.equal(await distributor.token());
+      expect(config.distributor.abi.map(item => item.name)).to.include.members(["phaseStatus", "claimForPhase"]);
+      expect(config.merkle).to.deep.equal([{ id: 0, root: artifact.root, leafEncoding: "index-address", leafCount: 2 }]);
+    });
+
+    it("Should serve Merkle artifacts by id", async function () {
+      const res = await fetch(`${baseUrl}/merkle/0.json`);
+      expect((await res.json()).root).to.equal(artifact.root);
+
+      const missing = await fetch(`${baseUrl}/merkle/5.json`);
+      expect(missing.status).to.equal(404);
+      expect((await missing.json()).error.code).to.equal("UNKNOWN_ARTIFACT");
+    });
+
+    it("Should serve the app and the ethers bundle", async function () {
+      const index = await fetch(`${baseUrl}/`);
+      expect(index.headers.get("content-type")).to.contain("text/html");
+      expect(await index.text()).to.contain("Airdrop Management Dashboard");
+
+      const bundle = await fetch(`${baseUrl}/vendor/ethers.js`);
+      expect(bundle.status).to.equal(200);
+      expect(bundle.headers.get("content-type")).to.contain("javascript");
+    });
+
+    it("Should not serve files outside the dashboard directory", async function () {
+      const res = await fetch(`${baseUrl}/..%2Fhardhat.config.js`);
+      expect(res.status).to.equal(404);
+    });
+  });
+
+  describe("View helpers", function () {
+    it("Should format countdowns", function () {
+      expect(format.formatDuration(0)).to.equal("ended");
+      expect(format.formatDuration(59)).to.equal("00:00:59");
+      expect(format.formatDuration(2 * 86400 + 3 * 3600 + 4 * 60 + 5)).to.equal("2d 03:04:05");
+    });
+
+    it("Should label phase states", function () {
+      expect(format.phaseState({ active: true, remainingTime: 10 }, false)).to.equal("open");
+      expect(format.phaseState({ active: true, remainingTime: 10 }, true)).to.equal("paused");
+      expect(format.phaseState({ active: false, remainingTime: 10 }, false)).to.equal("inactive");
+      expect(format.phaseState({ active: true, remainingTime: 0 }, false)).to.equal("ended");
+      expect(format.phaseState({ active: true, remainingTime: 10, timeUntilStart: 5 }, false)).to.equal("scheduled");
+      expect(format.phaseState({ active: true, remainingTime: 10, timeUntilStart: 0 }, false)).to.equal("open");
+    });
+
+    it("Should follow a scheduled phase through its states", async function () {
+      const startTime = (await time.latest()) + 600;
+      await distributor.createPhase(artifact.root, ethers.parseEther("0.01"), startTime, startTime + 600, true);
+      const state = async () => {
+        const [phase, status] = await Promise.all([distributor.phases(1), distributor.phaseStatus(1)]);
+        return format.phaseState({
+          active: phase.active,
+          remainingTime: Number(status.remainingTime),
+          timeUntilStart: Number(status.timeUntilStart)
+        }, await distributor.paused());
+      };
+
+      expect(await state()).to.equal("scheduled");
+      await time.increaseTo(startTime);
+      expect(await state()).to.equal("open");
+      await time.increase(601);
+      expect(await state()).to.equal("ended");
+    });
+
+    it("Should find recipients regardless of address case", function () {
+      const entry = format.findRecipient(artifact, addr1.address.toLowerCase());
+      expect(entry.address).to.equal(addr1.address);
+      expect(entry.proof).to.deep.equal(artifact.recipients[addr1.address].proof);
+      expect(format.findRecipient(artifact, owner.address)).to.equal(null);
+    });
+
+    it("Should claim to the destination only when it differs from the account", function () {
+      const recipient = { address: addr1.address, index: 4, proof: ["0x01"], amount: "5" };
+      const fixed = { id: 0, mode: "FixedAmount" };
+      const perRecipient = { id: 1, mode: "PerRecipient" };
+
+      expect(format.claimCall(fixed, recipient, "")).to.deep.equal(["claimForPhase", [0, 4, ["0x01"]]]);
+      expect(format.claimCall(fixed, recipient, addr1.address.toLowerCase())).to.deep.equal(["claimForPhase", [0, 4, ["0x01"]]]);
+      expect(format.claimCall(fixed, recipient, addr2.address)).to.deep.equal(["claimTo", [0, 4, addr2.address, ["0x01"]]]);
+      expect(format.claimCall(perRecipient, recipient, addr2.address))
+        .to.deep.equal(["claimToWithAmount", [1, 4, addr2.address, "5", ["0x01"]]]);
+    });
+  });
+});
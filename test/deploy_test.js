@@ -0,0 +1,365 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, writeArtifact } = require("../lib/merkle");
+const {
+  resolveDistributorParameters,
+  loadRegistry,
+  saveRegistry,
+  readRegistry,
+  decodeConstructorArgs,
+  resolveDistributorAddress,
+  deployDistributor,
+  fundInitialPhase,
+  DEFAULT_MAX_SUPPLY
+} = require("../lib/deployments");
+const MerkleDistributorModule = require("../ignition/modules/distributor");
+
+describe("Ignition deployment", function () {
+  let tmpDir;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let funder;
+  let artifact;
+
+  const dropAmount = ethers.parseEther("0.01");
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3, funder] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+    artifact = buildArtifact([addr1.address, addr2.address, addr3.address]);
+
+    // deploy:airdrop funds phase 0 from FUNDER_KEY
+    const funderKey = ethers.Wallet.createRandom();
+    await owner.sendTransaction({ to: funderKey.address, value: ethers.parseEther("1") });
+    process.env.FUNDER_KEY = funderKey.privateKey;
+  });
+
+  afterEach(function () {
+    delete process.env.FUNDER_KEY;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Parameters", function () {
+    it("Should take the root from the artifact and fund recipientCount * dropAmount", function () {
+      const resolved = resolveDistributorParameters(
+        { MerkleDistributorModule: { merkleRoot: ethers.ZeroHash, dropAmount, endTime: 1 } },
+        artifact
+      );
+
+      expect(resolved.MerkleDistributorModule.merkleRoot).to.equal(artifact.root);
+      expect(resolved.MerkleDistributorModule.fundAmount).to.equal(dropAmount * 3n);
+    });
+
+    it("Should default the token cap and reject one below the phase 0 budget", function () {
+      const resolved = resolveDistributorParameters({ MerkleDistributorModule: { dropAmount, endTime: 1 } }, artifact);
+      expect(resolved.AirdropTokenModule.maxSupply).to.equal(DEFAULT_MAX_SUPPLY);
+
+      const capped = resolveDistributorParameters(
+        { AirdropTokenModule: { maxSupply: `${dropAmount * 3n}` }, MerkleDistributorModule: { dropAmount, endTime: 1 } },
+        artifact
+      );
+      expect(capped.AirdropTokenModule.maxSupply).to.equal(dropAmount * 3n);
+      expect(() => resolveDistributorParameters(
+        { AirdropTokenModule: { maxSupply: dropAmount }, MerkleDistributorModule: { dropAmount, endTime: 1 } },
+        artifact
+      )).to.throw("AirdropTokenModule.maxSupply");
+    });
+
+    it("Should reject a configured root that doesn't match the artifact", function () {
+      const otherRoot = buildArtifact([addr1.address]).root;
+
+      expect(() => resolveDistributorParameters(
+        { MerkleDistributorModule: { merkleRoot: otherRoot, dropAmount, endTime: 1 } },
+        artifact
+      )).to.throw("does not match");
+    });
+
+    it("Should reject per-recipient artifacts for the initial phase", function () {
+      const weighted = buildArtifact([{ address: addr1.address, amount: 1n }]);
+
+      expect(() => resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: 1 } },
+        weighted
+      )).to.throw("address-only leaves");
+    });
+
+    it("Should complete the role map and reject unknown roles", function () {
+      const resolved = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: 1, roles: { pauser: [addr1.address.toLowerCase()] } } },
+        artifact
+      );
+
+      expect(resolved.MerkleDistributorModule.roles).to.deep.equal({
+        phaseManager: [], distributor: [], pauser: [addr1.address], treasury: [], voucherSigner: []
+      });
+      expect(() => resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: 1, roles: { owner: [addr1.address] } } },
+        artifact
+      )).to.throw("Unknown role owner");
+      expect(() => resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: 1, roles: { pauser: ["0x1234"] } } },
+        artifact
+      )).to.throw("Invalid address");
+    });
+
+    it("Should ship a parameter file for every configured network", function () {
+      const networks = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "networks.json"), "utf8"));
+      for (const network of Object.keys(networks)) {
+        const file = path.join(__dirname, "..", "ignition", "parameters", `${network}.json`);
+        const params = JSON.parse(fs.readFileSync(file, "utf8"));
+        expect(params.MerkleDistributorModule).to.have.keys("merkleRoot", "dropAmount", "startTime", "endTime");
+        expect(params.AirdropTokenModule).to.have.keys("maxSupply");
+      }
+    });
+  });
+
+  describe("Modules", function () {
+    it("Should deploy the token and a funded distributor", async function () {
+      const endTime = (await time.latest()) + 3600;
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime } },
+        artifact
+      );
+
+      const { airdropToken, merkleDistributor } = await deployDistributor(hre, parameters, { funder });
+
+      expect(await merkleDistributor.token()).to.equal(await airdropToken.getAddress());
+      expect(await merkleDistributor.hasRole(ethers.ZeroHash, owner.address)).to.equal(true);
+      expect(await airdropToken.owner()).to.equal(owner.address);
+      expect(await airdropToken.cap()).to.equal(DEFAULT_MAX_SUPPLY);
+      expect(await merkleDistributor.remainingTokens()).to.equal(dropAmount * 3n);
+
+      const phase = await merkleDistributor.phases(0);
+      expect(phase.merkleRoot).to.equal(artifact.root);
+      expect(phase.budget).to.equal(dropAmount * 3n);
+      expect(phase.endTime).to.equal(endTime);
+
+      // Every recipient can claim and the budget is exactly used up
+      for (const signer of [addr1, addr2, addr3]) {
+        await merkleDistributor.connect(signer).claim(artifact.recipients[signer.address].index, artifact.recipients[signer.address].proof);
+      }
+      expect(await merkleDistributor.remainingTokens()).to.equal(0);
+    });
+
+    it("Should schedule the initial phase at startTime", async function () {
+      const startTime = (await time.latest()) + 600;
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, startTime, endTime: startTime + 3600 } },
+        artifact
+      );
+
+      const { merkleDistributor } = await deployDistributor(hre, parameters, { funder });
+      const { index, proof } = artifact.recipients[addr1.address];
+
+      expect((await merkleDistributor.phases(0)).startTime).to.equal(startTime);
+      await expect(merkleDistributor.connect(addr1).claim(index, proof))
+        .to.be.revertedWithCustomError(merkleDistributor, "ClaimingNotStarted");
+      await time.increaseTo(startTime);
+      await expect(merkleDistributor.connect(addr1).claim(index, proof)).to.emit(merkleDistributor, "Claimed");
+    });
+
+    it("Should fund phase 0 from a funder's minter allowance and a permit", async function () {
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: (await time.latest()) + 3600 } },
+        artifact
+      );
+      const budget = dropAmount * 3n;
+
+      // The module alone only lets the funder mint the budget
+      const deployed = await hre.ignition.deploy(MerkleDistributorModule, {
+        parameters: { ...parameters, MerkleDistributorModule: { ...parameters.MerkleDistributorModule, funder: funder.address } }
+      });
+      expect(await deployed.airdropToken.minterAllowance(funder.address)).to.equal(budget);
+      expect((await deployed.merkleDistributor.phases(0)).budget).to.equal(0);
+
+      const { airdropToken, merkleDistributor } = await deployDistributor(hre, parameters, { funder });
+
+      expect((await merkleDistributor.phases(0)).budget).to.equal(budget);
+      expect(await airdropToken.mintedBy(funder.address)).to.equal(budget);
+      expect(await airdropToken.mintedBy(owner.address)).to.equal(0);
+      expect(await airdropToken.minterAllowance(funder.address)).to.equal(0);
+      expect(await airdropToken.allowance(funder.address, await merkleDistributor.getAddress())).to.equal(0);
+      const [funded] = await merkleDistributor.queryFilter(merkleDistributor.filters.PhaseFunded());
+      expect(funded.args.from).to.equal(funder.address);
+
+      await expect(deployDistributor(hre, {
+        ...parameters,
+        MerkleDistributorModule: { ...parameters.MerkleDistributorModule, funder: addr1.address }
+      }, { funder })).to.be.rejectedWith(`MerkleDistributorModule.funder is ${addr1.address}, but phase 0 would be funded from ${funder.address}`);
+    });
+
+    it("Should refuse to fund phase 0 from the owner", async function () {
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: (await time.latest()) + 3600 } },
+        artifact
+      );
+
+      // The owner mints without an allowance, so it would fund phase 0 with the owner key
+      await expect(deployDistributor(hre, parameters)).to.be.rejectedWith("Phase 0 needs a funder");
+      await expect(deployDistributor(hre, parameters, { funder: owner }))
+        .to.be.rejectedWith(`The funder ${owner.address} is the deployer`);
+    });
+
+    it("Should mint exactly the budget against the allowance, once", async function () {
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: (await time.latest()) + 3600 } },
+        artifact
+      );
+      const budget = dropAmount * 3n;
+      const deployed = await hre.ignition.deploy(MerkleDistributorModule, {
+        parameters: { ...parameters, MerkleDistributorModule: { ...parameters.MerkleDistributorModule, funder: funder.address } }
+      });
+      const token = deployed.airdropToken;
+
+      // Tokens the funder already holds don't stand in for the mint
+      await token.mint(funder.address, budget);
+      await fundInitialPhase(token, deployed.merkleDistributor, funder, budget);
+      expect(await token.minterAllowance(funder.address)).to.equal(0);
+      expect(await token.mintedBy(funder.address)).to.equal(budget);
+      expect(await token.balanceOf(funder.address)).to.equal(budget);
+      expect((await deployed.merkleDistributor.phases(0)).budget).to.equal(budget);
+    });
+
+    it("Should deposit without minting again when a deployment resumes after the mint", async function () {
+      const parameters = resolveDistributorParameters(
+        { MerkleDistributorModule: { dropAmount, endTime: (await time.latest()) + 3600 } },
+        artifact
+      );
+      const budget = dropAmount * 3n;
+      const deployed = await hre.ignition.deploy(MerkleDistributorModule, {
+        parameters: { ...parameters, MerkleDistributorModule: { ...parameters.MerkleDistributorModule, funder: funder.address } }
+      });
+      const token = deployed.airdropToken;
+
+      // Interrupted between the mint and the deposit
+      await token.connect(funder).mint(funder.address, budget);
+      await fundInitialPhase(token, deployed.merkleDistributor, funder, budget);
+      expect(await token.mintedBy(funder.address)).to.equal(budget);
+      expect(await token.balanceOf(funder.address)).to.equal(0);
+      expect((await deployed.merkleDistributor.phases(0)).budget).to.equal(budget);
+    });
+
+    it("Should grant the roles of the role map", async function () {
+      const parameters = resolveDistributorParameters(
+        {
+          MerkleDistributorModule: {
+            dropAmount,
+            endTime: (await time.latest()) + 3600,
+            roles: { distributor: [addr1.address], treasury: [addr2.address, addr3.address] }
+          }
+        },
+        artifact
+      );
+
+      const { merkleDistributor } = await hre.ignition.deploy(MerkleDistributorModule, {
+        parameters: { ...parameters, MerkleDistributorModule: { ...parameters.MerkleDistributorModule, funder: funder.address } }
+      });
+
+      expect(await merkleDistributor.hasRole(await merkleDistributor.DISTRIBUTOR_ROLE(), addr1.address)).to.equal(true);
+      expect(await merkleDistributor.hasRole(await merkleDistributor.TREASURY_ROLE(), addr3.address)).to.equal(true);
+      expect(await merkleDistributor.hasRole(await merkleDistributor.PAUSER_ROLE(), addr1.address)).to.equal(false);
+      // The deployer keeps its roles until they are revoked
+      expect(await merkleDistributor.hasRole(await merkleDistributor.DISTRIBUTOR_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should deploy through the deploy:airdrop task", async function () {
+      const artifactFile = path.join(tmpDir, "phase0.json");
+      const parametersFile = path.join(tmpDir, "params.json");
+      writeArtifact(artifactFile, artifact);
+      fs.writeFileSync(parametersFile, JSON.stringify({
+        MerkleDistributorModule: {
+          merkleRoot: artifact.root,
+          dropAmount: `${dropAmount}n`,
+          endTime: (await time.latest()) + 3600
+        }
+      }));
+
+      const { merkleDistributor } = await hre.run("deploy:airdrop", {
+        parameters: parametersFile,
+        artifact: artifactFile
+      });
+
+      expect(await merkleDistributor.remainingTokens()).to.equal(dropAmount * 3n);
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should record both contracts of deploy:airdrop and resolve the distributor from them", async function () {
+      const artifactFile = path.join(tmpDir, "phase0.json");
+      const parametersFile = path.join(tmpDir, "params.json");
+      const endTime = (await time.latest()) + 3600;
+      writeArtifact(artifactFile, artifact);
+      fs.writeFileSync(parametersFile, JSON.stringify({ MerkleDistributorModule: { dropAmount: `${dropAmount}n`, endTime } }));
+
+      const { airdropToken, merkleDistributor } = await hre.run("deploy:airdrop", { parameters: parametersFile, artifact: artifactFile });
+      const address = await merkleDistributor.getAddress();
+      const { file, registry } = await readRegistry(hre);
+
+      // The Hardhat network's chain only lives in memory, so does its registry
+      expect(file).to.equal(null);
+      expect(registry).to.include({ version: 1, chainId: 31337, network: "hardhat" });
+      const token = registry.contracts.AirdropToken;
+      const distributor = registry.contracts.MerkleDistributorV2;
+      expect(token.address).to.equal(await airdropToken.getAddress());
+      expect(token.constructorArgs).to.deep.equal([owner.address, DEFAULT_MAX_SUPPLY.toString()]);
+      expect(distributor.address).to.equal(address);
+      expect(distributor.constructorArgs).to.deep.equal([
+        token.address, artifact.root, dropAmount.toString(), "0", String(endTime), owner.address
+      ]);
+      expect(distributor.abi).to.deep.equal((await hre.artifacts.readArtifact("MerkleDistributorV2")).abi);
+
+      const receipt = await ethers.provider.getTransactionReceipt(distributor.transactionHash);
+      expect(receipt.contractAddress).to.equal(address);
+      expect(receipt.blockNumber).to.equal(distributor.blockNumber);
+      expect(token.blockNumber).to.be.below(distributor.blockNumber);
+
+      expect(await resolveDistributorAddress(hre)).to.equal(address);
+      // Tasks fall back to the registry without --address
+      expect((await hre.run("role:list", {})).admin).to.deep.equal([owner.address]);
+    });
+
+    it("Should record a distributor deployed without Ignition", async function () {
+      const AirdropToken = await ethers.getContractFactory("AirdropToken");
+      const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+      const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+      const distributor = await MerkleDistributorV2.deploy(
+        await token.getAddress(), artifact.root, dropAmount, 0, (await time.latest()) + 3600, owner.address
+      );
+      const address = await distributor.getAddress();
+
+      const registry = await hre.run("deployments:record", { distributor: address });
+
+      expect(registry.contracts.MerkleDistributorV2.address).to.equal(address);
+      expect(registry.contracts.MerkleDistributorV2.blockNumber).to.equal(distributor.deploymentTransaction().blockNumber);
+      expect(registry.contracts.AirdropToken.address).to.equal(await token.getAddress());
+      expect(await resolveDistributorAddress(hre)).to.equal(address);
+    });
+
+    it("Should leave the arguments out when the bytecode differs from the artifact", async function () {
+      const tokenArtifact = await hre.artifacts.readArtifact("AirdropToken");
+      const args = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [owner.address, 1000n]).slice(2);
+
+      expect(decodeConstructorArgs(tokenArtifact, tokenArtifact.bytecode + args)).to.deep.equal([owner.address, "1000"]);
+      expect(decodeConstructorArgs(tokenArtifact, "0x6080" + args)).to.equal(null);
+    });
+
+    it("Should save and load registry files, rejecting other versions", function () {
+      const file = path.join(tmpDir, "deployments", "chain-11155111.json");
+      const registry = { version: 1, chainId: 11155111, network: "sepolia", contracts: {} };
+
+      expect(loadRegistry(file)).to.equal(null);
+      saveRegistry(file, registry);
+      expect(loadRegistry(file)).to.deep.equal(registry);
+
+      saveRegistry(file, { ...registry, version: 2 });
+      expect(() => loadRegistry(file)).to.throw("version 2 registry");
+    });
+  });
+});
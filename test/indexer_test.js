@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { EventStore } = require("../lib/store");
+const { EventIndexer } = require("../lib/indexer");
+
+describe("Event indexer", function () {
+  let tmpDir;
+  let token;
+  let distributor;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let artifact;
+  let store;
+  let startBlock;
+
+  const dropAmount = ethers.parseEther("0.01");
+
+  // Creates an indexer over the test contracts starting at their deployment
+  function createIndexer(options = {}) {
+    return new EventIndexer({ distributor, token, store, startBlock, ...options });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    store = new EventStore(path.join(tmpDir, "store.json"));
+    artifact = buildArtifact([addr1.address, addr2.address, addr3.address]);
+
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      dropAmount,
+      0,
+      (await time.latest()) + 86400,
+      owner.address
+    );
+    await token.mint(await distributor.getAddress(), ethers.parseEther("1"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should backfill every distributor and token event", async function () {
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+    await distributor.createPhase(artifact.root, dropAmount, 0, (await time.latest()) + 86400, true);
+    await distributor.updatePhase(1, ethers.ZeroHash, dropAmount * 2n, 0, 0);
+    const batch = [addr2.address, addr3.address];
+    await distributor.batchDistribute(1, batch.map(address => artifact.recipients[address].index), batch,
+      batch.map(address => artifact.recipients[address].proof));
+    await distributor.deactivatePhase(1);
+    await distributor.emergencyWithdraw(await token.getAddress(), owner.address, dropAmount);
+
+    await createIndexer().sync();
+
+    const names = store.events({ source: "distributor" }).map(event => event.name);
+    expect(names).to.deep.equal([
+      "PhaseCreated", "PhaseActivated", "Claimed",
+      "PhaseCreated", "PhaseActivated", "PhaseUpdated",
+      "Claimed", "Claimed", "BatchProcessed",
+      "PhaseDeactivated", "EmergencyWithdrawal"
+    ]);
+    // Mint, claim, two batch payouts and the withdrawal
+    expect(store.events({ name: "Transfer" })).to.have.lengthOf(5);
+  });
+
+  it("Should query claims per phase, per address and over time", async function () {
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+    await time.increase(3600);
+    await distributor.connect(addr2).claim(artifact.recipients[addr2.address].index, artifact.recipients[addr2.address].proof);
+    await distributor.createPhase(artifact.root, dropAmount * 3n, 0, (await time.latest()) + 86400, true);
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+
+    await createIndexer().sync();
+
+    expect(store.claims({ phaseId: 0 })).to.have.lengthOf(2);
+    expect(store.claims({ address: addr1.address.toLowerCase() }).map(event => event.args.phaseId)).to.deep.equal([0, 1]);
+    expect(store.claimsByPhase()).to.deep.equal({
+      0: { count: 2, amount: (dropAmount * 2n).toString() },
+      1: { count: 1, amount: (dropAmount * 3n).toString() }
+    });
+
+    const buckets = store.claimsOverTime({ interval: 3600, phaseId: 0 });
+    expect(buckets.map(bucket => bucket.count)).to.deep.equal([1, 1]);
+
+    const first = store.claims()[0].timestamp;
+    expect(store.claims({ fromTime: first + 1 })).to.have.lengthOf(2);
+  });
+
+  it("Should wait for the confirmation depth", async function () {
+    const indexer = createIndexer({ confirmations: 3 });
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+
+    await indexer.sync();
+    expect(store.claims()).to.have.lengthOf(0);
+
+    await mine(3);
+    await indexer.sync();
+    expect(store.claims()).to.have.lengthOf(1);
+  });
+
+  it("Should roll back events from blocks that were reorged away", async function () {
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+    await indexer.sync();
+    expect(store.claims({ address: addr1.address })).to.have.lengthOf(1);
+
+    // Replace the claim block with a different chain of the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await distributor.connect(addr2).claim(artifact.recipients[addr2.address].index, artifact.recipients[addr2.address].proof);
+    await indexer.sync();
+
+    expect(store.claims({ address: addr1.address })).to.have.lengthOf(0);
+    expect(store.claims({ address: addr2.address })).to.have.lengthOf(1);
+  });
+
+  it("Should persist and resume from the store file", async function () {
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+    await createIndexer().sync();
+
+    await distributor.connect(addr2).claim(artifact.recipients[addr2.address].index, artifact.recipients[addr2.address].proof);
+    store = new EventStore(path.join(tmpDir, "store.json"));
+    const result = await createIndexer().sync();
+
+    expect(result.events).to.equal(2); // Claimed + Transfer
+    expect(store.claims()).to.have.lengthOf(2);
+  });
+
+  it("Should follow new blocks until stopped", async function () {
+    const indexer = createIndexer();
+    await indexer.follow(50);
+
+    await distributor.connect(addr3).claim(artifact.recipients[addr3.address].index, artifact.recipients[addr3.address].proof);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    indexer.stop();
+
+    expect(store.claims({ address: addr3.address })).to.have.lengthOf(1);
+  });
+
+  it("Should index and query through the indexer tasks", async function () {
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+    const db = path.join(tmpDir, "task.json");
+
+    await hre.run("indexer:run", {
+      address: await distributor.getAddress(),
+      db,
+      confirmations: 0,
+      startBlock
+    });
+    const claims = await hre.run("indexer:claims", { db, phase: 0 });
+
+    expect(claims).to.have.lengthOf(1);
+    expect(claims[0].args.claimant).to.equal(addr1.address);
+  });
+});
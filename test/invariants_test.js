@@ -0,0 +1,431 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { NATIVE_ASSET } = require("../lib/assets");
+const { createRandom, formatStep, shrinkSequence, runProperty } = require("../lib/fuzz");
+
+// FUZZ_SEED replays a reported failure, FUZZ_RUNS and FUZZ_STEPS widen the search
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 6);
+const STEPS = Number(process.env.FUZZ_STEPS || 30);
+
+// Recipients are drawn from this many signers, so claims can be sent by the recipients themselves
+const POOL_SIZE = 8;
+const UNIT = ethers.parseEther("0.1");
+const DAY = 24 * 60 * 60;
+
+// Relative frequency of each action in a generated sequence
+const WEIGHTS = {
+  claim: 30,
+  batch: 10,
+  createPhase: 8,
+  fund: 10,
+  update: 6,
+  activate: 5,
+  deactivate: 4,
+  pause: 3,
+  unpause: 6,
+  warp: 8,
+  release: 5,
+  sweep: 3
+};
+
+describe("Fuzz helpers", function () {
+  it("Should generate the same values from the same seed", function () {
+    const values = seed => {
+      const random = createRandom(seed);
+      return Array.from({ length: 20 }, () => random.int(0, 1000));
+    };
+
+    expect(values(42)).to.deep.equal(values(42));
+    expect(values(42)).to.not.deep.equal(values(43));
+    expect(createRandom(7).subset([1, 2, 3, 4, 5], 2).length).to.be.at.least(2);
+  });
+
+  it("Should shrink a failing sequence to the actions that matter", async function () {
+    const actions = Array.from({ length: 40 }, (_, value) => ({ type: "push", value }));
+    // Fails when 3 comes before 17, whatever else is in the sequence
+    const check = async sequence => {
+      const values = sequence.map(action => action.value);
+      return values.includes(3) && values.indexOf(17) > values.indexOf(3) ? new Error("3 then 17") : null;
+    };
+
+    const { actions: shrunk, error } = await shrinkSequence(actions, check);
+    expect(shrunk.map(action => action.value)).to.deep.equal([3, 17]);
+    expect(error.message).to.equal("3 then 17");
+  });
+
+  it("Should report the seed that replays the shrunk failure", async function () {
+    const generate = (random, steps) => Array.from({ length: steps }, () => ({ type: "add", value: random.int(0, 9) }));
+    const execute = async actions => {
+      if (actions.reduce((sum, action) => sum + action.value, 0) > 20) throw new Error("sum above 20");
+    };
+
+    const failure = await runProperty({ seed: 100, runs: 10, steps: 8, generate, execute }).catch(err => err);
+    expect(failure.message).to.match(/Property failed for seed \d+ after 8 actions, shrunk to \d:/);
+    expect(failure.message).to.include("sum above 20");
+    expect(failure.message).to.include(`FUZZ_SEED=${failure.seed} FUZZ_RUNS=1 FUZZ_STEPS=8`);
+    expect(failure.actions.length).to.be.below(8);
+
+    const replay = await runProperty({ seed: failure.seed, runs: 1, steps: 8, generate, execute }).catch(err => err);
+    expect(replay.actions).to.deep.equal(failure.actions);
+    expect(formatStep({ type: "fund", phase: 1, amount: 5n })).to.equal('fund {"phase":1,"amount":"5"}');
+  });
+});
+
+describe("MerkleDistributorV2 invariants", function () {
+  /**
+   * Builds a random sequence of actions. Phases and recipients are referenced by large random numbers,
+   * resolved modulo what exists when the action runs, so a sequence stays valid once actions are removed.
+   */
+  function generateActions(random, steps) {
+    const ref = () => random.int(0, 1e6);
+    const member = () => random.int(0, POOL_SIZE - 1);
+    const pool = Array.from({ length: POOL_SIZE }, (_, i) => i);
+    const make = {
+      claim: () => ({ phase: ref(), member: ref(), impostor: random.bool(0.1) ? member() : null, to: random.bool(0.2) ? member() : null }),
+      batch: () => ({ phase: ref(), members: Array.from({ length: random.int(1, 5) }, ref), outsider: random.bool(0.2) ? member() : null }),
+      createPhase: () => {
+        const members = random.subset(pool);
+        const perRecipient = random.bool(0.4);
+        const vestingDuration = random.int(DAY, 10 * DAY);
+        return {
+          members,
+          amounts: perRecipient ? members.map(() => random.int(1, 30)) : null,
+          dropAmount: random.int(1, 20),
+          asset: random.bool(0.3) ? "eth" : "token",
+          active: random.bool(0.7),
+          delay: random.bool(0.7) ? 0 : random.int(60, DAY),
+          duration: random.int(DAY / 24, 20 * DAY),
+          vesting: random.bool(0.35) ? { cliff: random.int(0, vestingDuration / 2), duration: vestingDuration } : null
+        };
+      },
+      fund: () => ({ phase: ref(), amount: random.int(1, 60) }),
+      update: () => ({
+        phase: ref(),
+        extend: random.bool(0.5) ? random.subset(pool) : [],
+        amounts: pool.map(() => random.int(1, 30)),
+        end: random.bool(0.5) ? random.int(-DAY, 10 * DAY) : null,
+        dropAmount: random.bool(0.3) ? random.int(1, 20) : 0
+      }),
+      activate: () => ({ phase: ref() }),
+      deactivate: () => ({ phase: ref() }),
+      pause: () => ({}),
+      unpause: () => ({}),
+      warp: () => ({ seconds: random.bool(0.8) ? random.int(60, 2 * DAY) : random.int(5 * DAY, 20 * DAY) }),
+      release: () => ({ phase: ref(), member: ref() }),
+      sweep: () => ({ phase: ref() })
+    };
+
+    return Array.from({ length: steps }, () => {
+      const type = random.weighted(WEIGHTS);
+      return { type, ...make[type]() };
+    });
+  }
+
+  // Token, distributor and a funded phase 0 shared by every run, reset between runs by loadFixture
+  async function deployFixture() {
+    const [owner, ...signers] = await ethers.getSigners();
+    const pool = signers.slice(0, POOL_SIZE);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    await token.mint(owner.address, ethers.parseEther("1000000"));
+
+    // Phase 0 pays 1 token to 5 recipients and only holds 3, so claims run out of funds
+    const members = pool.slice(0, 5).map(signer => signer.address);
+    const endTime = (await time.latest()) + 30 * DAY;
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    const distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(), buildArtifact(members).root, 10n * UNIT, 0, endTime, owner.address
+    );
+    const address = await distributor.getAddress();
+    await token.approve(address, ethers.MaxUint256);
+    await distributor.fundPhase(0, 30n * UNIT);
+
+    return {
+      owner,
+      pool,
+      token,
+      tokenAddress: await token.getAddress(),
+      distributor,
+      address,
+      phases: [{ members, amounts: null, artifact: buildArtifact(members), asset: "token", endTime, vesting: false }],
+      clock: await time.latest()
+    };
+  }
+
+  // Whether an error is a contract revert, which actions are allowed to hit
+  function isRevert(err) {
+    return /revert/i.test(err.message);
+  }
+
+  // Sends a transaction in the next block, at a timestamp that only depends on the sequence
+  async function send(ctx, call) {
+    ctx.clock += 1;
+    await time.setNextBlockTimestamp(ctx.clock);
+    return (await call()).wait();
+  }
+
+  // Resolves a phase reference, among the phases matching `filter` when there are any
+  function phaseOf(ctx, ref, filter = () => true) {
+    const ids = ctx.phases.map((phase, id) => id).filter(id => filter(ctx.phases[id]));
+    const id = ids.length > 0 ? ids[ref % ids.length] : ref % ctx.phases.length;
+    return { id, phase: ctx.phases[id] };
+  }
+
+  function leafOf(phase, address) {
+    const { index, proof, amount } = phase.artifact.recipients[address];
+    return { index, proof, amount: amount === undefined ? undefined : BigInt(amount) };
+  }
+
+  function buildPhaseTree(members, amounts) {
+    const items = amounts ? members.map((address, i) => ({ address, amount: amounts[i] })) : members;
+    return { members, amounts, artifact: buildArtifact(items) };
+  }
+
+  /**
+   * Runs one action against the distributor. Reverts are expected (paused, ended, unfunded, ...),
+   * the model only changes once a transaction is mined.
+   */
+  async function perform(ctx, action) {
+    const { distributor, owner, pool } = ctx;
+    const signerOf = address => pool.find(signer => signer.address === address);
+
+    switch (action.type) {
+      case "claim": {
+        const { id, phase } = phaseOf(ctx, action.phase);
+        const recipient = phase.members[action.member % phase.members.length];
+        const { index, proof, amount } = leafOf(phase, recipient);
+        // An impostor sends someone else's leaf as their own
+        const sender = action.impostor === null ? signerOf(recipient) : pool[action.impostor];
+        const to = action.to === null ? null : pool[action.to].address;
+        const connected = distributor.connect(sender);
+        if (phase.amounts) {
+          await send(ctx, () => to
+            ? connected.claimToWithAmount(id, index, to, amount, proof)
+            : connected.claimForPhaseWithAmount(id, index, amount, proof));
+        } else {
+          await send(ctx, () => to ? connected.claimTo(id, index, to, proof) : connected.claimForPhase(id, index, proof));
+        }
+        return;
+      }
+      case "batch": {
+        const { id, phase } = phaseOf(ctx, action.phase);
+        const entries = action.members.map(ref => ({ address: phase.members[ref % phase.members.length], ...leafOf(phase, phase.members[ref % phase.members.length]) }));
+        // An outsider reuses the first entry's leaf and must be skipped
+        if (action.outsider !== null) entries.push({ ...entries[0], address: pool[action.outsider].address });
+        const indices = entries.map(entry => entry.index);
+        const recipients = entries.map(entry => entry.address);
+        const proofs = entries.map(entry => entry.proof);
+        await send(ctx, () => phase.amounts
+          ? distributor.batchDistributeWithAmounts(id, indices, recipients, entries.map(entry => entry.amount), proofs)
+          : distributor.batchDistribute(id, indices, recipients, proofs));
+        return;
+      }
+      case "createPhase": {
+        const members = action.members.map(i => pool[i].address);
+        const amounts = action.amounts ? action.amounts.map(amount => BigInt(amount) * UNIT) : null;
+        const tree = buildPhaseTree(members, amounts);
+        const start = action.delay === 0 ? 0 : ctx.clock + action.delay;
+        const end = ctx.clock + action.delay + action.duration;
+        const mode = amounts ? 1 : 0;
+        const dropAmount = amounts ? 0n : BigInt(action.dropAmount) * UNIT;
+        const root = tree.artifact.root;
+
+        if (action.asset === "eth") {
+          await send(ctx, () => distributor.createPhaseForAsset(NATIVE_ASSET, mode, root, dropAmount, start, end, action.active));
+        } else if (amounts) {
+          await send(ctx, () => distributor.createPhaseWithAmounts(root, start, end, action.active));
+        } else {
+          await send(ctx, () => distributor.createPhase(root, dropAmount, start, end, action.active));
+        }
+        const id = ctx.phases.length;
+        ctx.phases.push({ ...tree, asset: action.asset, endTime: end, vesting: false });
+        if (action.vesting) {
+          await send(ctx, () => distributor.setPhaseVesting(id, action.vesting.cliff, action.vesting.duration));
+          ctx.phases[id].vesting = true;
+        }
+        return;
+      }
+      case "fund": {
+        const { id, phase } = phaseOf(ctx, action.phase);
+        const amount = BigInt(action.amount) * UNIT;
+        await send(ctx, () => distributor.fundPhase(id, amount, phase.asset === "eth" ? { value: amount } : {}));
+        return;
+      }
+      case "update": {
+        const { id, phase } = phaseOf(ctx, action.phase);
+        // Appending recipients keeps every existing index, so nobody can claim twice from the new root
+        const added = action.extend.filter(i => !phase.members.includes(pool[i].address));
+        const members = [...phase.members, ...added.map(i => pool[i].address)];
+        const amounts = phase.amounts ? [...phase.amounts, ...added.map(i => BigInt(action.amounts[i]) * UNIT)] : null;
+        const tree = buildPhaseTree(members, amounts);
+        const root = added.length > 0 ? tree.artifact.root : ethers.ZeroHash;
+        const dropAmount = phase.amounts ? 0n : BigInt(action.dropAmount) * UNIT;
+        const end = action.end === null ? 0 : ctx.clock + 1 + action.end;
+        await send(ctx, () => distributor.updatePhase(id, root, dropAmount, 0, end));
+        ctx.phases[id] = { ...phase, ...tree, endTime: end === 0 ? phase.endTime : end };
+        return;
+      }
+      case "activate":
+        await send(ctx, () => distributor.setActivePhase(phaseOf(ctx, action.phase).id));
+        return;
+      case "deactivate":
+        await send(ctx, () => distributor.deactivatePhase(phaseOf(ctx, action.phase).id));
+        return;
+      case "pause":
+        await send(ctx, () => distributor.pause());
+        return;
+      case "unpause":
+        await send(ctx, () => distributor.unpause());
+        return;
+      case "warp":
+        ctx.clock += action.seconds;
+        return;
+      case "release": {
+        const { id, phase } = phaseOf(ctx, action.phase, candidate => candidate.vesting);
+        await send(ctx, () => distributor.connect(owner).release(id, phase.members[action.member % phase.members.length]));
+        return;
+      }
+      case "sweep":
+        await send(ctx, () => distributor.sweepPhase(phaseOf(ctx, action.phase, candidate => candidate.endTime < ctx.clock).id));
+        return;
+      default:
+        throw new Error(`Unknown action ${action.type}`);
+    }
+  }
+
+  function sum(events, field = "amount") {
+    return events.reduce((total, event) => total + event.args[field], 0n);
+  }
+
+  /**
+   * Checks the distributor's accounting against its own events and the model of every phase tree.
+   * emergencyWithdraw isn't generated, it moves funds outside of any phase.
+   */
+  async function checkInvariants(ctx) {
+    const { distributor, token, tokenAddress, address } = ctx;
+    const events = name => distributor.queryFilter(distributor.filters[name]());
+    const claimed = await events("Claimed");
+    const funded = await events("PhaseFunded");
+    const released = await events("Released");
+    const swept = await events("PhaseSwept");
+
+    const phases = [];
+    const count = Number(await distributor.getPhaseCount());
+    for (let id = 0; id < count; id++) phases.push(await distributor.phases(id));
+    const inPhase = (list, id) => list.filter(event => Number(event.args.phaseId) === id);
+
+    const tokenClaims = claimed.filter(event => event.args.asset === tokenAddress);
+    expect(await distributor.totalClaimed()).to.equal(sum(tokenClaims), "totalClaimed equals the sum of Claimed amounts");
+    expect(await distributor.totalRecipients()).to.equal(
+      phases.reduce((total, phase) => total + phase.recipientCount, 0n), "totalRecipients equals the sum of recipientCount"
+    );
+
+    const paid = new Set();
+    for (const [id, phase] of phases.entries()) {
+      const claims = inPhase(claimed, id);
+      expect(phase.recipientCount).to.equal(BigInt(claims.length), `recipientCount of phase ${id} equals its Claimed events`);
+      expect(phase.claimedAmount).to.equal(sum(claims), `claimedAmount of phase ${id} equals its Claimed amounts`);
+
+      for (const event of claims) {
+        const claimant = event.args.claimant;
+        const key = `${id}:${claimant}`;
+        expect(paid.has(key), `${claimant} was paid twice in phase ${id}`).to.equal(false);
+        paid.add(key);
+
+        const leaf = ctx.phases[id].artifact.recipients[claimant];
+        expect(leaf, `${claimant} was paid in phase ${id} without being listed`).to.not.equal(undefined);
+        expect(await distributor.isClaimed(id, leaf.index), `index ${leaf.index} of phase ${id} is marked claimed`).to.equal(true);
+      }
+    }
+
+    for (const asset of [tokenAddress, NATIVE_ASSET]) {
+      const ids = phases.map((phase, id) => id).filter(id => phases[id].asset === asset);
+      const all = list => ids.flatMap(id => inPhase(list, id));
+      // Claims from vesting phases only lock the amount, it leaves the contract when released
+      const vested = ids.filter(id => phases[id].vestingDuration > 0n);
+      const instant = ids.filter(id => phases[id].vestingDuration === 0n).flatMap(id => inPhase(claimed, id));
+      const locked = sum(vested.flatMap(id => inPhase(claimed, id))) - sum(all(released));
+      const paidOut = sum(instant) + sum(all(released)) + sum(all(swept));
+      const balance = asset === NATIVE_ASSET ? await ethers.provider.getBalance(address) : await token.balanceOf(address);
+
+      expect(balance + paidOut).to.equal(sum(all(funded)), `balance plus paid-out equals funded for ${asset}`);
+      expect(await distributor.totalLocked(asset)).to.equal(locked, `totalLocked of ${asset} equals unreleased vesting claims`);
+      if (asset === tokenAddress) {
+        const transfers = await token.queryFilter(token.filters.Transfer(address));
+        expect(sum(transfers, "value")).to.equal(paidOut, "token transfers out of the distributor match its events");
+      }
+    }
+  }
+
+  // Runs a sequence from the fixture, checking every invariant after each action, and returns the final context
+  async function execute(actions) {
+    const base = await loadFixture(deployFixture);
+    const ctx = { ...base, phases: base.phases.map(phase => ({ ...phase })) };
+    for (const [step, action] of actions.entries()) {
+      try {
+        await perform(ctx, action);
+      } catch (err) {
+        if (!isRevert(err)) throw err;
+      }
+      try {
+        await checkInvariants(ctx);
+      } catch (err) {
+        throw new Error(`After step ${step + 1} (${formatStep(action)}): ${err.message}`);
+      }
+    }
+    return ctx;
+  }
+
+  it("Should keep its accounting consistent over random sequences of actions", async function () {
+    this.timeout(0);
+    await runProperty({ seed: SEED, runs: RUNS, steps: STEPS, generate: generateActions, execute });
+  });
+
+  it("Should pay every recipient of a phase exactly once", async function () {
+    this.timeout(0);
+    // Everybody claims, then every claim and a batch are repeated
+    const claimAll = phase => Array.from({ length: POOL_SIZE }, (_, member) => ({ type: "claim", phase, member, impostor: null, to: null }));
+    const actions = [
+      { type: "fund", phase: 0, amount: 100 },
+      { type: "createPhase", members: [0, 2, 4, 6], amounts: [1, 2, 3, 4], dropAmount: 1, asset: "eth", active: true, delay: 0, duration: DAY, vesting: null },
+      { type: "fund", phase: 1, amount: 10 },
+      ...claimAll(0),
+      ...claimAll(1),
+      ...claimAll(0),
+      ...claimAll(1),
+      { type: "batch", phase: 1, members: [0, 1, 2, 3], outsider: 1 }
+    ];
+    const { distributor } = await execute(actions);
+
+    expect((await distributor.phases(0)).recipientCount).to.equal(5);
+    expect((await distributor.phases(1)).recipientCount).to.equal(4);
+    expect((await distributor.phases(1)).claimedAmount).to.equal(10n * UNIT);
+  });
+
+  it("Should account for vesting releases and sweeps", async function () {
+    this.timeout(0);
+    const actions = [
+      { type: "createPhase", members: [1, 3, 5], amounts: null, dropAmount: 5, asset: "token", active: true, delay: 0, duration: 4 * DAY, vesting: { cliff: DAY, duration: 2 * DAY } },
+      { type: "fund", phase: 1, amount: 20 },
+      { type: "claim", phase: 1, member: 0, impostor: null, to: 7 },
+      { type: "claim", phase: 1, member: 1, impostor: null, to: null },
+      { type: "warp", seconds: DAY + DAY / 2 },
+      { type: "release", phase: 1, member: 0 },
+      { type: "warp", seconds: DAY },
+      { type: "release", phase: 1, member: 0 },
+      { type: "release", phase: 1, member: 1 },
+      { type: "warp", seconds: 2 * DAY },
+      { type: "sweep", phase: 1 },
+      { type: "fund", phase: 1, amount: 1 }
+    ];
+    const { distributor, token, pool } = await execute(actions);
+
+    expect((await distributor.phases(1)).swept).to.equal(true);
+    expect(await distributor.totalLocked(await token.getAddress())).to.equal(0);
+    expect(await token.balanceOf(pool[7].address)).to.equal(5n * UNIT);
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  hashLeaf,
+  normalizeAddress,
+  parseCsv,
+  validateAllowlist,
+  buildArtifact,
+  readArtifact,
+  ARTIFACT_VERSION,
+  LEAF_ENCODING_ADDRESS_AMOUNT
+} = require("../lib/merkle");
+
+describe("Merkle tree builder", function () {
+  let tmpDir;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Validation", function () {
+    it("Should accept lowercase and checksummed addresses", function () {
+      expect(normalizeAddress(addr1.address.toLowerCase())).to.equal(addr1.address);
+      expect(normalizeAddress(addr1.address)).to.equal(addr1.address);
+    });
+
+    it("Should reject a bad checksum", function () {
+      // Flip the case of the first letter in the address to break the checksum
+      const chars = addr1.address.split("");
+      const i = chars.findIndex((c, idx) => idx > 1 && /[a-fA-F]/.test(c));
+      chars[i] = chars[i] === chars[i].toLowerCase() ? chars[i].toUpperCase() : chars[i].toLowerCase();
+
+      expect(() => normalizeAddress(chars.join(""))).to.throw("bad checksum");
+    });
+
+    it("Should reject the zero address", function () {
+      expect(() => normalizeAddress(ethers.ZeroAddress)).to.throw("zero address");
+    });
+
+    it("Should reject duplicates regardless of case", function () {
+      const rows = parseCsv(`address\n${addr1.address}\n${addr1.address.toLowerCase()}\n`);
+      expect(() => validateAllowlist(rows)).to.throw("duplicate address");
+    });
+
+    it("Should reject zero, non-integer, oversized and missing amounts", function () {
+      expect(() => validateAllowlist(parseCsv(`${addr1.address},0\n`))).to.throw("greater than zero");
+      expect(() => validateAllowlist(parseCsv(`${addr1.address},${2n ** 128n}\n`))).to.throw("does not fit in uint128");
+      expect(() => validateAllowlist(parseCsv(`${addr1.address},1.5\n`))).to.throw("invalid amount");
+      expect(() => validateAllowlist(parseCsv(`${addr1.address},10\n${addr2.address}\n`))).to.throw("missing amount");
+    });
+
+    it("Should report every invalid entry at once", function () {
+      const rows = parseCsv(`${ethers.ZeroAddress}\nnot-an-address\n${addr1.address}\n`);
+      expect(() => validateAllowlist(rows)).to.throw(/entry 1: zero address[\s\S]*entry 2: invalid address/);
+    });
+  });
+
+  describe("Artifact", function () {
+    it("Should hash leaves like abi.encodePacked(index, recipient)", function () {
+      expect(hashLeaf(3, addr1.address)).to.equal(
+        ethers.keccak256(ethers.solidityPacked(["uint256", "address"], [3, addr1.address]))
+      );
+    });
+
+    it("Should write the root, leaf count and every proof from a CSV allowlist", async function () {
+      const input = path.join(tmpDir, "allowlist.csv");
+      fs.writeFileSync(input, `address\n${addr1.address}\n${addr2.address}\n${addr3.address}\n`);
+
+      await hre.run("merkle:build", { input });
+
+      const artifact = readArtifact(path.join(tmpDir, "allowlist.merkle.json"));
+      expect(artifact.version).to.equal(ARTIFACT_VERSION);
+      expect(artifact.leafCount).to.equal(3);
+      expect(Object.keys(artifact.recipients)).to.deep.equal([addr1.address, addr2.address, addr3.address]);
+      expect(Object.values(artifact.recipients).map(entry => entry.index)).to.deep.equal([0, 1, 2]);
+      expect(artifact.root).to.equal(buildArtifact([addr1.address, addr2.address, addr3.address]).root);
+    });
+
+    it("Should accept a JSON allowlist and a custom output path", async function () {
+      const input = path.join(tmpDir, "allowlist.json");
+      const output = path.join(tmpDir, "out", "phase0.json");
+      fs.writeFileSync(input, JSON.stringify([addr1.address, { address: addr2.address }]));
+
+      await hre.run("merkle:build", { input, output });
+
+      expect(readArtifact(output).leafCount).to.equal(2);
+    });
+
+    it("Should write amounts and the total for an (address, amount) allowlist", async function () {
+      const input = path.join(tmpDir, "amounts.csv");
+      fs.writeFileSync(input, `address,amount\n${addr1.address},100\n${addr2.address},250\n`);
+
+      await hre.run("merkle:build", { input });
+
+      const artifact = readArtifact(path.join(tmpDir, "amounts.merkle.json"));
+      expect(artifact.leafEncoding).to.equal(LEAF_ENCODING_ADDRESS_AMOUNT);
+      expect(artifact.totalAmount).to.equal("350");
+      expect(artifact.recipients[addr2.address].amount).to.equal("250");
+    });
+
+    it("Should hash (index, address, amount) leaves like abi.encodePacked(index, recipient, amount)", function () {
+      expect(hashLeaf(3, addr1.address, 100n)).to.equal(
+        ethers.keccak256(ethers.solidityPacked(["uint256", "address", "uint256"], [3, addr1.address, 100n]))
+      );
+    });
+
+    it("Should produce proofs accepted by MerkleDistributorV2", async function () {
+      const artifact = buildArtifact([addr1.address, addr2.address, addr3.address]);
+
+      const AirdropToken = await ethers.getContractFactory("AirdropToken");
+      const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+      const dropAmount = ethers.parseEther("0.01");
+      const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+      const distributor = await MerkleDistributorV2.deploy(
+        await token.getAddress(),
+        artifact.root,
+        dropAmount,
+        0,
+        (await time.latest()) + 3600,
+        owner.address
+      );
+      await token.mint(await distributor.getAddress(), dropAmount * 3n);
+
+      for (const signer of [addr1, addr2, addr3]) {
+        await distributor.connect(signer).claim(artifact.recipients[signer.address].index, artifact.recipients[signer.address].proof);
+        expect(await token.balanceOf(signer.address)).to.equal(dropAmount);
+      }
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const path = require("path");
+const { selectedNetwork, buildNetworkConfig, loadNetworkConfig } = require("../lib/networks");
+
+describe("Network config", function () {
+  const key = "0x" + "11".repeat(32);
+  const definitions = {
+    localhost: { url: "http://127.0.0.1:8545" },
+    sepolia: {
+      url: "${SEPOLIA_RPC_URL}",
+      chainId: 11155111,
+      accounts: "${DEPLOYER_PRIVATE_KEY}",
+      etherscanApiKey: "${ETHERSCAN_API_KEY}"
+    },
+    mainnet: { url: "https://eth.example/${MAINNET_KEY}", chainId: 1, accounts: "${DEPLOYER_PRIVATE_KEY}", forkBlockNumber: 100 }
+  };
+
+  it("Should take the network from --network, then HARDHAT_NETWORK", function () {
+    expect(selectedNetwork(["node", "hardhat", "test"], {})).to.equal("hardhat");
+    expect(selectedNetwork(["node", "hardhat", "--network", "sepolia", "phase:status"], {})).to.equal("sepolia");
+    expect(selectedNetwork(["node", "hardhat", "--network=hoodi"], {})).to.equal("hoodi");
+    expect(selectedNetwork(["node", "hardhat"], { HARDHAT_NETWORK: "localhost" })).to.equal("localhost");
+  });
+
+  it("Should load without any environment variable when no configured network is used", function () {
+    const { networks, etherscan } = buildNetworkConfig(definitions, { network: "hardhat", env: {} });
+
+    expect(networks.sepolia).to.deep.equal({ url: "${SEPOLIA_RPC_URL}", chainId: 11155111 });
+    expect(networks.mainnet).to.not.have.property("forkBlockNumber");
+    expect(networks).to.not.have.property("hardhat");
+    expect(etherscan.apiKey).to.deep.equal({});
+  });
+
+  it("Should only read the keys of the selected network", function () {
+    const env = { SEPOLIA_RPC_URL: "https://sepolia.example", DEPLOYER_PRIVATE_KEY: `${key}, ${key}`, ETHERSCAN_API_KEY: "abc" };
+    const { networks, etherscan } = buildNetworkConfig(definitions, { network: "sepolia", env });
+
+    expect(networks.sepolia).to.deep.equal({ url: "https://sepolia.example", chainId: 11155111, accounts: [key, key] });
+    expect(networks.mainnet).to.not.have.property("accounts");
+    expect(etherscan.apiKey).to.deep.equal({ sepolia: "abc" });
+
+    expect(() => buildNetworkConfig(definitions, { network: "sepolia", env: { SEPOLIA_RPC_URL: "https://sepolia.example" } }))
+      .to.throw("Network sepolia needs DEPLOYER_PRIVATE_KEY");
+  });
+
+  it("Should fork the network named by FORK", function () {
+    const { networks } = buildNetworkConfig(definitions, { network: "hardhat", env: { FORK: "mainnet", MAINNET_KEY: "k" } });
+
+    expect(networks.hardhat).to.deep.equal({ forking: { url: "https://eth.example/k", blockNumber: 100 } });
+    expect(() => buildNetworkConfig(definitions, { network: "hardhat", env: { FORK: "mainnet" } })).to.throw("needs MAINNET_KEY");
+    expect(() => buildNetworkConfig(definitions, { network: "hardhat", env: { FORK: "goerli" } })).to.throw("not a network");
+    expect(() => buildNetworkConfig({ hardhat: { url: "x" } }, { network: "hardhat", env: {} })).to.throw("can't define the hardhat network");
+  });
+
+  it("Should build the repository's networks.json for a test run", function () {
+    const { networks } = loadNetworkConfig(path.join(__dirname, "..", "networks.json"), { argv: ["node", "hardhat", "test"], env: {} });
+
+    expect(networks).to.include.keys("localhost", "sepolia", "mainnet");
+    Object.values(networks).forEach(network => expect(network).to.not.have.property("accounts"));
+  });
+});
@@ -0,0 +1,347 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, writeArtifact, readArtifact } = require("../lib/merkle");
+const { parseTime, parseDuration } = require("../lib/cli");
+const { diffPhase, readPhase } = require("../lib/phases");
+const { NATIVE_ASSET } = require("../lib/assets");
+const { parseRole } = require("../lib/roles");
+
+describe("Phase admin tasks", function () {
+  let tmpDir;
+  let token;
+  let distributor;
+  let address;
+  let owner;
+  let addr1;
+  let addr2;
+  let artifactFile;
+  let weightedFile;
+
+  const dropAmount = ethers.parseEther("0.01");
+  const oneWeek = 7 * 24 * 60 * 60;
+
+  // Runs a phase:* task against the test distributor without prompting
+  function run(name, args = {}) {
+    return hre.run(name, { address, yes: true, ...args });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "phase-"));
+
+    const artifact = buildArtifact([addr1.address, addr2.address]);
+    artifactFile = path.join(tmpDir, "phase.json");
+    writeArtifact(artifactFile, artifact);
+    weightedFile = path.join(tmpDir, "weighted.json");
+    writeArtifact(weightedFile, buildArtifact([{ address: addr1.address, amount: 5n }]));
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      dropAmount,
+      0,
+      (await time.latest()) + oneWeek,
+      owner.address
+    );
+    address = await distributor.getAddress();
+    await token.mint(address, ethers.parseEther("10"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Helpers", function () {
+    it("Should parse relative, ISO and unix times", function () {
+      expect(parseTime("+7d", 1000)).to.equal(1000 + oneWeek);
+      expect(parseTime("+30m", 1000)).to.equal(1000 + 1800);
+      expect(parseTime("2026-01-01T00:00:00Z", 0)).to.equal(1767225600);
+      expect(parseTime("1767225600", 0)).to.equal(1767225600);
+      expect(() => parseTime("next week", 0)).to.throw("Invalid time");
+    });
+
+    it("Should mark changed fields in the phase diff", async function () {
+      const current = await readPhase(distributor, 0);
+      const rows = diffPhase(current, { ...current, active: false }, 18);
+
+      expect(rows.find(row => row[0] === "active")).to.deep.equal(["active", "true", "false", "*"]);
+      expect(rows.find(row => row[0] === "dropAmount")).to.deep.equal(["dropAmount", "0.01", "0.01", ""]);
+    });
+  });
+
+  describe("phase:create", function () {
+    it("Should create a phase with a human-readable amount and end time", async function () {
+      await run("phase:create", { artifact: artifactFile, amount: "0.02", end: "+7d", activate: true });
+
+      const phase = await distributor.phases(1);
+      expect(phase.dropAmount).to.equal(ethers.parseEther("0.02"));
+      expect(phase.endTime).to.be.closeTo(BigInt((await time.latest()) + oneWeek), 5n);
+      expect(await distributor.currentPhaseId()).to.equal(1);
+    });
+
+    it("Should schedule a phase with --start", async function () {
+      await run("phase:create", { artifact: artifactFile, amount: "0.02", start: "+1d", end: "+7d", activate: true });
+
+      const phase = await distributor.phases(1);
+      expect(phase.startTime).to.be.closeTo(BigInt((await time.latest()) + 86400), 5n);
+      expect((await distributor.phaseStatus(1)).started).to.equal(false);
+    });
+
+    it("Should create a per-recipient phase from an (address, amount) artifact", async function () {
+      await run("phase:create", { artifact: weightedFile, end: "+1d" });
+
+      expect((await distributor.phases(1)).mode).to.equal(1);
+      expect(await distributor.currentPhaseId()).to.equal(0);
+    });
+
+    it("Should create and fund an ETH phase with --asset and --fund", async function () {
+      await run("phase:create", { artifact: artifactFile, amount: "0.5", end: "+7d", asset: "ETH", fund: true });
+
+      const phase = await readPhase(distributor, 1);
+      expect(phase.asset).to.equal(NATIVE_ASSET);
+      expect(phase.budget).to.equal(ethers.parseEther("1"));
+      expect(await ethers.provider.getBalance(address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should fund a partner token phase after approving it", async function () {
+      const AirdropToken = await ethers.getContractFactory("AirdropToken");
+      const partner = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+      await partner.mint(owner.address, ethers.parseEther("5"));
+
+      await run("phase:create", { artifact: weightedFile, end: "+7d", asset: await partner.getAddress(), fund: true });
+
+      expect((await readPhase(distributor, 1)).asset).to.equal(await partner.getAddress());
+      expect(await partner.balanceOf(address)).to.equal(5n);
+    });
+
+    it("Should refuse assets that fail the ERC20 checks", async function () {
+      await expect(run("phase:create", { artifact: artifactFile, amount: "1", end: "+7d", asset: addr1.address }))
+        .to.be.rejectedWith("has no code");
+      await expect(run("phase:create", { artifact: artifactFile, amount: "1", end: "+7d", asset: address }))
+        .to.be.rejectedWith("failed the ERC20 checks");
+    });
+
+    it("Should only simulate with --dry-run", async function () {
+      const { dryRun, result } = await run("phase:create", {
+        artifact: artifactFile, amount: "0.02", end: "+7d", dryRun: true
+      });
+
+      expect(dryRun).to.equal(true);
+      expect(result).to.equal(1n);
+      expect(await distributor.getPhaseCount()).to.equal(1);
+    });
+
+    it("Should surface reverts by error name", async function () {
+      await expect(run("phase:create", { artifact: artifactFile, amount: "0.02", end: "1" }))
+        .to.be.rejectedWith('Error("End time must be in future")');
+      await expect(run("phase:create", { artifact: artifactFile, amount: "0", end: "+1d" }))
+        .to.be.rejectedWith("ZeroAmount()");
+    });
+  });
+
+  describe("phase:update", function () {
+    it("Should only change the given fields", async function () {
+      const before = await readPhase(distributor, 0);
+
+      await run("phase:update", { phase: 0, amount: "0.05" });
+
+      const after = await readPhase(distributor, 0);
+      expect(after.dropAmount).to.equal(ethers.parseEther("0.05"));
+      expect(after.merkleRoot).to.equal(before.merkleRoot);
+      expect(after.endTime).to.equal(before.endTime);
+    });
+
+    it("Should move the start time", async function () {
+      await run("phase:update", { phase: 0, start: "+1h" });
+
+      expect((await readPhase(distributor, 0)).startTime).to.be.closeTo(BigInt((await time.latest()) + 3600), 5n);
+      expect((await distributor.phaseStatus(0)).isActive).to.equal(false);
+    });
+
+    it("Should reject unknown phases", async function () {
+      await expect(run("phase:update", { phase: 3, amount: "1" })).to.be.rejectedWith("InvalidPhase");
+    });
+  });
+
+  describe("Activation and pausing", function () {
+    it("Should deactivate and reactivate a phase", async function () {
+      await run("phase:deactivate", { phase: 0 });
+      expect((await distributor.phases(0)).active).to.equal(false);
+
+      await run("phase:activate", { phase: 0 });
+      expect((await distributor.phases(0)).active).to.equal(true);
+    });
+
+    it("Should report ClaimingEnded when activating an expired phase", async function () {
+      await time.increase(oneWeek + 1);
+
+      await expect(run("phase:activate", { phase: 0 })).to.be.rejectedWith("ClaimingEnded()");
+    });
+
+    it("Should pause and unpause", async function () {
+      await run("phase:pause");
+      expect(await distributor.paused()).to.equal(true);
+
+      await expect(run("phase:pause")).to.be.rejectedWith("EnforcedPause()");
+
+      await run("phase:unpause");
+      expect(await distributor.paused()).to.equal(false);
+    });
+  });
+
+  describe("Funding and sweeping", function () {
+    it("Should approve and fund a phase budget", async function () {
+      await token.mint(owner.address, ethers.parseEther("3"));
+
+      await run("phase:fund", { phase: 0, amount: "3" });
+
+      expect((await distributor.phases(0)).budget).to.equal(ethers.parseEther("3"));
+      expect(await distributor.remainingTokens()).to.equal(ethers.parseEther("13"));
+    });
+
+    it("Should mint against a minter allowance and deposit with a permit", async function () {
+      // The task sender stops being the token owner and becomes an ordinary minter
+      await token.transferOwnership(addr2.address);
+      await expect(run("phase:fund", { phase: 0, amount: "2", mint: true }))
+        .to.be.rejectedWith("InsufficientMinterAllowance");
+
+      await token.connect(addr2).setMinterAllowance(owner.address, ethers.parseEther("2"));
+      await run("phase:fund", { phase: 0, amount: "2", mint: true });
+
+      expect((await distributor.phases(0)).budget).to.equal(ethers.parseEther("2"));
+      expect(await token.minterAllowance(owner.address)).to.equal(0n);
+      // On top of the 10 minted to the distributor while owner
+      expect(await token.mintedBy(owner.address)).to.equal(ethers.parseEther("12"));
+      // fundPhaseWithPermit used up the permitted allowance, no approve was sent
+      expect(await token.allowance(owner.address, address)).to.equal(0n);
+      expect(await token.nonces(owner.address)).to.equal(1n);
+    });
+
+    it("Should sweep expired phases to the treasury and record it", async function () {
+      const record = path.join(tmpDir, "sweeps.json");
+      await token.mint(owner.address, ethers.parseEther("3"));
+      await run("phase:fund", { phase: 0, amount: "3" });
+      await run("phase:treasury", { treasury: addr2.address });
+
+      expect(await run("phase:sweep", { record })).to.deep.equal([]);
+
+      await time.increase(oneWeek + 1);
+      const results = await run("phase:sweep", { record });
+
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({ phaseId: 0, treasury: addr2.address, amount: ethers.parseEther("3").toString() });
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("3"));
+      expect(JSON.parse(fs.readFileSync(record, "utf8"))).to.deep.equal(results);
+      expect(await run("phase:sweep", { record })).to.deep.equal([]);
+    });
+  });
+
+  describe("Vesting", function () {
+    it("Should set a phase's vesting schedule from human-readable durations", async function () {
+      await run("phase:vesting", { phase: 0, cliff: "1d", duration: "30d" });
+
+      const phase = await readPhase(distributor, 0);
+      expect(phase.vestingCliff).to.equal(86400n);
+      expect(phase.vestingDuration).to.equal(30n * 86400n);
+      expect(diffPhase(phase, phase, 18).find(row => row[0] === "vesting")[1]).to.equal("1d cliff, 30d linear");
+    });
+
+    it("Should release the vested part of a claim", async function () {
+      await run("phase:vesting", { phase: 0, duration: "100" });
+      const { recipients } = readArtifact(artifactFile);
+      await distributor.connect(addr1).claim(recipients[addr1.address].index, recipients[addr1.address].proof);
+      await time.increase(100);
+
+      const { result } = await run("phase:release", { phase: 0, account: addr1.address });
+
+      expect(result).to.equal(dropAmount);
+      expect(await token.balanceOf(addr1.address)).to.equal(dropAmount);
+    });
+
+    it("Should reject invalid durations and a cliff longer than the duration", async function () {
+      expect(() => parseDuration("a month")).to.throw("Invalid duration");
+      await expect(run("phase:vesting", { phase: 0, cliff: "2d", duration: "1d" }))
+        .to.be.rejectedWith("InvalidVesting");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should grant and revoke a role by name", async function () {
+      const role = await distributor.DISTRIBUTOR_ROLE();
+
+      await run("role:grant", { role: "distributor", account: addr1.address });
+      expect(await distributor.hasRole(role, addr1.address)).to.equal(true);
+      expect(await run("role:grant", { role: "DISTRIBUTOR_ROLE", account: addr1.address })).to.deep.equal({ unchanged: true });
+
+      await run("role:revoke", { role: "distributor", account: addr1.address });
+      expect(await distributor.hasRole(role, addr1.address)).to.equal(false);
+    });
+
+    it("Should list role members from the role events", async function () {
+      await run("role:grant", { role: "pauser", account: addr1.address });
+      await run("role:grant", { role: "treasury", account: addr2.address });
+      await run("role:revoke", { role: "treasury", account: owner.address });
+
+      const members = await run("role:list");
+
+      expect(members.admin).to.deep.equal([owner.address]);
+      expect(members.pauser).to.have.members([owner.address, addr1.address]);
+      expect(members.treasury).to.deep.equal([addr2.address]);
+    });
+
+    it("Should accept role names, constants and hashes and reject unknown roles", async function () {
+      const role = await distributor.PAUSER_ROLE();
+
+      expect(parseRole("pauser")).to.deep.equal({ name: "pauser", role });
+      expect(parseRole("PAUSER_ROLE").role).to.equal(role);
+      expect(parseRole(role).name).to.equal("pauser");
+      expect(parseRole("DEFAULT_ADMIN_ROLE").role).to.equal(ethers.ZeroHash);
+      await expect(run("role:grant", { role: "owner", account: addr1.address })).to.be.rejectedWith("Unknown role");
+    });
+
+    it("Should report a missing role by error name", async function () {
+      await run("role:revoke", { role: "phaseManager", account: owner.address });
+
+      await expect(run("phase:create", { artifact: artifactFile, amount: "0.02", end: "+7d" }))
+        .to.be.rejectedWith("AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("phase:withdraw", function () {
+    it("Should withdraw a human-readable amount", async function () {
+      await run("phase:withdraw", { to: addr2.address, amount: "1.5" });
+
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should withdraw the whole balance with \"all\"", async function () {
+      await run("phase:withdraw", { to: addr2.address, amount: "all" });
+
+      expect(await distributor.remainingTokens()).to.equal(0);
+    });
+
+    it("Should withdraw ETH with --token ETH", async function () {
+      await owner.sendTransaction({ to: address, value: ethers.parseEther("2") });
+
+      const before = await ethers.provider.getBalance(addr2.address);
+
+      await run("phase:withdraw", { to: addr2.address, amount: "all", token: "ETH" });
+
+      expect(await ethers.provider.getBalance(addr2.address)).to.equal(before + ethers.parseEther("2"));
+      expect(await ethers.provider.getBalance(address)).to.equal(0);
+    });
+
+    it("Should reject the zero address by error name", async function () {
+      await expect(run("phase:withdraw", { to: ethers.ZeroAddress, amount: "1" }))
+        .to.be.rejectedWith("ZeroAddress()");
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { RateLimiter, TtlCache } = require("../lib/http");
+const { mapArtifactsToPhases, createProofService } = require("../lib/proofs");
+
+describe("Proof service", function () {
+  const DROP_AMOUNT = ethers.parseEther("0.01");
+
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let distributor;
+  let fixedArtifact;
+  let amountArtifact;
+  let server;
+  let baseUrl;
+
+  /**
+   * Starts the service on a random port
+   */
+  async function start(options = {}) {
+    const { phases } = await mapArtifactsToPhases(distributor, [fixedArtifact, amountArtifact]);
+    server = createProofService({ distributor, phases, ...options });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    fixedArtifact = buildArtifact([addr1.address, addr2.address]);
+    amountArtifact = buildArtifact([
+      { address: addr2.address, amount: ethers.parseEther("5").toString() },
+      { address: addr3.address, amount: ethers.parseEther("7").toString() }
+    ]);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    const token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      fixedArtifact.root,
+      DROP_AMOUNT,
+      0,
+      (await time.latest()) + 3600,
+      owner.address
+    );
+    await token.mint(await distributor.getAddress(), ethers.parseEther("100"));
+    await distributor.createPhaseWithAmounts(amountArtifact.root, 0, (await time.latest()) + 7200, true);
+  });
+
+  afterEach(async function () {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  describe("Artifact mapping", function () {
+    it("Should match artifacts to phases by root", async function () {
+      const stray = buildArtifact([addr3.address]);
+      const { phases, unmatched } = await mapArtifactsToPhases(distributor, [amountArtifact, stray, fixedArtifact]);
+
+      expect(phases[0]).to.equal(fixedArtifact);
+      expect(phases[1]).to.equal(amountArtifact);
+      expect(unmatched).to.deep.equal([stray]);
+    });
+  });
+
+  describe("GET /proof/:phaseId/:address", function () {
+    beforeEach(async function () {
+      await start();
+    });
+
+    it("Should return proofs that verify on-chain", async function () {
+      const res = await fetch(`${baseUrl}/proof/0/${addr1.address.toLowerCase()}`);
+      expect(res.status).to.equal(200);
+      const body = await res.json();
+      expect(body).to.deep.equal({
+        phaseId: 0,
+        index: fixedArtifact.recipients[addr1.address].index,
+        address: addr1.address,
+        leafEncoding: "index-address",
+        proof: fixedArtifact.recipients[addr1.address].proof
+      });
+
+      await expect(distributor.connect(addr1).claimForPhase(0, body.index, body.proof))
+        .to.emit(distributor, "Claimed");
+    });
+
+    it("Should include the amount for per-recipient phases", async function () {
+      const body = await (await fetch(`${baseUrl}/proof/1/${addr3.address}`)).json();
+
+      expect(body.leafEncoding).to.equal("index-address-amount");
+      expect(body.amount).to.equal(ethers.parseEther("7").toString());
+      expect(body.proof).to.deep.equal(amountArtifact.recipients[addr3.address].proof);
+    });
+
+    it("Should return the claimTo call for a destination", async function () {
+      const res = await fetch(`${baseUrl}/proof/1/${addr2.address}?destination=${addr3.address.toLowerCase()}`);
+      const body = await res.json();
+      expect(body.destination).to.equal(addr3.address);
+      expect(body.method).to.equal("claimToWithAmount");
+
+      await distributor.connect(addr2)[body.method](...body.args);
+      expect(await distributor.isClaimed(1, amountArtifact.recipients[addr2.address].index)).to.equal(true);
+      expect(await distributor.isClaimed(1, amountArtifact.recipients[addr3.address].index)).to.equal(false);
+
+      const bad = await fetch(`${baseUrl}/proof/0/${addr1.address}?destination=0x1234`);
+      expect(bad.status).to.equal(400);
+      expect((await bad.json()).error.code).to.equal("INVALID_ADDRESS");
+    });
+
+    it("Should return JSON errors for bad input, unknown phases and ineligible addresses", async function () {
+      const cases = [
+        [`/proof/abc/${addr1.address}`, 400, "INVALID_PHASE"],
+        ["/proof/0/0x1234", 400, "INVALID_ADDRESS"],
+        [`/proof/9/${addr1.address}`, 404, "UNKNOWN_PHASE"],
+        [`/proof/0/${addr3.address}`, 404, "NOT_ELIGIBLE"],
+        ["/nothing", 404, "NOT_FOUND"]
+      ];
+      for (const [url, status, code] of cases) {
+        const res = await fetch(`${baseUrl}${url}`);
+        expect(res.status, url).to.equal(status);
+        expect((await res.json()).error.code, url).to.equal(code);
+      }
+
+      const post = await fetch(`${baseUrl}/proof/0/${addr1.address}`, { method: "POST" });
+      expect(post.status).to.equal(405);
+    });
+  });
+
+  describe("GET /eligibility/:address", function () {
+    it("Should list every phase of an address with its on-chain status", async function () {
+      await start();
+      await distributor.connect(addr2).claimForPhase(0, fixedArtifact.recipients[addr2.address].index, fixedArtifact.recipients[addr2.address].proof);
+
+      const body = await (await fetch(`${baseUrl}/eligibility/${addr2.address}`)).json();
+
+      expect(body.address).to.equal(addr2.address);
+      expect(body.phases.map(phase => phase.phaseId)).to.deep.equal([0, 1]);
+      expect(body.phases[0]).to.include({
+        amount: DROP_AMOUNT.toString(),
+        asset: await distributor.token(),
+        claimed: true,
+        isActive: true,
+        started: true
+      });
+      expect(body.phases[1]).to.include({ amount: ethers.parseEther("5").toString(), claimed: false, isActive: true });
+      expect(body.phases[1].remainingTime).to.be.greaterThan(3600);
+    });
+
+    it("Should report ineligible addresses", async function () {
+      await start();
+      const res = await fetch(`${baseUrl}/eligibility/${owner.address}`);
+
+      expect(res.status).to.equal(404);
+      expect((await res.json()).error.code).to.equal("NOT_ELIGIBLE");
+    });
+
+    it("Should cache on-chain reads for the configured time", async function () {
+      await start({ cacheTtlMs: 60000 });
+      const before = await (await fetch(`${baseUrl}/eligibility/${addr3.address}`)).json();
+      await distributor.connect(addr3).claimForPhaseWithAmount(
+        1, amountArtifact.recipients[addr3.address].index, ethers.parseEther("7"), amountArtifact.recipients[addr3.address].proof
+      );
+      const after = await (await fetch(`${baseUrl}/eligibility/${addr3.address}`)).json();
+
+      expect(before.phases[0].claimed).to.equal(false);
+      expect(after.phases[0].claimed).to.equal(false);
+    });
+  });
+
+  describe("Rate limiting", function () {
+    it("Should reject clients over the limit with Retry-After", async function () {
+      await start({ rateLimit: 2, rateWindowMs: 60000 });
+
+      for (let i = 0; i < 2; i++) {
+        expect((await fetch(`${baseUrl}/health`)).status).to.equal(200);
+      }
+      const res = await fetch(`${baseUrl}/health`);
+      expect(res.status).to.equal(429);
+      expect(res.headers.get("retry-after")).to.equal("60");
+      expect((await res.json()).error.code).to.equal("RATE_LIMITED");
+    });
+
+    it("Should open a new window once the previous one ended", function () {
+      let now = 0;
+      const limiter = new RateLimiter(1, 1000, () => now);
+
+      expect(limiter.hit("a").allowed).to.equal(true);
+      expect(limiter.hit("a").allowed).to.equal(false);
+      expect(limiter.hit("b").allowed).to.equal(true);
+      now = 1000;
+      expect(limiter.hit("a").allowed).to.equal(true);
+    });
+  });
+
+  describe("TtlCache", function () {
+    it("Should share loads, expire entries and not cache failures", async function () {
+      let now = 0;
+      let loads = 0;
+      const cache = new TtlCache(1000, () => now);
+      const load = async () => ++loads;
+
+      expect(await Promise.all([cache.get("k", load), cache.get("k", load)])).to.deep.equal([1, 1]);
+      now = 1000;
+      expect(await cache.get("k", load)).to.equal(2);
+
+      await expect(cache.get("x", async () => { throw new Error("rpc down"); })).to.be.rejectedWith("rpc down");
+      expect(await cache.get("x", load)).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { CLAIM_TYPES, Relayer, createRelayerServer, claimDomain, signClaim, signClaimTo } = require("../lib/relayer");
+
+describe("Relayer", function () {
+  const DROP_AMOUNT = ethers.parseEther("0.01");
+
+  let owner;
+  let relayerKey;
+  let addr1;
+  let addr2;
+  let outsider;
+  let distributor;
+  let token;
+  let artifact;
+  let relayer;
+  let server;
+  let baseUrl;
+  let deadline;
+
+  /**
+   * Builds the request body a wallet would send for a signed claim
+   */
+  async function signedRequest(signer, overrides = {}) {
+    const signed = await signClaim(signer, distributor, { phaseId: 0, deadline });
+    const entry = artifact.recipients[signed.recipient];
+    return {
+      phaseId: 0,
+      index: entry ? entry.index : 0,
+      recipient: signed.recipient,
+      deadline: signed.deadline.toString(),
+      proof: entry ? entry.proof : [],
+      signature: signed.signature,
+      ...overrides
+    };
+  }
+
+  /**
+   * POSTs a request to the relayer
+   */
+  async function post(body) {
+    const res = await fetch(`${baseUrl}/claims`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  beforeEach(async function () {
+    [owner, relayerKey, addr1, addr2, outsider] = await ethers.getSigners();
+    artifact = buildArtifact([addr1.address, addr2.address]);
+    deadline = (await time.latest()) + 3600;
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      DROP_AMOUNT,
+      0,
+      (await time.latest()) + 86400,
+      owner.address
+    );
+    await token.mint(await distributor.getAddress(), ethers.parseEther("1"));
+
+    relayer = new Relayer({ distributor, signer: relayerKey });
+    relayer.start();
+    server = createRelayerServer(relayer);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+    await relayer.stop();
+  });
+
+  it("Should queue, submit and report a signed claim", async function () {
+    const { status, body } = await post(await signedRequest(addr1));
+    expect(status).to.equal(202);
+    expect(body).to.include({ recipient: addr1.address, phaseId: 0 });
+
+    await relayer.idle();
+    const job = await (await fetch(`${baseUrl}/claims/${body.id}`)).json();
+    expect(job.status).to.equal("mined");
+
+    const receipt = await ethers.provider.getTransactionReceipt(job.transactionHash);
+    expect(receipt.from).to.equal(relayerKey.address);
+    expect(await token.balanceOf(addr1.address)).to.equal(DROP_AMOUNT);
+  });
+
+  it("Should relay a claim signed to another destination", async function () {
+    const signed = await signClaimTo(addr1, distributor, { phaseId: 0, destination: outsider.address, deadline });
+    const request = {
+      phaseId: 0,
+      index: artifact.recipients[addr1.address].index,
+      recipient: addr1.address,
+      destination: outsider.address,
+      deadline: signed.deadline.toString(),
+      proof: artifact.recipients[addr1.address].proof,
+      signature: signed.signature
+    };
+
+    // The destination is part of the signed message
+    const tampered = await post({ ...request, destination: addr2.address });
+    expect(tampered.status).to.equal(400);
+    expect(tampered.body.error.code).to.equal("INVALID_SIGNATURE");
+
+    const { status, body } = await post(request);
+    expect(status).to.equal(202);
+    expect(body).to.include({ recipient: addr1.address, destination: outsider.address });
+    await relayer.idle();
+
+    expect(relayer.status(body.id).status).to.equal("mined");
+    expect(await token.balanceOf(outsider.address)).to.equal(DROP_AMOUNT);
+    expect(await token.balanceOf(addr1.address)).to.equal(0);
+  });
+
+  it("Should relay a claim signed by an ERC-1271 smart wallet", async function () {
+    const SmartWallet = await ethers.getContractFactory("SmartWallet");
+    const wallet = await SmartWallet.deploy(addr2.address);
+    const walletArtifact = buildArtifact([await wallet.getAddress()]);
+    await distributor.createPhase(walletArtifact.root, DROP_AMOUNT, 0, deadline, true);
+
+    const message = { phaseId: 1, recipient: await wallet.getAddress(), deadline: BigInt(deadline), nonce: 0n };
+    const request = {
+      phaseId: 1,
+      index: 0,
+      recipient: message.recipient,
+      deadline: deadline.toString(),
+      proof: walletArtifact.recipients[message.recipient].proof,
+      signature: await addr2.signTypedData(await claimDomain(distributor), CLAIM_TYPES, message)
+    };
+
+    // Signed by a key the wallet doesn't accept
+    const forged = await post({ ...request, signature: await addr1.signTypedData(await claimDomain(distributor), CLAIM_TYPES, message) });
+    expect(forged.status).to.equal(400);
+    expect(forged.body.error.code).to.equal("INVALID_SIGNATURE");
+
+    const { status, body } = await post(request);
+    expect(status).to.equal(202);
+    await relayer.idle();
+    expect(relayer.status(body.id).status).to.equal("mined");
+    expect(await token.balanceOf(message.recipient)).to.equal(DROP_AMOUNT);
+  });
+
+  it("Should process queued claims one after another", async function () {
+    const first = await relayer.submit(await signedRequest(addr1));
+    const second = await relayer.submit(await signedRequest(addr2));
+    await relayer.idle();
+
+    expect(relayer.status(first.id).status).to.equal("mined");
+    expect(relayer.status(second.id).status).to.equal("mined");
+    expect(await distributor.totalRecipients()).to.equal(2);
+  });
+
+  it("Should refuse a replayed request", async function () {
+    const request = await signedRequest(addr1);
+    await post(request);
+    await relayer.idle();
+
+    const { status, body } = await post(request);
+    expect(status).to.equal(400);
+    expect(body.error.code).to.equal("INVALID_SIGNATURE");
+  });
+
+  it("Should refuse an expired deadline", async function () {
+    const request = await signedRequest(addr1);
+    await time.increaseTo(deadline + 1);
+
+    const { status, body } = await post(request);
+    expect(status).to.equal(400);
+    expect(body.error.code).to.equal("EXPIRED");
+  });
+
+  it("Should refuse a tampered recipient", async function () {
+    const request = await signedRequest(addr1, { recipient: addr2.address, proof: artifact.recipients[addr2.address].proof });
+
+    const { status, body } = await post(request);
+    expect(status).to.equal(400);
+    expect(body.error.code).to.equal("INVALID_SIGNATURE");
+  });
+
+  it("Should refuse requests that would revert", async function () {
+    const { status, body } = await post(await signedRequest(outsider));
+
+    expect(status).to.equal(422);
+    expect(body.error).to.deep.equal({ code: "SIMULATION_FAILED", message: "claimFor would revert with InvalidProof()" });
+  });
+
+  it("Should refuse malformed requests and duplicates", async function () {
+    expect((await post({ phaseId: "x" })).body.error.code).to.equal("INVALID_REQUEST");
+    expect((await post(await signedRequest(addr1, { phaseId: 2 ** 32 }))).body.error.code).to.equal("INVALID_REQUEST");
+    expect((await post(await signedRequest(addr1, { index: -1 }))).body.error.code).to.equal("INVALID_REQUEST");
+    expect((await post(await signedRequest(addr1, { deadline: "soon" }))).body.error.code).to.equal("INVALID_REQUEST");
+
+    const request = await signedRequest(addr1);
+    await relayer.submit(request);
+    await expect(relayer.submit(request)).to.be.rejectedWith("already queued");
+    await relayer.idle();
+  });
+
+  it("Should mark a job failed when the chain changed before sending", async function () {
+    await relayer.stop();
+    const job = await relayer.submit(await signedRequest(addr1));
+    // The recipient claims directly while the request is still queued
+    await distributor.connect(addr1).claim(artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+
+    relayer.start();
+    await relayer.idle();
+
+    expect(relayer.status(job.id).status).to.equal("failed");
+    expect(relayer.status(job.id).error).to.equal("claimFor would revert with AlreadyClaimed()");
+  });
+
+  it("Should keep requests queued while stopped", async function () {
+    await relayer.stop();
+    const job = await relayer.submit(await signedRequest(addr1));
+    expect(relayer.status(job.id).status).to.equal("queued");
+
+    relayer.start();
+    await relayer.idle();
+    expect(relayer.status(job.id).status).to.equal("mined");
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, loadAllowlist } = require("../lib/merkle");
+const { replayBalances, allocateProportional, takeSnapshot } = require("../lib/snapshot");
+const { ROLES } = require("../lib/roles");
+
+describe("Holder snapshot", function () {
+  let tmpDir;
+  let token;
+  let distributor;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let addr4;
+  let fromBlock;
+  let snapshotBlock;
+
+  // Runs snapshot:holders against the test distributor
+  function run(args) {
+    return hre.run("snapshot:holders", { address: distributor.target, block: snapshotBlock, fromBlock, ...args });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3, addr4] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-"));
+    fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      ethers.ZeroHash,
+      1,
+      0,
+      (await time.latest()) + 86400,
+      owner.address
+    );
+
+    // Scripted history: mints, transfers, a holder that sells out and tokens parked in contracts
+    await token.mint(owner.address, ethers.parseEther("1000"));
+    await token.mint(await distributor.getAddress(), ethers.parseEther("500"));
+    await token.transfer(addr1.address, ethers.parseEther("300"));
+    await token.transfer(addr2.address, ethers.parseEther("100"));
+    await token.transfer(addr3.address, ethers.parseEther("5"));
+    await token.connect(addr1).transfer(addr4.address, ethers.parseEther("50"));
+    await token.connect(addr4).transfer(addr2.address, ethers.parseEther("50"));
+    await token.transfer(await token.getAddress(), ethers.parseEther("10"));
+    await mine(5);
+    snapshotBlock = await ethers.provider.getBlockNumber();
+
+    // Moves after the snapshot must not count
+    await token.connect(addr1).transfer(addr4.address, ethers.parseEther("200"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should reconstruct balances at the snapshot block", async function () {
+    const snapshot = await takeSnapshot({
+      provider: ethers.provider, token: await token.getAddress(), block: snapshotBlock, fromBlock, includeContracts: true
+    });
+
+    const balances = Object.fromEntries(snapshot.holders.map(({ address, balance }) => [address, balance]));
+    expect(balances).to.deep.equal({
+      [owner.address]: ethers.parseEther("585").toString(),
+      [await distributor.getAddress()]: ethers.parseEther("500").toString(),
+      [addr1.address]: ethers.parseEther("250").toString(),
+      [addr2.address]: ethers.parseEther("150").toString(),
+      [addr3.address]: ethers.parseEther("5").toString(),
+      [await token.getAddress()]: ethers.parseEther("10").toString()
+    });
+    // addr4 sold everything before the snapshot
+    expect(balances).to.not.have.property(addr4.address);
+    for (const { address, balance } of snapshot.holders) {
+      expect(await token.balanceOf(address, { blockTag: snapshotBlock })).to.equal(BigInt(balance));
+    }
+  });
+
+  it("Should apply the exclusion, minimum balance and contract rules", async function () {
+    const output = path.join(tmpDir, "holders.csv");
+
+    const snapshot = await run({ output, minBalance: "10" });
+
+    expect(snapshot.entries).to.deep.equal([{ address: addr1.address }, { address: addr2.address }].sort(
+      (a, b) => (a.address < b.address ? -1 : 1)
+    ));
+    expect(snapshot.skipped.excluded).to.have.members([owner.address, await distributor.getAddress()]);
+    expect(snapshot.skipped.belowMinimum).to.deep.equal([addr3.address]);
+    expect(snapshot.skipped.contracts).to.deep.equal([await token.getAddress()]);
+    expect(loadAllowlist(output)).to.deep.equal(snapshot.entries);
+  });
+
+  it("Should exclude the registry's distributor and role holders when only --token is given", async function () {
+    await distributor.grantRole(ROLES.pauser, addr3.address);
+    await hre.run("deployments:record", { distributor: distributor.target });
+
+    const output = path.join(tmpDir, "holders.csv");
+    const block = await ethers.provider.getBlockNumber();
+
+    const snapshot = await run({ output, address: undefined, token: token.target, block });
+
+    expect(snapshot.skipped.excluded).to.have.members([owner.address, addr3.address, await distributor.getAddress()]);
+    expect(snapshot.entries.map(({ address }) => address)).to.have.members([addr1.address, addr2.address, addr4.address]);
+  });
+
+  it("Should split a total in proportion to balances", async function () {
+    const output = path.join(tmpDir, "holders.json");
+
+    const snapshot = await run({ output, exclude: addr3.address, total: "100" });
+
+    // 250 and 150 of the 400 kept tokens
+    const amounts = Object.fromEntries(snapshot.entries.map(({ address, amount }) => [address, amount]));
+    expect(amounts).to.deep.equal({
+      [addr1.address]: ethers.parseEther("62.5"),
+      [addr2.address]: ethers.parseEther("37.5")
+    });
+    const artifact = buildArtifact(loadAllowlist(output));
+    expect(artifact.leafEncoding).to.equal("index-address-amount");
+    expect(artifact.totalAmount).to.equal(ethers.parseEther("100").toString());
+  });
+
+  it("Should hand out rounding leftovers deterministically", function () {
+    const holders = [
+      { address: addr1.address, balance: 1n },
+      { address: addr2.address, balance: 1n },
+      { address: addr3.address, balance: 1n }
+    ];
+
+    expect(allocateProportional(holders, 10n)).to.deep.equal([4n, 3n, 3n]);
+    expect(allocateProportional([{ address: addr1.address, balance: 2n }, ...holders.slice(1)], 7n))
+      .to.deep.equal([3n, 2n, 2n]);
+  });
+
+  it("Should produce the same allowlist on every run", async function () {
+    const first = path.join(tmpDir, "first.csv");
+    const second = path.join(tmpDir, "second.csv");
+
+    await run({ output: first, total: "1" });
+    await run({ output: second, total: "1" });
+
+    expect(fs.readFileSync(first, "utf8")).to.equal(fs.readFileSync(second, "utf8"));
+  });
+
+  it("Should refuse a history that doesn't reach back to the token's deployment", async function () {
+    await expect(run({ output: path.join(tmpDir, "holders.csv"), fromBlock: fromBlock + 4 }))
+      .to.be.rejectedWith("would go below zero");
+    expect(() => replayBalances([{ from: addr1.address, to: addr2.address, value: 1n, blockNumber: 7 }]))
+      .to.throw(`${addr1.address} would go below zero at block 7`);
+  });
+});
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact, writeArtifact } = require("../lib/merkle");
+const { formatCsv } = require("../lib/cli");
+const { fetchClaims, buildSolvencyReport, solvencyReportCsv } = require("../lib/solvency");
+const { NATIVE_ASSET } = require("../lib/assets");
+const { findDistributorDeployment, recordDeployment } = require("../lib/deployments");
+
+describe("Solvency report", function () {
+  const DROP_AMOUNT = ethers.parseEther("0.01");
+
+  let tmpDir;
+  let token;
+  let distributor;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let fixedArtifact;
+  let amountArtifact;
+
+  /**
+   * Builds the report the way the task does
+   */
+  async function report() {
+    return buildSolvencyReport({
+      distributor,
+      phases: { 0: fixedArtifact, 1: amountArtifact },
+      claims: await fetchClaims(distributor),
+      now: await time.latest()
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "solvency-"));
+    fixedArtifact = buildArtifact([addr1.address, addr2.address, addr3.address]);
+    amountArtifact = buildArtifact([
+      { address: addr1.address, amount: ethers.parseEther("5").toString() },
+      { address: addr2.address, amount: ethers.parseEther("7").toString() }
+    ]);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      fixedArtifact.root,
+      DROP_AMOUNT,
+      0,
+      (await time.latest()) + 3600,
+      owner.address
+    );
+    await distributor.createPhaseWithAmounts(amountArtifact.root, 0, (await time.latest()) + 7200, true);
+    await token.mint(await distributor.getAddress(), ethers.parseEther("10"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should add up the liability of every phase and flag a shortfall", async function () {
+    const { summary, phases } = await report();
+
+    expect(phases[0]).to.include({ eligible: 3, recipientCount: 0, outstanding: 3, liability: (DROP_AMOUNT * 3n).toString() });
+    expect(phases[1]).to.include({ eligible: 2, outstanding: 2, liability: ethers.parseEther("12").toString() });
+
+    const liability = DROP_AMOUNT * 3n + ethers.parseEther("12");
+    expect(summary.assets).to.deep.equal([{
+      asset: await token.getAddress(),
+      remainingTokens: ethers.parseEther("10").toString(),
+      totalLiability: liability.toString(),
+      shortfall: (liability - ethers.parseEther("10")).toString(),
+      solvent: false
+    }]);
+    expect(summary.solvent).to.equal(false);
+    expect(summary.complete).to.equal(true);
+  });
+
+  it("Should list eligible addresses that haven't claimed", async function () {
+    await distributor.connect(addr1).claimForPhase(0, fixedArtifact.recipients[addr1.address].index, fixedArtifact.recipients[addr1.address].proof);
+    await distributor.connect(addr2).claimForPhaseWithAmount(
+      1, amountArtifact.recipients[addr2.address].index, ethers.parseEther("7"), amountArtifact.recipients[addr2.address].proof
+    );
+    await token.mint(await distributor.getAddress(), ethers.parseEther("5"));
+
+    const { summary, phases } = await report();
+
+    expect(phases[0].unclaimed.map(item => item.address)).to.deep.equal([addr2.address, addr3.address].sort());
+    expect(phases[0]).to.include({ recipientCount: 1, outstanding: 2, liability: (DROP_AMOUNT * 2n).toString() });
+    expect(phases[1].unclaimed).to.deep.equal([{ address: addr1.address, amount: ethers.parseEther("5").toString() }]);
+    expect(phases[1].liability).to.equal(ethers.parseEther("5").toString());
+    expect(summary.solvent).to.equal(true);
+    expect(summary.unclaimed).to.equal(3);
+  });
+
+  it("Should flag claims by addresses missing from the phase's allowlist", async function () {
+    await distributor.connect(addr3).claimForPhase(0, fixedArtifact.recipients[addr3.address].index, fixedArtifact.recipients[addr3.address].proof);
+    // The phase is then re-rooted to an allowlist without addr3
+    fixedArtifact = buildArtifact([addr1.address, addr2.address]);
+    await distributor.updatePhase(0, fixedArtifact.root, 0, 0, 0);
+
+    const { summary, phases } = await report();
+
+    expect(summary.unknownClaims).to.equal(1);
+    expect(phases[0].unknownClaims).to.have.lengthOf(1);
+    expect(phases[0].unknownClaims[0]).to.include({ address: addr3.address, amount: DROP_AMOUNT.toString() });
+    expect(phases[1].unknownClaims).to.deep.equal([]);
+  });
+
+  it("Should not count expired phases as liability", async function () {
+    await time.increase(3601);
+
+    const { phases } = await report();
+
+    expect(phases[0]).to.include({ expired: true, outstanding: 3, liability: "0" });
+    expect(phases[0].unclaimed).to.have.lengthOf(3);
+    expect(phases[1].expired).to.equal(false);
+  });
+
+  it("Should leave phases without an artifact out of the total", async function () {
+    const { summary, phases } = await buildSolvencyReport({
+      distributor,
+      phases: { 1: amountArtifact },
+      claims: [],
+      now: await time.latest()
+    });
+
+    expect(phases[0]).to.include({ hasArtifact: false, liability: null });
+    expect(summary.assets[0].totalLiability).to.equal(ethers.parseEther("12").toString());
+    expect(summary.complete).to.equal(false);
+  });
+
+  it("Should check each asset against its own balance", async function () {
+    const ethArtifact = buildArtifact([addr1.address, addr2.address]);
+    await distributor.createPhaseForAsset(
+      NATIVE_ASSET, 0, ethArtifact.root, ethers.parseEther("1"), 0, (await time.latest()) + 3600, true
+    );
+    await distributor.fundPhase(2, ethers.parseEther("2"), { value: ethers.parseEther("2") });
+
+    const { summary, phases } = await buildSolvencyReport({
+      distributor,
+      phases: { 0: fixedArtifact, 1: amountArtifact, 2: ethArtifact },
+      claims: [],
+      now: await time.latest()
+    });
+
+    expect(phases[2]).to.include({ asset: NATIVE_ASSET, liability: ethers.parseEther("2").toString() });
+    expect(summary.assets.find(item => item.asset === NATIVE_ASSET)).to.deep.equal({
+      asset: NATIVE_ASSET,
+      remainingTokens: ethers.parseEther("2").toString(),
+      totalLiability: ethers.parseEther("2").toString(),
+      shortfall: "0",
+      solvent: true
+    });
+    // The token phases are still short, ETH doesn't cover them
+    expect(summary.solvent).to.equal(false);
+  });
+
+  it("Should write JSON and CSV reports from the task", async function () {
+    const files = [path.join(tmpDir, "phase0.json"), path.join(tmpDir, "phase1.json")];
+    writeArtifact(files[0], fixedArtifact);
+    writeArtifact(files[1], amountArtifact);
+    const output = path.join(tmpDir, "report");
+
+    const result = await hre.run("report:solvency", {
+      address: await distributor.getAddress(),
+      artifacts: files.join(","),
+      output
+    });
+
+    expect(JSON.parse(fs.readFileSync(`${output}.json`, "utf8"))).to.deep.equal(result);
+    const rows = fs.readFileSync(`${output}.phases.csv`, "utf8").trim().split("\n");
+    expect(rows[0]).to.equal("phase,mode,asset,active,expired,drop_amount,eligible,recipient_count,outstanding,liability,unknown_claims");
+    expect(rows[2]).to.equal(`1,PerRecipient,${await token.getAddress()},true,false,0,2,0,2,${ethers.parseEther("12")},0`);
+    expect(fs.readFileSync(`${output}.unclaimed.csv`, "utf8").trim().split("\n")).to.have.lengthOf(6);
+    expect(fs.readFileSync(`${output}.unknown-claims.csv`, "utf8")).to.equal("phase,address,amount,transaction,block\n");
+    expect(solvencyReportCsv(result).phases).to.equal(rows.join("\n") + "\n");
+  });
+
+  it("Should read Claimed events in block chunks", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    for (const signer of [addr1, addr2, addr3]) {
+      const { index, proof } = fixedArtifact.recipients[signer.address];
+      await distributor.connect(signer).claimForPhase(0, index, proof);
+    }
+
+    const ranges = [];
+    const queryFilter = distributor.queryFilter.bind(distributor);
+    const spied = Object.assign(Object.create(distributor), {
+      queryFilter: (filter, start, end) => {
+        ranges.push([start, end]);
+        return queryFilter(filter, start, end);
+      }
+    });
+    const claims = await fetchClaims(spied, { fromBlock, batchSize: 2 });
+
+    expect(claims.map(claim => claim.args.claimant)).to.deep.equal([addr1.address, addr2.address, addr3.address]);
+    expect(ranges).to.deep.equal([[fromBlock, fromBlock + 1], [fromBlock + 2, fromBlock + 3]]);
+  });
+
+  it("Should read claims from the recorded deployment block by default", async function () {
+    const address = await distributor.getAddress();
+    const previous = await findDistributorDeployment(hre);
+    await recordDeployment(hre, { MerkleDistributorV2: address });
+    const { blockNumber } = await findDistributorDeployment(hre);
+    expect(blockNumber).to.equal((await distributor.deploymentTransaction().wait()).blockNumber);
+
+    const file = path.join(tmpDir, "phase0.json");
+    writeArtifact(file, fixedArtifact);
+    const requests = [];
+    const getLogs = ethers.provider.getLogs;
+    ethers.provider.getLogs = function (filter) {
+      requests.push(filter);
+      return getLogs.call(this, filter);
+    };
+    try {
+      await hre.run("report:solvency", { artifacts: file, output: path.join(tmpDir, "report") });
+      await hre.run("report:solvency", { artifacts: file, output: path.join(tmpDir, "report"), fromBlock: 0 });
+    } finally {
+      ethers.provider.getLogs = getLogs;
+      if (previous.address) await recordDeployment(hre, { MerkleDistributorV2: previous.address });
+    }
+
+    expect(Number(requests[0].fromBlock)).to.equal(blockNumber);
+    expect(Number(requests[requests.length - 1].fromBlock)).to.be.lessThan(blockNumber);
+  });
+
+  it("Should quote CSV cells when needed", function () {
+    expect(formatCsv(["a", "b"], [["x,y", 'say "hi"'], [null, 1]])).to.equal('a,b\n"x,y","say ""hi"""\n,1\n');
+  });
+});
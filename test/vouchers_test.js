@@ -0,0 +1,362 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildArtifact } = require("../lib/merkle");
+const { claimDomain } = require("../lib/relayer");
+const { ROLES } = require("../lib/roles");
+const { NATIVE_ASSET } = require("../lib/assets");
+const {
+  signVoucher,
+  recoverVoucherSigner,
+  issueVouchers,
+  voucherEntries,
+  voucherClaimArgs,
+  writeVoucherFile,
+  readVoucherFile
+} = require("../lib/vouchers");
+
+describe("Voucher phases", function () {
+  const DROP_AMOUNT = ethers.parseEther("0.01");
+  const oneWeek = 7 * 24 * 60 * 60;
+
+  let owner;
+  let signerKey;
+  let newSignerKey;
+  let addr1;
+  let addr2;
+  let outsider;
+  let token;
+  let distributor;
+  let address;
+  let artifact;
+  let domain;
+  let expiry;
+  let tmpDir;
+
+  // Runs a voucher:* task against the test distributor without prompting
+  function run(name, args = {}) {
+    return hre.run(name, { address, yes: true, ...args });
+  }
+
+  // Signs a voucher with the current signer key and returns the claimWithVoucher arguments
+  async function voucher(phaseId, recipient, amount, { signer = signerKey, until = expiry, nonce = 0n } = {}) {
+    const signed = await signVoucher(signer, domain, { phaseId, recipient: recipient.address, amount, nonce, expiry: until });
+    return [phaseId, signed.recipient, signed.amount, signed.expiry, signed.signature];
+  }
+
+  beforeEach(async function () {
+    [owner, signerKey, newSignerKey, addr1, addr2, outsider] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vouchers-"));
+    artifact = buildArtifact([addr1.address, addr2.address]);
+
+    const AirdropToken = await ethers.getContractFactory("AirdropToken");
+    token = await AirdropToken.deploy(owner.address, ethers.MaxUint256);
+    const MerkleDistributorV2 = await ethers.getContractFactory("MerkleDistributorV2");
+    distributor = await MerkleDistributorV2.deploy(
+      await token.getAddress(),
+      artifact.root,
+      DROP_AMOUNT,
+      0,
+      (await time.latest()) + oneWeek,
+      owner.address
+    );
+    address = await distributor.getAddress();
+    await token.mint(address, ethers.parseEther("10"));
+    await distributor.grantRole(ROLES.voucherSigner, signerKey.address);
+
+    // Phase 1 is the voucher phase with a budget of 5, phase 0 stays a Merkle phase
+    await distributor.createVoucherPhase(0, (await time.latest()) + oneWeek, true);
+    await token.mint(owner.address, ethers.parseEther("5"));
+    await token.approve(address, ethers.parseEther("5"));
+    await distributor.fundPhase(1, ethers.parseEther("5"));
+    domain = await claimDomain(distributor);
+    expiry = (await time.latest()) + 3600;
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Contract", function () {
+    it("Should not give the voucher signer role to the owner", async function () {
+      expect(await distributor.VOUCHER_SIGNER_ROLE()).to.equal(ROLES.voucherSigner);
+      expect(await distributor.hasRole(ROLES.voucherSigner, owner.address)).to.equal(false);
+      expect((await distributor.phases(1)).mode).to.equal(2);
+    });
+
+    it("Should claim Merkle and voucher phases side by side", async function () {
+      const amount = ethers.parseEther("3");
+      await distributor.connect(addr1).claimForPhase(0, artifact.recipients[addr1.address].index, artifact.recipients[addr1.address].proof);
+
+      // Anyone can submit a voucher, it always pays the recipient
+      await expect(distributor.connect(outsider).claimWithVoucher(...await voucher(1, addr1, amount)))
+        .to.emit(distributor, "Claimed").withArgs(addr1.address, addr1.address, await token.getAddress(), amount, 1);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(DROP_AMOUNT + amount);
+      expect(await distributor.isClaimed(1, BigInt(addr1.address))).to.equal(true);
+      expect((await distributor.phases(1)).recipientCount).to.equal(1);
+      expect((await distributor.phases(1)).claimedAmount).to.equal(amount);
+      expect(await distributor.totalClaimed()).to.equal(DROP_AMOUNT + amount);
+      expect(await distributor.totalRecipients()).to.equal(2);
+    });
+
+    it("Should let a recipient redeem only once per phase", async function () {
+      await distributor.claimWithVoucher(...await voucher(1, addr1, 100n));
+
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, 100n)))
+        .to.be.revertedWithCustomError(distributor, "AlreadyClaimed");
+      // A second voucher with another amount doesn't get around it either
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, 500n)))
+        .to.be.revertedWithCustomError(distributor, "AlreadyClaimed");
+    });
+
+    it("Should keep vouchers and Merkle proofs to their own phases", async function () {
+      await expect(distributor.claimWithVoucher(...await voucher(0, addr1, 100n)))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.connect(addr1).claimForPhase(1, 0, []))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.connect(addr1).claimForPhaseWithAmount(1, 0, 100n, []))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.batchDistribute(1, [0], [addr1.address], [[]]))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.claimWithVoucher(...await voucher(2, addr1, 100n)))
+        .to.be.revertedWithCustomError(distributor, "InvalidPhase");
+    });
+
+    it("Should reject expired, altered and unauthorized vouchers", async function () {
+      const [phaseId, recipient, amount, until, signature] = await voucher(1, addr1, 100n);
+
+      await expect(distributor.claimWithVoucher(phaseId, recipient, amount + 1n, until, signature))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await expect(distributor.claimWithVoucher(phaseId, addr2.address, amount, until, signature))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await expect(distributor.claimWithVoucher(phaseId, recipient, amount, until, "0x1234"))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, 100n, { signer: outsider })))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await expect(distributor.claimWithVoucher(phaseId, recipient, 0, until, signature))
+        .to.be.revertedWithCustomError(distributor, "ZeroAmount");
+
+      await time.increaseTo(until + 1n);
+      await expect(distributor.claimWithVoucher(phaseId, recipient, amount, until, signature))
+        .to.be.revertedWithCustomError(distributor, "SignatureExpired");
+    });
+
+    it("Should follow the phase window and the pause", async function () {
+      await distributor.deactivatePhase(1);
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, 100n)))
+        .to.be.revertedWithCustomError(distributor, "PhaseNotActive");
+      await distributor.setActivePhase(1);
+
+      await distributor.pause();
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, 100n)))
+        .to.be.revertedWithCustomError(distributor, "EnforcedPause");
+      await distributor.unpause();
+
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr1, ethers.parseEther("6"))))
+        .to.be.revertedWithCustomError(distributor, "BudgetExceeded");
+    });
+
+    it("Should cap voucher claims at the phase budget while other phases are funded", async function () {
+      // Phase 2 holds a budget of its own in the same token, on top of the 10 unreserved tokens
+      await distributor.createPhaseWithAmounts(artifact.root, 0, (await time.latest()) + oneWeek, false);
+      await token.mint(owner.address, ethers.parseEther("20"));
+      await token.approve(address, ethers.parseEther("20"));
+      await distributor.fundPhase(2, ethers.parseEther("20"));
+
+      await distributor.claimWithVoucher(...await voucher(1, addr1, ethers.parseEther("4")));
+      await expect(distributor.claimWithVoucher(...await voucher(1, addr2, ethers.parseEther("1") + 1n)))
+        .to.be.revertedWithCustomError(distributor, "BudgetExceeded");
+      await distributor.claimWithVoucher(...await voucher(1, addr2, ethers.parseEther("1")));
+      expect(await distributor.totalReserved(await token.getAddress())).to.equal(ethers.parseEther("20"));
+
+      // An unfunded voucher phase pays nothing
+      await distributor.createVoucherPhase(0, (await time.latest()) + oneWeek, true);
+      await expect(distributor.claimWithVoucher(...await voucher(3, addr1, 1n)))
+        .to.be.revertedWithCustomError(distributor, "BudgetExceeded");
+    });
+
+    it("Should stop redeeming a rotated-out signer's vouchers", async function () {
+      const old = await voucher(1, addr1, 100n);
+      await distributor.grantRole(ROLES.voucherSigner, newSignerKey.address);
+      await distributor.revokeRole(ROLES.voucherSigner, signerKey.address);
+
+      await expect(distributor.claimWithVoucher(...old))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await distributor.claimWithVoucher(...await voucher(1, addr1, 100n, { signer: newSignerKey }));
+      expect(await token.balanceOf(addr1.address)).to.equal(100n);
+    });
+
+    it("Should cancel a recipient's vouchers without touching the others", async function () {
+      const cancelled = await voucher(1, addr1, 100n);
+      const other = await voucher(1, addr2, 100n);
+
+      await expect(distributor.connect(signerKey).cancelVouchers(1, addr1.address))
+        .to.emit(distributor, "VouchersCancelled").withArgs(1, addr1.address, 1);
+      expect(await distributor.voucherNonces(1, addr1.address)).to.equal(1);
+      await expect(distributor.claimWithVoucher(...cancelled))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+
+      // A replacement is signed for the new nonce, other recipients keep theirs
+      await distributor.claimWithVoucher(...await voucher(1, addr1, 150n, { nonce: 1n }));
+      await distributor.claimWithVoucher(...other);
+      expect(await token.balanceOf(addr1.address)).to.equal(150n);
+      expect(await token.balanceOf(addr2.address)).to.equal(100n);
+
+      await expect(distributor.cancelVouchers(1, addr1.address))
+        .to.be.revertedWithCustomError(distributor, "AccessControlUnauthorizedAccount");
+      await expect(distributor.connect(signerKey).cancelVouchers(0, addr1.address))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.connect(signerKey).cancelVouchers(2, addr1.address))
+        .to.be.revertedWithCustomError(distributor, "InvalidPhase");
+    });
+
+    it("Should vest voucher claims and pay other assets", async function () {
+      await distributor.setPhaseVesting(1, 0, 1000);
+      await distributor.claimWithVoucher(...await voucher(1, addr1, 1000n));
+      expect((await distributor.vestings(1, addr1.address)).total).to.equal(1000n);
+      expect(await distributor.totalLocked(await token.getAddress())).to.equal(1000n);
+
+      await distributor.createPhaseForAsset(NATIVE_ASSET, 2, ethers.ZeroHash, 0, 0, (await time.latest()) + oneWeek, true);
+      await distributor.fundPhase(2, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+      await expect(distributor.claimWithVoucher(...await voucher(2, addr2, ethers.parseEther("0.5"))))
+        .to.changeEtherBalance(addr2, ethers.parseEther("0.5"));
+    });
+
+    it("Should not give voucher phases a Merkle root", async function () {
+      await expect(distributor.createPhaseForAsset(NATIVE_ASSET, 2, artifact.root, 0, 0, (await time.latest()) + oneWeek, false))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.updatePhase(1, artifact.root, 0, 0, 0))
+        .to.be.revertedWithCustomError(distributor, "WrongPhaseMode");
+      await expect(distributor.connect(addr1).createVoucherPhase(0, (await time.latest()) + oneWeek, false))
+        .to.be.revertedWithCustomError(distributor, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Issuing", function () {
+    it("Should sign vouchers the contract accepts and merge reissued ones", async function () {
+      const first = await issueVouchers(signerKey, domain, {
+        phaseId: 1,
+        entries: [{ address: addr1.address, amount: 100n }, { address: addr2.address, amount: 200n }],
+        expiry
+      });
+      expect(first).to.include({ version: 2, chainId: 31337, distributor: address, phaseId: 1, totalAmount: "300" });
+      expect(recoverVoucherSigner(domain, { phaseId: 1, recipient: addr2.address, ...first.vouchers[addr2.address] }))
+        .to.equal(signerKey.address);
+
+      const file = path.join(tmpDir, "vouchers.json");
+      writeVoucherFile(file, first);
+      const second = await issueVouchers(newSignerKey, domain, {
+        phaseId: 1,
+        entries: [{ address: addr1.address, amount: 150n }],
+        expiry,
+        previous: readVoucherFile(file)
+      });
+      expect(second.totalAmount).to.equal("350");
+      expect(voucherEntries(second, { signers: [signerKey.address] })).to.deep.equal([{ address: addr2.address, amount: 200n }]);
+
+      await distributor.grantRole(ROLES.voucherSigner, newSignerKey.address);
+      await distributor.claimWithVoucher(...voucherClaimArgs(second, addr1.address.toLowerCase()));
+      expect(await token.balanceOf(addr1.address)).to.equal(150n);
+      expect(() => voucherClaimArgs(second, outsider.address)).to.throw("No voucher");
+
+      await expect(issueVouchers(signerKey, domain, { phaseId: 0, entries: [], expiry, previous: second }))
+        .to.be.rejectedWith("voucher file is for phase 1");
+      await expect(issueVouchers(signerKey, domain, { phaseId: 1, entries: [{ address: addr1.address }], expiry }))
+        .to.be.rejectedWith("No amount");
+    });
+  });
+
+  describe("Tasks", function () {
+    let input;
+    let output;
+
+    beforeEach(function () {
+      input = path.join(tmpDir, "allowlist.csv");
+      fs.writeFileSync(input, `address,amount\n${addr1.address},100\n${addr2.address},200\n`);
+      output = path.join(tmpDir, "phase-1.json");
+      process.env.VOUCHER_SIGNER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+    });
+
+    afterEach(function () {
+      delete process.env.VOUCHER_SIGNER_KEY;
+    });
+
+    it("Should create a voucher phase", async function () {
+      const end = String((await time.latest()) + oneWeek);
+      const { result } = await run("voucher:phase", { end, activate: true });
+
+      expect(result).to.equal(2n);
+      expect(await distributor.currentPhaseId()).to.equal(2);
+      expect((await distributor.phases(2)).mode).to.equal(2);
+
+      await run("voucher:phase", { end, asset: "ETH" });
+      expect((await distributor.phases(3)).asset).to.equal(NATIVE_ASSET);
+    });
+
+    it("Should issue vouchers from VOUCHER_SIGNER_KEY and redeem them", async function () {
+      await expect(run("voucher:issue", { phase: 0, input, output }))
+        .to.be.rejectedWith("Phase 0 is a FixedAmount phase");
+      // The key is Hardhat's second account, the one granted the role in beforeEach
+      const issued = await run("voucher:issue", { phase: 1, input, output, expiry: "+1d" });
+      expect(Object.values(issued.vouchers).map(voucher => voucher.signer)).to.deep.equal([signerKey.address, signerKey.address]);
+      expect(readVoucherFile(output).totalAmount).to.equal("300");
+
+      await run("voucher:redeem", { vouchers: output, recipient: addr2.address });
+      expect(await token.balanceOf(addr2.address)).to.equal(200n);
+      await expect(run("voucher:redeem", { vouchers: output, recipient: addr2.address }))
+        .to.be.rejectedWith("claimWithVoucher would revert with AlreadyClaimed()");
+
+      process.env.VOUCHER_SIGNER_KEY = ethers.Wallet.createRandom().privateKey;
+      await expect(run("voucher:issue", { phase: 1, input, output }))
+        .to.be.rejectedWith("doesn't have the voucherSigner role");
+    });
+
+    it("Should cancel the earlier voucher of a reissued address", async function () {
+      const first = await run("voucher:issue", { phase: 1, input, output });
+      const earlier = voucherClaimArgs(first, addr1.address);
+
+      fs.writeFileSync(input, `address,amount\n${addr1.address},150\n`);
+      const reissued = await run("voucher:issue", { phase: 1, input, output });
+      expect(reissued.vouchers[addr1.address]).to.include({ amount: "150", nonce: "1" });
+      await expect(distributor.claimWithVoucher(...earlier))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      await run("voucher:redeem", { vouchers: output, recipient: addr1.address });
+      expect(await token.balanceOf(addr1.address)).to.equal(150n);
+
+      // addr2's voucher was left alone, and voucher:cancel takes it back
+      expect(await distributor.voucherNonces(1, addr2.address)).to.equal(0);
+      const kept = voucherClaimArgs(reissued, addr2.address);
+      await run("voucher:cancel", { vouchers: output, recipient: addr2.address });
+      await expect(distributor.claimWithVoucher(...kept))
+        .to.be.revertedWithCustomError(distributor, "InvalidSignature");
+      expect(readVoucherFile(output).vouchers).to.not.have.property(addr2.address);
+      expect(readVoucherFile(output).totalAmount).to.equal("150");
+    });
+
+    it("Should rotate the signer and sign the revoked key's vouchers again", async function () {
+      await run("voucher:issue", { phase: 1, input, output });
+
+      const { granted, revoked } = await run("voucher:rotate", { signer: newSignerKey.address });
+      expect(granted.receipt).to.not.equal(undefined);
+      expect(revoked).to.have.length(1);
+      expect(await distributor.hasRole(ROLES.voucherSigner, signerKey.address)).to.equal(false);
+      await expect(run("voucher:redeem", { vouchers: output, recipient: addr1.address }))
+        .to.be.rejectedWith("InvalidSignature()");
+
+      process.env.VOUCHER_SIGNER_KEY = "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a";
+      const reissued = await run("voucher:issue", { phase: 1, output });
+      expect(Object.values(reissued.vouchers).map(voucher => voucher.signer)).to.deep.equal([newSignerKey.address, newSignerKey.address]);
+      await run("voucher:redeem", { vouchers: output, recipient: addr1.address });
+      expect(await token.balanceOf(addr1.address)).to.equal(100n);
+
+      const kept = await run("voucher:rotate", { signer: signerKey.address, keep: true });
+      expect(kept.revoked).to.deep.equal([]);
+      expect(await distributor.hasRole(ROLES.voucherSigner, newSignerKey.address)).to.equal(true);
+    });
+  });
+});